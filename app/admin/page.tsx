@@ -10,6 +10,8 @@ import { Label } from '@/components/ui/label';
 import { Badge } from '@/components/ui/badge';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
 import Navbar from '@/components/Navbar';
 import { 
   Users, 
@@ -21,8 +23,10 @@ import {
   Trash2,
   Save,
   Shield,
+  ShieldOff,
   Activity
 } from 'lucide-react';
+import AuditLogPanel from '@/components/AuditLogPanel';
 import { useAuth } from '@/hooks/useAuth';
 import { useLanguage } from '@/hooks/useLanguage';
 import { getTranslation } from '@/lib/i18n';
@@ -35,6 +39,8 @@ interface User {
   name: string;
   role: 'user' | 'admin';
   is_verified: boolean;
+  plan: 'free' | 'pro' | 'enterprise';
+  totp_enabled: boolean;
   created_at: string;
 }
 
@@ -60,6 +66,7 @@ export default function AdminPage() {
   const [contentPages, setContentPages] = useState<ContentPage[]>([]);
   const [loading, setLoading] = useState(true);
   const [googleClientId, setGoogleClientId] = useState('');
+  const [requireTwoFactor, setRequireTwoFactor] = useState(false);
   
   const { user } = useAuth();
   const { language } = useLanguage();
@@ -135,30 +142,77 @@ export default function AdminPage() {
       if (response.ok) {
         const data = await response.json();
         setGoogleClientId(data.google_client_id || '');
+        setRequireTwoFactor(!!data.require_2fa);
       }
     } catch (error) {
       console.error('Failed to fetch settings:', error);
     }
   };
 
+  const handlePlanChange = async (userId: string, plan: string) => {
+    try {
+      const response = await fetch(`/api/admin/users/${userId}/plan`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ plan }),
+      });
+
+      if (response.ok) {
+        const updated = await response.json();
+        setUsers((current) => current.map((item) => (item.id === updated.id ? updated : item)));
+        toast.success(language === 'id' ? 'Paket berhasil diubah!' : 'Plan updated successfully!');
+      } else {
+        toast.error(language === 'id' ? 'Gagal mengubah paket' : 'Failed to update plan');
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengubah paket' : 'Failed to update plan');
+    }
+  };
+
   const handleSaveSettings = async () => {
     try {
       const response = await fetch('/api/admin/settings', {
         method: 'POST',
         headers: getAuthHeaders(),
-        body: JSON.stringify({ google_client_id: googleClientId }),
+        body: JSON.stringify({ google_client_id: googleClientId, require_2fa: requireTwoFactor }),
       });
 
       if (response.ok) {
         toast.success(language === 'id' ? 'Pengaturan berhasil disimpan!' : 'Settings saved successfully!');
       } else {
-        toast.error(language === 'id' ? 'Gagal menyimpan pengaturan' : 'Failed to save settings');
+        const error = await response.json().catch(() => ({}));
+        toast.error(error.message || (language === 'id' ? 'Gagal menyimpan pengaturan' : 'Failed to save settings'));
       }
     } catch (error) {
       toast.error(language === 'id' ? 'Gagal menyimpan pengaturan' : 'Failed to save settings');
     }
   };
 
+  // For a user who lost both the phone and the recovery codes
+  const handleResetTwoFactor = async (target: User) => {
+    if (!confirm(language === 'id'
+      ? `Reset 2FA untuk ${target.email}? Semua sesinya akan dikeluarkan.`
+      : `Reset 2FA for ${target.email}? All of their sessions will be signed out.`)) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/admin/users/${target.id}/2fa`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+
+      if (response.ok) {
+        const updated = await response.json();
+        setUsers((current) => current.map((item) => (item.id === updated.id ? updated : item)));
+        toast.success(language === 'id' ? '2FA berhasil direset!' : '2FA reset successfully!');
+      } else {
+        toast.error(language === 'id' ? 'Gagal mereset 2FA' : 'Failed to reset 2FA');
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mereset 2FA' : 'Failed to reset 2FA');
+    }
+  };
+
   if (user?.role !== 'admin') {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -266,7 +320,7 @@ export default function AdminPage() {
 
           {/* Admin Tabs */}
           <Tabs defaultValue="users" className="space-y-6">
-            <TabsList className="grid w-full grid-cols-4">
+            <TabsList className="grid w-full grid-cols-5">
               <TabsTrigger value="users">
                 {t('manageUsers')}
               </TabsTrigger>
@@ -279,6 +333,9 @@ export default function AdminPage() {
               <TabsTrigger value="settings">
                 {t('settings')}
               </TabsTrigger>
+              <TabsTrigger value="audit">
+                {t('auditLog')}
+              </TabsTrigger>
             </TabsList>
 
             {/* Users Management */}
@@ -298,6 +355,7 @@ export default function AdminPage() {
                         <TableHead>Email</TableHead>
                         <TableHead>{language === 'id' ? 'Peran' : 'Role'}</TableHead>
                         <TableHead>{language === 'id' ? 'Status' : 'Status'}</TableHead>
+                        <TableHead>{language === 'id' ? 'Paket' : 'Plan'}</TableHead>
                         <TableHead>{language === 'id' ? 'Bergabung' : 'Joined'}</TableHead>
                         <TableHead>{language === 'id' ? 'Aksi' : 'Actions'}</TableHead>
                       </TableRow>
@@ -320,6 +378,21 @@ export default function AdminPage() {
                               }
                             </Badge>
                           </TableCell>
+                          <TableCell>
+                            <Select
+                              value={user.plan || 'free'}
+                              onValueChange={(plan) => handlePlanChange(user.id, plan)}
+                            >
+                              <SelectTrigger className="w-[130px]">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                <SelectItem value="free">Free</SelectItem>
+                                <SelectItem value="pro">Pro</SelectItem>
+                                <SelectItem value="enterprise">Enterprise</SelectItem>
+                              </SelectContent>
+                            </Select>
+                          </TableCell>
                           <TableCell>
                             {new Date(user.created_at).toLocaleDateString()}
                           </TableCell>
@@ -328,6 +401,16 @@ export default function AdminPage() {
                               <Button variant="outline" size="sm">
                                 <Edit className="h-4 w-4" />
                               </Button>
+                              {user.totp_enabled && (
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  title="Reset 2FA"
+                                  onClick={() => handleResetTwoFactor(user)}
+                                >
+                                  <ShieldOff className="h-4 w-4" />
+                                </Button>
+                              )}
                               <Button variant="outline" size="sm">
                                 <Trash2 className="h-4 w-4" />
                               </Button>
@@ -457,6 +540,24 @@ export default function AdminPage() {
                         }
                       </p>
                     </div>
+
+                    <div className="flex items-center justify-between gap-4">
+                      <div>
+                        <Label htmlFor="require_2fa">
+                          {language === 'id' ? 'Wajibkan 2FA' : 'Require 2FA'}
+                        </Label>
+                        <p className="text-xs text-muted-foreground mt-1">
+                          {language === 'id'
+                            ? 'Setiap akun harus mengaktifkan autentikasi dua faktor sebelum bisa memakai dashboard dan API. Aktifkan 2FA di akun Anda sendiri terlebih dahulu.'
+                            : 'Every account has to turn on two-factor authentication before it can use the dashboard and the API. Turn on 2FA for your own account first.'}
+                        </p>
+                      </div>
+                      <Switch
+                        id="require_2fa"
+                        checked={requireTwoFactor}
+                        onCheckedChange={setRequireTwoFactor}
+                      />
+                    </div>
                     
                     <Button onClick={handleSaveSettings}>
                       <Save className="h-4 w-4 mr-2" />
@@ -466,6 +567,11 @@ export default function AdminPage() {
                 </CardContent>
               </Card>
             </TabsContent>
+
+            {/* Audit Log */}
+            <TabsContent value="audit">
+              <AuditLogPanel admin />
+            </TabsContent>
           </Tabs>
         </motion.div>
       </div>
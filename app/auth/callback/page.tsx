@@ -0,0 +1,35 @@
+'use client';
+
+import { useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from '@/hooks/useAuth';
+import { useLanguage } from '@/hooks/useLanguage';
+
+// Provider sign-ins end here with the session token in the URL fragment
+export default function AuthCallbackPage() {
+  const { loginWithToken } = useAuth();
+  const { language } = useLanguage();
+  const router = useRouter();
+
+  useEffect(() => {
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    // Keep the token out of the history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token) {
+      router.replace('/login?oauth_error=provider_error');
+      return;
+    }
+    loginWithToken(token).catch(() => router.replace('/login?oauth_error=provider_error'));
+  }, []);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center">
+      <div className="flex items-center gap-2 text-muted-foreground">
+        <Loader2 className="h-5 w-5 animate-spin" />
+        {language === 'id' ? 'Sedang masuk...' : 'Signing you in...'}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,477 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Building2, Check, Mail, Plus, Trash2, UserMinus, X } from 'lucide-react';
+import Navbar from '@/components/Navbar';
+import { useAuth } from '@/hooks/useAuth';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+import { Organization, getWorkspaceId, setWorkspaceId } from '@/lib/workspace';
+import { toast } from 'sonner';
+import Cookies from 'js-cookie';
+
+type Role = Organization['role'];
+
+interface Member {
+  user_id: string;
+  email: string;
+  name: string;
+  role: Role;
+  created_at: string;
+}
+
+interface SentInvitation {
+  id: string;
+  email: string;
+  role: Role;
+  expires_at: string;
+}
+
+interface OrganizationDetail extends Organization {
+  members: Member[];
+  invitations: SentInvitation[];
+}
+
+interface ReceivedInvitation {
+  id: string;
+  role: Role;
+  expires_at: string;
+  organization: { id: string; name: string };
+}
+
+// Same ranking as backend/utils/organizations.js
+const ROLES: Role[] = ['viewer', 'developer', 'admin', 'owner'];
+const ASSIGNABLE_ROLES: Role[] = ['viewer', 'developer', 'admin'];
+const rank = (role: Role) => ROLES.indexOf(role);
+
+export default function OrganizationsPage() {
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [invitations, setInvitations] = useState<ReceivedInvitation[]>([]);
+  const [selected, setSelected] = useState<OrganizationDetail | null>(null);
+  const [newName, setNewName] = useState('');
+  const [rename, setRename] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<Role>('developer');
+  const [loading, setLoading] = useState<string | null>(null);
+
+  const { user } = useAuth();
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+  });
+
+  // Runs a request, toasts the backend message on failure; resolves to the JSON body or null
+  const request = async (key: string, send: () => Promise<Response>, fallback: string) => {
+    setLoading(key);
+    try {
+      const response = await send();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        toast.error(data.errors?.[0]?.msg || data.message || fallback);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      toast.error(fallback);
+      return null;
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const fetchOrganizations = async () => {
+    try {
+      const [orgsResponse, invitationsResponse] = await Promise.all([
+        apiClient.get('/api/organizations', { headers: getAuthHeaders() }),
+        apiClient.get('/api/organizations/invitations', { headers: getAuthHeaders() }),
+      ]);
+      if (orgsResponse.ok) setOrganizations(await orgsResponse.json());
+      if (invitationsResponse.ok) setInvitations(await invitationsResponse.json());
+    } catch (error) {
+      console.error('Failed to fetch organizations:', error);
+    }
+  };
+
+  const fetchDetail = async (organizationId: string) => {
+    try {
+      const response = await apiClient.get(`/api/organizations/${organizationId}`, { headers: getAuthHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        setSelected(data);
+        setRename(data.name);
+      }
+    } catch (error) {
+      console.error('Failed to fetch organization:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const data = await request('create', () => apiClient.post('/api/organizations', { name: newName }, {
+      headers: getAuthHeaders(),
+    }), language === 'id' ? 'Gagal membuat organisasi' : 'Failed to create organization');
+    if (data) {
+      setNewName('');
+      toast.success(language === 'id' ? 'Organisasi dibuat' : 'Organization created');
+      await fetchOrganizations();
+      fetchDetail(data.id);
+    }
+  };
+
+  const handleInvitation = async (invitation: ReceivedInvitation, accept: boolean) => {
+    const data = await request(invitation.id, () => (accept
+      ? apiClient.post(`/api/organizations/invitations/${invitation.id}/accept`, {}, { headers: getAuthHeaders() })
+      : apiClient.delete(`/api/organizations/invitations/${invitation.id}`, { headers: getAuthHeaders() })
+    ), language === 'id' ? 'Gagal memproses undangan' : 'Failed to answer invitation');
+    if (data) {
+      toast.success(accept
+        ? (language === 'id' ? `Bergabung dengan ${invitation.organization.name}` : `Joined ${invitation.organization.name}`)
+        : (language === 'id' ? 'Undangan ditolak' : 'Invitation declined'));
+      fetchOrganizations();
+    }
+  };
+
+  const handleRename = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+    const data = await request('rename', () => apiClient.patch(`/api/organizations/${selected.id}`, { name: rename }, {
+      headers: getAuthHeaders(),
+    }), language === 'id' ? 'Gagal mengganti nama' : 'Failed to rename organization');
+    if (data) {
+      toast.success(language === 'id' ? 'Nama diperbarui' : 'Name updated');
+      fetchOrganizations();
+      fetchDetail(selected.id);
+    }
+  };
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selected) return;
+    const data = await request('invite', () => apiClient.post(`/api/organizations/${selected.id}/invitations`, {
+      email: inviteEmail,
+      role: inviteRole,
+    }, {
+      headers: getAuthHeaders(),
+    }), language === 'id' ? 'Gagal mengirim undangan' : 'Failed to send invitation');
+    if (data) {
+      setInviteEmail('');
+      toast.success(language === 'id' ? `Undangan dikirim ke ${data.email}` : `Invitation sent to ${data.email}`);
+      fetchDetail(selected.id);
+    }
+  };
+
+  const handleCancelInvitation = async (invitation: SentInvitation) => {
+    if (!selected) return;
+    const data = await request(invitation.id, () => apiClient.delete(
+      `/api/organizations/${selected.id}/invitations/${invitation.id}`,
+      { headers: getAuthHeaders() }
+    ), language === 'id' ? 'Gagal membatalkan undangan' : 'Failed to cancel invitation');
+    if (data) fetchDetail(selected.id);
+  };
+
+  const handleRoleChange = async (member: Member, role: string) => {
+    if (!selected) return;
+    const data = await request(member.user_id, () => apiClient.patch(
+      `/api/organizations/${selected.id}/members/${member.user_id}`,
+      { role },
+      { headers: getAuthHeaders() }
+    ), language === 'id' ? 'Gagal mengubah peran' : 'Failed to change role');
+    if (data) {
+      toast.success(language === 'id' ? 'Peran diperbarui' : 'Role updated');
+      fetchDetail(selected.id);
+    }
+  };
+
+  // Removing yourself leaves the organization
+  const handleRemove = async (member: Member) => {
+    if (!selected) return;
+    const leaving = member.user_id === user?.id;
+    if (!confirm(leaving
+      ? (language === 'id' ? `Keluar dari ${selected.name}?` : `Leave ${selected.name}?`)
+      : (language === 'id' ? `Keluarkan ${member.email} dari ${selected.name}?` : `Remove ${member.email} from ${selected.name}?`))) {
+      return;
+    }
+    const data = await request(member.user_id, () => apiClient.delete(
+      `/api/organizations/${selected.id}/members/${member.user_id}`,
+      { headers: getAuthHeaders() }
+    ), language === 'id' ? 'Gagal mengeluarkan anggota' : 'Failed to remove member');
+    if (!data) return;
+
+    if (leaving) {
+      if (getWorkspaceId() === selected.id) setWorkspaceId(null);
+      setSelected(null);
+      fetchOrganizations();
+    } else {
+      fetchDetail(selected.id);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    if (!confirm(language === 'id' ? `Hapus organisasi ${selected.name}?` : `Delete organization ${selected.name}?`)) {
+      return;
+    }
+    const data = await request('delete', () => apiClient.delete(`/api/organizations/${selected.id}`, {
+      headers: getAuthHeaders(),
+    }), language === 'id' ? 'Gagal menghapus organisasi' : 'Failed to delete organization');
+    if (data) {
+      if (getWorkspaceId() === selected.id) setWorkspaceId(null);
+      toast.success(language === 'id' ? 'Organisasi dihapus' : 'Organization deleted');
+      setSelected(null);
+      fetchOrganizations();
+    }
+  };
+
+  const isAdmin = !!selected && rank(selected.role) >= rank('admin');
+  // Roles below your own, the same rule the backend applies
+  const grantableRoles = selected ? ASSIGNABLE_ROLES.filter((role) => rank(role) < rank(selected.role)) : [];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background to-muted/20">
+      <Navbar />
+
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          className="max-w-4xl mx-auto space-y-6"
+        >
+          <div>
+            <h1 className="text-3xl font-bold mb-2">{t('organizations')}</h1>
+            <p className="text-muted-foreground">
+              {language === 'id'
+                ? 'Kelola tunnel bersama tim. Tunnel organisasi memakai paket pemiliknya.'
+                : 'Manage tunnels together with your team. Organization tunnels use the owner\'s plan.'}
+            </p>
+          </div>
+
+          {invitations.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Mail className="h-5 w-5" />
+                  {language === 'id' ? 'Undangan' : 'Invitations'}
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {invitations.map((invitation) => (
+                  <div key={invitation.id} className="flex items-center justify-between gap-4 p-4 border rounded-lg">
+                    <div>
+                      <div className="font-medium">{invitation.organization.name}</div>
+                      <div className="text-sm text-muted-foreground">
+                        {language === 'id' ? 'Sebagai' : 'As'} <Badge variant="secondary">{invitation.role}</Badge>
+                        {' · '}
+                        {language === 'id' ? 'Berlaku sampai' : 'Expires'} {new Date(invitation.expires_at).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button size="sm" onClick={() => handleInvitation(invitation, true)} disabled={loading !== null}>
+                        <Check className="h-4 w-4 mr-1" />
+                        {language === 'id' ? 'Terima' : 'Accept'}
+                      </Button>
+                      <Button size="sm" variant="outline" onClick={() => handleInvitation(invitation, false)} disabled={loading !== null}>
+                        <X className="h-4 w-4 mr-1" />
+                        {language === 'id' ? 'Tolak' : 'Decline'}
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Building2 className="h-5 w-5" />
+                {language === 'id' ? 'Organisasi Anda' : 'Your Organizations'}
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {organizations.length === 0 ? (
+                <p className="text-center py-4 text-muted-foreground">
+                  {language === 'id' ? 'Anda belum menjadi anggota organisasi.' : 'You are not a member of any organization yet.'}
+                </p>
+              ) : (
+                <div className="divide-y border rounded-lg">
+                  {organizations.map((organization) => (
+                    <button
+                      key={organization.id}
+                      type="button"
+                      className={`flex w-full items-center justify-between p-4 text-left hover:bg-muted/50 ${selected?.id === organization.id ? 'bg-muted/50' : ''}`}
+                      onClick={() => fetchDetail(organization.id)}
+                    >
+                      <span className="font-medium">{organization.name}</span>
+                      <Badge variant={organization.role === 'owner' ? 'default' : 'secondary'}>{organization.role}</Badge>
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <form onSubmit={handleCreate} className="flex gap-2">
+                <Input
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder={language === 'id' ? 'Nama organisasi baru' : 'New organization name'}
+                  required
+                />
+                <Button type="submit" disabled={loading !== null}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  {language === 'id' ? 'Buat' : 'Create'}
+                </Button>
+              </form>
+            </CardContent>
+          </Card>
+
+          {selected && (
+            <Card>
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle>{selected.name}</CardTitle>
+                  {selected.role === 'owner' && (
+                    <Button variant="destructive" size="sm" onClick={handleDelete} disabled={loading !== null}>
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      {language === 'id' ? 'Hapus' : 'Delete'}
+                    </Button>
+                  )}
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                {isAdmin && (
+                  <form onSubmit={handleRename} className="flex gap-2">
+                    <Input value={rename} onChange={(e) => setRename(e.target.value)} required />
+                    <Button type="submit" variant="outline" disabled={loading !== null || rename === selected.name}>
+                      {language === 'id' ? 'Ganti Nama' : 'Rename'}
+                    </Button>
+                  </form>
+                )}
+
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{language === 'id' ? 'Anggota' : 'Member'}</TableHead>
+                      <TableHead>{language === 'id' ? 'Peran' : 'Role'}</TableHead>
+                      <TableHead></TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {selected.members.map((member) => {
+                      const self = member.user_id === user?.id;
+                      const manageable = !self && rank(selected.role) > rank(member.role);
+                      return (
+                        <TableRow key={member.user_id}>
+                          <TableCell>
+                            <div className="font-medium">{member.name}</div>
+                            <div className="text-sm text-muted-foreground">{member.email}</div>
+                          </TableCell>
+                          <TableCell>
+                            {manageable ? (
+                              <Select value={member.role} onValueChange={(role) => handleRoleChange(member, role)}>
+                                <SelectTrigger className="w-[130px]">
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {grantableRoles.map((role) => (
+                                    <SelectItem key={role} value={role}>{role}</SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            ) : (
+                              <Badge variant={member.role === 'owner' ? 'default' : 'secondary'}>{member.role}</Badge>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {(manageable || (self && member.role !== 'owner')) && (
+                              <Button variant="outline" size="sm" onClick={() => handleRemove(member)} disabled={loading !== null}>
+                                <UserMinus className="h-4 w-4 mr-1" />
+                                {self
+                                  ? (language === 'id' ? 'Keluar' : 'Leave')
+                                  : (language === 'id' ? 'Keluarkan' : 'Remove')}
+                              </Button>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
+                  </TableBody>
+                </Table>
+
+                {isAdmin && (
+                  <div className="space-y-4">
+                    <form onSubmit={handleInvite} className="space-y-2">
+                      <Label htmlFor="invite_email">{language === 'id' ? 'Undang anggota' : 'Invite a member'}</Label>
+                      <div className="flex gap-2">
+                        <Input
+                          id="invite_email"
+                          type="email"
+                          value={inviteEmail}
+                          onChange={(e) => setInviteEmail(e.target.value)}
+                          placeholder="teammate@example.com"
+                          required
+                        />
+                        <Select value={inviteRole} onValueChange={(role) => setInviteRole(role as Role)}>
+                          <SelectTrigger className="w-[140px]">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {grantableRoles.map((role) => (
+                              <SelectItem key={role} value={role}>{role}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <Button type="submit" disabled={loading !== null}>
+                          {language === 'id' ? 'Undang' : 'Invite'}
+                        </Button>
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {language === 'id'
+                          ? 'viewer: melihat tunnel · developer: membuat, mengubah dan menghapus tunnel · admin: juga mengelola anggota'
+                          : 'viewer: sees tunnels · developer: creates, changes and deletes tunnels · admin: also manages members'}
+                      </p>
+                    </form>
+
+                    {selected.invitations.length > 0 && (
+                      <div className="divide-y border rounded-lg">
+                        {selected.invitations.map((invitation) => (
+                          <div key={invitation.id} className="flex items-center justify-between gap-4 p-3 text-sm">
+                            <span>
+                              {invitation.email} <Badge variant="secondary">{invitation.role}</Badge>
+                              <span className="text-muted-foreground">
+                                {' · '}{language === 'id' ? 'menunggu sampai' : 'pending until'} {new Date(invitation.expires_at).toLocaleDateString()}
+                              </span>
+                            </span>
+                            <Button variant="ghost" size="sm" onClick={() => handleCancelInvitation(invitation)} disabled={loading !== null}>
+                              <X className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
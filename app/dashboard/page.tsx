@@ -8,10 +8,18 @@ import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Sheet, SheetContent, SheetHeader, SheetTitle } from '@/components/ui/sheet';
 import Navbar from '@/components/Navbar';
+import SessionsPanel from '@/components/SessionsPanel';
+import ApiKeysPanel from '@/components/ApiKeysPanel';
+import AuditLogPanel from '@/components/AuditLogPanel';
+import TunnelTokensDialog from '@/components/TunnelTokensDialog';
+import WorkspaceSwitcher from '@/components/WorkspaceSwitcher';
+import { Organization, workspaceHeaders } from '@/lib/workspace';
 import { 
   Plus, 
   Globe, 
@@ -35,13 +43,20 @@ import {
   Gamepad2,
   HardDrive,
   Network,
-  Info
+  Info,
+  Eye,
+  RotateCcw,
+  X,
+  Link2,
+  Lock,
+  Route,
+  Webhook
 } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 import { useLanguage } from '@/hooks/useLanguage';
 import { getTranslation } from '@/lib/i18n';
 import { toast } from 'sonner';
-import { apiClient } from '@/lib/api';
+import { apiClient, getWebSocketUrl } from '@/lib/api';
 import Cookies from 'js-cookie';
 
 interface Tunnel {
@@ -53,7 +68,8 @@ interface Tunnel {
   target_port: number;
   protocol: string;
   status: 'active' | 'inactive' | 'connecting';
-  connection_token: string;
+  // Only in the create response and GET /api/tunnels/:id/connection-token (developers)
+  connection_token?: string;
   created_at: string;
   last_connected?: string;
   client_connected: boolean;
@@ -68,8 +84,143 @@ interface Tunnel {
     protocol: string;
   };
   tunnel_url: string;
+  access_policy?: AccessPolicy;
+  ip_rules?: IpRules;
+  traffic_rules?: TrafficRules;
+  webhook_verification?: { endpoints: WebhookEndpoint[] };
 }
 
+interface WebhookEndpoint {
+  path: string;
+  provider: string;
+  tolerance: number;
+}
+
+interface WebhookProvider {
+  name: string;
+  label: string;
+  timestamped: boolean;
+}
+
+// `stored` endpoints may leave the secret blank to keep the saved one
+interface WebhookEndpointForm {
+  path: string;
+  provider: string;
+  secret: string;
+  tolerance: string;
+  stored: boolean;
+}
+
+interface IpRules {
+  allow: string[];
+  deny: string[];
+  allow_countries: string[];
+  deny_countries: string[];
+}
+
+interface AccessPolicy {
+  type: 'none' | 'basic' | 'bearer' | 'email';
+  username?: string;
+  emails?: string[];
+}
+
+interface AccessForm {
+  type: AccessPolicy['type'];
+  username: string;
+  password: string;
+  token: string;
+  emails: string;
+}
+
+const emptyAccessForm: AccessForm = { type: 'none', username: '', password: '', token: '', emails: '' };
+
+const emptyIpRulesForm = { allow: '', deny: '', allow_countries: '', deny_countries: '' };
+
+interface HeaderRule {
+  op: 'set' | 'add' | 'remove';
+  name: string;
+  value?: string;
+}
+
+interface TrafficRules {
+  request_headers: HeaderRule[];
+  response_headers: HeaderRule[];
+  routes: { path: string; port: number; strip_prefix: boolean }[];
+  redirects: { from: string; to: string; status: number }[];
+}
+
+const emptyTrafficRulesForm = { request_headers: '', response_headers: '', routes: '', redirects: '' };
+
+// One rule per line, same syntax as the client's --request-header, --route and --redirect flags
+const formatHeaderRule = (rule: HeaderRule) => (
+  rule.op === 'remove' ? `-${rule.name}` : `${rule.op === 'add' ? '+' : ''}${rule.name}: ${rule.value ?? ''}`
+);
+
+const parseHeaderRule = (line: string): HeaderRule | null => {
+  if (line.startsWith('-')) return { op: 'remove', name: line.slice(1).trim() };
+  const op = line.startsWith('+') ? 'add' : 'set';
+  const rest = op === 'add' ? line.slice(1) : line;
+  const index = rest.indexOf(':');
+  if (index < 1) return null;
+  return { op, name: rest.slice(0, index).trim(), value: rest.slice(index + 1).trim() };
+};
+
+const parseRoute = (line: string) => {
+  const match = /^(\/[^=\s]*)=(\d+)(:strip)?$/.exec(line);
+  return match ? { path: match[1], port: Number(match[2]), strip_prefix: !!match[3] } : null;
+};
+
+const parseRedirect = (line: string) => {
+  const match = /^(\/[^=\s]*)=(\S+)(?:\s+(\d{3}))?$/.exec(line);
+  return match ? { from: match[1], to: match[2], status: match[3] ? Number(match[3]) : 302 } : null;
+};
+
+const ruleLines = (value: string) => value.split('\n').map((line) => line.trim()).filter(Boolean);
+
+interface CapturedRequest {
+  id: string;
+  tunnelId: string;
+  method: string;
+  path: string;
+  requestHeaders: Record<string, string>;
+  requestBody: string | null;
+  requestSize: number;
+  requestBodyTruncated: boolean;
+  status: number | null;
+  responseHeaders: Record<string, string | string[]> | null;
+  responseSize: number;
+  startedAt: string;
+  duration: number | null;
+  error: string | null;
+  replayOf: string | null;
+  webhook: { provider: string; verified: boolean; reason: string | null } | null;
+}
+
+interface CustomDomain {
+  id: string;
+  tunnel_id: string;
+  hostname: string;
+  verified: boolean;
+  verified_at: string | null;
+  last_checked_at: string | null;
+  created_at: string;
+  certificate: {
+    status: 'none' | 'pending' | 'issued' | 'failed' | 'expiring';
+    expires_at: string | null;
+    issued_at: string | null;
+    error: string | null;
+  };
+  verification: {
+    type: string;
+    name: string;
+    value: string;
+  };
+  cname_target: string;
+}
+
+// Same bound as the backend ring buffer
+const INSPECTOR_LIMIT = 100;
+
 interface ServerLocation {
   id: string;
   name: string;
@@ -93,6 +244,32 @@ export default function DashboardPage() {
   const [setupDialogOpen, setSetupDialogOpen] = useState(false);
   const [selectedTunnel, setSelectedTunnel] = useState<Tunnel | null>(null);
   const [formLoading, setFormLoading] = useState(false);
+  const [inspectedTunnel, setInspectedTunnel] = useState<Tunnel | null>(null);
+  const [capturedRequests, setCapturedRequests] = useState<CapturedRequest[]>([]);
+  const [selectedRequest, setSelectedRequest] = useState<CapturedRequest | null>(null);
+  const [inspectorLive, setInspectorLive] = useState(false);
+  const [replaying, setReplaying] = useState(false);
+  const [domainTunnel, setDomainTunnel] = useState<Tunnel | null>(null);
+  const [customDomains, setCustomDomains] = useState<CustomDomain[]>([]);
+  const [newHostname, setNewHostname] = useState('');
+  const [domainLoading, setDomainLoading] = useState<string | null>(null);
+  const [accessForm, setAccessForm] = useState<AccessForm>(emptyAccessForm);
+  const [accessTunnel, setAccessTunnel] = useState<Tunnel | null>(null);
+  const [accessLoading, setAccessLoading] = useState(false);
+  const [ipRulesTunnel, setIpRulesTunnel] = useState<Tunnel | null>(null);
+  const [tokensTunnel, setTokensTunnel] = useState<Tunnel | null>(null);
+  const [ipRulesForm, setIpRulesForm] = useState(emptyIpRulesForm);
+  const [ipRulesInfo, setIpRulesInfo] = useState<{ geoip_enabled: boolean; denied_this_month: number } | null>(null);
+  const [ipRulesLoading, setIpRulesLoading] = useState(false);
+  const [trafficTunnel, setTrafficTunnel] = useState<Tunnel | null>(null);
+  const [trafficForm, setTrafficForm] = useState(emptyTrafficRulesForm);
+  const [trafficLoading, setTrafficLoading] = useState(false);
+  const [webhookTunnel, setWebhookTunnel] = useState<Tunnel | null>(null);
+  const [webhookProviders, setWebhookProviders] = useState<WebhookProvider[]>([]);
+  const [webhookForm, setWebhookForm] = useState<WebhookEndpointForm[]>([]);
+  const [webhookLoading, setWebhookLoading] = useState(false);
+  // Selected organization, null for the personal workspace
+  const [workspace, setWorkspace] = useState<Organization | null>(null);
   const [formData, setFormData] = useState({
     subdomain: '',
     location: '',
@@ -115,14 +292,57 @@ export default function DashboardPage() {
     }
   }, [user]);
 
+  // Live request inspector feed of the selected tunnel
+  useEffect(() => {
+    if (!inspectedTunnel) return;
+
+    setCapturedRequests([]);
+    setSelectedRequest(null);
+    fetchCapturedRequests(inspectedTunnel.id);
+
+    const token = Cookies.get('auth_token');
+    const socket = new WebSocket(
+      getWebSocketUrl(`/ws/inspector?token=${encodeURIComponent(token || '')}&tunnel=${inspectedTunnel.id}`)
+    );
+
+    socket.onopen = () => setInspectorLive(true);
+    socket.onclose = () => setInspectorLive(false);
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'snapshot') {
+        setCapturedRequests(message.requests);
+      } else if (message.type === 'request_started') {
+        setCapturedRequests((current) => [message.request, ...current].slice(0, INSPECTOR_LIMIT));
+      } else if (message.type === 'request_completed') {
+        setCapturedRequests((current) =>
+          current.map((request) => (request.id === message.request.id ? message.request : request))
+        );
+        setSelectedRequest((current) => (current && current.id === message.request.id ? message.request : current));
+      }
+    };
+
+    return () => {
+      socket.close();
+      setInspectorLive(false);
+    };
+  }, [inspectedTunnel]);
+
   const getAuthHeaders = () => {
     const token = Cookies.get('auth_token');
     return {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json',
+      ...workspaceHeaders(),
     };
   };
 
+  const handleWorkspaceChange = (organization: Organization | null) => {
+    setWorkspace(organization);
+    setInspectedTunnel(null);
+    setDomainTunnel(null);
+    fetchTunnels();
+  };
+
   const fetchTunnels = async () => {
     try {
       const response = await apiClient.get('/api/tunnels', {
@@ -163,6 +383,18 @@ export default function DashboardPage() {
     }
   };
 
+  const fetchWebhookProviders = async () => {
+    try {
+      const response = await apiClient.get('/api/tunnels/webhook-providers');
+      if (response.ok) {
+        const data = await response.json();
+        setWebhookProviders(data.providers);
+      }
+    } catch (error) {
+      console.error('Failed to fetch webhook providers:', error);
+    }
+  };
+
   const handleInputChange = (field: string, value: string | number) => {
     console.log(`🔍 Form field changed: ${field} = "${value}"`);
     setFormData(prev => {
@@ -203,6 +435,12 @@ export default function DashboardPage() {
       return;
     }
 
+    const remotePort = formData.remote_port ? parseInt(formData.remote_port) : null;
+    if (remotePort !== null && (remotePort < 10000 || remotePort > 60000)) {
+      toast.error(language === 'id' ? 'Port remote harus antara 10000-60000' : 'Remote port must be between 10000-60000');
+      return;
+    }
+
     // Validate subdomain format
     const subdomainRegex = /^[a-z0-9-]+$/;
     const cleanSubdomain = formData.subdomain.trim().toLowerCase();
@@ -225,7 +463,8 @@ export default function DashboardPage() {
       service_type: formData.service_type,
       local_port: formData.local_port,
       remote_port: formData.remote_port ? parseInt(formData.remote_port) : undefined,
-      protocol: formData.protocol
+      protocol: formData.protocol,
+      access_policy: formData.protocol === 'http' ? accessPayload(accessForm) : undefined
     };
     
     console.log('🔍 Sending payload:', payload);
@@ -251,6 +490,7 @@ export default function DashboardPage() {
           remote_port: '',
           protocol: 'http'
         });
+        setAccessForm(emptyAccessForm);
         fetchTunnels();
         
         // Show setup dialog
@@ -280,6 +520,352 @@ export default function DashboardPage() {
     }
   };
 
+  // Blank password/token on edit keeps the stored secret
+  const accessPayload = (form: AccessForm) => ({
+    type: form.type,
+    username: form.type === 'basic' ? form.username.trim() : undefined,
+    password: form.type === 'basic' && form.password ? form.password : undefined,
+    token: form.type === 'bearer' && form.token ? form.token : undefined,
+    emails: form.type === 'email'
+      ? form.emails.split(/[\s,]+/).map((email) => email.trim()).filter(Boolean)
+      : undefined,
+  });
+
+  const openAccess = (tunnel: Tunnel) => {
+    const policy = tunnel.access_policy || { type: 'none' };
+    setAccessForm({
+      ...emptyAccessForm,
+      type: policy.type,
+      username: policy.username || '',
+      emails: (policy.emails || []).join('\n'),
+    });
+    setAccessTunnel(tunnel);
+  };
+
+  const handleSaveAccess = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!accessTunnel) return;
+
+    setAccessLoading(true);
+    try {
+      const response = await apiClient.patch(
+        `/api/tunnels/${accessTunnel.id}/access`,
+        accessPayload(accessForm),
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setTunnels((current) => current.map((tunnel) => (
+          tunnel.id === accessTunnel.id ? { ...tunnel, access_policy: data.access_policy } : tunnel
+        )));
+        setAccessTunnel(null);
+        setAccessForm(emptyAccessForm);
+        toast.success(language === 'id' ? 'Akses tunnel diperbarui!' : 'Tunnel access updated!');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal memperbarui akses' : 'Failed to update access'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal memperbarui akses' : 'Failed to update access');
+    } finally {
+      setAccessLoading(false);
+    }
+  };
+
+  const splitList = (value: string) => value.split(/[\s,]+/).map((item) => item.trim()).filter(Boolean);
+
+  const openIpRules = async (tunnel: Tunnel) => {
+    setIpRulesTunnel(tunnel);
+    setIpRulesInfo(null);
+    const rules = tunnel.ip_rules;
+    setIpRulesForm(rules ? {
+      allow: rules.allow.join('\n'),
+      deny: rules.deny.join('\n'),
+      allow_countries: rules.allow_countries.join(', '),
+      deny_countries: rules.deny_countries.join(', '),
+    } : emptyIpRulesForm);
+
+    try {
+      const response = await apiClient.get(`/api/tunnels/${tunnel.id}/ip-rules`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setIpRulesInfo({ geoip_enabled: data.geoip_enabled, denied_this_month: data.denied_this_month });
+      }
+    } catch (error) {
+      console.error('Failed to fetch IP rules:', error);
+    }
+  };
+
+  const handleSaveIpRules = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!ipRulesTunnel) return;
+
+    setIpRulesLoading(true);
+    try {
+      const response = await apiClient.patch(
+        `/api/tunnels/${ipRulesTunnel.id}/ip-rules`,
+        {
+          allow: splitList(ipRulesForm.allow),
+          deny: splitList(ipRulesForm.deny),
+          allow_countries: splitList(ipRulesForm.allow_countries),
+          deny_countries: splitList(ipRulesForm.deny_countries),
+        },
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setTunnels((current) => current.map((tunnel) => (
+          tunnel.id === ipRulesTunnel.id ? { ...tunnel, ip_rules: data.ip_rules } : tunnel
+        )));
+        setIpRulesTunnel(null);
+        toast.success(language === 'id' ? 'Aturan IP diperbarui!' : 'IP rules updated!');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal memperbarui aturan IP' : 'Failed to update IP rules'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal memperbarui aturan IP' : 'Failed to update IP rules');
+    } finally {
+      setIpRulesLoading(false);
+    }
+  };
+
+  // The list leaves connection tokens out, the setup dialog loads it (developers only)
+  const openSetup = async (tunnel: Tunnel) => {
+    setSelectedTunnel(tunnel);
+    setSetupDialogOpen(true);
+    if (tunnel.connection_token) return;
+
+    try {
+      const response = await apiClient.get(`/api/tunnels/${tunnel.id}/connection-token`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setSelectedTunnel((current) => (
+          current && current.id === tunnel.id ? { ...current, connection_token: data.connection_token } : current
+        ));
+      }
+    } catch (error) {
+      console.error('Failed to fetch connection token:', error);
+    }
+  };
+
+  // The setup command shows the new primary token right away
+  const handleTokenRotated = (tunnelId: string, connectionToken: string) => {
+    setTunnels((current) => current.map((tunnel) => (
+      tunnel.id === tunnelId ? { ...tunnel, connection_token: connectionToken } : tunnel
+    )));
+    setSelectedTunnel((current) => (
+      current && current.id === tunnelId ? { ...current, connection_token: connectionToken } : current
+    ));
+  };
+
+  const hasIpRules = (tunnel: Tunnel) => !!tunnel.ip_rules && Object.values(tunnel.ip_rules).some((list) => list.length > 0);
+
+  const openTrafficRules = (tunnel: Tunnel) => {
+    setTrafficTunnel(tunnel);
+    const rules = tunnel.traffic_rules;
+    setTrafficForm(rules ? {
+      request_headers: rules.request_headers.map(formatHeaderRule).join('\n'),
+      response_headers: rules.response_headers.map(formatHeaderRule).join('\n'),
+      routes: rules.routes.map((route) => `${route.path}=${route.port}${route.strip_prefix ? ':strip' : ''}`).join('\n'),
+      redirects: rules.redirects.map((redirect) => `${redirect.from}=${redirect.to} ${redirect.status}`).join('\n'),
+    } : emptyTrafficRulesForm);
+  };
+
+  const handleSaveTrafficRules = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!trafficTunnel) return;
+
+    // Parse every list first so a typo doesn't save half the rules
+    const parsed = {
+      request_headers: ruleLines(trafficForm.request_headers).map((line) => ({ line, rule: parseHeaderRule(line) })),
+      response_headers: ruleLines(trafficForm.response_headers).map((line) => ({ line, rule: parseHeaderRule(line) })),
+      routes: ruleLines(trafficForm.routes).map((line) => ({ line, rule: parseRoute(line) })),
+      redirects: ruleLines(trafficForm.redirects).map((line) => ({ line, rule: parseRedirect(line) })),
+    };
+    const invalid = Object.values(parsed).flat().find((entry) => !entry.rule);
+    if (invalid) {
+      toast.error(`${language === 'id' ? 'Aturan tidak valid' : 'Invalid rule'}: ${invalid.line}`);
+      return;
+    }
+
+    setTrafficLoading(true);
+    try {
+      const response = await apiClient.patch(
+        `/api/tunnels/${trafficTunnel.id}/traffic-rules`,
+        {
+          request_headers: parsed.request_headers.map((entry) => entry.rule),
+          response_headers: parsed.response_headers.map((entry) => entry.rule),
+          routes: parsed.routes.map((entry) => entry.rule),
+          redirects: parsed.redirects.map((entry) => entry.rule),
+        },
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setTunnels((current) => current.map((tunnel) => (
+          tunnel.id === trafficTunnel.id ? { ...tunnel, traffic_rules: data.traffic_rules } : tunnel
+        )));
+        setTrafficTunnel(null);
+        toast.success(language === 'id' ? 'Aturan traffic diperbarui!' : 'Traffic rules updated!');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal memperbarui aturan traffic' : 'Failed to update traffic rules'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal memperbarui aturan traffic' : 'Failed to update traffic rules');
+    } finally {
+      setTrafficLoading(false);
+    }
+  };
+
+  const openWebhooks = (tunnel: Tunnel) => {
+    setWebhookTunnel(tunnel);
+    setWebhookForm((tunnel.webhook_verification?.endpoints || []).map((endpoint) => ({
+      path: endpoint.path,
+      provider: endpoint.provider,
+      secret: '',
+      tolerance: String(endpoint.tolerance),
+      stored: true,
+    })));
+    if (webhookProviders.length === 0) {
+      fetchWebhookProviders();
+    }
+  };
+
+  const updateWebhookEndpoint = (index: number, changes: Partial<WebhookEndpointForm>) => {
+    setWebhookForm((current) => current.map((endpoint, i) => (i === index ? { ...endpoint, ...changes } : endpoint)));
+  };
+
+  const handleSaveWebhooks = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!webhookTunnel) return;
+
+    setWebhookLoading(true);
+    try {
+      const response = await apiClient.patch(
+        `/api/tunnels/${webhookTunnel.id}/webhook-verification`,
+        {
+          endpoints: webhookForm.map((endpoint) => ({
+            path: endpoint.path.trim(),
+            provider: endpoint.provider,
+            secret: endpoint.secret || undefined,
+            tolerance: endpoint.tolerance ? Number(endpoint.tolerance) : undefined,
+          })),
+        },
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setTunnels((current) => current.map((tunnel) => (
+          tunnel.id === webhookTunnel.id ? { ...tunnel, webhook_verification: data.webhook_verification } : tunnel
+        )));
+        setWebhookTunnel(null);
+        toast.success(language === 'id' ? 'Verifikasi webhook diperbarui!' : 'Webhook verification updated!');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal memperbarui verifikasi webhook' : 'Failed to update webhook verification'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal memperbarui verifikasi webhook' : 'Failed to update webhook verification');
+    } finally {
+      setWebhookLoading(false);
+    }
+  };
+
+  const hasTrafficRules = (tunnel: Tunnel) => (
+    !!tunnel.traffic_rules && Object.values(tunnel.traffic_rules).some((list) => list.length > 0)
+  );
+
+  const renderAccessFields = (disabled: boolean, editing: boolean) => (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="access_type">{language === 'id' ? 'Akses' : 'Access'}</Label>
+        <Select
+          value={accessForm.type}
+          onValueChange={(value) => setAccessForm((current) => ({ ...current, type: value as AccessForm['type'] }))}
+          disabled={disabled}
+        >
+          <SelectTrigger id="access_type">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="none">{language === 'id' ? 'Publik' : 'Public'}</SelectItem>
+            <SelectItem value="basic">HTTP Basic Auth</SelectItem>
+            <SelectItem value="bearer">{language === 'id' ? 'Token (Bearer)' : 'Bearer token'}</SelectItem>
+            <SelectItem value="email">{language === 'id' ? 'Login email' : 'Email login'}</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      {accessForm.type === 'basic' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="access_username">Username</Label>
+            <Input
+              id="access_username"
+              value={accessForm.username}
+              onChange={(e) => setAccessForm((current) => ({ ...current, username: e.target.value }))}
+              disabled={disabled}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="access_password">Password</Label>
+            <Input
+              id="access_password"
+              type="password"
+              value={accessForm.password}
+              onChange={(e) => setAccessForm((current) => ({ ...current, password: e.target.value }))}
+              placeholder={editing ? (language === 'id' ? 'Kosongkan untuk tetap' : 'Leave blank to keep') : ''}
+              disabled={disabled}
+            />
+          </div>
+        </div>
+      )}
+
+      {accessForm.type === 'bearer' && (
+        <div className="space-y-2">
+          <Label htmlFor="access_token">Token</Label>
+          <Input
+            id="access_token"
+            type="password"
+            value={accessForm.token}
+            onChange={(e) => setAccessForm((current) => ({ ...current, token: e.target.value }))}
+            placeholder={editing ? (language === 'id' ? 'Kosongkan untuk tetap' : 'Leave blank to keep') : ''}
+            disabled={disabled}
+          />
+          <p className="text-xs text-muted-foreground">
+            {language === 'id'
+              ? 'Minimal 16 karakter. Kirim sebagai header Authorization: Bearer <token> atau X-Tunlify-Token.'
+              : 'At least 16 characters. Send it as Authorization: Bearer <token> or X-Tunlify-Token.'}
+          </p>
+        </div>
+      )}
+
+      {accessForm.type === 'email' && (
+        <div className="space-y-2">
+          <Label htmlFor="access_emails">{language === 'id' ? 'Email yang diizinkan' : 'Allowed emails'}</Label>
+          <Textarea
+            id="access_emails"
+            value={accessForm.emails}
+            onChange={(e) => setAccessForm((current) => ({ ...current, emails: e.target.value }))}
+            placeholder={'alice@mycompany.dev\n@mycompany.dev'}
+            disabled={disabled}
+          />
+          <p className="text-xs text-muted-foreground">
+            {language === 'id'
+              ? 'Satu per baris. Gunakan @domain untuk mengizinkan seluruh domain.'
+              : 'One per line. Use @domain to allow a whole domain.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+
   const handleDeleteTunnel = async (tunnelId: string) => {
     try {
       const response = await apiClient.delete(`/api/tunnels/${tunnelId}`, {
@@ -297,6 +883,195 @@ export default function DashboardPage() {
     }
   };
 
+  const fetchCapturedRequests = async (tunnelId: string) => {
+    try {
+      const response = await apiClient.get(`/api/tunnels/${tunnelId}/requests`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setCapturedRequests(data.requests);
+      }
+    } catch (error) {
+      console.error('Failed to fetch captured requests:', error);
+    }
+  };
+
+  const handleReplayRequest = async (request: CapturedRequest) => {
+    if (!inspectedTunnel) return;
+
+    setReplaying(true);
+    try {
+      const response = await apiClient.post(
+        `/api/tunnels/${inspectedTunnel.id}/requests/${request.id}/replay`,
+        undefined,
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(language === 'id' ? 'Request berhasil dikirim ulang!' : 'Request replayed successfully!');
+        if (data.request) setSelectedRequest(data.request);
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal mengirim ulang request' : 'Failed to replay request'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengirim ulang request' : 'Failed to replay request');
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const openDomains = (tunnel: Tunnel) => {
+    setDomainTunnel(tunnel);
+    setCustomDomains([]);
+    setNewHostname('');
+    fetchCustomDomains(tunnel.id);
+  };
+
+  const fetchCustomDomains = async (tunnelId: string) => {
+    try {
+      const response = await apiClient.get(`/api/tunnels/${tunnelId}/domains`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setCustomDomains(data.domains);
+      }
+    } catch (error) {
+      console.error('Failed to fetch custom domains:', error);
+    }
+  };
+
+  const handleAddDomain = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!domainTunnel || !newHostname.trim()) return;
+
+    setDomainLoading('add');
+    try {
+      const response = await apiClient.post(
+        `/api/tunnels/${domainTunnel.id}/domains`,
+        { hostname: newHostname.trim() },
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setCustomDomains((current) => [...current, data.domain]);
+        setNewHostname('');
+        toast.success(language === 'id' ? 'Domain ditambahkan, tambahkan record DNS untuk verifikasi' : 'Domain added, add the DNS records to verify it');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal menambahkan domain' : 'Failed to add domain'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal menambahkan domain' : 'Failed to add domain');
+    } finally {
+      setDomainLoading(null);
+    }
+  };
+
+  const handleVerifyDomain = async (domain: CustomDomain) => {
+    if (!domainTunnel) return;
+
+    setDomainLoading(domain.id);
+    try {
+      const response = await apiClient.post(
+        `/api/tunnels/${domainTunnel.id}/domains/${domain.id}/verify`,
+        undefined,
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (data.domain) {
+        setCustomDomains((current) => current.map((item) => (item.id === data.domain.id ? data.domain : item)));
+      }
+      if (response.ok) {
+        toast.success(language === 'id' ? 'Domain berhasil diverifikasi!' : 'Domain verified successfully!');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Verifikasi gagal' : 'Verification failed'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Verifikasi gagal' : 'Verification failed');
+    } finally {
+      setDomainLoading(null);
+    }
+  };
+
+  const handleRequestCertificate = async (domain: CustomDomain) => {
+    if (!domainTunnel) return;
+
+    setDomainLoading(domain.id);
+    try {
+      const response = await apiClient.post(
+        `/api/tunnels/${domainTunnel.id}/domains/${domain.id}/certificate`,
+        undefined,
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setCustomDomains((current) => current.map((item) => (item.id === data.domain.id ? data.domain : item)));
+        toast.success(language === 'id' ? 'Sertifikat sedang diproses' : 'Certificate requested');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal meminta sertifikat' : 'Failed to request certificate'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal meminta sertifikat' : 'Failed to request certificate');
+    } finally {
+      setDomainLoading(null);
+    }
+  };
+
+  const getCertificateBadge = (certificate: CustomDomain['certificate']) => {
+    switch (certificate.status) {
+      case 'issued':
+        return { className: 'bg-green-100 text-green-800', label: language === 'id' ? 'SSL aktif' : 'SSL issued' };
+      case 'pending':
+        return { className: 'bg-blue-100 text-blue-800', label: language === 'id' ? 'SSL diproses' : 'SSL pending' };
+      case 'expiring':
+        return { className: 'bg-yellow-100 text-yellow-800', label: language === 'id' ? 'SSL segera kedaluwarsa' : 'SSL expiring' };
+      case 'failed':
+        return { className: 'bg-red-100 text-red-800', label: language === 'id' ? 'SSL gagal' : 'SSL failed' };
+      default:
+        return { className: 'bg-gray-100 text-gray-800', label: language === 'id' ? 'Tanpa SSL' : 'No SSL' };
+    }
+  };
+
+  const handleDeleteDomain = async (domain: CustomDomain) => {
+    if (!domainTunnel) return;
+
+    setDomainLoading(domain.id);
+    try {
+      const response = await apiClient.delete(`/api/tunnels/${domainTunnel.id}/domains/${domain.id}`, {
+        headers: getAuthHeaders(),
+      });
+
+      if (response.ok) {
+        setCustomDomains((current) => current.filter((item) => item.id !== domain.id));
+        toast.success(language === 'id' ? 'Domain berhasil dihapus!' : 'Domain deleted successfully!');
+      } else {
+        toast.error(language === 'id' ? 'Gagal menghapus domain' : 'Failed to delete domain');
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal menghapus domain' : 'Failed to delete domain');
+    } finally {
+      setDomainLoading(null);
+    }
+  };
+
+  const formatBytes = (bytes: number) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  const getStatusBadgeColor = (request: CapturedRequest) => {
+    if (request.error || (request.status !== null && request.status >= 500)) return 'bg-red-100 text-red-800';
+    if (request.status === null) return 'bg-gray-100 text-gray-800';
+    if (request.status >= 400) return 'bg-yellow-100 text-yellow-800';
+    return 'bg-green-100 text-green-800';
+  };
+
   const copyToClipboard = (text: string) => {
     navigator.clipboard.writeText(text);
     toast.success(language === 'id' ? 'Disalin ke clipboard!' : 'Copied to clipboard!');
@@ -304,9 +1079,9 @@ export default function DashboardPage() {
 
   const getClientCommand = (tunnel: Tunnel) => {
     if (tunnel.protocol === 'http') {
-      return `./tunlify-client -token=${tunnel.connection_token} -local=127.0.0.1:${tunnel.local_port || tunnel.target_port}`;
+      return `./tunlify-client -token=${tunnel.connection_token || '<token>'} -local=127.0.0.1:${tunnel.local_port || tunnel.target_port}`;
     } else {
-      return `./tunlify-client -token=${tunnel.connection_token} -local=127.0.0.1:${tunnel.local_port || tunnel.target_port} -protocol=${tunnel.protocol}`;
+      return `./tunlify-client -token=${tunnel.connection_token || '<token>'} -local=127.0.0.1:${tunnel.local_port || tunnel.target_port} -protocol=${tunnel.protocol}`;
     }
   };
 
@@ -366,11 +1141,14 @@ export default function DashboardPage() {
               <p className="text-muted-foreground">
                 {language === 'id' ? `Selamat datang kembali, ${user?.name}!` : `Welcome back, ${user?.name}!`}
               </p>
+              <div className="mt-3">
+                <WorkspaceSwitcher onChange={handleWorkspaceChange} />
+              </div>
             </div>
             
             <Dialog open={createDialogOpen} onOpenChange={setCreateDialogOpen}>
               <DialogTrigger asChild>
-                <Button className="mt-4 sm:mt-0">
+                <Button className="mt-4 sm:mt-0" disabled={workspace?.role === 'viewer'}>
                   <Plus className="h-4 w-4 mr-2" />
                   {t('createTunnel')}
                 </Button>
@@ -559,8 +1337,8 @@ export default function DashboardPage() {
                       <Input
                         id="remote_port"
                         type="number"
-                        min="1"
-                        max="65535"
+                        min="10000"
+                        max="60000"
                         value={formData.remote_port}
                         onChange={(e) => handleInputChange('remote_port', e.target.value)}
                         placeholder={language === 'id' ? 'Otomatis jika kosong' : 'Auto-assigned if empty'}
@@ -568,12 +1346,14 @@ export default function DashboardPage() {
                       />
                       <p className="text-xs text-muted-foreground">
                         {language === 'id' 
-                          ? 'Port yang akan digunakan untuk koneksi eksternal. Kosongkan untuk otomatis.'
-                          : 'Port to use for external connections. Leave empty for auto-assignment.'
+                          ? 'Port yang akan digunakan untuk koneksi eksternal (10000-60000). Kosongkan untuk otomatis.'
+                          : 'Port to use for external connections (10000-60000). Leave empty for auto-assignment.'
                         }
                       </p>
                     </div>
                   )}
+
+                  {formData.protocol === 'http' && renderAccessFields(formLoading, false)}
                   
                   <div className="flex gap-2">
                     <Button type="submit" className="flex-1" disabled={formLoading}>
@@ -671,7 +1451,7 @@ export default function DashboardPage() {
               <div className="flex items-center justify-between">
                 <CardTitle className="flex items-center gap-2">
                   <Server className="h-5 w-5" />
-                  {t('myTunnels')}
+                  {workspace ? workspace.name : t('myTunnels')}
                 </CardTitle>
                 <Button variant="outline" size="sm" onClick={fetchTunnels}>
                   <RefreshCw className="h-4 w-4 mr-2" />
@@ -738,10 +1518,7 @@ export default function DashboardPage() {
                         <Button
                           variant="outline"
                           size="sm"
-                          onClick={() => {
-                            setSelectedTunnel(tunnel);
-                            setSetupDialogOpen(true);
-                          }}
+                          onClick={() => openSetup(tunnel)}
                         >
                           <Terminal className="h-4 w-4" />
                         </Button>
@@ -763,6 +1540,65 @@ export default function DashboardPage() {
                             </a>
                           </Button>
                         )}
+                        {tunnel.protocol === 'http' && (
+                          <Button
+                            variant={inspectedTunnel?.id === tunnel.id ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => setInspectedTunnel(tunnel)}
+                          >
+                            <Eye className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {tunnel.protocol === 'http' && (
+                          <Button
+                            variant={domainTunnel?.id === tunnel.id ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => openDomains(tunnel)}
+                          >
+                            <Link2 className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {tunnel.protocol === 'http' && (
+                          <Button
+                            variant={tunnel.access_policy && tunnel.access_policy.type !== 'none' ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => openAccess(tunnel)}
+                          >
+                            <Lock className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {tunnel.protocol === 'http' && (
+                          <Button
+                            variant={hasTrafficRules(tunnel) ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => openTrafficRules(tunnel)}
+                          >
+                            <Route className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {tunnel.protocol === 'http' && (
+                          <Button
+                            variant={tunnel.webhook_verification?.endpoints.length ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => openWebhooks(tunnel)}
+                          >
+                            <Webhook className="h-4 w-4" />
+                          </Button>
+                        )}
+                        <Button
+                          variant={hasIpRules(tunnel) ? 'default' : 'outline'}
+                          size="sm"
+                          onClick={() => openIpRules(tunnel)}
+                        >
+                          <Shield className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setTokensTunnel(tunnel)}
+                        >
+                          <Key className="h-4 w-4" />
+                        </Button>
                         <Button
                           variant="outline"
                           size="sm"
@@ -778,6 +1614,642 @@ export default function DashboardPage() {
             </CardContent>
           </Card>
 
+          {/* Custom Domains */}
+          {domainTunnel && (
+            <Card className="mt-8">
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="flex items-center gap-2">
+                    <Link2 className="h-5 w-5" />
+                    {language === 'id' ? 'Custom Domain' : 'Custom Domains'}
+                    <span className="text-sm font-normal text-muted-foreground">{domainTunnel.tunnel_url}</span>
+                  </CardTitle>
+                  <div className="flex items-center gap-2">
+                    <Button variant="outline" size="sm" onClick={() => fetchCustomDomains(domainTunnel.id)}>
+                      <RefreshCw className="h-4 w-4" />
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setDomainTunnel(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <form onSubmit={handleAddDomain} className="flex gap-2">
+                  <Input
+                    placeholder="api.mycompany.dev"
+                    value={newHostname}
+                    onChange={(e) => setNewHostname(e.target.value)}
+                  />
+                  <Button type="submit" disabled={domainLoading === 'add' || !newHostname.trim()}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    {language === 'id' ? 'Tambah' : 'Add'}
+                  </Button>
+                </form>
+
+                {customDomains.length === 0 ? (
+                  <div className="text-center py-8 text-muted-foreground">
+                    {language === 'id'
+                      ? 'Belum ada custom domain untuk tunnel ini.'
+                      : 'No custom domains for this tunnel yet.'}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {customDomains.map((domain) => (
+                      <div key={domain.id} className="border rounded-lg p-4 space-y-3">
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center gap-2">
+                            <span className="font-mono font-medium">{domain.hostname}</span>
+                            <Badge className={domain.verified ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}>
+                              {domain.verified
+                                ? (language === 'id' ? 'Terverifikasi' : 'Verified')
+                                : (language === 'id' ? 'Menunggu verifikasi' : 'Pending verification')}
+                            </Badge>
+                            {domain.verified && (
+                              <Badge className={getCertificateBadge(domain.certificate).className}>
+                                {getCertificateBadge(domain.certificate).label}
+                              </Badge>
+                            )}
+                          </div>
+                          <div className="flex gap-2">
+                            {!domain.verified && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={domainLoading === domain.id}
+                                onClick={() => handleVerifyDomain(domain)}
+                              >
+                                <CheckCircle className="h-4 w-4 mr-2" />
+                                {language === 'id' ? 'Verifikasi' : 'Verify'}
+                              </Button>
+                            )}
+                            {domain.verified && ['none', 'failed'].includes(domain.certificate.status) && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={domainLoading === domain.id}
+                                onClick={() => handleRequestCertificate(domain)}
+                              >
+                                <RefreshCw className="h-4 w-4 mr-2" />
+                                {language === 'id' ? 'Minta SSL' : 'Request SSL'}
+                              </Button>
+                            )}
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={domainLoading === domain.id}
+                              onClick={() => handleDeleteDomain(domain)}
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </div>
+                        <div className="grid gap-2 text-sm">
+                          {!domain.verified && (
+                            <div className="flex items-center gap-2">
+                              <Badge variant="outline" className="w-16 justify-center">TXT</Badge>
+                              <code className="flex-1 bg-muted px-2 py-1 rounded truncate">{domain.verification.name}</code>
+                              <code className="flex-1 bg-muted px-2 py-1 rounded truncate">{domain.verification.value}</code>
+                              <Button variant="ghost" size="sm" onClick={() => copyToClipboard(domain.verification.value)}>
+                                <Copy className="h-4 w-4" />
+                              </Button>
+                            </div>
+                          )}
+                          <div className="flex items-center gap-2">
+                            <Badge variant="outline" className="w-16 justify-center">CNAME</Badge>
+                            <code className="flex-1 bg-muted px-2 py-1 rounded truncate">{domain.hostname}</code>
+                            <code className="flex-1 bg-muted px-2 py-1 rounded truncate">{domain.cname_target}</code>
+                            <Button variant="ghost" size="sm" onClick={() => copyToClipboard(domain.cname_target)}>
+                              <Copy className="h-4 w-4" />
+                            </Button>
+                          </div>
+                          {domain.certificate.expires_at && (
+                            <p className="text-muted-foreground">
+                              {language === 'id' ? 'Sertifikat berlaku sampai' : 'Certificate valid until'}: {new Date(domain.certificate.expires_at).toLocaleDateString()}
+                            </p>
+                          )}
+                          {domain.certificate.error && (
+                            <p className="text-red-600">{domain.certificate.error}</p>
+                          )}
+                          {!domain.verified && domain.last_checked_at && (
+                            <p className="text-muted-foreground">
+                              {language === 'id' ? 'Terakhir dicek' : 'Last checked'}: {new Date(domain.last_checked_at).toLocaleString()}
+                            </p>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Request Inspector */}
+          {inspectedTunnel && (
+            <Card className="mt-8">
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="flex items-center gap-2">
+                    <Eye className="h-5 w-5" />
+                    {language === 'id' ? 'Inspeksi Request' : 'Request Inspector'}
+                    <span className="text-sm font-normal text-muted-foreground">{inspectedTunnel.tunnel_url}</span>
+                  </CardTitle>
+                  <div className="flex items-center gap-2">
+                    <Badge variant={inspectorLive ? 'default' : 'secondary'}>
+                      {inspectorLive ? 'Live' : (language === 'id' ? 'Terputus' : 'Offline')}
+                    </Badge>
+                    <Button variant="outline" size="sm" onClick={() => fetchCapturedRequests(inspectedTunnel.id)}>
+                      <RefreshCw className="h-4 w-4" />
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setInspectedTunnel(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                {capturedRequests.length === 0 ? (
+                  <div className="text-center py-8 text-muted-foreground">
+                    {language === 'id'
+                      ? 'Belum ada request. Buka URL tunnel untuk melihat traffic di sini.'
+                      : 'No requests yet. Open the tunnel URL to see traffic here.'}
+                  </div>
+                ) : (
+                  <div className="divide-y border rounded-lg">
+                    {capturedRequests.map((request) => (
+                      <button
+                        key={request.id}
+                        type="button"
+                        className="w-full flex items-center gap-3 p-3 text-left text-sm hover:bg-muted/50"
+                        onClick={() => setSelectedRequest(request)}
+                      >
+                        <Badge variant="outline" className="w-16 justify-center">{request.method}</Badge>
+                        <span className="flex-1 font-mono truncate">{request.path}</span>
+                        {request.replayOf && (
+                          <RotateCcw className="h-4 w-4 text-muted-foreground" />
+                        )}
+                        {request.webhook && (
+                          <Webhook className={`h-4 w-4 ${request.webhook.verified ? 'text-green-600' : 'text-red-600'}`} />
+                        )}
+                        <Badge className={getStatusBadgeColor(request)}>
+                          {request.error && request.status === null ? 'ERR' : request.status ?? '...'}
+                        </Badge>
+                        <span className="w-20 text-right text-muted-foreground">
+                          {request.duration !== null ? `${request.duration} ms` : ''}
+                        </span>
+                        <span className="w-20 text-right text-muted-foreground">{formatBytes(request.responseSize)}</span>
+                        <span className="w-24 text-right text-muted-foreground">
+                          {new Date(request.startedAt).toLocaleTimeString()}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Active Sessions */}
+          <SessionsPanel />
+
+          {/* API Keys */}
+          <ApiKeysPanel />
+
+          {/* Audit Log */}
+          <AuditLogPanel />
+
+          {/* Request Detail Drawer */}
+          <Sheet open={!!selectedRequest} onOpenChange={(open) => !open && setSelectedRequest(null)}>
+            <SheetContent className="w-full sm:max-w-2xl overflow-y-auto">
+              {selectedRequest && (
+                <>
+                  <SheetHeader>
+                    <SheetTitle className="flex items-center gap-2 pr-6">
+                      <Badge variant="outline">{selectedRequest.method}</Badge>
+                      <span className="font-mono text-base truncate">{selectedRequest.path}</span>
+                    </SheetTitle>
+                  </SheetHeader>
+
+                  <div className="space-y-6 mt-6 text-sm">
+                    <div className="grid grid-cols-2 gap-2">
+                      <p>
+                        <strong>Status:</strong>{' '}
+                        <Badge className={getStatusBadgeColor(selectedRequest)}>
+                          {selectedRequest.status ?? '...'}
+                        </Badge>
+                      </p>
+                      <p>
+                        <strong>{language === 'id' ? 'Durasi' : 'Duration'}:</strong>{' '}
+                        {selectedRequest.duration !== null ? `${selectedRequest.duration} ms` : '...'}
+                      </p>
+                      <p>
+                        <strong>{language === 'id' ? 'Ukuran request' : 'Request size'}:</strong> {formatBytes(selectedRequest.requestSize)}
+                      </p>
+                      <p>
+                        <strong>{language === 'id' ? 'Ukuran response' : 'Response size'}:</strong> {formatBytes(selectedRequest.responseSize)}
+                      </p>
+                      <p className="col-span-2">
+                        <strong>{language === 'id' ? 'Waktu' : 'Time'}:</strong> {new Date(selectedRequest.startedAt).toLocaleString()}
+                      </p>
+                      {selectedRequest.webhook && (
+                        <p className="col-span-2">
+                          <strong>Webhook:</strong>{' '}
+                          <Badge className={selectedRequest.webhook.verified ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}>
+                            {selectedRequest.webhook.provider}{' '}
+                            {selectedRequest.webhook.verified
+                              ? (language === 'id' ? 'terverifikasi' : 'verified')
+                              : `${language === 'id' ? 'ditolak' : 'rejected'}: ${selectedRequest.webhook.reason}`}
+                          </Badge>
+                        </p>
+                      )}
+                    </div>
+
+                    {selectedRequest.error && (
+                      <Alert variant="destructive">
+                        <AlertDescription>{selectedRequest.error}</AlertDescription>
+                      </Alert>
+                    )}
+
+                    <div>
+                      <h4 className="font-semibold mb-2">{language === 'id' ? 'Header Request' : 'Request Headers'}</h4>
+                      <div className="bg-muted p-3 rounded font-mono text-xs space-y-1 break-all">
+                        {Object.entries(selectedRequest.requestHeaders).map(([key, value]) => (
+                          <div key={key}><span className="text-muted-foreground">{key}:</span> {String(value)}</div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <h4 className="font-semibold mb-2">{language === 'id' ? 'Body Request' : 'Request Body'}</h4>
+                      {selectedRequest.requestBody ? (
+                        <>
+                          <pre className="bg-muted p-3 rounded font-mono text-xs whitespace-pre-wrap break-all max-h-64 overflow-y-auto">
+                            {selectedRequest.requestBody}
+                          </pre>
+                          {selectedRequest.requestBodyTruncated && (
+                            <p className="text-xs text-muted-foreground mt-1">
+                              {language === 'id' ? 'Body dipotong, hanya 8 KB pertama yang disimpan.' : 'Body truncated, only the first 8 KB is kept.'}
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <p className="text-muted-foreground">{language === 'id' ? 'Tidak ada body' : 'No body'}</p>
+                      )}
+                    </div>
+
+                    {selectedRequest.responseHeaders && (
+                      <div>
+                        <h4 className="font-semibold mb-2">{language === 'id' ? 'Header Response' : 'Response Headers'}</h4>
+                        <div className="bg-muted p-3 rounded font-mono text-xs space-y-1 break-all">
+                          {Object.entries(selectedRequest.responseHeaders).map(([key, value]) => (
+                            <div key={key}><span className="text-muted-foreground">{key}:</span> {String(value)}</div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="flex justify-end">
+                      <Button
+                        onClick={() => handleReplayRequest(selectedRequest)}
+                        disabled={replaying || selectedRequest.requestBodyTruncated || !inspectedTunnel?.client_connected}
+                      >
+                        <RotateCcw className="h-4 w-4 mr-2" />
+                        {replaying ? (language === 'id' ? 'Mengirim...' : 'Replaying...') : 'Replay'}
+                      </Button>
+                    </div>
+                  </div>
+                </>
+              )}
+            </SheetContent>
+          </Sheet>
+
+          {/* Access Dialog */}
+          <Dialog
+            open={!!accessTunnel}
+            onOpenChange={(open) => {
+              if (!open) {
+                setAccessTunnel(null);
+                setAccessForm(emptyAccessForm);
+              }
+            }}
+          >
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                  <Lock className="h-5 w-5" />
+                  {language === 'id' ? 'Akses Tunnel' : 'Tunnel Access'}
+                </DialogTitle>
+              </DialogHeader>
+              {accessTunnel && (
+                <form onSubmit={handleSaveAccess} className="space-y-6">
+                  <p className="text-sm text-muted-foreground">{accessTunnel.tunnel_url}</p>
+                  {renderAccessFields(accessLoading, accessTunnel.access_policy?.type === accessForm.type)}
+                  <Button type="submit" className="w-full" disabled={accessLoading}>
+                    {accessLoading
+                      ? (language === 'id' ? 'Menyimpan...' : 'Saving...')
+                      : (language === 'id' ? 'Simpan' : 'Save')}
+                  </Button>
+                </form>
+              )}
+            </DialogContent>
+          </Dialog>
+
+          {/* IP Rules Dialog */}
+          <Dialog open={!!ipRulesTunnel} onOpenChange={(open) => !open && setIpRulesTunnel(null)}>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                  <Shield className="h-5 w-5" />
+                  {language === 'id' ? 'Aturan IP' : 'IP Rules'}
+                </DialogTitle>
+              </DialogHeader>
+              {ipRulesTunnel && (
+                <form onSubmit={handleSaveIpRules} className="space-y-4">
+                  <div className="flex items-center justify-between text-sm text-muted-foreground">
+                    <span>{ipRulesTunnel.tunnel_url}</span>
+                    {ipRulesInfo && (
+                      <Badge variant="outline">
+                        {ipRulesInfo.denied_this_month.toLocaleString()} {language === 'id' ? 'ditolak bulan ini' : 'denied this month'}
+                      </Badge>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="ip_allow">{language === 'id' ? 'Izinkan (IP/CIDR)' : 'Allow (IP/CIDR)'}</Label>
+                      <Textarea
+                        id="ip_allow"
+                        value={ipRulesForm.allow}
+                        onChange={(e) => setIpRulesForm((current) => ({ ...current, allow: e.target.value }))}
+                        placeholder={'203.0.113.0/24\n2001:db8::/32'}
+                        disabled={ipRulesLoading}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="ip_deny">{language === 'id' ? 'Tolak (IP/CIDR)' : 'Deny (IP/CIDR)'}</Label>
+                      <Textarea
+                        id="ip_deny"
+                        value={ipRulesForm.deny}
+                        onChange={(e) => setIpRulesForm((current) => ({ ...current, deny: e.target.value }))}
+                        placeholder="198.51.100.7"
+                        disabled={ipRulesLoading}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="ip_allow_countries">{language === 'id' ? 'Izinkan negara' : 'Allow countries'}</Label>
+                      <Input
+                        id="ip_allow_countries"
+                        value={ipRulesForm.allow_countries}
+                        onChange={(e) => setIpRulesForm((current) => ({ ...current, allow_countries: e.target.value }))}
+                        placeholder="ID, SG"
+                        disabled={ipRulesLoading}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="ip_deny_countries">{language === 'id' ? 'Tolak negara' : 'Deny countries'}</Label>
+                      <Input
+                        id="ip_deny_countries"
+                        value={ipRulesForm.deny_countries}
+                        onChange={(e) => setIpRulesForm((current) => ({ ...current, deny_countries: e.target.value }))}
+                        placeholder="XX"
+                        disabled={ipRulesLoading}
+                      />
+                    </div>
+                  </div>
+
+                  <p className="text-xs text-muted-foreground">
+                    {language === 'id'
+                      ? 'Tolak selalu menang. Jika ada daftar izin, hanya IP atau negara di daftar itu yang bisa terhubung. Kosongkan semua untuk membuka tunnel.'
+                      : 'Deny always wins. With an allow list, only addresses or countries on it can connect. Leave everything empty to open the tunnel.'}
+                  </p>
+                  {ipRulesInfo && !ipRulesInfo.geoip_enabled && (
+                    <Alert>
+                      <Info className="h-4 w-4" />
+                      <AlertDescription>
+                        {language === 'id'
+                          ? 'Database GeoIP belum tersedia di server, aturan negara tidak akan cocok.'
+                          : 'No GeoIP database on the server yet, country rules will not match.'}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+
+                  <Button type="submit" className="w-full" disabled={ipRulesLoading}>
+                    {ipRulesLoading
+                      ? (language === 'id' ? 'Menyimpan...' : 'Saving...')
+                      : (language === 'id' ? 'Simpan' : 'Save')}
+                  </Button>
+                </form>
+              )}
+            </DialogContent>
+          </Dialog>
+
+          <TunnelTokensDialog
+            tunnel={tokensTunnel}
+            onClose={() => setTokensTunnel(null)}
+            onRotated={handleTokenRotated}
+          />
+
+          {/* Traffic Rules Dialog */}
+          <Dialog open={!!trafficTunnel} onOpenChange={(open) => !open && setTrafficTunnel(null)}>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                  <Route className="h-5 w-5" />
+                  {language === 'id' ? 'Aturan Traffic' : 'Traffic Rules'}
+                </DialogTitle>
+              </DialogHeader>
+              {trafficTunnel && (
+                <form onSubmit={handleSaveTrafficRules} className="space-y-4">
+                  <div className="text-sm text-muted-foreground">{trafficTunnel.tunnel_url}</div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="traffic_request_headers">{language === 'id' ? 'Header request' : 'Request headers'}</Label>
+                      <Textarea
+                        id="traffic_request_headers"
+                        value={trafficForm.request_headers}
+                        onChange={(e) => setTrafficForm((current) => ({ ...current, request_headers: e.target.value }))}
+                        placeholder={'X-Env: staging\n+Cache-Control: no-cache\n-Cookie'}
+                        className="font-mono text-sm"
+                        disabled={trafficLoading}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="traffic_response_headers">{language === 'id' ? 'Header response' : 'Response headers'}</Label>
+                      <Textarea
+                        id="traffic_response_headers"
+                        value={trafficForm.response_headers}
+                        onChange={(e) => setTrafficForm((current) => ({ ...current, response_headers: e.target.value }))}
+                        placeholder={'Access-Control-Allow-Origin: *\n-Server'}
+                        className="font-mono text-sm"
+                        disabled={trafficLoading}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="traffic_routes">{language === 'id' ? 'Routing path' : 'Path routes'}</Label>
+                      <Textarea
+                        id="traffic_routes"
+                        value={trafficForm.routes}
+                        onChange={(e) => setTrafficForm((current) => ({ ...current, routes: e.target.value }))}
+                        placeholder={'/api=8080:strip\n/admin=9000'}
+                        className="font-mono text-sm"
+                        disabled={trafficLoading}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="traffic_redirects">{language === 'id' ? 'Redirect' : 'Redirects'}</Label>
+                      <Textarea
+                        id="traffic_redirects"
+                        value={trafficForm.redirects}
+                        onChange={(e) => setTrafficForm((current) => ({ ...current, redirects: e.target.value }))}
+                        placeholder={'/old=/new 301\n/docs=https://docs.example.com'}
+                        className="font-mono text-sm"
+                        disabled={trafficLoading}
+                      />
+                    </div>
+                  </div>
+
+                  <p className="text-xs text-muted-foreground">
+                    {language === 'id'
+                      ? 'Satu aturan per baris. Header: "Nama: nilai" mengganti, "+Nama: nilai" menambah, "-Nama" menghapus. Routing: /prefix=port, tambahkan :strip untuk memotong prefix. Redirect: /dari=/ke atau URL, status opsional (default 302).'
+                      : 'One rule per line. Headers: "Name: value" sets, "+Name: value" adds, "-Name" removes. Routes: /prefix=port, add :strip to cut the prefix. Redirects: /from=/to or a URL, optional status (302 by default).'}
+                  </p>
+
+                  <Button type="submit" className="w-full" disabled={trafficLoading}>
+                    {trafficLoading
+                      ? (language === 'id' ? 'Menyimpan...' : 'Saving...')
+                      : (language === 'id' ? 'Simpan' : 'Save')}
+                  </Button>
+                </form>
+              )}
+            </DialogContent>
+          </Dialog>
+
+          {/* Webhook Verification Dialog */}
+          <Dialog open={!!webhookTunnel} onOpenChange={(open) => !open && setWebhookTunnel(null)}>
+            <DialogContent className="max-w-2xl">
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-2">
+                  <Webhook className="h-5 w-5" />
+                  {language === 'id' ? 'Verifikasi Webhook' : 'Webhook Verification'}
+                </DialogTitle>
+              </DialogHeader>
+              {webhookTunnel && (
+                <form onSubmit={handleSaveWebhooks} className="space-y-4">
+                  <div className="text-sm text-muted-foreground">{webhookTunnel.tunnel_url}</div>
+
+                  {webhookForm.map((endpoint, index) => {
+                    const provider = webhookProviders.find((item) => item.name === endpoint.provider);
+                    return (
+                      <div key={index} className="border rounded-lg p-3 space-y-3">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div className="space-y-2">
+                            <Label htmlFor={`webhook_path_${index}`}>Path</Label>
+                            <Input
+                              id={`webhook_path_${index}`}
+                              value={endpoint.path}
+                              onChange={(e) => updateWebhookEndpoint(index, { path: e.target.value, stored: false })}
+                              placeholder="/webhooks/stripe"
+                              className="font-mono"
+                              disabled={webhookLoading}
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label htmlFor={`webhook_provider_${index}`}>{language === 'id' ? 'Penyedia' : 'Provider'}</Label>
+                            <Select
+                              value={endpoint.provider}
+                              onValueChange={(value) => updateWebhookEndpoint(index, { provider: value, stored: false })}
+                              disabled={webhookLoading}
+                            >
+                              <SelectTrigger id={`webhook_provider_${index}`}>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {webhookProviders.map((item) => (
+                                  <SelectItem key={item.name} value={item.name}>{item.label}</SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          </div>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <div className="space-y-2">
+                            <Label htmlFor={`webhook_secret_${index}`}>Signing secret</Label>
+                            <Input
+                              id={`webhook_secret_${index}`}
+                              type="password"
+                              value={endpoint.secret}
+                              onChange={(e) => updateWebhookEndpoint(index, { secret: e.target.value })}
+                              placeholder={endpoint.stored
+                                ? (language === 'id' ? 'Kosongkan untuk tetap memakai yang lama' : 'Leave blank to keep the current one')
+                                : 'whsec_...'}
+                              disabled={webhookLoading}
+                            />
+                          </div>
+                          {provider?.timestamped && (
+                            <div className="space-y-2">
+                              <Label htmlFor={`webhook_tolerance_${index}`}>{language === 'id' ? 'Toleransi waktu (detik)' : 'Timestamp tolerance (seconds)'}</Label>
+                              <Input
+                                id={`webhook_tolerance_${index}`}
+                                type="number"
+                                value={endpoint.tolerance}
+                                onChange={(e) => updateWebhookEndpoint(index, { tolerance: e.target.value })}
+                                placeholder="300"
+                                disabled={webhookLoading}
+                              />
+                            </div>
+                          )}
+                        </div>
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setWebhookForm((current) => current.filter((_, i) => i !== index))}
+                          disabled={webhookLoading}
+                        >
+                          <Trash2 className="h-4 w-4 mr-2" />
+                          {language === 'id' ? 'Hapus' : 'Remove'}
+                        </Button>
+                      </div>
+                    );
+                  })}
+
+                  <Button
+                    type="button"
+                    variant="outline"
+                    onClick={() => setWebhookForm((current) => [
+                      ...current,
+                      { path: '', provider: webhookProviders[0]?.name || 'stripe', secret: '', tolerance: '300', stored: false },
+                    ])}
+                    disabled={webhookLoading}
+                  >
+                    <Plus className="h-4 w-4 mr-2" />
+                    {language === 'id' ? 'Tambah endpoint' : 'Add endpoint'}
+                  </Button>
+
+                  <p className="text-xs text-muted-foreground">
+                    {language === 'id'
+                      ? 'Request ke path ini harus membawa signature yang valid dari penyedia, selain itu dijawab 401 dan tidak diteruskan ke client. Webhook yang valid melewati kebijakan akses tunnel. Hasil setiap pengecekan tampil di inspector request.'
+                      : 'Requests under these paths need a valid provider signature, others get a 401 and never reach your client. Verified deliveries skip the tunnel access policy. Every decision shows up in the request inspector.'}
+                  </p>
+
+                  <Button type="submit" className="w-full" disabled={webhookLoading}>
+                    {webhookLoading
+                      ? (language === 'id' ? 'Menyimpan...' : 'Saving...')
+                      : (language === 'id' ? 'Simpan' : 'Save')}
+                  </Button>
+                </form>
+              )}
+            </DialogContent>
+          </Dialog>
+
           {/* Setup Dialog */}
           <Dialog open={setupDialogOpen} onOpenChange={setSetupDialogOpen}>
             <DialogContent className="max-w-4xl max-h-[80vh] overflow-y-auto">
@@ -858,20 +2330,30 @@ export default function DashboardPage() {
                         <h3 className="font-semibold mb-2">
                           {language === 'id' ? 'Connection Token' : 'Connection Token'}
                         </h3>
-                        <div className="flex items-center gap-2">
-                          <Input 
-                            value={selectedTunnel.connection_token} 
-                            readOnly 
-                            className="font-mono text-sm"
-                          />
-                          <Button 
-                            variant="outline" 
-                            size="sm"
-                            onClick={() => copyToClipboard(selectedTunnel.connection_token)}
-                          >
-                            <Copy className="h-4 w-4" />
-                          </Button>
-                        </div>
+                        {selectedTunnel.connection_token ? (
+                          <div className="flex items-center gap-2">
+                            <Input 
+                              value={selectedTunnel.connection_token} 
+                              readOnly 
+                              className="font-mono text-sm"
+                            />
+                            <Button 
+                              variant="outline" 
+                              size="sm"
+                              onClick={() => copyToClipboard(selectedTunnel.connection_token!)}
+                            >
+                              <Copy className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        ) : (
+                          <Alert>
+                            <AlertDescription>
+                              {language === 'id'
+                                ? 'Hanya anggota dengan peran developer ke atas yang bisa melihat token koneksi.'
+                                : 'Only members with the developer role or above can see the connection token.'}
+                            </AlertDescription>
+                          </Alert>
+                        )}
                         <p className="text-xs text-muted-foreground mt-2">
                           {language === 'id' 
                             ? 'Token ini digunakan untuk menghubungkan client ke tunnel Anda.'
@@ -0,0 +1,163 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Key, Loader2 } from 'lucide-react';
+import Navbar from '@/components/Navbar';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+import { toast } from 'sonner';
+import Cookies from 'js-cookie';
+
+export default function ChangePasswordPage() {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  const handleInputChange = (field: string, value: string) => {
+    setFormData((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError(language === 'id' ? 'Password tidak cocok' : 'Passwords do not match');
+      return;
+    }
+    if (formData.newPassword.length < 6) {
+      setError(language === 'id' ? 'Password minimal 6 karakter' : 'Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiClient.post('/api/auth/change-password', {
+        current_password: formData.currentPassword,
+        new_password: formData.newPassword,
+      }, {
+        headers: {
+          'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+          'Content-Type': 'application/json',
+        },
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || (language === 'id' ? 'Gagal mengubah kata sandi' : 'Failed to change password'));
+      }
+
+      toast.success(language === 'id'
+        ? `Kata sandi diubah, ${data.revoked} perangkat lain dikeluarkan`
+        : `Password changed, ${data.revoked} other device(s) signed out`);
+      setFormData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background to-muted/20">
+      <Navbar />
+
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          className="max-w-md mx-auto"
+        >
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Key className="h-5 w-5" />
+                {t('changePassword')}
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                {language === 'id'
+                  ? 'Perangkat lain yang sedang masuk akan dikeluarkan, perangkat ini tetap masuk.'
+                  : 'Other signed-in devices will be signed out, this one stays signed in.'}
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {error && (
+                <Alert variant="destructive">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="currentPassword">{t('currentPassword')}</Label>
+                  <Input
+                    id="currentPassword"
+                    type="password"
+                    value={formData.currentPassword}
+                    onChange={(e) => handleInputChange('currentPassword', e.target.value)}
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="newPassword">{t('newPassword')}</Label>
+                  <Input
+                    id="newPassword"
+                    type="password"
+                    value={formData.newPassword}
+                    onChange={(e) => handleInputChange('newPassword', e.target.value)}
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">{t('confirmPassword')}</Label>
+                  <Input
+                    id="confirmPassword"
+                    type="password"
+                    value={formData.confirmPassword}
+                    onChange={(e) => handleInputChange('confirmPassword', e.target.value)}
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {t('changePassword')}
+                </Button>
+              </form>
+
+              <div className="text-center text-sm text-muted-foreground">
+                {language === 'id'
+                  ? 'Login dengan Google, GitHub atau SSO dan belum punya kata sandi? '
+                  : 'Signed up with Google, GitHub or SSO and have no password yet? '}
+                <Link href="/forgot-password" className="text-primary hover:underline">
+                  {language === 'id' ? 'Buat lewat email' : 'Set one by email'}
+                </Link>
+              </div>
+            </CardContent>
+          </Card>
+        </motion.div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { ShieldCheck, Copy, Loader2 } from 'lucide-react';
+import Navbar from '@/components/Navbar';
+import { useAuth } from '@/hooks/useAuth';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+import { toast } from 'sonner';
+import Cookies from 'js-cookie';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabled_at: string | null;
+  recovery_codes_remaining: number;
+  required: boolean;
+}
+
+interface TwoFactorSetup {
+  secret: string;
+  otpauth_url: string;
+  qr_code: string;
+  setup_token: string;
+}
+
+export default function SecurityPage() {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [code, setCode] = useState('');
+  // Shown once, right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { user, refreshUser } = useAuth();
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+  });
+
+  const fetchStatus = async () => {
+    try {
+      const response = await apiClient.get('/api/auth/2fa', { headers: authHeaders() });
+      if (response.ok) {
+        setStatus(await response.json());
+      }
+    } catch (err) {
+      console.error('Failed to fetch 2FA status:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // POST to one of the /api/auth/2fa endpoints, throws with the backend message
+  const post = async (path: string, body: Record<string, string> = {}) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.post(`/api/auth/2fa${path}`, body, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Request failed');
+      }
+      return data;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSetup(await post('/setup'));
+      setCode('');
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!setup) return;
+    try {
+      const data = await post('/enable', { setup_token: setup.setup_token, code });
+      setRecoveryCodes(data.recovery_codes);
+      setSetup(null);
+      setCode('');
+      toast.success(language === 'id' ? '2FA diaktifkan' : 'Two-factor authentication enabled');
+      await fetchStatus();
+      // Clears two_factor_setup_required so the rest of the dashboard opens up
+      if (user?.two_factor_setup_required) {
+        await refreshUser();
+      }
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const data = await post('/recovery-codes', { code });
+      setRecoveryCodes(data.recovery_codes);
+      setCode('');
+      toast.success(language === 'id' ? 'Kode pemulihan baru dibuat' : 'New recovery codes generated');
+      await fetchStatus();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!confirm(language === 'id' ? 'Nonaktifkan autentikasi dua faktor?' : 'Turn off two-factor authentication?')) {
+      return;
+    }
+    try {
+      await post('/disable', { code });
+      setRecoveryCodes(null);
+      setCode('');
+      toast.success(language === 'id' ? '2FA dinonaktifkan' : 'Two-factor authentication disabled');
+      await fetchStatus();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const copyToClipboard = (text: string) => {
+    navigator.clipboard.writeText(text);
+    toast.success(language === 'id' ? 'Disalin ke clipboard!' : 'Copied to clipboard!');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background to-muted/20">
+      <Navbar />
+
+      <div className="container mx-auto px-4 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.8 }}
+          className="max-w-lg mx-auto space-y-6"
+        >
+          {user?.two_factor_setup_required && (
+            <Alert>
+              <AlertDescription>
+                {language === 'id'
+                  ? 'Administrator mewajibkan autentikasi dua faktor. Aktifkan 2FA untuk melanjutkan ke dashboard.'
+                  : 'Your administrator requires two-factor authentication. Turn on 2FA to continue to the dashboard.'}
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between gap-2">
+                <span className="flex items-center gap-2">
+                  <ShieldCheck className="h-5 w-5" />
+                  {t('twoFactorAuth')}
+                </span>
+                {status && (
+                  <Badge variant={status.enabled ? 'default' : 'secondary'}>
+                    {status.enabled
+                      ? (language === 'id' ? 'Aktif' : 'On')
+                      : (language === 'id' ? 'Nonaktif' : 'Off')}
+                  </Badge>
+                )}
+              </CardTitle>
+              <p className="text-sm text-muted-foreground">
+                {language === 'id'
+                  ? 'Selain kata sandi, login meminta kode dari aplikasi autentikator seperti Google Authenticator atau 1Password.'
+                  : 'Besides your password, signing in asks for a code from an authenticator app such as Google Authenticator or 1Password.'}
+              </p>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              {error && (
+                <Alert variant="destructive">
+                  <AlertDescription>{error}</AlertDescription>
+                </Alert>
+              )}
+
+              {!status ? (
+                <div className="flex justify-center py-4">
+                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                </div>
+              ) : !status.enabled && !setup ? (
+                <Button className="w-full" onClick={handleStartSetup} disabled={loading}>
+                  {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {language === 'id' ? 'Aktifkan 2FA' : 'Turn on 2FA'}
+                </Button>
+              ) : !status.enabled && setup ? (
+                <form onSubmit={handleEnable} className="space-y-4">
+                  <p className="text-sm">
+                    {language === 'id'
+                      ? '1. Pindai kode QR ini dengan aplikasi autentikator Anda.'
+                      : '1. Scan this QR code with your authenticator app.'}
+                  </p>
+                  <div className="flex justify-center">
+                    <img src={setup.qr_code} alt="QR code" className="h-48 w-48 rounded border bg-white p-2" />
+                  </div>
+                  <div className="space-y-1">
+                    <p className="text-xs text-muted-foreground">
+                      {language === 'id' ? 'Atau masukkan kunci ini secara manual:' : 'Or enter this key manually:'}
+                    </p>
+                    <div className="flex items-center gap-2">
+                      <code className="flex-1 break-all rounded bg-muted px-2 py-1 text-xs">{setup.secret}</code>
+                      <Button type="button" variant="ghost" size="icon" onClick={() => copyToClipboard(setup.secret)}>
+                        <Copy className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="code">
+                      {language === 'id'
+                        ? '2. Masukkan kode 6 digit yang muncul di aplikasi'
+                        : '2. Enter the 6-digit code the app shows'}
+                    </Label>
+                    <Input
+                      id="code"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      required
+                    />
+                  </div>
+
+                  <div className="flex gap-2">
+                    <Button type="button" variant="outline" onClick={() => setSetup(null)} disabled={loading}>
+                      {language === 'id' ? 'Batal' : 'Cancel'}
+                    </Button>
+                    <Button type="submit" className="flex-1" disabled={loading}>
+                      {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                      {language === 'id' ? 'Verifikasi & Aktifkan' : 'Verify & Turn On'}
+                    </Button>
+                  </div>
+                </form>
+              ) : (
+                <div className="space-y-4">
+                  <p className="text-sm text-muted-foreground">
+                    {language === 'id'
+                      ? `Sisa kode pemulihan: ${status.recovery_codes_remaining}`
+                      : `Recovery codes left: ${status.recovery_codes_remaining}`}
+                  </p>
+                  <div className="space-y-2">
+                    <Label htmlFor="manageCode">
+                      {language === 'id'
+                        ? 'Kode autentikasi atau kode pemulihan'
+                        : 'Authentication code or recovery code'}
+                    </Label>
+                    <Input
+                      id="manageCode"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder="123456"
+                      autoComplete="one-time-code"
+                    />
+                  </div>
+                  <div className="flex flex-col gap-2 sm:flex-row">
+                    <Button variant="outline" className="flex-1" onClick={handleRegenerate} disabled={loading || !code}>
+                      {language === 'id' ? 'Buat Kode Pemulihan Baru' : 'New Recovery Codes'}
+                    </Button>
+                    {!status.required && (
+                      <Button variant="destructive" className="flex-1" onClick={handleDisable} disabled={loading || !code}>
+                        {language === 'id' ? 'Nonaktifkan 2FA' : 'Turn off 2FA'}
+                      </Button>
+                    )}
+                  </div>
+                  {status.required && (
+                    <p className="text-xs text-muted-foreground">
+                      {language === 'id'
+                        ? '2FA diwajibkan administrator dan tidak bisa dinonaktifkan.'
+                        : '2FA is required by your administrator and cannot be turned off.'}
+                    </p>
+                  )}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+
+          {recoveryCodes && (
+            <Card>
+              <CardHeader>
+                <CardTitle>{t('recoveryCodes')}</CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  {language === 'id'
+                    ? 'Simpan kode ini di tempat aman. Masing-masing bisa dipakai sekali untuk login jika ponsel Anda hilang. Kode ini tidak akan ditampilkan lagi.'
+                    : 'Keep these somewhere safe. Each one signs you in once if you lose your phone. They will not be shown again.'}
+                </p>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="grid grid-cols-2 gap-2 rounded bg-muted p-4 font-mono text-sm">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+                <Button variant="outline" className="w-full" onClick={() => copyToClipboard(recoveryCodes.join('\n'))}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  {language === 'id' ? 'Salin Semua' : 'Copy All'}
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Shield, Loader2, MailCheck } from 'lucide-react';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiClient.post('/api/auth/forgot-password', { email });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || (language === 'id' ? 'Gagal mengirim link reset' : 'Failed to send reset link'));
+      }
+      setSent(true);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background to-muted/20 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <Link href="/" className="inline-flex items-center space-x-2 mb-4">
+            <Shield className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold bg-gradient-to-r from-primary to-blue-600 bg-clip-text text-transparent">
+              Tunlify
+            </span>
+          </Link>
+          <h1 className="text-3xl font-bold">{t('resetPassword')}</h1>
+          <p className="text-muted-foreground mt-2">
+            {language === 'id'
+              ? 'Masukkan email akun Anda, kami kirimkan link untuk membuat kata sandi baru'
+              : "Enter your account's email and we'll send you a link to choose a new password"}
+          </p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-center">
+              {t('forgotPassword')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {sent ? (
+              <div className="text-center space-y-3">
+                <MailCheck className="h-12 w-12 text-primary mx-auto" />
+                <p className="text-muted-foreground">
+                  {language === 'id'
+                    ? `Jika ada akun untuk ${email}, link reset sudah dikirim. Link berlaku 30 menit.`
+                    : `If an account exists for ${email}, a reset link is on its way. The link is valid for 30 minutes.`}
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">{t('emailAddress')}</Label>
+                  <Input
+                    id="email"
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="john@example.com"
+                    required
+                  />
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {t('sendResetLink')}
+                </Button>
+              </form>
+            )}
+
+            <div className="text-center">
+              <Link href="/login" className="text-sm text-primary hover:underline">
+                {t('backToLogin')}
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import Link from 'next/link';
 import { useRouter } from 'next/navigation';
@@ -13,6 +13,7 @@ import { Shield, Eye, EyeOff, Loader2 } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 import { useLanguage } from '@/hooks/useLanguage';
 import { getTranslation } from '@/lib/i18n';
+import OAuthButtons, { getOAuthErrorMessage } from '@/components/OAuthButtons';
 import { toast } from 'sonner';
 
 export default function LoginPage() {
@@ -21,20 +22,45 @@ export default function LoginPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set once the password is accepted and the account has 2FA on
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const { language } = useLanguage();
   const router = useRouter();
 
   const t = (key: string) => getTranslation(key, language);
 
+  // Failed provider sign-ins come back as /login?oauth_error=<code>
+  useEffect(() => {
+    const code = new URLSearchParams(window.location.search).get('oauth_error');
+    if (code) {
+      setError(getOAuthErrorMessage(code, language));
+    }
+  }, [language]);
+
+  // Provider sign-ins of accounts with 2FA come back as /login#challenge=<token>
+  useEffect(() => {
+    const challenge = new URLSearchParams(window.location.hash.slice(1)).get('challenge');
+    if (challenge) {
+      setChallengeToken(challenge);
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, []);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
     setError('');
 
     try {
-      await login(email, password);
+      const challenge = await login(email, password);
+      if (challenge) {
+        setChallengeToken(challenge);
+        return;
+      }
       toast.success(language === 'id' ? 'Login berhasil!' : 'Login successful!');
     } catch (err: any) {
       setError(err.message);
@@ -44,9 +70,29 @@ export default function LoginPage() {
     }
   };
 
-  const handleGoogleLogin = () => {
-    // TODO: Implement Google OAuth
-    toast.info(language === 'id' ? 'Google login akan segera tersedia' : 'Google login coming soon');
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      await verifyTwoFactor(challengeToken, code);
+      toast.success(language === 'id' ? 'Login berhasil!' : 'Login successful!');
+    } catch (err: any) {
+      setError(err.message);
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
   };
 
   return (
@@ -83,85 +129,105 @@ export default function LoginPage() {
               </Alert>
             )}
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="email">{t('emailAddress')}</Label>
-                <Input
-                  id="email"
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  placeholder="john@example.com"
-                  required
-                />
-              </div>
-
-              <div className="space-y-2">
-                <Label htmlFor="password">{t('password')}</Label>
-                <div className="relative">
+            {challengeToken ? (
+              <form onSubmit={handleVerify} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="code">
+                    {useRecoveryCode
+                      ? (language === 'id' ? 'Kode pemulihan' : 'Recovery code')
+                      : (language === 'id' ? 'Kode autentikasi' : 'Authentication code')}
+                  </Label>
                   <Input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="••••••••"
+                    id="code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    autoFocus
                     required
                   />
-                  <Button
+                  <p className="text-xs text-muted-foreground">
+                    {useRecoveryCode
+                      ? (language === 'id'
+                        ? 'Setiap kode pemulihan hanya bisa dipakai sekali.'
+                        : 'Each recovery code can be used once.')
+                      : (language === 'id'
+                        ? 'Masukkan kode 6 digit dari aplikasi autentikator Anda.'
+                        : 'Enter the 6-digit code from your authenticator app.')}
+                  </p>
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {language === 'id' ? 'Verifikasi' : 'Verify'}
+                </Button>
+
+                <div className="flex justify-between text-sm">
+                  <button
                     type="button"
-                    variant="ghost"
-                    size="icon"
-                    className="absolute right-2 top-1/2 transform -translate-y-1/2 h-8 w-8"
-                    onClick={() => setShowPassword(!showPassword)}
+                    className="text-primary hover:underline"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setCode('');
+                    }}
                   >
-                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                  </Button>
+                    {useRecoveryCode
+                      ? (language === 'id' ? 'Pakai aplikasi autentikator' : 'Use authenticator app')
+                      : (language === 'id' ? 'Pakai kode pemulihan' : 'Use a recovery code')}
+                  </button>
+                  <button type="button" className="text-muted-foreground hover:underline" onClick={startOver}>
+                    {t('backToLogin')}
+                  </button>
                 </div>
-              </div>
-
-              <Button type="submit" className="w-full" disabled={loading}>
-                {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
-                {t('loginButton')}
-              </Button>
-            </form>
-
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <span className="w-full border-t" />
-              </div>
-              <div className="relative flex justify-center text-xs uppercase">
-                <span className="bg-background px-2 text-muted-foreground">
-                  {language === 'id' ? 'Atau' : 'Or'}
-                </span>
-              </div>
-            </div>
+              </form>
+            ) : (
+              <>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="email">{t('emailAddress')}</Label>
+                    <Input
+                      id="email"
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      placeholder="john@example.com"
+                      required
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="password">{t('password')}</Label>
+                    <div className="relative">
+                      <Input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="••••••••"
+                        required
+                      />
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        className="absolute right-2 top-1/2 transform -translate-y-1/2 h-8 w-8"
+                        onClick={() => setShowPassword(!showPassword)}
+                      >
+                        {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      </Button>
+                    </div>
+                  </div>
+
+                  <Button type="submit" className="w-full" disabled={loading}>
+                    {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                    {t('loginButton')}
+                  </Button>
+                </form>
 
-            <Button 
-              variant="outline" 
-              className="w-full" 
-              onClick={handleGoogleLogin}
-              type="button"
-            >
-              <svg className="mr-2 h-4 w-4" viewBox="0 0 24 24">
-                <path
-                  fill="currentColor"
-                  d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
-                />
-                <path
-                  fill="currentColor"
-                  d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
-                />
-                <path
-                  fill="currentColor"
-                  d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
-                />
-                <path
-                  fill="currentColor"
-                  d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
-                />
-              </svg>
-              {t('continueWithGoogle')}
-            </Button>
+                <OAuthButtons />
+              </>
+            )}
 
             <div className="text-center text-sm">
               <span className="text-muted-foreground">{t('noAccount')} </span>
@@ -0,0 +1,166 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Shield, Eye, EyeOff, Loader2 } from 'lucide-react';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+import { toast } from 'sonner';
+
+// Target of the link in the reset email: /reset-password?token=...
+export default function ResetPasswordPage() {
+  // undefined until the query string has been read
+  const [token, setToken] = useState<string | null | undefined>(undefined);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { language } = useLanguage();
+  const router = useRouter();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get('token'));
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError(language === 'id' ? 'Password tidak cocok' : 'Passwords do not match');
+      return;
+    }
+    if (password.length < 6) {
+      setError(language === 'id' ? 'Password minimal 6 karakter' : 'Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiClient.post('/api/auth/reset-password', { token, password });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || (language === 'id' ? 'Gagal mengatur ulang kata sandi' : 'Failed to reset password'));
+      }
+      toast.success(language === 'id'
+        ? 'Kata sandi diperbarui, silakan masuk dengan kata sandi baru'
+        : 'Password updated, please sign in with your new password');
+      router.push('/login');
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background to-muted/20 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <Link href="/" className="inline-flex items-center space-x-2 mb-4">
+            <Shield className="h-8 w-8 text-primary" />
+            <span className="text-2xl font-bold bg-gradient-to-r from-primary to-blue-600 bg-clip-text text-transparent">
+              Tunlify
+            </span>
+          </Link>
+          <h1 className="text-3xl font-bold">{t('resetPassword')}</h1>
+          <p className="text-muted-foreground mt-2">
+            {language === 'id'
+              ? 'Semua perangkat yang sedang masuk akan dikeluarkan'
+              : 'Every device signed in to your account will be signed out'}
+          </p>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-center">
+              {t('newPassword')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {token === null || token === '' ? (
+              <Alert variant="destructive">
+                <AlertDescription>
+                  {language === 'id'
+                    ? 'Link reset tidak valid. Minta link baru dari halaman lupa kata sandi.'
+                    : 'This reset link is not valid. Request a new one from the forgot password page.'}
+                </AlertDescription>
+              </Alert>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="password">{t('newPassword')}</Label>
+                  <div className="relative">
+                    <Input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="••••••••"
+                      required
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="icon"
+                      className="absolute right-2 top-1/2 transform -translate-y-1/2 h-8 w-8"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    </Button>
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="confirmPassword">{t('confirmPassword')}</Label>
+                  <Input
+                    id="confirmPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    placeholder="••••••••"
+                    required
+                  />
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading || !token}>
+                  {loading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {t('resetPassword')}
+                </Button>
+              </form>
+            )}
+
+            <div className="text-center">
+              <Link href="/forgot-password" className="text-sm text-primary hover:underline">
+                {language === 'id' ? 'Minta link baru' : 'Request a new link'}
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    </div>
+  );
+}
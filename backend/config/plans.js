@@ -0,0 +1,60 @@
+// Plans and what they allow, matching the plans on the pricing page (routes/content.js).
+// `null` means unlimited.
+//   tunnels               - tunnels a user may own
+//   concurrentConnections - tunnels connected by a client at the same time ("active tunnels")
+//   customDomains         - custom domains a user may add
+//   monthlyBandwidth      - bytes in + out per calendar month
+//   protocols             - tunnel protocols a user may create and connect
+const GB = 1024 * 1024 * 1024;
+
+const PLANS = {
+  free: {
+    name: 'Free',
+    tunnels: 3,
+    concurrentConnections: 1,
+    customDomains: 0,
+    monthlyBandwidth: 1 * GB,
+    protocols: ['http', 'tcp']
+  },
+  pro: {
+    name: 'Pro',
+    tunnels: 20,
+    concurrentConnections: 5,
+    customDomains: 1,
+    monthlyBandwidth: 50 * GB,
+    protocols: ['http', 'tcp', 'udp']
+  },
+  enterprise: {
+    name: 'Enterprise',
+    tunnels: null,
+    concurrentConnections: null,
+    customDomains: null,
+    monthlyBandwidth: null,
+    protocols: ['http', 'tcp', 'udp']
+  }
+};
+
+const DEFAULT_PLAN = 'free';
+
+const isPlan = (planId) => Object.prototype.hasOwnProperty.call(PLANS, planId);
+
+const getPlan = (planId) => PLANS[planId] || PLANS[DEFAULT_PLAN];
+
+// Plan as returned by the API
+const describePlan = (planId) => {
+  const id = isPlan(planId) ? planId : DEFAULT_PLAN;
+  const plan = PLANS[id];
+  return {
+    id,
+    name: plan.name,
+    limits: {
+      tunnels: plan.tunnels,
+      concurrent_connections: plan.concurrentConnections,
+      custom_domains: plan.customDomains,
+      monthly_bandwidth: plan.monthlyBandwidth,
+      protocols: plan.protocols
+    }
+  };
+};
+
+module.exports = { PLANS, DEFAULT_PLAN, isPlan, getPlan, describePlan };
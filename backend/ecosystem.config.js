@@ -3,7 +3,7 @@ module.exports = {
     name: 'tunlify-backend',
     script: 'server.js',
     cwd: '/home/jony/tunlify-bolt/backend',
-    instances: 1, // Bisa diganti ke 'max' untuk cluster mode
+    instances: 1, // Bisa diganti ke 'max' untuk cluster mode (butuh REDIS_URL)
     exec_mode: 'fork', // atau 'cluster' untuk multiple instances
     env: {
       NODE_ENV: 'production',
@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const supabase = require('../config/database');
+const { verifyAccessToken } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/two-factor');
+const { API_KEY_ERROR_CODES, isApiKey, requiredScope, verifyApiKey } = require('../utils/api-keys');
+const { hasRole, resolveWorkspace } = require('../utils/organizations');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,22 +14,57 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded = null;
+    let apiKey = null;
+    if (isApiKey(token)) {
+      // Personal API key, only for the endpoints its scopes cover
+      const scope = requiredScope(req);
+      if (!scope) {
+        return res.status(403).json({ message: 'API keys cannot be used for this endpoint', code: 'API_KEY_NOT_ALLOWED' });
+      }
+      apiKey = await verifyApiKey(token);
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ message: `API key is missing the ${scope} scope`, code: 'INSUFFICIENT_SCOPE' });
+      }
+    } else {
+      // Signature, expiry and the revocation list (revoked sessions)
+      decoded = await verifyAccessToken(token);
+    }
     
     // Get user from Supabase
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, name, role, is_verified')
-      .eq('id', decoded.userId)
+      .select('id, email, name, role, is_verified, totp_enabled')
+      .eq('id', apiKey ? apiKey.user_id : decoded.userId)
       .single();
 
     if (error || !user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // With 2FA required by the admin, an account without it can only reach
+    // /api/auth (to set it up, sign out, ...)
+    if (!user.totp_enabled && !req.originalUrl.startsWith('/api/auth/') && await isTwoFactorRequired()) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up first',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     req.user = user;
+    if (apiKey) {
+      req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+    } else {
+      req.sessionId = decoded.sid;
+    }
     next();
   } catch (error) {
+    if (error.code === 'session_revoked') {
+      return res.status(401).json({ message: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
+    if (API_KEY_ERROR_CODES.includes(error.code)) {
+      return res.status(401).json({ message: error.message, code: error.code.toUpperCase() });
+    }
     console.error('Auth error:', error);
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
@@ -38,4 +77,42 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticateToken, requireAdmin };
\ No newline at end of file
+// Workspace of the request (personal, or the organization in X-Organization-Id) in
+// req.workspace; the caller needs at least `minRole` in it. Use after authenticateToken.
+const requireWorkspaceRole = (minRole) => async (req, res, next) => {
+  try {
+    const workspace = await resolveWorkspace(req);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    if (!hasRole(workspace.role, minRole)) {
+      return res.status(403).json({ message: `This needs the ${minRole} role in the organization`, code: 'INSUFFICIENT_ROLE' });
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Workspace error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Endpoints for the front proxy (Caddy). The caller has to send INTERNAL_API_TOKEN
+// (x-internal-token header or ?token=). Without it configured nobody gets in: behind a
+// same-host proxy every public request comes from loopback too.
+const requireInternal = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_TOKEN;
+  if (!expected) {
+    console.error('❌ INTERNAL_API_TOKEN is not set, internal endpoints are disabled');
+    return res.status(403).json({ message: 'Internal access only' });
+  }
+
+  const provided = Buffer.from(String(req.headers['x-internal-token'] || req.query.token || ''));
+  const wanted = Buffer.from(expected);
+  if (provided.length !== wanted.length || !crypto.timingSafeEqual(provided, wanted)) {
+    return res.status(403).json({ message: 'Internal access only' });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, requireAdmin, requireWorkspaceRole, requireInternal };
\ No newline at end of file
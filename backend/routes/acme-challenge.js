@@ -0,0 +1,23 @@
+const express = require('express');
+
+const router = express.Router();
+
+// ACME HTTP-01 responder: the CA fetches http://<domain>/.well-known/acme-challenge/<token>
+// and expects the key authorization stored when the order was placed
+router.get('/:token', async (req, res) => {
+  try {
+    const { certificateManager } = req.app.locals;
+    const keyAuthorization = await certificateManager.getChallenge(req.params.token);
+
+    if (!keyAuthorization) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+
+    res.type('text/plain').send(keyAuthorization);
+  } catch (error) {
+    console.error('ACME challenge error:', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+});
+
+module.exports = router;
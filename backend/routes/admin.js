@@ -2,6 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const supabase = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { PLANS } = require('../config/plans');
+const { forgetTwoFactorSetting } = require('../utils/two-factor');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAuditEvent, readAuditQuery, queryAuditEvents, exportAuditEvents } = require('../utils/audit');
 
 const router = express.Router();
 
@@ -14,7 +18,7 @@ router.get('/users', async (req, res) => {
   try {
     const { data: users, error } = await supabase
       .from('users')
-      .select('id, email, name, role, is_verified, created_at')
+      .select('id, email, name, role, is_verified, plan, totp_enabled, created_at')
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -29,6 +33,87 @@ router.get('/users', async (req, res) => {
   }
 });
 
+// Change a user's plan, limits apply from the next tunnel creation or client connection
+router.patch('/users/:id/plan', [
+  body('plan').isIn(Object.keys(PLANS)).withMessage(`Plan must be one of: ${Object.keys(PLANS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ plan: req.body.plan })
+      .eq('id', req.params.id)
+      .select('id, email, name, role, is_verified, plan, totp_enabled, created_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update user plan error:', error);
+      return res.status(500).json({ message: 'Failed to update user plan' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.log(`💳 Plan of ${user.email} changed to ${user.plan} by ${req.user.email}`);
+    recordAuditEvent(req, {
+      action: 'admin.user_plan_update',
+      target: { type: 'user', id: user.id },
+      metadata: { email: user.email, plan: user.plan }
+    });
+    res.json(user);
+  } catch (error) {
+    console.error('Update user plan error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Turn off two-factor authentication for a user who lost the phone and the recovery
+// codes; their sessions are signed out and they sign in with the password alone
+router.delete('/users/:id/2fa', async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ totp_secret: null, totp_enabled: false, totp_enabled_at: null, totp_last_step: null })
+      .eq('id', req.params.id)
+      .select('id, email, name, role, is_verified, plan, totp_enabled, created_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Reset two-factor error:', error);
+      return res.status(500).json({ message: 'Failed to reset two-factor authentication' });
+    }
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await supabase
+      .from('recovery_codes')
+      .delete()
+      .eq('user_id', user.id);
+    await revokeUserSessions(user.id, 'two_factor_reset');
+
+    console.log(`🔓 Two-factor authentication of ${user.email} reset by ${req.user.email}`);
+    recordAuditEvent(req, {
+      action: 'admin.user_2fa_reset',
+      target: { type: 'user', id: user.id },
+      metadata: { email: user.email }
+    });
+    res.json(user);
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get all server locations
 router.get('/server-locations', async (req, res) => {
   try {
@@ -88,6 +173,11 @@ router.post('/server-locations', [
       return res.status(500).json({ message: 'Failed to add server location' });
     }
 
+    recordAuditEvent(req, {
+      action: 'admin.server_location_create',
+      target: { type: 'server_location', id: newLocation.id },
+      metadata: { name, region_code, ip_address }
+    });
     res.status(201).json(newLocation);
 
   } catch (error) {
@@ -132,7 +222,7 @@ router.get('/settings', async (req, res) => {
       return res.status(500).json({ message: 'Failed to fetch settings' });
     }
 
-    res.json(settings || { google_client_id: null });
+    res.json(settings || { google_client_id: null, require_2fa: false });
   } catch (error) {
     console.error('Get settings error:', error);
     res.status(500).json({ message: 'Internal server error' });
@@ -141,10 +231,25 @@ router.get('/settings', async (req, res) => {
 
 // Update settings
 router.post('/settings', [
-  body('google_client_id').optional().trim()
+  body('google_client_id').optional().trim(),
+  body('require_2fa').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
-    const { google_client_id } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { google_client_id, require_2fa } = req.body;
+    const changes = { google_client_id, require_2fa };
+
+    // Otherwise the admin would lock themselves out of the admin API right away
+    if (require_2fa && !req.user.totp_enabled) {
+      return res.status(400).json({ message: 'Set up two-factor authentication for your own account first' });
+    }
 
     // Check if settings exist
     const { data: existing } = await supabase
@@ -157,7 +262,7 @@ router.post('/settings', [
       // Create new settings
       const { error } = await supabase
         .from('admin_settings')
-        .insert([{ google_client_id }]);
+        .insert([changes]);
 
       if (error) {
         console.error('Create settings error:', error);
@@ -167,7 +272,7 @@ router.post('/settings', [
       // Update existing settings
       const { error } = await supabase
         .from('admin_settings')
-        .update({ google_client_id })
+        .update(changes)
         .eq('id', existing.id);
 
       if (error) {
@@ -176,6 +281,12 @@ router.post('/settings', [
       }
     }
 
+    forgetTwoFactorSetting();
+    recordAuditEvent(req, {
+      action: 'admin.settings_update',
+      target: { type: 'settings', id: existing ? existing.id : null },
+      metadata: { changes }
+    });
     res.json({ message: 'Settings updated successfully' });
 
   } catch (error) {
@@ -184,4 +295,28 @@ router.post('/settings', [
   }
 });
 
+// Audit events of every user (?actor_id=&actor_email=&action=&target_type=&target_id=
+// &from=&to=&page=&limit=, ?format=csv to download)
+router.get('/audit', async (req, res) => {
+  try {
+    const { filters, page, limit, format } = readAuditQuery(req.query);
+
+    if (format === 'csv') {
+      const { filename, csv } = await exportAuditEvents(filters);
+      recordAuditEvent(req, { action: 'admin.audit_export', metadata: { filters } });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(csv);
+    }
+
+    res.json(await queryAuditEvents(filters, { page, limit }));
+  } catch (error) {
+    if (error.code === 'invalid_audit_query') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get audit events error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  deleteApiKey
+} = require('../utils/api-keys');
+const { recordAuditEvent } = require('../utils/audit');
+
+const router = express.Router();
+
+// Managing keys needs a signed-in session, authenticateToken turns API keys away here
+router.use(authenticateToken);
+
+// Keys of the current user, never with the key itself
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listApiKeys(req.user.id));
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The response carries the plain key, it can't be shown again
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Pick at least one scope'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expires_at: expiresAt } = req.body;
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ message: 'expires_at must be in the future' });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user.id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+    });
+
+    console.log(`🔑 API key created: ${apiKey.prefix}… (${apiKey.scopes.join(', ')}) for ${req.user.email}`);
+    recordAuditEvent(req, {
+      action: 'api_key.create',
+      target: { type: 'api_key', id: apiKey.id },
+      metadata: { name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes, expires_at: apiKey.expires_at }
+    });
+
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    if (error.code === 'api_key_limit') {
+      return res.status(400).json({ message: error.message, code: 'API_KEY_LIMIT' });
+    }
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Revoking a key deletes it, requests with it fail right away
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!await deleteApiKey(req.user.id, req.params.id)) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    console.log(`🗑️ API key revoked: ${req.params.id} by ${req.user.email}`);
+    recordAuditEvent(req, { action: 'api_key.revoke', target: { type: 'api_key', id: req.params.id } });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Delete API key error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { readAuditQuery, queryAuditEvents, exportAuditEvents } = require('../utils/audit');
+
+const router = express.Router();
+
+// Events the current user caused, including failed sign-ins to their account
+// (?action=&target_type=&target_id=&from=&to=&page=&limit=, ?format=csv to download)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { filters, page, limit, format } = readAuditQuery(req.query);
+    const own = { ...filters, actorId: req.user.id, actorEmail: undefined };
+
+    if (format === 'csv') {
+      const { filename, csv } = await exportAuditEvents(own);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(csv);
+    }
+
+    res.json(await queryAuditEvents(own, { page, limit }));
+  } catch (error) {
+    if (error.code === 'invalid_audit_query') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get audit events error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
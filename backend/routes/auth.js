@@ -2,16 +2,195 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
 const { body, validationResult } = require('express-validator');
+const validator = require('validator');
 const supabase = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { sendOTPEmail } = require('../utils/email');
+const { sendOTPEmail, sendPasswordResetEmail } = require('../utils/email');
+const { createOAuthClient } = require('../utils/oauth');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const {
+  isTwoFactorRequired,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes
+} = require('../utils/two-factor');
+const {
+  SESSION_ERROR_CODES,
+  refreshCookie,
+  readRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../utils/sessions');
+const { recordAuditEvent } = require('../utils/audit');
 
 const router = express.Router();
 
 // Check if email is disabled
 const isEmailDisabled = process.env.DISABLE_EMAIL === 'true';
 
+// Sign-in with Google, GitHub or an OIDC issuer; the flow state (state, nonce, PKCE
+// verifier) waits for the callback in a short-lived signed cookie
+const oauth = createOAuthClient();
+const OAUTH_COOKIE = 'tunlify_oauth';
+const OAUTH_COOKIE_PATH = '/api/auth/oauth';
+const OAUTH_FLOW_TTL = 10 * 60; // seconds
+const OAUTH_ERROR_CODES = ['access_denied', 'email_not_verified', 'invalid_state', 'unknown_provider', 'invalid_token', 'provider_error'];
+
+// Password reset links are single use and stored hashed, like refresh tokens
+const RESET_TOKEN_TTL = 30 * 60 * 1000;
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Reset mails per address (after normalizeEmail), so nobody can flood an inbox
+const resetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => String(req.body.email || '').toLowerCase(),
+  message: { message: 'Too many password reset requests for this email, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Two-factor sign-in: the password step answers with a challenge token instead of a
+// session, the code from the authenticator app (or a recovery code) completes it
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // seconds
+const TOTP_SETUP_TTL = 10 * 60; // seconds
+
+const twoFactorChallenge = (user) => jwt.sign(
+  { purpose: 'two_factor_challenge', userId: user.id },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Guessing codes: a few attempts per account, whatever the challenge or the IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: (req) => {
+    const decoded = jwt.decode(String(req.body.challenge_token || ''));
+    return decoded && decoded.userId ? `user:${decoded.userId}` : `ip:${req.ip}`;
+  },
+  message: { message: 'Too many two-factor attempts, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Failed sign-ins go to the audit log of the account that was tried, or with only the
+// email when there is no such account
+const recordFailedLogin = (req, actor, reason) => recordAuditEvent(req, {
+  action: 'auth.login_failed',
+  actor,
+  target: actor.id ? { type: 'user', id: actor.id } : null,
+  metadata: { reason }
+});
+
+// User row as the API returns it, without secrets
+const publicUser = ({ password_hash, totp_secret, totp_last_step, ...user }) => user;
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'https://tunlify.biz.id').replace(/\/+$/, '');
+
+// Must match the redirect URI registered with the provider
+const oauthRedirectUri = (req, provider) => {
+  const base = (process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/api/auth/oauth/${provider}/callback`;
+};
+
+const oauthCookie = (req, value, maxAge) => [
+  `${OAUTH_COOKIE}=${value}`,
+  `Path=${OAUTH_COOKIE_PATH}`,
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${maxAge}`,
+  ...(req.secure ? ['Secure'] : [])
+].join('; ');
+
+const readOAuthCookie = (req) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === OAUTH_COOKIE) return value.join('=');
+  }
+  return null;
+};
+
+const oauthFailure = (res, error) => {
+  const code = OAUTH_ERROR_CODES.includes(error.code) ? error.code : 'provider_error';
+  res.redirect(`${frontendUrl()}/login?oauth_error=${code}`);
+};
+
+// User behind a provider identity. A known identity signs in its user; otherwise the
+// account with the same verified email is linked, or a new one is created.
+const findOrCreateOAuthUser = async (profile) => {
+  const { data: identity } = await supabase
+    .from('user_identities')
+    .select('user_id')
+    .eq('provider', profile.provider)
+    .eq('subject', profile.subject)
+    .maybeSingle();
+
+  if (identity) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', identity.user_id)
+      .single();
+    if (user) return user;
+  }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw Object.assign(new Error('Provider did not return a verified email'), { code: 'email_not_verified' });
+  }
+  // Same normalization as /register, so the addresses compare
+  const email = validator.normalizeEmail(profile.email) || profile.email;
+
+  let { data: user } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (user && !user.is_verified) {
+    // Whoever set the password never proved they own the address, the provider just did
+    const { data: updated, error: updateError } = await supabase
+      .from('users')
+      .update({ is_verified: true, password_hash: null })
+      .eq('id', user.id)
+      .select()
+      .single();
+    if (updateError) throw updateError;
+    user = updated;
+  }
+
+  if (!user) {
+    const { data: created, error: createError } = await supabase
+      .from('users')
+      .insert([{
+        email,
+        password_hash: null,
+        name: profile.name || email.split('@')[0],
+        role: 'user',
+        is_verified: true
+      }])
+      .select()
+      .single();
+    if (createError) throw createError;
+    user = created;
+    console.log(`👤 User ${email} created from ${profile.provider} sign-in`);
+  }
+
+  const { error: linkError } = await supabase
+    .from('user_identities')
+    .insert([{ user_id: user.id, provider: profile.provider, subject: profile.subject, email }]);
+  if (linkError) throw linkError;
+
+  console.log(`🔗 ${profile.provider} identity linked to ${email}`);
+  return user;
+};
+
 // Register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -62,6 +241,12 @@ router.post('/register', [
       return res.status(500).json({ message: 'Failed to create user' });
     }
 
+    recordAuditEvent(req, {
+      action: 'auth.register',
+      actor: newUser,
+      target: { type: 'user', id: newUser.id }
+    });
+
     // If email is disabled, return success immediately
     if (isEmailDisabled) {
       console.log('📧 Email disabled - User auto-verified:', email);
@@ -140,7 +325,7 @@ router.post('/verify-otp', [
     // Find user
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, is_verified')
+      .select('id, email, is_verified')
       .eq('email', email)
       .single();
 
@@ -193,6 +378,8 @@ router.post('/verify-otp', [
       .update({ verified: true })
       .eq('id', otpToken.id);
 
+    recordAuditEvent(req, { action: 'auth.email_verify', actor: user, target: { type: 'user', id: user.id } });
+
     res.json({ message: 'Email verified successfully' });
 
   } catch (error) {
@@ -225,37 +412,53 @@ router.post('/login', [
       .single();
 
     if (error || !user) {
+      recordFailedLogin(req, { email }, 'unknown_email');
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     // Check if verified (skip if email disabled)
     if (!isEmailDisabled && !user.is_verified) {
+      recordFailedLogin(req, user, 'email_not_verified');
       return res.status(401).json({ message: 'Please verify your email first' });
     }
 
+    // Accounts created through a provider have no password
+    if (!user.password_hash) {
+      recordFailedLogin(req, user, 'no_password');
+      return res.status(401).json({ message: 'This account signs in with Google, GitHub or SSO' });
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      recordFailedLogin(req, user, 'invalid_password');
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Second step with the authenticator app at /login/2fa
+    if (user.totp_enabled) {
+      return res.json({
+        two_factor_required: true,
+        challenge_token: twoFactorChallenge(user)
+      });
+    }
 
-    // Return user data (without password)
-    const { password_hash, ...userWithoutPassword } = user;
+    // Short-lived access token, the refresh token stays in an httpOnly cookie
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+    res.setHeader('Set-Cookie', refreshCookie(req, refreshToken));
+    recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'user', id: user.id },
+      metadata: { method: 'password', session_id: session.id }
+    });
 
     res.json({
-      token,
-      user: userWithoutPassword
+      token: accessToken,
+      user: {
+        ...publicUser(user),
+        two_factor_setup_required: await isTwoFactorRequired()
+      }
     });
 
   } catch (error) {
@@ -264,9 +467,646 @@ router.post('/login', [
   }
 });
 
+// Login, second step: code from the authenticator app or a recovery code
+router.post('/login/2fa', [
+  body('challenge_token').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], twoFactorLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challenge_token, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== 'two_factor_challenge') {
+      return res.status(401).json({ message: 'Sign-in expired, please enter your password again' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', challenge.userId)
+      .single();
+
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({ message: 'Sign-in expired, please enter your password again' });
+    }
+
+    const method = await verifySecondFactor(user, req.body.code);
+    if (!method) {
+      recordFailedLogin(req, user, 'invalid_code');
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    if (method === 'recovery_code') {
+      console.log(`🔑 ${user.email} signed in with a recovery code`);
+    }
+
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+    res.setHeader('Set-Cookie', refreshCookie(req, refreshToken));
+    recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'user', id: user.id },
+      metadata: { method: 'two_factor', second_factor: method, session_id: session.id }
+    });
+
+    res.json({
+      token: accessToken,
+      user: { ...publicUser(user), two_factor_setup_required: false }
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Forgot password: mail a reset link. The answer is the same whether or not the
+// address has an account.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], resetLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { email } = req.body;
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, email, name')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const { error: tokenError } = await supabase
+        .from('password_reset_tokens')
+        .insert([{
+          user_id: user.id,
+          token_hash: hashResetToken(token),
+          expires_at: new Date(Date.now() + RESET_TOKEN_TTL).toISOString()
+        }]);
+
+      if (tokenError) {
+        console.error('Reset token creation error:', tokenError);
+        return res.status(500).json({ message: 'Internal server error' });
+      }
+
+      // Not awaited, the response time shouldn't tell whether the account exists
+      sendPasswordResetEmail(user.email, `${frontendUrl()}/reset-password?token=${token}`, user.name)
+        .catch((error) => console.error('Failed to send password reset email:', error.message));
+      recordAuditEvent(req, { action: 'auth.password_reset_request', actor: user, target: { type: 'user', id: user.id } });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent.' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reset password with the link from the email; every session of the account is
+// signed out, whoever knew the old password included
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token, password } = req.body;
+    const now = new Date().toISOString();
+
+    const { data: resetToken } = await supabase
+      .from('password_reset_tokens')
+      .select('id, user_id')
+      .eq('token_hash', hashResetToken(token))
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .maybeSingle();
+
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    // Single use, also when the link is submitted twice at once
+    const { data: claimed } = await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: now })
+      .eq('id', resetToken.id)
+      .is('used_at', null)
+      .select('id');
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    // The link proved the address, so the account counts as verified
+    const { data: user, error: updateError } = await supabase
+      .from('users')
+      .update({ password_hash: hashedPassword, is_verified: true })
+      .eq('id', resetToken.user_id)
+      .select('id, email')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Password reset update error:', updateError);
+      return res.status(500).json({ message: 'Failed to reset password' });
+    }
+
+    // Older links for the same account stop working too
+    await supabase
+      .from('password_reset_tokens')
+      .update({ used_at: now })
+      .eq('user_id', resetToken.user_id)
+      .is('used_at', null);
+
+    const revoked = await revokeUserSessions(resetToken.user_id, 'password_reset');
+    console.log(`🔑 Password reset for user ${resetToken.user_id}, ${revoked} session(s) signed out`);
+    recordAuditEvent(req, {
+      action: 'auth.password_reset',
+      actor: user || { id: resetToken.user_id },
+      target: { type: 'user', id: resetToken.user_id },
+      metadata: { sessions_revoked: revoked }
+    });
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change password while signed in; other sessions are signed out, this one stays
+router.post('/change-password', authenticateToken, [
+  body('current_password').notEmpty(),
+  body('new_password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, password_hash')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Accounts created through a provider set their first password with a reset link
+    if (!user.password_hash) {
+      return res.status(400).json({ message: 'This account has no password yet, use "Forgot password" to set one' });
+    }
+
+    const isValidPassword = await bcrypt.compare(current_password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(new_password, 12);
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ password_hash: hashedPassword })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Password change error:', updateError);
+      return res.status(500).json({ message: 'Failed to change password' });
+    }
+
+    const revoked = await revokeUserSessions(user.id, 'password_changed', req.sessionId);
+    console.log(`🔑 ${req.user.email} changed their password, ${revoked} other session(s) signed out`);
+    recordAuditEvent(req, {
+      action: 'auth.password_change',
+      target: { type: 'user', id: req.user.id },
+      metadata: { sessions_revoked: revoked }
+    });
+
+    res.json({ message: 'Password changed successfully', revoked });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get current user
-router.get('/me', authenticateToken, (req, res) => {
-  res.json(req.user);
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      ...req.user,
+      two_factor_setup_required: !req.user.totp_enabled && await isTwoFactorRequired()
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Two-factor status of the current user
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('totp_enabled, totp_enabled_at')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      enabled: !!user.totp_enabled,
+      enabled_at: user.totp_enabled_at || null,
+      recovery_codes_remaining: user.totp_enabled ? await countRecoveryCodes(req.user.id) : 0,
+      required: await isTwoFactorRequired()
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Start enrollment: a new secret for the authenticator app. Nothing is stored until
+// a code confirms it (/2fa/enable), the secret travels in a signed setup token.
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = otpauthUri({ secret, account: req.user.email });
+
+    res.json({
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl),
+      setup_token: jwt.sign(
+        { purpose: 'totp_setup', userId: req.user.id, secret },
+        process.env.JWT_SECRET,
+        { expiresIn: TOTP_SETUP_TTL }
+      )
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Finish enrollment with a code from the app; answers with the recovery codes, once.
+// Other sessions are signed out, they were opened with the password alone.
+router.post('/2fa/enable', authenticateToken, [
+  body('setup_token').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    let setup;
+    try {
+      setup = jwt.verify(req.body.setup_token, process.env.JWT_SECRET);
+    } catch (error) {
+      setup = null;
+    }
+    if (!setup || setup.purpose !== 'totp_setup' || setup.userId !== req.user.id) {
+      return res.status(400).json({ message: 'Setup expired, please start again' });
+    }
+
+    const step = verifyTotp(setup.secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        totp_secret: setup.secret,
+        totp_enabled: true,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step
+      })
+      .eq('id', req.user.id);
+
+    if (updateError) {
+      console.error('Two-factor enable error:', updateError);
+      return res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+    const revoked = await revokeUserSessions(req.user.id, 'two_factor_enabled', req.sessionId);
+    console.log(`🔐 ${req.user.email} enabled two-factor authentication, ${revoked} other session(s) signed out`);
+    recordAuditEvent(req, {
+      action: 'auth.2fa_enable',
+      target: { type: 'user', id: req.user.id },
+      metadata: { sessions_revoked: revoked }
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// New recovery codes (the old ones stop working), confirmed with a current code
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, totp_enabled, totp_secret, totp_last_step')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    console.log(`🔐 ${req.user.email} generated new recovery codes`);
+    recordAuditEvent(req, { action: 'auth.recovery_codes_regenerate', target: { type: 'user', id: req.user.id } });
+
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Turn two-factor authentication off, confirmed with a current code; not allowed
+// while the admin requires it
+router.post('/2fa/disable', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    if (await isTwoFactorRequired()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required by the administrator' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, totp_enabled, totp_secret, totp_last_step')
+      .eq('id', req.user.id)
+      .single();
+
+    if (!user || !user.totp_enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ totp_secret: null, totp_enabled: false, totp_enabled_at: null, totp_last_step: null })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Two-factor disable error:', updateError);
+      return res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+    }
+
+    await supabase
+      .from('recovery_codes')
+      .delete()
+      .eq('user_id', user.id);
+
+    console.log(`🔓 ${req.user.email} disabled two-factor authentication`);
+    recordAuditEvent(req, { action: 'auth.2fa_disable', target: { type: 'user', id: req.user.id } });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// New access token for the refresh token cookie; the refresh token is rotated
+router.post('/refresh', async (req, res) => {
+  try {
+    const { accessToken, refreshToken, user } = await rotateSession(readRefreshCookie(req), req);
+    res.setHeader('Set-Cookie', refreshCookie(req, refreshToken));
+    res.json({ token: accessToken, user });
+  } catch (error) {
+    if (!SESSION_ERROR_CODES.includes(error.code)) {
+      console.error('Refresh error:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+    // Lost a race with another tab: its new cookie is already on the way
+    if (error.code !== 'refresh_token_rotated') {
+      res.setHeader('Set-Cookie', refreshCookie(req, ''));
+    }
+    res.status(401).json({ message: error.message, code: error.code.toUpperCase() });
+  }
+});
+
+// Sign out: the session is revoked, its access token stops working right away
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.setHeader('Set-Cookie', refreshCookie(req, ''));
+    recordAuditEvent(req, { action: 'auth.logout', target: { type: 'session', id: req.sessionId } });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Active sessions of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    res.json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Sign out every other session
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'revoked_by_user', req.sessionId);
+    console.log(`🔒 ${req.user.email} revoked ${revoked} other session(s)`);
+    recordAuditEvent(req, { action: 'auth.sessions_revoke', metadata: { sessions_revoked: revoked } });
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Revoke one session, e.g. a lost laptop
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const { data: session } = await supabase
+      .from('auth_sessions')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+    if (session.id === req.sessionId) {
+      res.setHeader('Set-Cookie', refreshCookie(req, ''));
+    }
+    console.log(`🔒 ${req.user.email} revoked session ${session.id}`);
+    recordAuditEvent(req, { action: 'auth.session_revoke', target: { type: 'session', id: session.id } });
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Sign-in providers that are configured, for the login and register pages
+router.get('/oauth/providers', async (req, res) => {
+  try {
+    res.json({ providers: await oauth.list() });
+  } catch (error) {
+    console.error('OAuth providers error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Send the browser to the provider
+router.get('/oauth/:provider/start', async (req, res) => {
+  try {
+    const { url, flow } = await oauth.begin(req.params.provider, oauthRedirectUri(req, req.params.provider));
+    const signed = jwt.sign(flow, process.env.JWT_SECRET, { expiresIn: OAUTH_FLOW_TTL });
+    res.setHeader('Set-Cookie', oauthCookie(req, signed, OAUTH_FLOW_TTL));
+    res.redirect(url);
+  } catch (error) {
+    console.error(`OAuth start error (${req.params.provider}):`, error.message);
+    oauthFailure(res, error);
+  }
+});
+
+// Provider sends the browser back here; the frontend gets the same tokens as /login,
+// the access token in the URL fragment, which never reaches a server log
+router.get('/oauth/:provider/callback', async (req, res) => {
+  const { provider } = req.params;
+  try {
+    // The flow is single use either way
+    const clearFlow = oauthCookie(req, '', 0);
+    res.setHeader('Set-Cookie', clearFlow);
+
+    if (req.query.error) {
+      throw Object.assign(new Error(`Provider returned ${req.query.error}`), {
+        code: req.query.error === 'access_denied' ? 'access_denied' : 'provider_error'
+      });
+    }
+
+    let flow = null;
+    try {
+      flow = jwt.verify(readOAuthCookie(req) || '', process.env.JWT_SECRET);
+    } catch (error) {
+      flow = null;
+    }
+    if (!flow || flow.provider !== provider || typeof req.query.state !== 'string' || req.query.state !== flow.state ||
+        typeof req.query.code !== 'string') {
+      throw Object.assign(new Error('Missing or mismatched OAuth state'), { code: 'invalid_state' });
+    }
+
+    const profile = await oauth.complete(provider, req.query.code, flow, oauthRedirectUri(req, provider));
+    const user = await findOrCreateOAuthUser(profile);
+
+    // The provider vouches for the first factor only
+    if (user.totp_enabled) {
+      res.redirect(`${frontendUrl()}/login#challenge=${encodeURIComponent(twoFactorChallenge(user))}`);
+      return;
+    }
+
+    const { session, accessToken, refreshToken } = await createSession(user, req);
+    res.setHeader('Set-Cookie', [clearFlow, refreshCookie(req, refreshToken)]);
+
+    console.log(`✅ ${user.email} signed in with ${provider}`);
+    recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user,
+      target: { type: 'user', id: user.id },
+      metadata: { method: provider, session_id: session.id }
+    });
+    res.redirect(`${frontendUrl()}/auth/callback#token=${encodeURIComponent(accessToken)}`);
+  } catch (error) {
+    console.error(`OAuth callback error (${provider}):`, error.message);
+    oauthFailure(res, error);
+  }
 });
 
 module.exports = router;
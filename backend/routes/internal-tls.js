@@ -0,0 +1,65 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { requireInternal } = require('../middleware/auth');
+const { normalizeHostname, isTunnelHostname } = require('../utils/custom-domains');
+
+const router = express.Router();
+
+router.use(requireInternal);
+
+// On-demand TLS permission check, e.g. Caddy `on_demand_tls { ask .../internal/tls/ask }`.
+// 200 when the hostname is a verified custom domain, 404 otherwise.
+router.get('/ask', async (req, res) => {
+  try {
+    const hostname = normalizeHostname(req.query.domain);
+    if (!hostname || isTunnelHostname(hostname)) {
+      return res.status(404).json({ message: 'Unknown domain' });
+    }
+
+    const { data, error } = await supabase
+      .from('custom_domains')
+      .select('id')
+      .eq('hostname', hostname)
+      .eq('verified', true)
+      .limit(1);
+
+    if (error) {
+      console.error('TLS ask error:', error);
+      return res.status(500).json({ message: 'Failed to look up domain' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ message: 'Unknown domain' });
+    }
+
+    res.json({ allowed: true, domain: hostname });
+  } catch (error) {
+    console.error('TLS ask error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Certificate chain followed by the private key in PEM, for Caddy's
+// `get_certificate http .../internal/tls/certificate`. 204 when we have none.
+router.get('/certificate', async (req, res) => {
+  try {
+    const hostname = normalizeHostname(req.query.server_name);
+    if (!hostname) {
+      return res.status(400).json({ message: 'server_name is required' });
+    }
+
+    const { certificateManager } = req.app.locals;
+    const stored = await certificateManager.getCertificate(hostname);
+    if (!stored) {
+      return res.status(204).end();
+    }
+
+    res.type('application/x-pem-file');
+    res.send(`${stored.certificate.trim()}\n${stored.private_key.trim()}\n`);
+  } catch (error) {
+    console.error('TLS certificate error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
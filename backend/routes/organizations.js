@@ -0,0 +1,510 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { sendOrganizationInvitationEmail } = require('../utils/email');
+const {
+  ASSIGNABLE_ROLES,
+  hasRole,
+  canManageRole,
+  getMembership
+} = require('../utils/organizations');
+
+const router = express.Router();
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'https://tunlify.biz.id').replace(/\/+$/, '');
+
+// Invitations send email to any address, keep that from being abused
+const invitationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  keyGenerator: (req) => req.user.id,
+  message: { message: 'Too many invitations, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// All organization routes require a signed-in user (API keys are turned away)
+router.use(authenticateToken);
+
+const validate = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return true;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return false;
+};
+
+// Membership of the current user in :id with at least `minRole`, answers 404/403 and
+// returns null otherwise
+const loadMembership = async (req, res, minRole) => {
+  const membership = await getMembership(req.params.id, req.user.id);
+  if (!membership) {
+    res.status(404).json({ message: 'Organization not found' });
+    return null;
+  }
+  if (!hasRole(membership.role, minRole)) {
+    res.status(403).json({ message: `This needs the ${minRole} role in the organization`, code: 'INSUFFICIENT_ROLE' });
+    return null;
+  }
+  return membership;
+};
+
+// Pending invitations addressed to an email
+const pendingInvitations = (email) => supabase
+  .from('organization_invitations')
+  .select('id, organization_id, email, role, expires_at, created_at, organizations(id, name)')
+  .eq('email', email.toLowerCase())
+  .is('accepted_at', null)
+  .gt('expires_at', new Date().toISOString());
+
+// Organizations of the current user with their role
+router.get('/', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select('role, organizations(id, name, owner_id, created_at)')
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      console.error('Get organizations error:', error);
+      return res.status(500).json({ message: 'Failed to fetch organizations' });
+    }
+
+    res.json(data
+      .filter((membership) => membership.organizations)
+      .map((membership) => ({ ...membership.organizations, role: membership.role })));
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// New organization, the creator is its owner
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .insert([{ name: req.body.name, owner_id: req.user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Create organization error:', error);
+      return res.status(500).json({ message: 'Failed to create organization' });
+    }
+
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .insert([{ organization_id: organization.id, user_id: req.user.id, role: 'owner' }]);
+
+    if (memberError) {
+      console.error('Create organization owner error:', memberError);
+      await supabase.from('organizations').delete().eq('id', organization.id);
+      return res.status(500).json({ message: 'Failed to create organization' });
+    }
+
+    console.log(`🏢 Organization created: ${organization.name} by ${req.user.email}`);
+
+    res.status(201).json({ ...organization, role: 'owner' });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Invitations waiting for the current user (matched by email)
+router.get('/invitations', async (req, res) => {
+  try {
+    const { data, error } = await pendingInvitations(req.user.email);
+
+    if (error) {
+      console.error('Get invitations error:', error);
+      return res.status(500).json({ message: 'Failed to fetch invitations' });
+    }
+
+    res.json(data.map((invitation) => ({
+      id: invitation.id,
+      role: invitation.role,
+      expires_at: invitation.expires_at,
+      created_at: invitation.created_at,
+      organization: invitation.organizations
+    })));
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const { data: invitation } = await pendingInvitations(req.user.email)
+      .eq('id', req.params.invitationId)
+      .maybeSingle();
+
+    if (!invitation || !invitation.organizations) {
+      return res.status(404).json({ message: 'Invitation not found or expired' });
+    }
+
+    const existing = await getMembership(invitation.organization_id, req.user.id);
+    if (!existing) {
+      const { error } = await supabase
+        .from('organization_members')
+        .insert([{ organization_id: invitation.organization_id, user_id: req.user.id, role: invitation.role }]);
+
+      if (error) {
+        console.error('Accept invitation error:', error);
+        return res.status(500).json({ message: 'Failed to accept invitation' });
+      }
+    }
+
+    await supabase
+      .from('organization_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    console.log(`🤝 ${req.user.email} joined ${invitation.organizations.name} as ${existing ? existing.role : invitation.role}`);
+
+    res.json({ ...invitation.organizations, role: existing ? existing.role : invitation.role });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Decline an invitation addressed to the current user
+router.delete('/invitations/:invitationId', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .delete()
+      .eq('id', req.params.invitationId)
+      .eq('email', req.user.email.toLowerCase())
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) {
+      console.error('Decline invitation error:', error);
+      return res.status(500).json({ message: 'Failed to decline invitation' });
+    }
+    if (!data || data.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Organization with its members; admins also see pending invitations
+router.get('/:id', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'viewer');
+    if (!membership) return;
+
+    const { data: members, error } = await supabase
+      .from('organization_members')
+      .select('user_id, role, created_at, users(id, email, name)')
+      .eq('organization_id', membership.organization.id)
+      .order('created_at');
+
+    if (error) {
+      console.error('Get organization members error:', error);
+      return res.status(500).json({ message: 'Failed to fetch organization' });
+    }
+
+    let invitations = [];
+    if (hasRole(membership.role, 'admin')) {
+      const { data } = await supabase
+        .from('organization_invitations')
+        .select('id, email, role, expires_at, created_at')
+        .eq('organization_id', membership.organization.id)
+        .is('accepted_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at');
+      invitations = data || [];
+    }
+
+    res.json({
+      ...membership.organization,
+      role: membership.role,
+      members: members.map((member) => ({
+        user_id: member.user_id,
+        email: member.users?.email,
+        name: member.users?.name,
+        role: member.role,
+        created_at: member.created_at
+      })),
+      invitations
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.patch('/:id', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters')
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .update({ name: req.body.name })
+      .eq('id', membership.organization.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Rename organization error:', error);
+      return res.status(500).json({ message: 'Failed to rename organization' });
+    }
+
+    res.json({ ...organization, role: membership.role });
+  } catch (error) {
+    console.error('Rename organization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Only an organization without tunnels can be deleted
+router.delete('/:id', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'owner');
+    if (!membership) return;
+
+    const { count, error: countError } = await supabase
+      .from('tunnels')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', membership.organization.id);
+
+    if (countError) {
+      console.error('Delete organization error:', countError);
+      return res.status(500).json({ message: 'Failed to delete organization' });
+    }
+    if (count > 0) {
+      return res.status(409).json({ message: 'Delete the organization\'s tunnels first' });
+    }
+
+    const { error } = await supabase
+      .from('organizations')
+      .delete()
+      .eq('id', membership.organization.id);
+
+    if (error) {
+      console.error('Delete organization error:', error);
+      return res.status(500).json({ message: 'Failed to delete organization' });
+    }
+
+    console.log(`🗑️ Organization deleted: ${membership.organization.name} by ${req.user.email}`);
+
+    res.json({ message: 'Organization deleted' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Invite someone by email; they accept from the dashboard after signing in (or up)
+// with that address. Inviting the same address again replaces the old invitation.
+router.post('/:id/invitations', invitationLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    // Normalized like at sign-up, so it matches users.email
+    const { email, role } = req.body;
+    if (!canManageRole(membership.role, role)) {
+      return res.status(403).json({ message: `Only the owner can invite members as ${role}`, code: 'INSUFFICIENT_ROLE' });
+    }
+
+    const { data: invitee } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+    if (invitee && await getMembership(membership.organization.id, invitee.id)) {
+      return res.status(409).json({ message: `${email} is already a member` });
+    }
+
+    await supabase
+      .from('organization_invitations')
+      .delete()
+      .eq('organization_id', membership.organization.id)
+      .eq('email', email)
+      .is('accepted_at', null);
+
+    const { data: invitation, error } = await supabase
+      .from('organization_invitations')
+      .insert([{
+        organization_id: membership.organization.id,
+        email,
+        role,
+        invited_by: req.user.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL).toISOString()
+      }])
+      .select('id, email, role, expires_at, created_at')
+      .single();
+
+    if (error) {
+      console.error('Create invitation error:', error);
+      return res.status(500).json({ message: 'Failed to create invitation' });
+    }
+
+    // Not awaited, a slow SMTP server shouldn't hold the response
+    sendOrganizationInvitationEmail(email, {
+      organizationName: membership.organization.name,
+      inviterName: req.user.name,
+      role,
+      url: `${frontendUrl()}/dashboard/organizations`
+    }).catch((emailError) => console.error('Invitation email error:', emailError.message));
+
+    console.log(`✉️ ${req.user.email} invited ${email} to ${membership.organization.name} as ${role}`);
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .delete()
+      .eq('id', req.params.invitationId)
+      .eq('organization_id', membership.organization.id)
+      .select('id');
+
+    if (error) {
+      console.error('Cancel invitation error:', error);
+      return res.status(500).json({ message: 'Failed to cancel invitation' });
+    }
+    if (!data || data.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change a member's role: admins manage developers and viewers, the owner everyone
+router.patch('/:id/members/:userId', [
+  body('role')
+    .isIn(ASSIGNABLE_ROLES)
+    .withMessage(`Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (!validate(req, res)) return;
+
+    const membership = await loadMembership(req, res, 'admin');
+    if (!membership) return;
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const target = await getMembership(membership.organization.id, req.params.userId);
+    if (!target) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (!canManageRole(membership.role, target.role) || !canManageRole(membership.role, req.body.role)) {
+      return res.status(403).json({ message: 'You cannot change this member\'s role', code: 'INSUFFICIENT_ROLE' });
+    }
+
+    const { error } = await supabase
+      .from('organization_members')
+      .update({ role: req.body.role })
+      .eq('organization_id', membership.organization.id)
+      .eq('user_id', req.params.userId);
+
+    if (error) {
+      console.error('Change member role error:', error);
+      return res.status(500).json({ message: 'Failed to change role' });
+    }
+
+    res.json({ user_id: req.params.userId, role: req.body.role });
+  } catch (error) {
+    console.error('Change member role error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Remove a member, or leave the organization (own user id). The owner can't leave.
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const membership = await loadMembership(req, res, leaving ? 'viewer' : 'admin');
+    if (!membership) return;
+
+    if (leaving && membership.role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot leave the organization, delete it instead' });
+    }
+
+    if (!leaving) {
+      const target = await getMembership(membership.organization.id, req.params.userId);
+      if (!target) {
+        return res.status(404).json({ message: 'Member not found' });
+      }
+      if (!canManageRole(membership.role, target.role)) {
+        return res.status(403).json({ message: 'You cannot remove this member', code: 'INSUFFICIENT_ROLE' });
+      }
+    }
+
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('organization_id', membership.organization.id)
+      .eq('user_id', req.params.userId);
+
+    if (error) {
+      console.error('Remove member error:', error);
+      return res.status(500).json({ message: 'Failed to remove member' });
+    }
+
+    res.json({ message: leaving ? 'Left the organization' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
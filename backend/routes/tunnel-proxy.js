@@ -1,51 +1,196 @@
 const express = require('express');
 const supabase = require('../config/database');
+const { isForwarded, forwardHttp } = require('../utils/cluster-forward');
+const { findTunnelByHostname } = require('../utils/custom-domains');
+const { effectivePolicy } = require('../utils/access-policy');
+const { clientAddress } = require('../utils/ip-rules');
+const { mergeTrafficRules, matchRedirect, applyRequestRules, applyResponseRules } = require('../utils/traffic-rules');
 
 const router = express.Router();
 
+// Legacy clients get the whole body in one message, keep the old 10mb cap
+const LEGACY_BODY_LIMIT = 10 * 1024 * 1024;
+
+// Buffer the raw request body for clients that don't support streaming
+const readRawBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > LEGACY_BODY_LIMIT) {
+      reject(new Error('Request body too large for this client version'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
 router.use('*', async (req, res) => {
   const startTime = Date.now();
-  const subdomain = req.headers['x-tunnel-subdomain'];
-  const region = req.headers['x-tunnel-region'];
+  let subdomain = req.headers['x-tunnel-subdomain'];
+  let region = req.headers['x-tunnel-region'];
 
-  if (!subdomain || !region) {
-    return res.status(400).json({ message: 'Missing subdomain/region' });
-  }
+  // Express 4 doesn't catch rejections of async handlers, lookups answer here
+  let tunnel;
+  try {
+    // Custom domains arrive with their own Host header and no tunnel headers
+    if (!subdomain || !region) {
+      const customDomain = await findTunnelByHostname(req.headers.host);
+      if (customDomain) {
+        subdomain = customDomain.subdomain;
+        region = customDomain.location;
+      }
+    }
 
-  const { data, error } = await supabase
-    .from('tunnels')
-    .select('*, users!tunnels_user_id_fkey(email)')
-    .eq('subdomain', subdomain)
-    .eq('location', region)
-    .eq('status', 'active')
-    .limit(1);
+    if (!subdomain || !region) {
+      return res.status(400).json({ message: 'Missing subdomain/region' });
+    }
 
-  if (error || !data || data.length === 0) {
-    return res.status(404).json({ message: 'Tunnel not found or inactive' });
-  }
+    const { data, error } = await supabase
+      .from('tunnels')
+      .select('*, users!tunnels_user_id_fkey(email)')
+      .eq('subdomain', subdomain)
+      .eq('location', region)
+      .eq('status', 'active')
+      .limit(1);
 
-  const tunnel = data[0];
+    if (error || !data || data.length === 0) {
+      return res.status(404).json({ message: 'Tunnel not found or inactive' });
+    }
+
+    tunnel = data[0];
+  } catch (error) {
+    console.error('❌ Tunnel lookup failed:', error.message);
+    return res.status(502).json({ message: 'Failed to look up tunnel' });
+  }
   if (!tunnel.client_connected) {
     return res.status(503).json({ message: 'Client not connected' });
   }
 
-  const { activeTunnels, forwardRequest } = req.app.locals;
+  const {
+    activeTunnels,
+    forwardRequest,
+    streamRequest,
+    supportsStreaming,
+    locateRemoteTunnel,
+    tunnelRegistry,
+    usageMeter,
+    accessGate,
+    checkAddress,
+    inspector,
+    webhookVerifier
+  } = req.app.locals;
   const tunnelKey = `${subdomain}.${region}`;
   if (!activeTunnels || !activeTunnels.has(tunnelKey)) {
+    // The client may be connected to another instance
+    const owner = locateRemoteTunnel && !isForwarded(req) ? await locateRemoteTunnel(tunnelKey) : null;
+    if (owner) {
+      return forwardHttp(req, res, owner, tunnelRegistry.nodeId);
+    }
     return res.status(503).json({ message: 'WebSocket not connected' });
   }
 
-  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-  const requestPayload = {
-    type: 'request',
-    requestId,
-    method: req.method,
-    url: req.url,
-    headers: req.headers,
-    body: req.method === 'GET' || req.method === 'HEAD' ? undefined : req.body
-  };
+  // IP rules come with the tunnel row, so edits apply to the next request
+  const address = clientAddress(req);
+  const deniedBy = checkAddress(tunnel, address);
+  if (deniedBy) {
+    console.log(`🚫 Request from ${address} denied on ${tunnelKey} (${deniedBy})`);
+    return res.status(403).json({ message: 'Access from your network is not allowed' });
+  }
+
+  if (usageMeter.isOverQuota(tunnel.user_id)) {
+    return res.status(429).json({ message: 'Monthly bandwidth quota exceeded' });
+  }
+
+  // Mounted with '*', so req.url has lost the path; Caddy forwards under the proxy mount point
+  const targetUrl = req.originalUrl.replace(/^\/tunnel-proxy(?=\/|\?|$)/, '') || '/';
+
+  // Webhook endpoints need a valid provider signature, checked on the buffered body.
+  // Verified deliveries skip the access policy: providers can't log in.
+  const webhookEndpoint = webhookVerifier.match(tunnel.webhook_verification, targetUrl);
+  let webhookBody = null;
+  let webhook = null;
+  if (webhookEndpoint) {
+    try {
+      webhookBody = await readRawBody(req);
+    } catch (err) {
+      return res.status(413).json({ message: err.message });
+    }
+
+    webhook = webhookVerifier.verify(webhookEndpoint, { headers: req.headers, body: webhookBody });
+    if (!webhook.verified) {
+      console.log(`🪝 ${webhook.provider} webhook ${targetUrl} rejected on ${tunnelKey} (${webhook.reason})`);
+      const capture = inspector.begin(tunnel.id, { method: req.method, url: targetUrl, headers: req.headers, webhook });
+      inspector.recordRequestBody(capture, webhookBody);
+      inspector.complete(capture, { status: 401 });
+      return res.status(401).json({ message: 'Invalid webhook signature', reason: webhook.reason });
+    }
+  } else {
+    // Access policy, the client's session policy (--basic-auth) only without a stored one
+    const policy = effectivePolicy(tunnel.access_policy, activeTunnels.get(tunnelKey).accessPolicy);
+    try {
+      if (await accessGate.handleGateRequest(req, res, tunnel, policy, targetUrl)) {
+        return;
+      }
+      if (!(await accessGate.authorize(req, tunnel, policy))) {
+        return accessGate.deny(req, res, tunnel, policy, targetUrl);
+      }
+    } catch (error) {
+      console.error(`❌ Access check failed on ${tunnelKey}:`, error.message);
+      if (!res.headersSent) res.status(500).json({ message: 'Internal server error' });
+      return;
+    }
+  }
+
+  // Traffic rules: the client's session rules run after the stored ones
+  const rules = mergeTrafficRules(tunnel.traffic_rules, activeTunnels.get(tunnelKey).trafficRules);
+  const redirect = matchRedirect(rules, targetUrl);
+  if (redirect) {
+    return res.redirect(redirect.status, redirect.location);
+  }
+  const rewritten = applyRequestRules(rules, { url: targetUrl, headers: req.headers });
+
+  // Streaming clients get the body chunk by chunk, no buffering on our side.
+  // A verified webhook body is already buffered, it goes in one message.
+  if (supportsStreaming(tunnelKey) && !webhook) {
+    try {
+      streamRequest(tunnelKey, req, res, {
+        url: rewritten.url,
+        headers: rewritten.headers,
+        localPort: rewritten.localPort,
+        keepHeaders: rewritten.keepHeaders,
+        responseHeaders: (headers) => applyResponseRules(rules, headers)
+      });
+    } catch (err) {
+      console.error('❌ Tunnel stream error:', err.message);
+      return res.status(503).json({ message: err.message });
+    }
+    return;
+  }
 
   try {
+    let rawBody = webhookBody;
+    if (!webhook) {
+      rawBody = req.method === 'GET' || req.method === 'HEAD' ? null : await readRawBody(req);
+    }
+
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const requestPayload = {
+      type: 'request',
+      requestId,
+      method: req.method,
+      url: rewritten.url,
+      headers: rewritten.headers,
+      body: rawBody && rawBody.length > 0 ? rawBody : undefined,
+      localPort: rewritten.localPort,
+      keepHeaders: rewritten.keepHeaders,
+      webhook
+    };
+
     const timeout = new Promise((_, reject) =>
       setTimeout(() => reject(new Error('Request timeout - local application did not respond within 30 seconds')), 30000)
     );
@@ -57,11 +202,11 @@ router.use('*', async (req, res) => {
     const statusCode = parseInt(response.statusCode) || 200;
     res.status(statusCode);
 
-    const headers = response.headers || {};
+    const headers = applyResponseRules(rules, response.headers || {});
     const skipHeaders = ['content-length', 'connection', 'transfer-encoding'];
     for (const [k, v] of Object.entries(headers)) {
       if (!skipHeaders.includes(k.toLowerCase()) && v) {
-        res.setHeader(k, String(v));
+        res.setHeader(k, Array.isArray(v) ? v.map(String) : String(v));
       }
     }
 
@@ -1,11 +1,55 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const crypto = require('crypto');
 const supabase = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireWorkspaceRole } = require('../middleware/auth');
+const { getTunnelProtocol } = require('../utils/tunnel-protocol');
+const { TUNNEL_PORT_MIN, TUNNEL_PORT_MAX, randomTunnelPort } = require('../utils/tunnel-ports');
+const { isForwarded, forwardHttp } = require('../utils/cluster-forward');
+const { checkTunnelCreation, checkTunnelConnection, checkCustomDomain } = require('../utils/entitlements');
+const {
+  TUNNEL_DOMAIN,
+  normalizeHostname,
+  isTunnelHostname,
+  generateVerificationToken,
+  challengeRecord
+} = require('../utils/custom-domains');
+const { POLICY_TYPES, buildPolicy, describePolicy } = require('../utils/access-policy');
+const { buildIpRules, describeIpRules } = require('../utils/ip-rules');
+const { buildTrafficRules, describeTrafficRules } = require('../utils/traffic-rules');
+const { describeWebhookVerification } = require('../utils/webhook-verification');
+const { currentPeriod } = require('../utils/usage-meter');
+const { inWorkspace } = require('../utils/organizations');
+const { recordAuditEvent } = require('../utils/audit');
+const {
+  DEFAULT_ROTATION_GRACE,
+  MAX_ROTATION_GRACE,
+  generateConnectionToken,
+  findTunnelByToken,
+  listTunnelTokens,
+  createTunnelToken,
+  deleteTunnelToken,
+  rotateConnectionToken
+} = require('../utils/tunnel-tokens');
 
 const router = express.Router();
 
+// Tunnels of the request's workspace (personal or organization, see requireWorkspaceRole)
+const workspaceTunnels = (req, columns = '*') => inWorkspace(
+  supabase.from('tunnels').select(columns),
+  req.workspace
+);
+
+// Audit event about a tunnel; the hostname keeps it readable after the tunnel is gone
+const auditTunnel = (req, action, tunnel, metadata = {}) => recordAuditEvent(req, {
+  action,
+  target: { type: 'tunnel', id: tunnel.id },
+  metadata: { tunnel: `${tunnel.subdomain}.${tunnel.location}`, ...metadata }
+});
+
+// Tunnel row as listed to workspace members. The connection token lets whoever holds it
+// serve the tunnel, so it is only handed out by GET /:id/connection-token (developers).
+const withoutConnectionToken = ({ connection_token, ...tunnel }) => tunnel;
+
 // Predefined port configurations for common services
 const PORT_PRESETS = {
   ssh: { port: 22, name: 'SSH Server', protocol: 'tcp', description: 'Secure Shell remote access' },
@@ -26,16 +70,10 @@ const PORT_PRESETS = {
   custom: { port: null, name: 'Custom Port', protocol: 'tcp', description: 'Custom TCP/UDP port' }
 };
 
-// Function to generate a random port in safe range
-const generateRandomPort = () => {
-  // Use port range 10000-60000 to avoid conflicts with system ports
-  return Math.floor(Math.random() * 50000) + 10000;
-};
-
 // Function to find an available port
 const findAvailablePort = async (location, maxAttempts = 20) => {
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const port = generateRandomPort();
+    const port = randomTunnelPort();
     
     // Check if port is already in use in this location
     const { data: existingPort } = await supabase
@@ -54,15 +92,12 @@ const findAvailablePort = async (location, maxAttempts = 20) => {
 };
 
 // Get user tunnels with enhanced information
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
   try {
-    const { data: tunnels, error } = await supabase
-      .from('tunnels')
-      .select(`
+    const { data: tunnels, error } = await workspaceTunnels(req, `
         *,
         server_locations!tunnels_location_fkey(name, ip_address)
       `)
-      .eq('user_id', req.user.id)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -87,8 +122,8 @@ router.get('/', authenticateToken, async (req, res) => {
         }
       }
       
-      // Determine protocol - HTTP for ports 80/443, TCP for others
-      const protocol = tunnel.target_port === 80 || tunnel.target_port === 443 ? 'http' : 'tcp';
+      // Determine protocol - HTTP for ports 80/443, stored UDP, TCP for others
+      const protocol = getTunnelProtocol(tunnel);
       
       // Build tunnel URL
       let tunnelUrl;
@@ -99,7 +134,11 @@ router.get('/', authenticateToken, async (req, res) => {
       }
 
       return {
-        ...tunnel,
+        ...withoutConnectionToken(tunnel),
+        access_policy: describePolicy(tunnel.access_policy),
+        ip_rules: describeIpRules(tunnel.ip_rules),
+        traffic_rules: describeTrafficRules(tunnel.traffic_rules),
+        webhook_verification: describeWebhookVerification(tunnel.webhook_verification),
         service_type: serviceType,
         protocol: protocol,
         local_port: tunnel.target_port, // For compatibility with frontend
@@ -132,8 +171,13 @@ router.get('/presets', (req, res) => {
   res.json(PORT_PRESETS);
 });
 
+// Webhook providers whose signatures the proxy can verify
+router.get('/webhook-providers', (req, res) => {
+  res.json({ providers: req.app.locals.webhookVerifier.list() });
+});
+
 // Create tunnel with proper port assignment using existing schema
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requireWorkspaceRole('developer'), [
   body('subdomain')
     .trim()
     .isLength({ min: 3, max: 50 })
@@ -153,15 +197,20 @@ router.post('/', authenticateToken, [
     .withMessage('Local port must be between 1-65535'),
   body('remote_port')
     .optional()
-    .isInt({ min: 1, max: 65535 })
-    .withMessage('Remote port must be between 1-65535'),
+    .isInt({ min: TUNNEL_PORT_MIN, max: TUNNEL_PORT_MAX })
+    .withMessage(`Remote port must be between ${TUNNEL_PORT_MIN}-${TUNNEL_PORT_MAX}`),
   body('protocol')
     .optional()
     .isIn(['tcp', 'udp', 'http'])
-    .withMessage('Protocol must be tcp, udp, or http')
+    .withMessage('Protocol must be tcp, udp, or http'),
+  body('access_policy.type')
+    .optional()
+    .isIn(POLICY_TYPES)
+    .withMessage(`Access policy type must be one of: ${POLICY_TYPES.join(', ')}`)
 ], async (req, res) => {
   try {
-    console.log('🔍 Create tunnel request:', req.body);
+    // Only the shape of the request: access_policy may carry a plaintext password or token
+    console.log(`🔍 Create tunnel request: ${req.body.subdomain}.${req.body.location} (${req.body.service_type}, access ${req.body.access_policy?.type || 'none'})`);
     
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -178,7 +227,10 @@ router.post('/', authenticateToken, [
       service_type = 'custom', 
       local_port = 3000, 
       remote_port, 
-      protocol 
+      protocol,
+      access_policy,
+      ip_rules,
+      traffic_rules
     } = req.body;
     
     const preset = PORT_PRESETS[service_type] || PORT_PRESETS.custom;
@@ -217,6 +269,36 @@ router.post('/', authenticateToken, [
     const finalProtocol = protocol || preset.protocol || 'tcp';
     console.log(`🔍 Final protocol: ${finalProtocol}`);
 
+    // Access policies protect tunnel URLs, so only HTTP tunnels can have one
+    const accessPolicy = await buildPolicy(access_policy);
+    if (accessPolicy.error) {
+      return res.status(400).json({ message: accessPolicy.error });
+    }
+    if (accessPolicy.policy && finalProtocol !== 'http') {
+      return res.status(400).json({ message: 'Access policies are only available for HTTP tunnels' });
+    }
+
+    const ipRules = buildIpRules(ip_rules);
+    if (ipRules.error) {
+      return res.status(400).json({ message: ipRules.error });
+    }
+
+    const trafficRules = buildTrafficRules(traffic_rules);
+    if (trafficRules.error) {
+      return res.status(400).json({ message: trafficRules.error });
+    }
+    if (trafficRules.rules && finalProtocol !== 'http') {
+      return res.status(400).json({ message: 'Traffic rules are only available for HTTP tunnels' });
+    }
+
+    // Tunnel count and protocol are limited by the user's plan (the owner's for
+    // organization tunnels)
+    const denial = await checkTunnelCreation(req.workspace.ownerId, finalProtocol);
+    if (denial) {
+      console.log(`❌ Plan limit for user ${req.workspace.ownerId}: ${denial.code}`);
+      return res.status(denial.status).json({ message: denial.message, code: denial.code });
+    }
+
     // CRITICAL FIX: Proper port assignment using existing schema
     let targetPort;
     let targetIp = locationData.ip_address; // Use server IP as target
@@ -257,23 +339,27 @@ router.post('/', authenticateToken, [
     }
 
     // Generate unique connection token
-    const connectionToken = crypto.randomBytes(32).toString('hex');
+    const connectionToken = generateConnectionToken();
     console.log(`🔑 Generated connection token: ${connectionToken.substring(0, 8)}...`);
 
     // CRITICAL: Use existing database schema
     const tunnelData = {
-      user_id: req.user.id,
+      user_id: req.workspace.ownerId,
+      organization_id: req.workspace.organizationId,
+      created_by: req.user.id,
       subdomain,
       location,
       target_ip: targetIp,
       target_port: targetPort,
       connection_token: connectionToken,
+      protocol: finalProtocol,
       status: 'inactive',
       client_connected: false,
+      access_policy: accessPolicy.policy,
+      ip_rules: ipRules.rules,
+      traffic_rules: trafficRules.rules,
     };
 
-    console.log(`🔍 Tunnel data for database:`, tunnelData);
-
     // Create tunnel
     const { data: tunnel, error: createError } = await supabase
       .from('tunnels')
@@ -286,7 +372,8 @@ router.post('/', authenticateToken, [
       return res.status(500).json({ message: 'Failed to create tunnel' });
     }
 
-    console.log(`✅ Tunnel created in database:`, tunnel);
+    console.log(`✅ Tunnel created in database: ${tunnel.id}`);
+    auditTunnel(req, 'tunnel.create', tunnel, { protocol: finalProtocol, service_type, target_port: targetPort });
 
     // CRITICAL FIX: Prepare response with proper URLs and commands
     let tunnelUrl, clientCommand;
@@ -307,6 +394,9 @@ router.post('/', authenticateToken, [
     
     const responseData = {
       ...tunnel,
+      access_policy: describePolicy(tunnel.access_policy),
+      ip_rules: describeIpRules(tunnel.ip_rules),
+      traffic_rules: describeTrafficRules(tunnel.traffic_rules),
       service_type: service_type,
       protocol: finalProtocol,
       local_port: local_port,
@@ -329,7 +419,6 @@ router.post('/', authenticateToken, [
       }
     };
 
-    console.log(`🔍 Response data:`, responseData);
     res.status(201).json(responseData);
 
   } catch (error) {
@@ -426,16 +515,13 @@ function generateConnectionExamples(serviceType, subdomain, location, port, prot
 }
 
 // Delete tunnel
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Check if tunnel belongs to user
-    const { data: tunnel, error: findError } = await supabase
-      .from('tunnels')
-      .select('*')
+    // Check if tunnel belongs to the workspace
+    const { data: tunnel, error: findError } = await workspaceTunnels(req)
       .eq('id', id)
-      .eq('user_id', req.user.id)
       .single();
 
     if (findError || !tunnel) {
@@ -454,6 +540,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     console.log(`🗑️ Tunnel deleted: ${tunnel.subdomain}.${tunnel.location}.tunlify.biz.id:${tunnel.target_port}`);
+    auditTunnel(req, 'tunnel.delete', tunnel);
 
     res.json({ message: 'Tunnel deleted successfully' });
 
@@ -464,7 +551,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update tunnel status (for client connections)
-router.patch('/:id/status', authenticateToken, [
+router.patch('/:id/status', authenticateToken, requireWorkspaceRole('developer'), [
   body('status').isIn(['active', 'inactive']),
   body('client_connected').optional().isBoolean()
 ], async (req, res) => {
@@ -480,12 +567,9 @@ router.patch('/:id/status', authenticateToken, [
     const { id } = req.params;
     const { status, client_connected } = req.body;
 
-    // Check if tunnel belongs to user
-    const { data: tunnel, error: findError } = await supabase
-      .from('tunnels')
-      .select('*')
+    // Check if tunnel belongs to the workspace
+    const { data: tunnel, error: findError } = await workspaceTunnels(req)
       .eq('id', id)
-      .eq('user_id', req.user.id)
       .single();
 
     if (findError || !tunnel) {
@@ -514,8 +598,13 @@ router.patch('/:id/status', authenticateToken, [
     }
 
     console.log(`🔄 Tunnel status updated: ${tunnel.subdomain}.${tunnel.location}:${tunnel.target_port} -> ${status} (connected: ${client_connected})`);
+    auditTunnel(req, 'tunnel.status_update', tunnel, { status });
 
-    res.json(updatedTunnel);
+    res.json({
+      ...withoutConnectionToken(updatedTunnel),
+      access_policy: describePolicy(updatedTunnel.access_policy),
+      webhook_verification: describeWebhookVerification(updatedTunnel.webhook_verification)
+    });
 
   } catch (error) {
     console.error('Update tunnel status error:', error);
@@ -523,6 +612,726 @@ router.patch('/:id/status', authenticateToken, [
   }
 });
 
+// Set who may open an HTTP tunnel's URL: { type: 'none' | 'basic' | 'bearer' | 'email', ... }
+router.patch('/:id/access', authenticateToken, requireWorkspaceRole('developer'), [
+  body('type')
+    .isIn(POLICY_TYPES)
+    .withMessage(`Access policy type must be one of: ${POLICY_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { data: tunnel, error: findError } = await workspaceTunnels(req)
+      .eq('id', req.params.id)
+      .single();
+
+    if (findError || !tunnel) {
+      return res.status(404).json({ message: 'Tunnel not found' });
+    }
+
+    if (getTunnelProtocol(tunnel) !== 'http') {
+      return res.status(400).json({ message: 'Access policies are only available for HTTP tunnels' });
+    }
+
+    // Blank password/token keeps the stored one
+    const { policy, error: policyError } = await buildPolicy(req.body, tunnel.access_policy);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    const { error: updateError } = await supabase
+      .from('tunnels')
+      .update({ access_policy: policy })
+      .eq('id', tunnel.id);
+
+    if (updateError) {
+      console.error('Update access policy error:', updateError);
+      return res.status(500).json({ message: 'Failed to update access policy' });
+    }
+
+    console.log(`🔒 Access policy of ${tunnel.subdomain}.${tunnel.location} set to ${describePolicy(policy).type}`);
+    auditTunnel(req, 'tunnel.access_update', tunnel, { type: describePolicy(policy).type });
+    res.json({ access_policy: describePolicy(policy) });
+  } catch (error) {
+    console.error('Update access policy error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// IP rules of a tunnel, with the attempts they turned away this month
+router.get('/:id/ip-rules', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const { data: tunnel, error } = await workspaceTunnels(req, 'id, ip_rules')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !tunnel) {
+      return res.status(404).json({ message: 'Tunnel not found' });
+    }
+
+    const { data: usage } = await supabase
+      .from('tunnel_usage')
+      .select('denied')
+      .eq('tunnel_id', tunnel.id)
+      .eq('period', currentPeriod())
+      .maybeSingle();
+
+    res.json({
+      ip_rules: describeIpRules(tunnel.ip_rules),
+      geoip_enabled: req.app.locals.ipFilter.geoipEnabled,
+      denied_this_month: usage ? Number(usage.denied) : 0
+    });
+  } catch (error) {
+    console.error('Get IP rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Replace the IP rules of a tunnel: { allow, deny, allow_countries, deny_countries }.
+// Empty lists everywhere open the tunnel to everyone again.
+router.patch('/:id/ip-rules', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const { data: tunnel, error: findError } = await workspaceTunnels(req, 'id, subdomain, location')
+      .eq('id', req.params.id)
+      .single();
+
+    if (findError || !tunnel) {
+      return res.status(404).json({ message: 'Tunnel not found' });
+    }
+
+    const { rules, error: rulesError } = buildIpRules(req.body);
+    if (rulesError) {
+      return res.status(400).json({ message: rulesError });
+    }
+
+    const { error: updateError } = await supabase
+      .from('tunnels')
+      .update({ ip_rules: rules })
+      .eq('id', tunnel.id);
+
+    if (updateError) {
+      console.error('Update IP rules error:', updateError);
+      return res.status(500).json({ message: 'Failed to update IP rules' });
+    }
+
+    // A client connected here gets the new rules right away, other instances
+    // reload them within IP_RULES_REFRESH_INTERVAL
+    const connection = req.app.locals.activeTunnels.get(`${tunnel.subdomain}.${tunnel.location}`);
+    if (connection && connection.tunnel.id === tunnel.id) {
+      connection.tunnel.ip_rules = rules;
+    }
+
+    console.log(`🚫 IP rules of ${tunnel.subdomain}.${tunnel.location} ${rules ? 'updated' : 'cleared'}`);
+    auditTunnel(req, 'tunnel.ip_rules_update', tunnel, { cleared: !rules });
+    res.json({ ip_rules: describeIpRules(rules) });
+  } catch (error) {
+    console.error('Update IP rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Replace the traffic rules of an http tunnel (header rewrites, path routes,
+// redirects). The proxy reads them with every request, so they apply right away.
+router.patch('/:id/traffic-rules', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const { data: tunnel, error: findError } = await workspaceTunnels(req)
+      .eq('id', req.params.id)
+      .single();
+
+    if (findError || !tunnel) {
+      return res.status(404).json({ message: 'Tunnel not found' });
+    }
+
+    if (getTunnelProtocol(tunnel) !== 'http') {
+      return res.status(400).json({ message: 'Traffic rules are only available for HTTP tunnels' });
+    }
+
+    const { rules, error: rulesError } = buildTrafficRules(req.body);
+    if (rulesError) {
+      return res.status(400).json({ message: rulesError });
+    }
+
+    const { error: updateError } = await supabase
+      .from('tunnels')
+      .update({ traffic_rules: rules })
+      .eq('id', tunnel.id);
+
+    if (updateError) {
+      console.error('Update traffic rules error:', updateError);
+      return res.status(500).json({ message: 'Failed to update traffic rules' });
+    }
+
+    console.log(`🔀 Traffic rules of ${tunnel.subdomain}.${tunnel.location} ${rules ? 'updated' : 'cleared'}`);
+    auditTunnel(req, 'tunnel.traffic_rules_update', tunnel, { cleared: !rules });
+    res.json({ traffic_rules: describeTrafficRules(rules) });
+  } catch (error) {
+    console.error('Update traffic rules error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Replace the webhook endpoints of an http tunnel: { endpoints: [{ path, provider,
+// secret, tolerance }] }. Secrets are needed to compute the HMAC, so they are stored
+// as given and never returned; a blank secret keeps the stored one.
+router.patch('/:id/webhook-verification', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const { data: tunnel, error: findError } = await workspaceTunnels(req)
+      .eq('id', req.params.id)
+      .single();
+
+    if (findError || !tunnel) {
+      return res.status(404).json({ message: 'Tunnel not found' });
+    }
+
+    if (getTunnelProtocol(tunnel) !== 'http') {
+      return res.status(400).json({ message: 'Webhook verification is only available for HTTP tunnels' });
+    }
+
+    const { config, error: configError } = req.app.locals.webhookVerifier.buildConfig(req.body, tunnel.webhook_verification);
+    if (configError) {
+      return res.status(400).json({ message: configError });
+    }
+
+    const { error: updateError } = await supabase
+      .from('tunnels')
+      .update({ webhook_verification: config })
+      .eq('id', tunnel.id);
+
+    if (updateError) {
+      console.error('Update webhook verification error:', updateError);
+      return res.status(500).json({ message: 'Failed to update webhook verification' });
+    }
+
+    console.log(`🪝 Webhook verification of ${tunnel.subdomain}.${tunnel.location} ${config ? `set for ${config.endpoints.length} endpoint(s)` : 'cleared'}`);
+    auditTunnel(req, 'tunnel.webhook_verification_update', tunnel, { endpoints: config ? config.endpoints.length : 0 });
+    res.json({ webhook_verification: describeWebhookVerification(config) });
+  } catch (error) {
+    console.error('Update webhook verification error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Load an http tunnel of the request's workspace for the request inspector.
+// Captures live on the instance holding the tunnel client, so when another
+// instance has it the request is forwarded there and null is returned.
+const loadInspectedTunnel = async (req, res) => {
+  const { data: tunnel, error } = await workspaceTunnels(req)
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !tunnel) {
+    res.status(404).json({ message: 'Tunnel not found' });
+    return null;
+  }
+
+  if (getTunnelProtocol(tunnel) !== 'http') {
+    res.status(400).json({ message: 'Request inspector is only available for HTTP tunnels' });
+    return null;
+  }
+
+  const tunnelKey = `${tunnel.subdomain}.${tunnel.location}`;
+  const { locateRemoteTunnel, tunnelRegistry } = req.app.locals;
+  const owner = locateRemoteTunnel && !isForwarded(req) ? await locateRemoteTunnel(tunnelKey) : null;
+  if (owner) {
+    forwardHttp(req, res, owner, tunnelRegistry.nodeId);
+    return null;
+  }
+
+  return { tunnel, tunnelKey };
+};
+
+// Captured requests of a tunnel, newest first
+router.get('/:id/requests', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const inspected = await loadInspectedTunnel(req, res);
+    if (!inspected) return;
+
+    res.json({ requests: req.app.locals.inspector.list(inspected.tunnel.id) });
+  } catch (error) {
+    console.error('Get captured requests error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Send a captured request through the tunnel again
+router.post('/:id/requests/:requestId/replay', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const inspected = await loadInspectedTunnel(req, res);
+    if (!inspected) return;
+
+    const { inspector, activeTunnels, replayRequest, usageMeter } = req.app.locals;
+    const capture = inspector.get(inspected.tunnel.id, req.params.requestId);
+    if (!capture) {
+      return res.status(404).json({ message: 'Captured request not found' });
+    }
+
+    if (capture.requestBodyTruncated) {
+      return res.status(422).json({ message: 'Request body was too large to capture and cannot be replayed' });
+    }
+
+    if (!activeTunnels.has(inspected.tunnelKey)) {
+      return res.status(503).json({ message: 'Client not connected' });
+    }
+
+    if (usageMeter.isOverQuota(inspected.tunnel.user_id)) {
+      return res.status(429).json({ message: 'Monthly bandwidth quota exceeded' });
+    }
+
+    console.log(`🔁 Replaying ${capture.method} ${capture.path} on ${inspected.tunnelKey}`);
+    auditTunnel(req, 'tunnel.request_replay', inspected.tunnel, { method: capture.method, path: capture.path });
+
+    const replayed = await replayRequest(inspected.tunnelKey, capture);
+    res.json({ request: replayed });
+  } catch (error) {
+    console.error('Replay request error:', error.message);
+    res.status(502).json({ message: error.message });
+  }
+});
+
+// Load an http tunnel of the request's workspace for custom domain management
+const loadDomainTunnel = async (req, res) => {
+  const { data: tunnel, error } = await workspaceTunnels(req)
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !tunnel) {
+    res.status(404).json({ message: 'Tunnel not found' });
+    return null;
+  }
+
+  if (getTunnelProtocol(tunnel) !== 'http') {
+    res.status(400).json({ message: 'Custom domains are only available for HTTP tunnels' });
+    return null;
+  }
+
+  return tunnel;
+};
+
+// Custom domain as returned by the API, with the DNS records the user has to set up
+const serializeDomain = (domain, tunnel) => ({
+  id: domain.id,
+  tunnel_id: domain.tunnel_id,
+  hostname: domain.hostname,
+  verified: domain.verified,
+  verified_at: domain.verified_at,
+  last_checked_at: domain.last_checked_at,
+  created_at: domain.created_at,
+  certificate: {
+    status: domain.certificate_status || 'none',
+    expires_at: domain.certificate_expires_at || null,
+    issued_at: domain.certificate_issued_at || null,
+    error: domain.certificate_error || null
+  },
+  verification: challengeRecord(domain.hostname, domain.verification_token),
+  cname_target: `${tunnel.subdomain}.${tunnel.location}.${TUNNEL_DOMAIN}`
+});
+
+// Is the hostname already verified by someone else's tunnel?
+const isHostnameTaken = async (hostname, domainId = null) => {
+  let query = supabase
+    .from('custom_domains')
+    .select('id')
+    .eq('hostname', hostname)
+    .eq('verified', true);
+  if (domainId) query = query.neq('id', domainId);
+
+  const { data } = await query.limit(1);
+  return Boolean(data && data.length > 0);
+};
+
+// Custom domains of a tunnel
+router.get('/:id/domains', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const tunnel = await loadDomainTunnel(req, res);
+    if (!tunnel) return;
+
+    const { data: domains, error } = await supabase
+      .from('custom_domains')
+      .select('*')
+      .eq('tunnel_id', tunnel.id)
+      .order('created_at');
+
+    if (error) {
+      console.error('Get custom domains error:', error);
+      return res.status(500).json({ message: 'Failed to fetch custom domains' });
+    }
+
+    res.json({ domains: domains.map((domain) => serializeDomain(domain, tunnel)) });
+  } catch (error) {
+    console.error('Get custom domains error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Attach a hostname to a tunnel, it is routed once the TXT record is verified
+router.post('/:id/domains', authenticateToken, requireWorkspaceRole('developer'), [
+  body('hostname').isString().withMessage('Hostname is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const hostname = normalizeHostname(req.body.hostname);
+    if (!hostname) {
+      return res.status(400).json({ message: 'Invalid hostname' });
+    }
+    if (isTunnelHostname(hostname)) {
+      return res.status(400).json({ message: `Hostnames under ${TUNNEL_DOMAIN} cannot be used as custom domains` });
+    }
+
+    const tunnel = await loadDomainTunnel(req, res);
+    if (!tunnel) return;
+
+    const denial = await checkCustomDomain(tunnel.user_id);
+    if (denial) {
+      return res.status(denial.status).json({ message: denial.message, code: denial.code });
+    }
+
+    if (await isHostnameTaken(hostname)) {
+      return res.status(409).json({ message: `${hostname} is already in use` });
+    }
+
+    const { data: domain, error } = await supabase
+      .from('custom_domains')
+      .insert([{
+        tunnel_id: tunnel.id,
+        user_id: tunnel.user_id,
+        hostname,
+        verification_token: generateVerificationToken()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ message: `${hostname} is already attached to this tunnel` });
+      }
+      console.error('Add custom domain error:', error);
+      return res.status(500).json({ message: 'Failed to add custom domain' });
+    }
+
+    console.log(`🌍 Custom domain ${hostname} added to ${tunnel.subdomain}.${tunnel.location}`);
+    auditTunnel(req, 'tunnel.domain_add', tunnel, { hostname, domain_id: domain.id });
+    res.status(201).json({ domain: serializeDomain(domain, tunnel) });
+  } catch (error) {
+    console.error('Add custom domain error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Check the domain's TXT record and mark it verified when it matches
+router.post('/:id/domains/:domainId/verify', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const tunnel = await loadDomainTunnel(req, res);
+    if (!tunnel) return;
+
+    const { data: domain, error } = await supabase
+      .from('custom_domains')
+      .select('*')
+      .eq('id', req.params.domainId)
+      .eq('tunnel_id', tunnel.id)
+      .single();
+
+    if (error || !domain) {
+      return res.status(404).json({ message: 'Custom domain not found' });
+    }
+
+    if (domain.verified) {
+      return res.json({ domain: serializeDomain(domain, tunnel) });
+    }
+
+    if (await isHostnameTaken(domain.hostname, domain.id)) {
+      return res.status(409).json({ message: `${domain.hostname} is already in use` });
+    }
+
+    const { domainVerifier } = req.app.locals;
+    const result = await domainVerifier.verify(domain.hostname, domain.verification_token);
+    const now = new Date().toISOString();
+
+    const { data: updated, error: updateError } = await supabase
+      .from('custom_domains')
+      .update(result.verified
+        ? { verified: true, verified_at: now, last_checked_at: now }
+        : { last_checked_at: now })
+      .eq('id', domain.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      if (updateError.code === '23505') {
+        return res.status(409).json({ message: `${domain.hostname} is already in use` });
+      }
+      console.error('Verify custom domain error:', updateError);
+      return res.status(500).json({ message: 'Failed to update custom domain' });
+    }
+
+    if (!result.verified) {
+      const record = challengeRecord(domain.hostname, domain.verification_token);
+      return res.status(422).json({
+        message: `TXT record ${record.name} with value ${record.value} not found`,
+        found: result.found,
+        domain: serializeDomain(updated, tunnel)
+      });
+    }
+
+    console.log(`✅ Custom domain ${domain.hostname} verified for ${tunnel.subdomain}.${tunnel.location}`);
+    auditTunnel(req, 'tunnel.domain_verify', tunnel, { hostname: domain.hostname, domain_id: domain.id });
+
+    // Certificate issuance runs in the background, the status is polled from the list
+    const { certificateManager } = req.app.locals;
+    const withCertificate = await certificateManager.request(updated).catch((certError) => {
+      console.error('❌ Certificate request failed:', certError.message);
+      return updated;
+    });
+    res.json({ domain: serializeDomain(withCertificate, tunnel) });
+  } catch (error) {
+    console.error('Verify custom domain error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Request (or retry) the TLS certificate of a verified custom domain
+router.post('/:id/domains/:domainId/certificate', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const tunnel = await loadDomainTunnel(req, res);
+    if (!tunnel) return;
+
+    const { data: domain, error } = await supabase
+      .from('custom_domains')
+      .select('*')
+      .eq('id', req.params.domainId)
+      .eq('tunnel_id', tunnel.id)
+      .single();
+
+    if (error || !domain) {
+      return res.status(404).json({ message: 'Custom domain not found' });
+    }
+
+    if (!domain.verified) {
+      return res.status(409).json({ message: 'Verify the domain before requesting a certificate' });
+    }
+
+    const { certificateManager } = req.app.locals;
+    if (!certificateManager.enabled) {
+      return res.status(503).json({ message: 'Certificate issuance is not enabled on this server' });
+    }
+
+    const updated = await certificateManager.request(domain);
+    auditTunnel(req, 'tunnel.domain_certificate_request', tunnel, { hostname: domain.hostname, domain_id: domain.id });
+    res.status(202).json({ domain: serializeDomain(updated, tunnel) });
+  } catch (error) {
+    console.error('Request certificate error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Detach a custom domain, the proxy stops routing it right away
+router.delete('/:id/domains/:domainId', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const tunnel = await loadDomainTunnel(req, res);
+    if (!tunnel) return;
+
+    const { data: deleted, error } = await supabase
+      .from('custom_domains')
+      .delete()
+      .eq('id', req.params.domainId)
+      .eq('tunnel_id', tunnel.id)
+      .select('hostname');
+
+    if (error) {
+      console.error('Delete custom domain error:', error);
+      return res.status(500).json({ message: 'Failed to delete custom domain' });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ message: 'Custom domain not found' });
+    }
+
+    console.log(`🗑️ Custom domain ${deleted[0].hostname} removed from ${tunnel.subdomain}.${tunnel.location}`);
+    auditTunnel(req, 'tunnel.domain_remove', tunnel, { hostname: deleted[0].hostname, domain_id: req.params.domainId });
+    res.json({ message: 'Custom domain deleted successfully' });
+  } catch (error) {
+    console.error('Delete custom domain error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Load a tunnel of the request's workspace for connection token management
+const loadTokenTunnel = async (req, res) => {
+  const { data: tunnel, error } = await workspaceTunnels(req)
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !tunnel) {
+    res.status(404).json({ message: 'Tunnel not found' });
+    return null;
+  }
+
+  return tunnel;
+};
+
+// Connected clients using a revoked or rotated-out token are dropped right away,
+// on this and (through the tunnel registry) every other instance
+const enforceTunnelTokens = (req, tunnel) => {
+  req.app.locals.enforceTunnelTokens(tunnel.id).catch((error) => {
+    console.error(`❌ Failed to check connection tokens of ${tunnel.subdomain}.${tunnel.location}:`, error.message);
+  });
+};
+
+// Primary connection token of a tunnel, for the dashboard's client setup instructions
+router.get('/:id/connection-token', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const tunnel = await loadTokenTunnel(req, res);
+    if (!tunnel) return;
+
+    res.json({ connection_token: tunnel.connection_token });
+  } catch (error) {
+    console.error('Get connection token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Named connection tokens of a tunnel, never with the token itself. The primary
+// token is the tunnel's connection_token.
+router.get('/:id/tokens', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const tunnel = await loadTokenTunnel(req, res);
+    if (!tunnel) return;
+
+    res.json(await listTunnelTokens(tunnel.id));
+  } catch (error) {
+    console.error('List connection tokens error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mint another connection token, e.g. one per machine. The response carries the
+// plain token, it can't be shown again.
+router.post('/:id/tokens', authenticateToken, requireWorkspaceRole('developer'), [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters'),
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, expires_at: expiresAt } = req.body;
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ message: 'expires_at must be in the future' });
+    }
+
+    const tunnel = await loadTokenTunnel(req, res);
+    if (!tunnel) return;
+
+    const { tunnelToken, token } = await createTunnelToken(tunnel.id, {
+      name,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      createdBy: req.user.id
+    });
+
+    console.log(`🔑 Connection token ${tunnelToken.prefix}... created for ${tunnel.subdomain}.${tunnel.location}`);
+    auditTunnel(req, 'tunnel.token_create', tunnel, {
+      token_id: tunnelToken.id,
+      name: tunnelToken.name,
+      prefix: tunnelToken.prefix,
+      expires_at: tunnelToken.expires_at
+    });
+
+    res.status(201).json({ ...tunnelToken, token });
+  } catch (error) {
+    if (error.code === 'tunnel_token_limit') {
+      return res.status(400).json({ message: error.message, code: 'TUNNEL_TOKEN_LIMIT' });
+    }
+    console.error('Create connection token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Replace the primary connection token. The old one keeps working for grace_period
+// seconds (default one day, 0 drops its clients right away) so clients can be moved over.
+router.post('/:id/tokens/rotate', authenticateToken, requireWorkspaceRole('developer'), [
+  body('grace_period')
+    .optional()
+    .isInt({ min: 0, max: MAX_ROTATION_GRACE })
+    .withMessage(`grace_period must be 0-${MAX_ROTATION_GRACE} seconds`)
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tunnel = await loadTokenTunnel(req, res);
+    if (!tunnel) return;
+
+    const gracePeriod = req.body.grace_period ?? DEFAULT_ROTATION_GRACE;
+    const { token, previous } = await rotateConnectionToken(tunnel, { gracePeriod, createdBy: req.user.id });
+
+    console.log(`🔄 Connection token of ${tunnel.subdomain}.${tunnel.location} rotated (grace period ${gracePeriod}s)`);
+    auditTunnel(req, 'tunnel.token_rotate', tunnel, {
+      grace_period: gracePeriod,
+      previous_expires_at: previous ? previous.expires_at : null
+    });
+    if (!previous) enforceTunnelTokens(req, tunnel);
+
+    res.json({ connection_token: token, previous_token: previous });
+  } catch (error) {
+    if (error.code === 'tunnel_token_conflict') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Rotate connection token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Revoking a token deletes it and disconnects the clients using it
+router.delete('/:id/tokens/:tokenId', authenticateToken, requireWorkspaceRole('developer'), async (req, res) => {
+  try {
+    const tunnel = await loadTokenTunnel(req, res);
+    if (!tunnel) return;
+
+    const deleted = await deleteTunnelToken(tunnel.id, req.params.tokenId);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Connection token not found' });
+    }
+
+    console.log(`🗑️ Connection token ${deleted.prefix}... revoked for ${tunnel.subdomain}.${tunnel.location}`);
+    auditTunnel(req, 'tunnel.token_revoke', tunnel, { token_id: deleted.id, name: deleted.name, prefix: deleted.prefix });
+    enforceTunnelTokens(req, tunnel);
+
+    res.json({ message: 'Connection token revoked' });
+  } catch (error) {
+    console.error('Delete connection token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // CRITICAL FIX: Client authentication endpoint with proper schema
 router.post('/auth', [
   body('connection_token').isLength({ min: 32, max: 64 })
@@ -538,18 +1347,14 @@ router.post('/auth', [
 
     const { connection_token } = req.body;
 
-    // Find tunnel by connection token
-    const { data: tunnel, error } = await supabase
-      .from('tunnels')
-      .select(`
-        *,
-        users!tunnels_user_id_fkey(email, name),
-        server_locations!tunnels_location_fkey(name, ip_address)
-      `)
-      .eq('connection_token', connection_token)
-      .single();
+    // Find tunnel by its primary or a named connection token
+    const tunnel = await findTunnelByToken(connection_token, `
+      *,
+      users!tunnels_user_id_fkey(email, name),
+      server_locations!tunnels_location_fkey(name, ip_address)
+    `);
 
-    if (error || !tunnel) {
+    if (!tunnel) {
       console.log(`❌ Invalid connection token: ${connection_token.substring(0, 8)}...`);
       return res.status(401).json({ message: 'Invalid connection token' });
     }
@@ -562,6 +1367,15 @@ router.post('/auth', [
       target_port: tunnel.target_port
     });
 
+    const protocol = getTunnelProtocol(tunnel);
+
+    // Protocol and concurrently connected tunnels are limited by the owner's plan
+    const denial = await checkTunnelConnection(tunnel, protocol);
+    if (denial) {
+      console.log(`❌ Plan limit for tunnel ${tunnel.id}: ${denial.code}`);
+      return res.status(denial.status).json({ message: denial.message, code: denial.code });
+    }
+
     // Update tunnel as connected
     await supabase
       .from('tunnels')
@@ -586,8 +1400,6 @@ router.post('/auth', [
       }
     }
     
-    const protocol = tunnel.target_port === 80 || tunnel.target_port === 443 ? 'http' : 'tcp';
-    
     // CRITICAL FIX: Proper tunnel URL generation for client response
     let tunnelUrl;
     if (protocol === 'http') {
@@ -0,0 +1,77 @@
+const express = require('express');
+const supabase = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { getPlan, describePlan, DEFAULT_PLAN } = require('../config/plans');
+const { currentPeriod } = require('../utils/usage-meter');
+
+const router = express.Router();
+
+// Bandwidth and requests of the current user for one month (?period=YYYY-MM, default
+// this month). Rollups are written by the relays about once a minute.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    let period = currentPeriod();
+    if (req.query.period !== undefined) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(req.query.period)) {
+        return res.status(400).json({ message: 'Period must look like YYYY-MM' });
+      }
+      period = `${req.query.period}-01`;
+    }
+
+    const [account, totals, tunnels] = await Promise.all([
+      supabase.from('users').select('plan').eq('id', req.user.id).single(),
+      supabase
+        .from('user_usage')
+        .select('bytes_in, bytes_out, requests, updated_at')
+        .eq('user_id', req.user.id)
+        .eq('period', period)
+        .maybeSingle(),
+      supabase
+        .from('tunnel_usage')
+        .select('tunnel_id, bytes_in, bytes_out, requests, denied, tunnels(subdomain, location)')
+        .eq('user_id', req.user.id)
+        .eq('period', period)
+    ]);
+
+    if (account.error || totals.error || tunnels.error) {
+      console.error('Get usage error:', account.error || totals.error || tunnels.error);
+      return res.status(500).json({ message: 'Failed to fetch usage' });
+    }
+
+    const plan = account.data.plan || DEFAULT_PLAN;
+    const limit = getPlan(plan).monthlyBandwidth;
+    const bytesIn = totals.data ? Number(totals.data.bytes_in) : 0;
+    const bytesOut = totals.data ? Number(totals.data.bytes_out) : 0;
+    const used = bytesIn + bytesOut;
+
+    res.json({
+      period,
+      plan,
+      limits: describePlan(plan).limits,
+      bandwidth: {
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        exceeded: limit !== null && used >= limit
+      },
+      bytes_in: bytesIn,
+      bytes_out: bytesOut,
+      requests: totals.data ? Number(totals.data.requests) : 0,
+      updated_at: totals.data ? totals.data.updated_at : null,
+      tunnels: tunnels.data.map((row) => ({
+        tunnel_id: row.tunnel_id,
+        subdomain: row.tunnels?.subdomain,
+        location: row.tunnels?.location,
+        bytes_in: Number(row.bytes_in),
+        bytes_out: Number(row.bytes_out),
+        requests: Number(row.requests),
+        denied: Number(row.denied || 0)
+      }))
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
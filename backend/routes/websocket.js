@@ -1,13 +1,45 @@
 const WebSocket = require('ws');
 const url = require('url');
 const supabase = require('../config/database');
+const { createTcpIngress } = require('../utils/tcp-ingress');
+const { createUdpIngress } = require('../utils/udp-ingress');
+const { createHttpStreamRelay } = require('../utils/http-stream');
+const { createWsPassthrough, rejectUpgrade } = require('../utils/ws-passthrough');
+const { SUPPORTED_FRAME_VERSIONS, setFrameVersion, sendFrame, decodeMessage } = require('../utils/frame-codec');
+const { getTunnelProtocol } = require('../utils/tunnel-protocol');
+const { isForwarded, forwardUpgrade } = require('../utils/cluster-forward');
+const { createRequestInspector } = require('../utils/request-inspector');
+const { createUsageMeter } = require('../utils/usage-meter');
+const { checkTunnelConnection } = require('../utils/entitlements');
+const { findTunnelByHostname } = require('../utils/custom-domains');
+const { createAccessGate, buildPolicy, describePolicy, effectivePolicy } = require('../utils/access-policy');
+const { createIpFilter, clientAddress } = require('../utils/ip-rules');
+const { buildTrafficRules, describeTrafficRules, mergeTrafficRules, applyRequestRules } = require('../utils/traffic-rules');
+const { verifyAccessToken } = require('../utils/sessions');
+const { canAccessTunnel } = require('../utils/organizations');
+const { findTunnelByToken, hashConnectionToken, validTokenHashes } = require('../utils/tunnel-tokens');
 
-// WebSocket server for tunnel connections
-function setupWebSocketServer(server) {
-  const wss = new WebSocket.Server({ 
-    server,
-    path: '/ws/tunnel'
-  });
+// How often the IP rules of connected tunnels are reloaded, so edits made through
+// another instance reach the TCP/UDP ingress here
+const IP_RULES_REFRESH_INTERVAL = 30 * 1000;
+// How often connections are checked against their tunnel's tokens, so rotated tokens
+// whose grace period ran out and expired tokens stop working
+const TOKEN_CHECK_INTERVAL = 60 * 1000;
+
+// Size of a buffered `response` message body once decoded
+const responseBodySize = (response) => {
+  if (response.body === undefined || response.body === null) return 0;
+  if (response.encoding === 'base64') return Buffer.byteLength(String(response.body), 'base64');
+  if (typeof response.body === 'object') return Buffer.byteLength(JSON.stringify(response.body));
+  return Buffer.byteLength(String(response.body));
+};
+
+// WebSocket server for tunnel connections.
+// With a `registry` (see utils/tunnel-registry.js) tunnels held by other backend
+// instances are reachable too: their traffic is forwarded to the owning instance.
+function setupWebSocketServer(server, { registry = null } = {}) {
+  // noServer: upgrades are routed below, so tunnel hostnames can be passed through too
+  const wss = new WebSocket.Server({ noServer: true });
 
   // Store active tunnel connections
   const activeTunnels = new Map();
@@ -15,6 +47,347 @@ function setupWebSocketServer(server) {
   // Store pending requests waiting for responses
   const pendingRequests = new Map();
 
+  // Traffic accounting and monthly bandwidth quotas
+  const usageMeter = createUsageMeter({ onQuotaExceeded: (userId) => enforceQuota(userId) });
+
+  const meterTraffic = (tunnelKey, bytesIn, bytesOut) => {
+    const connection = activeTunnels.get(tunnelKey);
+    if (connection) {
+      usageMeter.record(connection.tunnel, { bytesIn, bytesOut });
+    }
+  };
+
+  const withinQuota = (tunnelKey) => {
+    const connection = activeTunnels.get(tunnelKey);
+    return !connection || !usageMeter.isOverQuota(connection.tunnel.user_id);
+  };
+
+  // Per-tunnel IP allow/deny and country rules
+  const ipFilter = createIpFilter();
+
+  // Check a remote address against a tunnel's IP rules, denied attempts are metered
+  const checkAddress = (tunnel, address) => {
+    const reason = ipFilter.check(tunnel.ip_rules, address);
+    if (reason) {
+      usageMeter.record(tunnel, { denied: 1 });
+    }
+    return reason;
+  };
+
+  const allowAddress = (tunnelKey, address) => {
+    const connection = activeTunnels.get(tunnelKey);
+    return !connection || !checkAddress(connection.tunnel, address);
+  };
+
+  // Raw TCP listeners for tcp tunnels
+  const tcpIngress = createTcpIngress({ onTraffic: meterTraffic, allowTraffic: withinQuota, allowAddress });
+
+  // Datagram relays for udp tunnels
+  const udpIngress = createUdpIngress({ onTraffic: meterTraffic, allowTraffic: withinQuota, allowAddress });
+
+  // Chunked request/response streams for http tunnels
+  const httpStreams = createHttpStreamRelay({ onTraffic: meterTraffic });
+
+  // Browser WebSockets relayed to the local service of http tunnels
+  const wsPassthrough = createWsPassthrough({ onTraffic: meterTraffic });
+
+  // A user ran out of bandwidth: cut the open connections of all their tunnels here.
+  // New HTTP requests get a 429 from the proxy until the quota resets.
+  const enforceQuota = (userId) => {
+    for (const [tunnelKey, connection] of activeTunnels.entries()) {
+      if (connection.tunnel.user_id !== userId) continue;
+
+      tcpIngress.closeAll(tunnelKey);
+      udpIngress.closeAll(tunnelKey);
+      wsPassthrough.closeAll(tunnelKey, 1008, 'Bandwidth quota exceeded');
+      sendFrame(connection.ws, {
+        type: 'quota_exceeded',
+        tunnelId: connection.tunnel.id,
+        message: 'Monthly bandwidth quota exceeded'
+      });
+    }
+  };
+
+  // Captured http requests per tunnel, shown live in the dashboard
+  const inspector = createRequestInspector();
+  const inspectorWss = new WebSocket.Server({ noServer: true });
+
+  // Per-tunnel access policies (basic auth, bearer token, email login)
+  const accessGate = createAccessGate();
+
+  // Instance holding the client of a tunnel we don't have, or null
+  const locateRemoteTunnel = async (tunnelKey) => {
+    if (!registry || activeTunnels.has(tunnelKey)) return null;
+    try {
+      const owner = await registry.lookup(tunnelKey);
+      return owner && owner.nodeId !== registry.nodeId ? owner : null;
+    } catch (error) {
+      console.error(`❌ Tunnel registry lookup failed for ${tunnelKey}:`, error.message);
+      return null;
+    }
+  };
+
+  const routeUpgrade = async (req, socket, head) => {
+    const { pathname } = url.parse(req.url);
+
+    // Tunnel clients
+    if (pathname === '/ws/tunnel') {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req);
+      });
+      return;
+    }
+
+    // Dashboard request inspector feeds
+    if (pathname === '/ws/inspector') {
+      await handleInspectorUpgrade(req, socket, head);
+      return;
+    }
+
+    // Browser upgrades for tunnel hostnames (HMR, socket.io, GraphQL subscriptions)
+    let subdomain = req.headers['x-tunnel-subdomain'];
+    let region = req.headers['x-tunnel-region'];
+    if (!subdomain || !region) {
+      // Custom domain, routed by its Host header
+      const customDomain = await findTunnelByHostname(req.headers.host);
+      if (customDomain) {
+        subdomain = customDomain.subdomain;
+        region = customDomain.location;
+      }
+    }
+    if (!subdomain || !region) {
+      rejectUpgrade(socket, 400, 'Bad Request');
+      return;
+    }
+
+    const tunnelKey = `${subdomain}.${region}`;
+    const connection = activeTunnels.get(tunnelKey);
+    if (!connection || connection.ws.readyState !== WebSocket.OPEN) {
+      // The client may be connected to another instance
+      const owner = !connection && !isForwarded(req) ? await locateRemoteTunnel(tunnelKey) : null;
+      if (owner) {
+        forwardUpgrade(req, socket, head, owner, registry.nodeId);
+      } else {
+        rejectUpgrade(socket, 503, 'Service Unavailable');
+      }
+      return;
+    }
+    if (!connection.capabilities.includes('ws_passthrough')) {
+      rejectUpgrade(socket, 501, 'Not Implemented');
+      return;
+    }
+    const address = clientAddress(req);
+    const deniedBy = checkAddress(connection.tunnel, address);
+    if (deniedBy) {
+      console.log(`🚫 WebSocket upgrade from ${address} denied on ${tunnelKey} (${deniedBy})`);
+      rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+    if (usageMeter.isOverQuota(connection.tunnel.user_id)) {
+      rejectUpgrade(socket, 429, 'Too Many Requests');
+      return;
+    }
+
+    // Stored access policy and traffic rules are read fresh, like the HTTP proxy does
+    const { data: row } = await supabase
+      .from('tunnels')
+      .select('access_policy, traffic_rules')
+      .eq('id', connection.tunnel.id)
+      .single();
+
+    // Access policy, the client's session policy only without a stored one
+    const policy = effectivePolicy(row && row.access_policy, connection.accessPolicy);
+    if (!(await accessGate.authorize(req, connection.tunnel, policy))) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    // Caddy forwards tunnel traffic under the proxy mount point. Redirect rules
+    // don't apply to upgrades, header rules and routes do.
+    const rules = mergeTrafficRules(row && row.traffic_rules, connection.trafficRules);
+    const rewritten = applyRequestRules(rules, {
+      url: req.url.replace(/^\/tunnel-proxy(?=\/|\?|$)/, '') || '/',
+      headers: req.headers
+    });
+    connection.requestCount++;
+    usageMeter.record(connection.tunnel, { requests: 1 });
+    wsPassthrough.handleUpgrade(tunnelKey, connection.ws, req, socket, head, {
+      url: rewritten.url,
+      headers: rewritten.headers,
+      tunnelId: connection.tunnel.id,
+      localPort: rewritten.localPort,
+      keepHeaders: rewritten.keepHeaders
+    });
+  };
+
+  // Live feed of a tunnel's captured requests: /ws/inspector?token=<JWT>&tunnel=<tunnel id>
+  // Sends a `snapshot` of the ring buffer, then `request_started` / `request_completed`.
+  const handleInspectorUpgrade = async (req, socket, head) => {
+    const query = url.parse(req.url, true).query;
+
+    let userId;
+    try {
+      userId = (await verifyAccessToken(query.token)).userId;
+    } catch (error) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    const { data: tunnel, error } = await supabase
+      .from('tunnels')
+      .select('id, subdomain, location, user_id, organization_id')
+      .eq('id', query.tunnel)
+      .single();
+
+    if (error || !tunnel || !await canAccessTunnel(tunnel, userId)) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    // Captures are kept by the instance holding the tunnel client
+    const owner = !isForwarded(req) ? await locateRemoteTunnel(`${tunnel.subdomain}.${tunnel.location}`) : null;
+    if (owner) {
+      forwardUpgrade(req, socket, head, owner, registry.nodeId);
+      return;
+    }
+
+    inspectorWss.handleUpgrade(req, socket, head, (ws) => {
+      ws.send(JSON.stringify({ type: 'snapshot', requests: inspector.list(tunnel.id) }));
+
+      const unsubscribe = inspector.subscribe(tunnel.id, (event, capture) => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: event, request: capture }));
+        }
+      });
+      ws.on('close', unsubscribe);
+      ws.on('error', () => ws.terminate());
+    });
+  };
+
+  // Upgrade listeners are plain event handlers: a failed lookup (database, registry,
+  // access gate) must answer the socket instead of becoming an unhandled rejection
+  const handleUpgrade = async (req, socket, head) => {
+    try {
+      await routeUpgrade(req, socket, head);
+    } catch (error) {
+      console.error('❌ WebSocket upgrade error:', error.message);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  };
+
+  server.on('upgrade', handleUpgrade);
+
+  // Look up a tunnel by its primary or one of its named connection tokens
+  const findTunnel = (connectionToken) => findTunnelByToken(connectionToken, `
+    *,
+    users!tunnels_user_id_fkey(email, name)
+  `);
+
+  const describeTunnel = (tunnel) => ({
+    id: tunnel.id,
+    subdomain: tunnel.subdomain,
+    location: tunnel.location,
+    url: `https://${tunnel.subdomain}.${tunnel.location}.tunlify.biz.id`
+  });
+
+  // Register a tunnel on a client session (one WebSocket may carry several tunnels).
+  // The hash of the token it was opened with is kept to drop it once that is revoked.
+  const registerTunnel = async (session, tunnel, connectionToken) => {
+    const { ws } = session;
+    const tunnelKey = `${tunnel.subdomain}.${tunnel.location}`;
+
+    // Store connection
+    activeTunnels.set(tunnelKey, {
+      ws,
+      session,
+      tunnel,
+      tokenHash: hashConnectionToken(connectionToken),
+      localAddress: null,
+      capabilities: [],
+      connected: true,
+      lastHeartbeat: Date.now(),
+      requestCount: 0,
+      responseCount: 0
+    });
+    session.tunnels.set(tunnel.id, tunnelKey);
+    usageMeter.trackUser(tunnel.user_id);
+
+    console.log(`📊 Active tunnels: ${activeTunnels.size}`);
+
+    // HTTP tunnels are served by the proxy, TCP/UDP need their own listener
+    const protocol = getTunnelProtocol(tunnel);
+    if (protocol === 'tcp') {
+      tcpIngress.attach(tunnelKey, ws, tunnel.target_port, tunnel.id);
+    } else if (protocol === 'udp') {
+      udpIngress.attach(tunnelKey, ws, tunnel.target_port, tunnel.id);
+    }
+
+    // Let the other instances know where this tunnel lives
+    if (registry) {
+      registry.claim(tunnelKey).catch((error) => {
+        console.error(`❌ Failed to claim ${tunnelKey} in tunnel registry:`, error.message);
+      });
+    }
+
+    // Update tunnel status
+    await supabase
+      .from('tunnels')
+      .update({ 
+        client_connected: true, 
+        status: 'active',
+        last_connected: new Date().toISOString()
+      })
+      .eq('id', tunnel.id);
+
+    return tunnelKey;
+  };
+
+  // Drop a tunnel whose client session went away
+  const releaseTunnel = async (session, tunnelId, tunnelKey) => {
+    const { ws } = session;
+    session.tunnels.delete(tunnelId);
+
+    // Release the TCP/UDP port and drop relayed sockets and sessions
+    tcpIngress.detach(tunnelKey, ws);
+    udpIngress.detach(tunnelKey, ws);
+    httpStreams.abortAll(tunnelKey);
+    wsPassthrough.closeAll(tunnelKey);
+
+    // The tunnel may already be served by a newer connection (client reconnected)
+    const connection = activeTunnels.get(tunnelKey);
+    if (!connection || connection.ws !== ws) return;
+
+    activeTunnels.delete(tunnelKey);
+    inspector.clear(tunnelId);
+    usageMeter.untrackUser(connection.tunnel.user_id);
+
+    // Reject any pending requests
+    for (const [requestId, { reject }] of pendingRequests.entries()) {
+      if (pendingRequests.get(requestId).tunnelKey === tunnelKey) {
+        reject(new Error('Client disconnected'));
+        pendingRequests.delete(requestId);
+      }
+    }
+
+    // Client already reconnected to another instance, its status is still active
+    if (registry) {
+      const wasOwner = await registry.release(tunnelKey).catch((error) => {
+        console.error(`❌ Failed to release ${tunnelKey} in tunnel registry:`, error.message);
+        return true;
+      });
+      if (!wasOwner) return;
+    }
+
+    // Update tunnel status
+    await supabase
+      .from('tunnels')
+      .update({ 
+        client_connected: false, 
+        status: 'inactive'
+      })
+      .eq('id', tunnelId);
+  };
+
   wss.on('connection', async (ws, req) => {
     const query = url.parse(req.url, true).query;
     const connectionToken = query.token;
@@ -29,70 +402,185 @@ function setupWebSocketServer(server) {
 
     try {
       // Authenticate tunnel
-      const { data: tunnel, error } = await supabase
-        .from('tunnels')
-        .select(`
-          *,
-          users!tunnels_user_id_fkey(email, name)
-        `)
-        .eq('connection_token', connectionToken)
-        .single();
-
-      if (error || !tunnel) {
+      const tunnel = await findTunnel(connectionToken);
+
+      if (!tunnel) {
         console.log('❌ WebSocket: Invalid connection token');
         ws.close(1008, 'Invalid connection token');
         return;
       }
 
+      // Plan limits (protocol, connected tunnels), the code is sent before closing
+      const denial = await checkTunnelConnection(tunnel, getTunnelProtocol(tunnel));
+      if (denial) {
+        console.log(`❌ WebSocket: Plan limit for ${tunnel.subdomain}.${tunnel.location}: ${denial.code}`);
+        ws.send(JSON.stringify({ type: 'plan_limit', tunnelId: tunnel.id, code: denial.code, message: denial.message }));
+        ws.close(4003, denial.code);
+        return;
+      }
+
       console.log(`✅ WebSocket: Client connected for tunnel ${tunnel.subdomain}.${tunnel.location}`);
       console.log(`👤 User: ${tunnel.users.email}`);
 
-      // Update tunnel status
-      await supabase
-        .from('tunnels')
-        .update({ 
-          client_connected: true, 
-          status: 'active',
-          last_connected: new Date().toISOString()
-        })
-        .eq('id', tunnel.id);
-
-      // Store connection
-      const tunnelKey = `${tunnel.subdomain}.${tunnel.location}`;
-      activeTunnels.set(tunnelKey, {
-        ws,
-        tunnel,
-        localAddress: null,
-        connected: true,
-        lastHeartbeat: Date.now(),
-        requestCount: 0,
-        responseCount: 0
-      });
+      // The token's tunnel is the session default; more can be added with attach_tunnel.
+      // tunnelId -> tunnelKey
+      const session = { ws, userId: tunnel.user_id, defaultTunnelId: tunnel.id, tunnels: new Map() };
+      const tunnelKey = await registerTunnel(session, tunnel, connectionToken);
 
-      console.log(`📊 Active tunnels: ${activeTunnels.size}`);
+      // Messages without a tunnelId (older clients) belong to the default tunnel
+      const resolveTunnelKey = (tunnelId) =>
+        session.tunnels.get(tunnelId === undefined ? session.defaultTunnelId : tunnelId);
 
       // Handle messages from client
-      ws.on('message', async (message) => {
+      ws.on('message', async (message, isBinary) => {
         try {
-          const data = JSON.parse(message);
+          const data = decodeMessage(message, isBinary);
+
+          // Relay frames are high volume, route them before logging
+          if (
+            tcpIngress.handleMessage(ws, data) ||
+            udpIngress.handleMessage(ws, data) ||
+            httpStreams.handleMessage(ws, data) ||
+            wsPassthrough.handleMessage(ws, data)
+          ) {
+            return;
+          }
+
           console.log(`📨 WebSocket message from client: ${data.type}`);
 
           switch (data.type) {
             case 'set_local_address':
               // Client tells us their local address
-              const connection = activeTunnels.get(tunnelKey);
-              if (connection) {
+              const localTunnelKey = resolveTunnelKey(data.tunnelId);
+              const connection = activeTunnels.get(localTunnelKey);
+              if (connection && connection.ws === ws) {
                 connection.localAddress = data.address;
-                console.log(`🎯 Local address set: ${data.address} for ${tunnelKey}`);
+                connection.capabilities = Array.isArray(data.capabilities) ? data.capabilities : [];
+                console.log(`🎯 Local address set: ${data.address} for ${localTunnelKey}`);
                 
                 // Send acknowledgment
                 ws.send(JSON.stringify({
                   type: 'local_address_ack',
+                  tunnelId: connection.tunnel.id,
                   address: data.address
                 }));
               }
               break;
 
+            case 'attach_tunnel': {
+              // Client adds another tunnel to this connection
+              const attached = data.token ? await findTunnel(data.token) : null;
+              let attachError = null;
+              let attachCode;
+              if (!attached) {
+                attachError = 'Invalid connection token';
+              } else if (attached.user_id !== session.userId) {
+                attachError = 'Tunnel belongs to a different account';
+              } else if (session.tunnels.has(attached.id)) {
+                attachError = 'Tunnel already attached to this connection';
+              } else {
+                const denial = await checkTunnelConnection(attached, getTunnelProtocol(attached));
+                if (denial) {
+                  attachError = denial.message;
+                  attachCode = denial.code;
+                }
+              }
+
+              if (attachError) {
+                console.log(`❌ Attach tunnel failed: ${attachError}`);
+                ws.send(JSON.stringify({ type: 'tunnel_attach_error', ref: data.ref, code: attachCode, message: attachError }));
+                break;
+              }
+
+              // Connection dropped while we were looking the token up
+              if (ws.readyState !== WebSocket.OPEN) break;
+
+              const attachedKey = await registerTunnel(session, attached, data.token);
+              console.log(`➕ Tunnel ${attachedKey} attached to connection of ${tunnelKey}`);
+              ws.send(JSON.stringify({
+                type: 'tunnel_attached',
+                ref: data.ref,
+                tunnel: describeTunnel(attached)
+              }));
+              break;
+            }
+
+            case 'set_access_policy': {
+              // Session access policy from the client (--basic-auth), kept until it disconnects
+              const policyTunnelKey = resolveTunnelKey(data.tunnelId);
+              const policyConnection = activeTunnels.get(policyTunnelKey);
+              if (!policyConnection || policyConnection.ws !== ws) break;
+
+              let policyError = null;
+              if (getTunnelProtocol(policyConnection.tunnel) !== 'http') {
+                policyError = 'Access policies are only available for HTTP tunnels';
+              } else {
+                // A policy set in the dashboard can't be replaced from the client
+                const { data: stored } = await supabase
+                  .from('tunnels')
+                  .select('access_policy')
+                  .eq('id', policyConnection.tunnel.id)
+                  .single();
+                if (stored && stored.access_policy) {
+                  policyError = 'The tunnel has an access policy in the dashboard, it stays in place';
+                }
+              }
+              const built = policyError ? null : await buildPolicy(data.policy);
+              if (built && built.error) policyError = built.error;
+
+              if (policyError) {
+                ws.send(JSON.stringify({ type: 'access_policy_error', tunnelId: policyConnection.tunnel.id, message: policyError }));
+                break;
+              }
+
+              policyConnection.accessPolicy = built.policy;
+              console.log(`🔒 Session access policy for ${policyTunnelKey}: ${describePolicy(built.policy).type}`);
+              ws.send(JSON.stringify({
+                type: 'access_policy_ack',
+                tunnelId: policyConnection.tunnel.id,
+                policy: describePolicy(built.policy)
+              }));
+              break;
+            }
+
+            case 'set_traffic_rules': {
+              // Session traffic rules from the client (--route, --request-header, ...),
+              // applied after the stored ones until it disconnects
+              const rulesTunnelKey = resolveTunnelKey(data.tunnelId);
+              const rulesConnection = activeTunnels.get(rulesTunnelKey);
+              if (!rulesConnection || rulesConnection.ws !== ws) break;
+
+              let rulesError = null;
+              if (getTunnelProtocol(rulesConnection.tunnel) !== 'http') {
+                rulesError = 'Traffic rules are only available for HTTP tunnels';
+              }
+              const builtRules = rulesError ? null : buildTrafficRules(data.rules);
+              if (builtRules && builtRules.error) rulesError = builtRules.error;
+
+              if (rulesError) {
+                ws.send(JSON.stringify({ type: 'traffic_rules_error', tunnelId: rulesConnection.tunnel.id, message: rulesError }));
+                break;
+              }
+
+              rulesConnection.trafficRules = builtRules.rules;
+              console.log(`🔀 Session traffic rules for ${rulesTunnelKey} updated`);
+              ws.send(JSON.stringify({
+                type: 'traffic_rules_ack',
+                tunnelId: rulesConnection.tunnel.id,
+                rules: describeTrafficRules(builtRules.rules)
+              }));
+              break;
+            }
+
+            case 'framing':
+              // Client picked one of the frame versions offered in `connected`
+              if (setFrameVersion(ws, data.version)) {
+                console.log(`🧱 Binary framing v${data.version} enabled for ${tunnelKey}`);
+              } else {
+                console.log(`⚠️  Unsupported frame version ${data.version} for ${tunnelKey}, staying on JSON`);
+              }
+              break;
+
             case 'response':
               // CRITICAL: Client sends response back to browser
               const requestId = data.requestId;
@@ -102,11 +590,11 @@ function setupWebSocketServer(server) {
               console.log(`📊 Response body length:`, data.body ? String(data.body).length : 0);
               
               if (pendingRequests.has(requestId)) {
-                const { resolve } = pendingRequests.get(requestId);
+                const { resolve, tunnelKey: requestTunnelKey } = pendingRequests.get(requestId);
                 pendingRequests.delete(requestId);
                 
                 // Update response count
-                const conn = activeTunnels.get(tunnelKey);
+                const conn = activeTunnels.get(requestTunnelKey);
                 if (conn) {
                   conn.responseCount++;
                 }
@@ -115,7 +603,9 @@ function setupWebSocketServer(server) {
                 const responseData = {
                   statusCode: data.statusCode || 200,
                   headers: data.headers || {},
-                  body: data.body
+                  body: data.body,
+                  // tunnel-proxy decodes base64 bodies, so the encoding must survive
+                  encoding: data.encoding
                 };
                 
                 // Clean up problematic headers that can cause gateway issues
@@ -156,10 +646,12 @@ function setupWebSocketServer(server) {
               break;
 
             case 'heartbeat':
-              // Client heartbeat
-              const conn = activeTunnels.get(tunnelKey);
-              if (conn) {
-                conn.lastHeartbeat = Date.now();
+              // Client heartbeat, one per connection covers all of its tunnels
+              for (const key of session.tunnels.values()) {
+                const conn = activeTunnels.get(key);
+                if (conn && conn.ws === ws) {
+                  conn.lastHeartbeat = Date.now();
+                }
               }
               ws.send(JSON.stringify({ type: 'heartbeat_ack' }));
               break;
@@ -185,26 +677,11 @@ function setupWebSocketServer(server) {
       // Handle client disconnect
       ws.on('close', async () => {
         console.log(`🔌 WebSocket: Client disconnected for tunnel ${tunnelKey}`);
-        
-        // Update tunnel status
-        await supabase
-          .from('tunnels')
-          .update({ 
-            client_connected: false, 
-            status: 'inactive'
-          })
-          .eq('id', tunnel.id);
-
-        // Remove from active connections
-        activeTunnels.delete(tunnelKey);
-        
-        // Reject any pending requests
-        for (const [requestId, { reject }] of pendingRequests.entries()) {
-          if (pendingRequests.get(requestId).tunnelKey === tunnelKey) {
-            reject(new Error('Client disconnected'));
-            pendingRequests.delete(requestId);
-          }
-        }
+
+        // Release every tunnel this connection carried
+        await Promise.all(
+          [...session.tunnels.entries()].map(([tunnelId, key]) => releaseTunnel(session, tunnelId, key))
+        );
         
         console.log(`📊 Active tunnels: ${activeTunnels.size}`);
       });
@@ -217,12 +694,11 @@ function setupWebSocketServer(server) {
       // Send welcome message
       ws.send(JSON.stringify({
         type: 'connected',
-        tunnel: {
-          id: tunnel.id,
-          subdomain: tunnel.subdomain,
-          location: tunnel.location,
-          url: `https://${tunnel.subdomain}.${tunnel.location}.tunlify.biz.id`
-        },
+        tunnel: describeTunnel(tunnel),
+        // Binary frame versions this server accepts; old clients ignore this and keep JSON
+        framing: { versions: SUPPORTED_FRAME_VERSIONS },
+        // More tunnels can be carried by this connection with attach_tunnel
+        multiplex: true,
         message: 'WebSocket connection established successfully'
       }));
 
@@ -245,12 +721,28 @@ function setupWebSocketServer(server) {
       
       // Update request count
       connection.requestCount++;
+      usageMeter.record(connection.tunnel, {
+        requests: 1,
+        bytesIn: requestData.body ? Buffer.byteLength(requestData.body) : 0
+      });
+
+      const capture = inspector.begin(connection.tunnel.id, {
+        method: requestData.method,
+        url: requestData.url,
+        headers: requestData.headers,
+        replayOf: requestData.replayOf,
+        webhook: requestData.webhook
+      });
+      if (requestData.body) {
+        inspector.recordRequestBody(capture, requestData.body);
+      }
       
       // CRITICAL: Set timeout with proper cleanup
       const timeout = setTimeout(() => {
         if (pendingRequests.has(requestId)) {
           pendingRequests.delete(requestId);
           console.log(`❌ Request ${requestId} timed out after 30 seconds`);
+          inspector.complete(capture, { error: 'Request timeout' });
           reject(new Error('Request timeout - local application did not respond within 30 seconds'));
         }
       }, 30000); // 30 second timeout
@@ -260,11 +752,19 @@ function setupWebSocketServer(server) {
         resolve: (data) => {
           clearTimeout(timeout);
           console.log(`✅ Request ${requestId} resolved with status ${data.statusCode}`);
-          resolve(data);
+          const size = responseBodySize(data);
+          usageMeter.record(connection.tunnel, { bytesOut: size });
+          inspector.complete(capture, {
+            status: parseInt(data.statusCode) || 200,
+            headers: data.headers,
+            size
+          });
+          resolve({ ...data, captureId: capture.id });
         }, 
         reject: (error) => {
           clearTimeout(timeout);
           console.log(`❌ Request ${requestId} rejected: ${error.message}`);
+          inspector.complete(capture, { error: error.message });
           reject(error);
         },
         timestamp: Date.now(),
@@ -273,14 +773,23 @@ function setupWebSocketServer(server) {
         url: requestData.url
       });
 
+      // Buffer bodies go base64 encoded so binary uploads survive the JSON message.
+      // Clients without the base64_body capability only understand text bodies.
+      const rawBody = requestData.body;
+      const base64Body = Buffer.isBuffer(rawBody) && connection.capabilities.includes('base64_body');
+
       // Send request to client
       const message = {
         type: 'request',
+        tunnelId: connection.tunnel.id,
         requestId,
         method: requestData.method,
         url: requestData.url,
         headers: requestData.headers,
-        body: requestData.body
+        body: base64Body ? rawBody.toString('base64') : (Buffer.isBuffer(rawBody) ? rawBody.toString() : rawBody),
+        encoding: base64Body ? 'base64' : undefined,
+        localPort: requestData.localPort || undefined,
+        keepHeaders: requestData.keepHeaders && requestData.keepHeaders.length ? requestData.keepHeaders : undefined
       };
 
       console.log(`📤 Sending request to client: ${requestId} ${requestData.method} ${requestData.url}`);
@@ -291,11 +800,108 @@ function setupWebSocketServer(server) {
         clearTimeout(timeout);
         pendingRequests.delete(requestId);
         console.error(`❌ Failed to send request ${requestId}:`, error);
+        inspector.complete(capture, { error: error.message });
         reject(new Error('Failed to send request to client: ' + error.message));
       }
     });
   };
 
+  // Whether the connected client understands chunked http_* streams
+  const supportsStreaming = (tunnelKey) => {
+    const connection = activeTunnels.get(tunnelKey);
+    return !!connection && connection.capabilities.includes('http_stream');
+  };
+
+  // Stream an Express request/response through the tunnel client
+  const streamRequest = (tunnelKey, req, res, options) => {
+    const connection = activeTunnels.get(tunnelKey);
+
+    if (!connection || connection.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Tunnel client not connected');
+    }
+
+    connection.requestCount++;
+    usageMeter.record(connection.tunnel, { requests: 1 });
+    const capture = inspector.begin(connection.tunnel.id, {
+      method: req.method,
+      url: options.url,
+      headers: options.headers
+    });
+    inspector.watch(capture, req, res);
+    httpStreams.proxy(tunnelKey, connection.ws, req, res, { ...options, tunnelId: connection.tunnel.id });
+  };
+
+  // Send a captured request through its tunnel again, resolves with the new capture.
+  // Replays use the buffered request message, which every client version understands.
+  const replayRequest = async (tunnelKey, capture) => {
+    const response = await forwardRequest(tunnelKey, {
+      method: capture.method,
+      url: capture.path,
+      headers: capture.requestHeaders,
+      body: capture.requestBody || undefined,
+      replayOf: capture.id
+    });
+    return inspector.get(capture.tunnelId, response.captureId);
+  };
+
+  // Another instance took over a tunnel (client reconnected there), drop our stale copy
+  if (registry) {
+    registry.onClaimed((tunnelKey, nodeId) => {
+      const connection = activeTunnels.get(tunnelKey);
+      if (!connection) return;
+
+      console.log(`🔀 Tunnel ${tunnelKey} moved to instance ${nodeId}, releasing local connection`);
+      const { session } = connection;
+      releaseTunnel(session, connection.tunnel.id, tunnelKey).then(() => {
+        if (session.tunnels.size === 0) {
+          connection.ws.close(4000, 'Tunnel connected on another instance');
+        }
+      });
+    });
+  }
+
+  // Drop connections whose token was revoked, rotated out or expired. The token of a
+  // session's default tunnel authenticated the WebSocket itself, so that closes it.
+  // Without tunnelIds every connected tunnel is checked.
+  const checkTunnelTokens = async (tunnelIds = null) => {
+    const connections = [...activeTunnels.entries()].filter(([, connection]) =>
+      !tunnelIds || tunnelIds.includes(connection.tunnel.id));
+    if (connections.length === 0) return;
+
+    const valid = await validTokenHashes([...new Set(connections.map(([, connection]) => connection.tunnel.id))]);
+    for (const [tunnelKey, connection] of connections) {
+      // Released or replaced by a newer connection meanwhile
+      if (activeTunnels.get(tunnelKey) !== connection) continue;
+      if (valid.get(connection.tunnel.id).has(connection.tokenHash)) continue;
+
+      const { ws, session, tunnel } = connection;
+      console.log(`🔑 Connection token of ${tunnelKey} is no longer valid, dropping the tunnel`);
+      sendFrame(ws, { type: 'token_revoked', tunnelId: tunnel.id, message: 'Connection token revoked' });
+      if (tunnel.id === session.defaultTunnelId) {
+        // The close handler releases every tunnel of the session
+        ws.close(4001, 'Connection token revoked');
+      } else {
+        await releaseTunnel(session, tunnel.id, tunnelKey);
+      }
+    }
+  };
+
+  // Called after tokens of a tunnel were revoked or rotated, here and on other instances
+  const enforceTunnelTokens = async (tunnelId) => {
+    await checkTunnelTokens([tunnelId]);
+    if (registry) {
+      registry.announceTokenChange(tunnelId).catch((error) => {
+        console.error(`❌ Failed to announce token change of tunnel ${tunnelId}:`, error.message);
+      });
+    }
+  };
+
+  if (registry) {
+    registry.onTokenChanged((tunnelId) => {
+      checkTunnelTokens([tunnelId]).catch((error) => console.error('❌ Failed to check connection tokens:', error.message));
+    });
+  }
+
   // Enhanced cleanup function for stale connections and requests
   const cleanupStaleConnections = () => {
     const now = Date.now();
@@ -307,8 +913,8 @@ function setupWebSocketServer(server) {
       if (now - connection.lastHeartbeat > staleTimeout) {
         console.log(`🧹 Cleaning up stale connection: ${tunnelKey}`);
         console.log(`   Requests: ${connection.requestCount}, Responses: ${connection.responseCount}`);
-        connection.ws.close();
-        activeTunnels.delete(tunnelKey);
+        // The close handler releases the tunnel (status, registry, relays)
+        connection.ws.terminate();
       }
     }
     
@@ -330,7 +936,52 @@ function setupWebSocketServer(server) {
   // Run cleanup every 2 minutes
   setInterval(cleanupStaleConnections, 2 * 60 * 1000);
 
-  return { activeTunnels, forwardRequest };
+  // Pick up IP rule changes saved on other instances
+  const refreshIpRules = async () => {
+    const connections = [...activeTunnels.values()];
+    if (connections.length === 0) return;
+
+    const { data, error } = await supabase
+      .from('tunnels')
+      .select('id, ip_rules')
+      .in('id', connections.map((connection) => connection.tunnel.id));
+
+    if (error) {
+      console.error('❌ Failed to refresh IP rules:', error.message);
+      return;
+    }
+    const rulesById = new Map(data.map((row) => [row.id, row.ip_rules || null]));
+    for (const connection of connections) {
+      if (rulesById.has(connection.tunnel.id)) {
+        connection.tunnel.ip_rules = rulesById.get(connection.tunnel.id);
+      }
+    }
+  };
+  setInterval(() => {
+    refreshIpRules().catch((error) => console.error('❌ Failed to refresh IP rules:', error.message));
+  }, IP_RULES_REFRESH_INTERVAL);
+
+  setInterval(() => {
+    checkTunnelTokens().catch((error) => console.error('❌ Failed to check connection tokens:', error.message));
+  }, TOKEN_CHECK_INTERVAL);
+
+  return {
+    activeTunnels,
+    forwardRequest,
+    streamRequest,
+    supportsStreaming,
+    locateRemoteTunnel,
+    handleUpgrade,
+    inspector,
+    replayRequest,
+    usageMeter,
+    accessGate,
+    ipFilter,
+    checkAddress,
+    tcpIngress,
+    udpIngress,
+    enforceTunnelTokens
+  };
 }
 
 module.exports = { setupWebSocketServer };
@@ -7,6 +7,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
+const os = require('os');
 
 // Check required environment variables AFTER loading dotenv
 const requiredEnvVars = [
@@ -47,7 +48,18 @@ const tunnelProxyRoutes = require('./routes/tunnel-proxy');
 const adminRoutes = require('./routes/admin');
 const contentRoutes = require('./routes/content');
 const serverLocationRoutes = require('./routes/server-locations');
+const usageRoutes = require('./routes/usage');
+const apiKeyRoutes = require('./routes/api-keys');
+const organizationRoutes = require('./routes/organizations');
+const auditRoutes = require('./routes/audit');
+const internalTlsRoutes = require('./routes/internal-tls');
+const acmeChallengeRoutes = require('./routes/acme-challenge');
 const { setupWebSocketServer } = require('./routes/websocket');
+const { createTunnelRegistry } = require('./utils/tunnel-registry');
+const { acceptForwarded } = require('./utils/cluster-forward');
+const { createDomainVerifier } = require('./utils/custom-domains');
+const { createCertificateManager } = require('./utils/certificate-manager');
+const { createWebhookVerifier } = require('./utils/webhook-verification');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -55,12 +67,63 @@ const PORT = process.env.PORT || 3001;
 // Create HTTP server
 const server = http.createServer(app);
 
+// Multi-instance mode (PM2 cluster / several nodes): tunnel owners are tracked in Redis
+// and each instance accepts forwarded tunnel traffic on its own internal port
+const CLUSTER_INTERNAL_PORT = (parseInt(process.env.CLUSTER_INTERNAL_PORT) || 3101) +
+  (parseInt(process.env.NODE_APP_INSTANCE) || 0);
+const CLUSTER_INTERNAL_HOST = process.env.CLUSTER_INTERNAL_HOST || '127.0.0.1';
+
+const tunnelRegistry = process.env.REDIS_URL
+  ? createTunnelRegistry({
+    redis: require('./config/redis'),
+    nodeId: process.env.CLUSTER_NODE_ID || `${os.hostname()}:${process.pid}`,
+    nodeUrl: process.env.CLUSTER_NODE_URL || `http://127.0.0.1:${CLUSTER_INTERNAL_PORT}`
+  })
+  : null;
+
 // Setup WebSocket server
-const { activeTunnels, forwardRequest } = setupWebSocketServer(server);
+const {
+  activeTunnels,
+  forwardRequest,
+  streamRequest,
+  supportsStreaming,
+  locateRemoteTunnel,
+  handleUpgrade,
+  inspector,
+  replayRequest,
+  usageMeter,
+  accessGate,
+  ipFilter,
+  checkAddress,
+  tcpIngress,
+  udpIngress,
+  enforceTunnelTokens
+} = setupWebSocketServer(server, { registry: tunnelRegistry });
 
 // Make WebSocket functions available to routes
 app.locals.activeTunnels = activeTunnels;
 app.locals.forwardRequest = forwardRequest;
+app.locals.streamRequest = streamRequest;
+app.locals.supportsStreaming = supportsStreaming;
+app.locals.locateRemoteTunnel = locateRemoteTunnel;
+app.locals.tunnelRegistry = tunnelRegistry;
+app.locals.inspector = inspector;
+app.locals.replayRequest = replayRequest;
+app.locals.usageMeter = usageMeter;
+app.locals.accessGate = accessGate;
+app.locals.ipFilter = ipFilter;
+app.locals.checkAddress = checkAddress;
+app.locals.enforceTunnelTokens = enforceTunnelTokens;
+
+// DNS TXT checks for custom domains, replaceable with a stub resolver
+app.locals.domainVerifier = createDomainVerifier();
+
+// Webhook signature checks for tunnel endpoints; providers are pluggable
+app.locals.webhookVerifier = createWebhookVerifier();
+
+// ACME certificates for verified custom domains (ACME_ENABLED=true)
+const certificateManager = createCertificateManager();
+app.locals.certificateManager = certificateManager;
 
 // IMPORTANT: Trust proxy dengan konfigurasi spesifik untuk Caddy
 // Hanya trust dari localhost (Caddy) dan private networks
@@ -104,8 +167,8 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Organization-Id'],
   optionsSuccessStatus: 200, // Some legacy browsers choke on 204
   preflightContinue: false // Pass control to next handler after successful preflight
 };
@@ -123,8 +186,8 @@ app.options('*', (req, res) => {
   
   if (!origin || allowedOrigins.includes(origin)) {
     res.header('Access-Control-Allow-Origin', origin || '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Organization-Id');
     res.header('Access-Control-Allow-Credentials', 'true');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
   }
@@ -132,6 +195,13 @@ app.options('*', (req, res) => {
   res.status(200).end();
 });
 
+// Tunnel proxy routes (handle subdomain requests from Caddy)
+// Mounted before body parsing so request bodies can be streamed to the client untouched
+app.use('/tunnel-proxy', tunnelProxyRoutes);
+
+// ACME HTTP-01 challenges for custom domains
+app.use('/.well-known/acme-challenge', acmeChallengeRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -148,19 +218,26 @@ app.get('/health', (req, res) => {
     cors_enabled: true,
     websocket_enabled: true,
     active_tunnels: activeTunnels.size,
+    cluster_node: tunnelRegistry ? tunnelRegistry.nodeId : null,
+    tcp_listeners: tcpIngress.listeners.size,
+    udp_listeners: udpIngress.listeners.size,
     supabase_configured: !!process.env.SUPABASE_URL
   });
 });
 
-// Tunnel proxy routes (handle subdomain requests from Caddy)
-app.use('/tunnel-proxy', tunnelProxyRoutes);
-
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tunnels', tunnelRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/server-locations', serverLocationRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/audit', auditRoutes);
+
+// Front proxy hooks (on-demand TLS)
+app.use('/internal/tls', internalTlsRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -187,6 +264,25 @@ server.listen(PORT, () => {
   console.log(`🔒 Trust Proxy: ✅ Specific (localhost + private networks)`);
   console.log(`🌐 CORS: ✅ Comprehensive with explicit OPTIONS handler`);
   console.log(`🔌 WebSocket: ✅ Enabled on /ws/tunnel`);
+  console.log(`🔍 Request inspector: ✅ Live feed on /ws/inspector`);
+
+  // Renewal sweep runs on one instance only (the first PM2 instance in cluster mode)
+  if (!process.env.NODE_APP_INSTANCE || process.env.NODE_APP_INSTANCE === '0') {
+    certificateManager.start();
+  }
 });
 
+// Internal listener for tunnel traffic forwarded by other instances
+if (tunnelRegistry) {
+  const internalServer = http.createServer((req, res) => app(acceptForwarded(req), res));
+  internalServer.on('upgrade', (req, socket, head) => handleUpgrade(acceptForwarded(req), socket, head));
+  internalServer.listen(CLUSTER_INTERNAL_PORT, CLUSTER_INTERNAL_HOST, () => {
+    console.log(`🛰️  Cluster: ✅ Internal relay on ${CLUSTER_INTERNAL_HOST}:${CLUSTER_INTERNAL_PORT}`);
+  });
+
+  tunnelRegistry.start().catch((error) => {
+    console.error('❌ Tunnel registry failed to start:', error.message);
+  });
+}
+
 module.exports = app;
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Rows authenticateToken reads: the API key and its owner
+const tables = {};
+const fakeSupabase = {
+  from: (table) => {
+    const result = () => ({ data: tables[table] || null, error: null });
+    const query = {
+      select: () => query,
+      update: () => query,
+      eq: () => query,
+      maybeSingle: async () => result(),
+      single: async () => result(),
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return query;
+  }
+};
+const databasePath = require.resolve('../config/database');
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: fakeSupabase };
+
+const { requiredScope } = require('../utils/api-keys');
+const { authenticateToken } = require('../middleware/auth');
+
+const request = (method, path, baseUrl = '/api/tunnels') => ({ method, path, baseUrl });
+
+// Run authenticateToken with a key holding `scopes`: 'next' or the refusal
+const authenticate = async (scopes, method, path) => {
+  tables.api_keys = { id: 'key-1', user_id: 'user-1', scopes, expires_at: null, last_used_at: new Date().toISOString() };
+  tables.users = { id: 'user-1', email: 'ada@example.com', role: 'user', totp_enabled: true };
+
+  const req = {
+    ...request(method, path),
+    originalUrl: `/api/tunnels${path}`,
+    headers: { authorization: 'Bearer tlf_testkey' }
+  };
+  return new Promise((resolve) => {
+    const res = {
+      status: (status) => ({ json: (body) => resolve({ status, code: body.code }) })
+    };
+    authenticateToken(req, res, () => resolve('next'));
+  });
+};
+
+test('scopes follow the router and method', () => {
+  assert.strictEqual(requiredScope(request('GET', '/')), 'tunnels:read');
+  assert.strictEqual(requiredScope(request('GET', '/abc/requests')), 'tunnels:read');
+  assert.strictEqual(requiredScope(request('POST', '/')), 'tunnels:write');
+  assert.strictEqual(requiredScope(request('DELETE', '/abc')), 'tunnels:write');
+  assert.strictEqual(requiredScope(request('GET', '/', '/api/usage')), 'usage:read');
+  assert.strictEqual(requiredScope(request('POST', '/', '/api/usage')), null);
+  assert.strictEqual(requiredScope(request('GET', '/me', '/api/auth')), null);
+});
+
+test('reading a connection token needs the write scope', () => {
+  assert.strictEqual(requiredScope(request('GET', '/abc/connection-token')), 'tunnels:write');
+  assert.strictEqual(requiredScope(request('HEAD', '/abc/connection-token/')), 'tunnels:write');
+});
+
+test('a read-only key cannot fetch a connection token', async () => {
+  assert.deepStrictEqual(
+    await authenticate(['tunnels:read'], 'GET', '/abc/connection-token'),
+    { status: 403, code: 'INSUFFICIENT_SCOPE' }
+  );
+  assert.strictEqual(await authenticate(['tunnels:read'], 'GET', '/abc'), 'next');
+  assert.strictEqual(await authenticate(['tunnels:write'], 'GET', '/abc/connection-token'), 'next');
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// custom_domains rows with their tunnel embedded, served through the part of the
+// Supabase query builder findTunnelByHostname uses
+const rows = [];
+const queries = [];
+const fakeSupabase = {
+  from: (table) => {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters.push([column, value]);
+        return query;
+      },
+      maybeSingle: async () => {
+        queries.push({ table, filters });
+        const match = rows.find((row) => filters.every(([column, value]) => row[column] === value));
+        return { data: match || null, error: null };
+      }
+    };
+    return query;
+  }
+};
+const databasePath = require.resolve('../config/database');
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: fakeSupabase };
+
+const {
+  normalizeHostname,
+  isTunnelHostname,
+  challengeRecord,
+  createDomainVerifier,
+  findTunnelByHostname
+} = require('../utils/custom-domains');
+
+const resetRows = (...domains) => {
+  rows.length = 0;
+  queries.length = 0;
+  rows.push(...domains);
+};
+
+test('hostnames are normalized and invalid ones refused', () => {
+  assert.strictEqual(normalizeHostname(' App.Example.COM:8443 '), 'app.example.com');
+  assert.strictEqual(normalizeHostname('app.example.com.'), 'app.example.com');
+  assert.strictEqual(normalizeHostname('localhost'), null);
+  assert.strictEqual(normalizeHostname('10.0.0.1'), null);
+  assert.strictEqual(normalizeHostname('-bad.example.com'), null);
+  assert.strictEqual(normalizeHostname(`${'a'.repeat(64)}.example.com`), null);
+  assert.strictEqual(normalizeHostname(undefined), null);
+});
+
+test('our own domain is never a custom domain', () => {
+  assert.ok(isTunnelHostname('tunlify.biz.id'));
+  assert.ok(isTunnelHostname('app-id.tunlify.biz.id'));
+  assert.ok(!isTunnelHostname('eviltunlify.biz.id'));
+  assert.ok(!isTunnelHostname('app.example.com'));
+});
+
+test('the challenge record is found through the injected resolver', async () => {
+  const asked = [];
+  const { verify } = createDomainVerifier({
+    resolveTxt: async (name) => {
+      asked.push(name);
+      // Long TXT values arrive split in chunks
+      return [['v=spf1 -all'], ['tunlify-verification=', 'abc123']];
+    }
+  });
+
+  const result = await verify('app.example.com', 'abc123');
+
+  assert.deepStrictEqual(asked, [challengeRecord('app.example.com', 'abc123').name]);
+  assert.deepStrictEqual(result, { verified: true, found: ['v=spf1 -all', 'tunlify-verification=abc123'] });
+});
+
+test('a record with another token does not verify', async () => {
+  const { verify } = createDomainVerifier({
+    resolveTxt: async () => [['tunlify-verification=someone-else']]
+  });
+
+  assert.deepStrictEqual(await verify('app.example.com', 'abc123'), {
+    verified: false,
+    found: ['tunlify-verification=someone-else']
+  });
+});
+
+test('missing records and failed lookups do not verify', async () => {
+  const failing = (code) => createDomainVerifier({
+    resolveTxt: async () => {
+      throw Object.assign(new Error(`queryTxt ${code}`), { code });
+    }
+  });
+
+  assert.deepStrictEqual(await failing('ENOTFOUND').verify('app.example.com', 'abc123'), { verified: false, found: [] });
+  assert.deepStrictEqual(await failing('ENODATA').verify('app.example.com', 'abc123'), { verified: false, found: [] });
+  assert.deepStrictEqual(await failing('ESERVFAIL').verify('app.example.com', 'abc123'), { verified: false, found: [] });
+});
+
+test('verified custom domains resolve to their tunnel', async () => {
+  resetRows({
+    hostname: 'app.example.com',
+    verified: true,
+    tunnel_id: 'tunnel-1',
+    tunnels: { subdomain: 'app', location: 'id' }
+  });
+
+  assert.deepStrictEqual(await findTunnelByHostname('APP.example.com:443'), {
+    tunnelId: 'tunnel-1',
+    subdomain: 'app',
+    location: 'id'
+  });
+  assert.deepStrictEqual(queries[0].filters, [['hostname', 'app.example.com'], ['verified', true]]);
+});
+
+test('unverified and unknown domains do not resolve', async () => {
+  resetRows({
+    hostname: 'pending.example.com',
+    verified: false,
+    tunnel_id: 'tunnel-1',
+    tunnels: { subdomain: 'app', location: 'id' }
+  });
+
+  assert.strictEqual(await findTunnelByHostname('pending.example.com'), null);
+  assert.strictEqual(await findTunnelByHostname('unknown.example.com'), null);
+});
+
+test('our own hostnames and garbage never reach the database', async () => {
+  resetRows();
+
+  assert.strictEqual(await findTunnelByHostname('app-id.tunlify.biz.id'), null);
+  assert.strictEqual(await findTunnelByHostname('127.0.0.1:8080'), null);
+  assert.strictEqual(await findTunnelByHostname(undefined), null);
+  assert.strictEqual(queries.length, 0);
+});
+
+test('lookups are not cached, removing verification takes effect right away', async () => {
+  const domain = {
+    hostname: 'app.example.com',
+    verified: true,
+    tunnel_id: 'tunnel-1',
+    tunnels: { subdomain: 'app', location: 'id' }
+  };
+  resetRows(domain);
+
+  assert.ok(await findTunnelByHostname('app.example.com'));
+  domain.verified = false;
+  assert.strictEqual(await findTunnelByHostname('app.example.com'), null);
+  assert.strictEqual(queries.length, 2);
+});
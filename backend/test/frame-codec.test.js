@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const {
+  FRAME_VERSION,
+  setFrameVersion,
+  getFrameVersion,
+  encodeFrame,
+  decodeFrame,
+  sendFrame,
+  decodeMessage
+} = require('../utils/frame-codec');
+
+// WebSocket stand-in keeping what was sent
+const fakeSocket = (readyState = WebSocket.OPEN) => ({
+  readyState,
+  sent: [],
+  send(data, options = {}) {
+    this.sent.push({ data, binary: !!options.binary });
+  }
+});
+
+const binaryPayload = Buffer.from([0x00, 0xff, 0x7f, 0x80, 0x0a]);
+
+test('payload messages survive a binary frame round trip', () => {
+  const messages = [
+    { type: 'tcp_data', connectionId: 'tcp_1', data: binaryPayload },
+    { type: 'udp_data', sessionId: 'udp_1', data: binaryPayload },
+    { type: 'udp_response', sessionId: 'udp_1', data: binaryPayload },
+    { type: 'http_request_body', streamId: 'req_1', data: binaryPayload },
+    { type: 'http_response_body', streamId: 'req_1', data: binaryPayload },
+    { type: 'ws_message', socketId: 'ws_1', data: binaryPayload, binary: true },
+    { type: 'ws_ping', socketId: 'ws_1', data: Buffer.alloc(0) },
+    { type: 'ws_pong', socketId: 'ws_1', data: Buffer.from('pong') }
+  ];
+
+  for (const message of messages) {
+    const decoded = decodeFrame(encodeFrame(message));
+    assert.deepStrictEqual(decoded, { binary: false, ...message }, message.type);
+  }
+});
+
+test('the frame header has version, type, flags and the stream id', () => {
+  const frame = encodeFrame({ type: 'ws_message', socketId: 'ab', data: Buffer.from('x'), binary: true });
+
+  assert.deepStrictEqual([...frame], [FRAME_VERSION, 6, 0x01, 2, 0x61, 0x62, 0x78]);
+});
+
+test('stream ids longer than 255 bytes are refused', () => {
+  assert.throws(
+    () => encodeFrame({ type: 'tcp_data', connectionId: 'x'.repeat(256), data: binaryPayload }),
+    /Stream id too long/
+  );
+});
+
+test('malformed frames are rejected', () => {
+  assert.throws(() => decodeFrame(Buffer.from([1, 1])), /too short/);
+  assert.throws(() => decodeFrame(Buffer.from([9, 1, 0, 0])), /Unsupported frame version: 9/);
+  assert.throws(() => decodeFrame(Buffer.from([1, 99, 0, 0])), /Unknown frame type: 99/);
+  assert.throws(() => decodeFrame(Buffer.from([1, 1, 0, 10, 0x61])), /truncated/);
+});
+
+test('without negotiation payloads go as JSON with base64', () => {
+  const ws = fakeSocket();
+
+  assert.strictEqual(getFrameVersion(ws), null);
+  assert.strictEqual(sendFrame(ws, { type: 'tcp_data', connectionId: 'tcp_1', data: binaryPayload }), true);
+
+  const [sent] = ws.sent;
+  assert.strictEqual(sent.binary, false);
+  assert.deepStrictEqual(JSON.parse(sent.data), {
+    type: 'tcp_data',
+    connectionId: 'tcp_1',
+    data: binaryPayload.toString('base64')
+  });
+  assert.deepStrictEqual(decodeMessage(sent.data, false).data, binaryPayload);
+});
+
+test('after negotiation payloads go as binary frames, control messages stay JSON', () => {
+  const ws = fakeSocket();
+
+  assert.strictEqual(setFrameVersion(ws, 2), false);
+  assert.strictEqual(setFrameVersion(ws, FRAME_VERSION), true);
+  assert.strictEqual(getFrameVersion(ws), FRAME_VERSION);
+
+  sendFrame(ws, { type: 'udp_data', sessionId: 'udp_1', data: binaryPayload });
+  sendFrame(ws, { type: 'udp_close', sessionId: 'udp_1' });
+
+  assert.strictEqual(ws.sent[0].binary, true);
+  assert.deepStrictEqual(decodeMessage(ws.sent[0].data, true), {
+    type: 'udp_data',
+    sessionId: 'udp_1',
+    binary: false,
+    data: binaryPayload
+  });
+  assert.strictEqual(ws.sent[1].binary, false);
+  assert.deepStrictEqual(decodeMessage(ws.sent[1].data, false), { type: 'udp_close', sessionId: 'udp_1' });
+});
+
+test('nothing is sent on a closed socket', () => {
+  const ws = fakeSocket(WebSocket.CLOSED);
+
+  assert.strictEqual(sendFrame(ws, { type: 'tcp_data', connectionId: 'tcp_1', data: binaryPayload }), false);
+  assert.deepStrictEqual(ws.sent, []);
+});
@@ -0,0 +1,64 @@
+// In-memory stand-in for the node-redis v4 client, covering what the tunnel
+// registry uses: get, set with EX, del, publish and duplicate()/subscribe for
+// pub/sub. Clients made with duplicate() share the keys and channels, like
+// connections to one Redis server, so two registries built on it behave like
+// two instances of a cluster.
+function createMemoryRedis(server = { keys: new Map(), channels: new Map() }) {
+  const subscriptions = [];
+
+  const read = (key) => {
+    const entry = server.keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      server.keys.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    server,
+    async connect() {},
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, options = {}) {
+      server.keys.set(key, {
+        value: String(value),
+        expiresAt: options.EX ? Date.now() + options.EX * 1000 : null
+      });
+      return 'OK';
+    },
+    async del(key) {
+      return server.keys.delete(key) ? 1 : 0;
+    },
+    async publish(channel, message) {
+      const listeners = server.channels.get(channel) || [];
+      // Redis delivers messages asynchronously
+      setImmediate(() => listeners.forEach((listener) => listener(message, channel)));
+      return listeners.length;
+    },
+    async subscribe(channel, listener) {
+      if (!server.channels.has(channel)) server.channels.set(channel, []);
+      server.channels.get(channel).push(listener);
+      subscriptions.push([channel, listener]);
+    },
+    async quit() {
+      for (const [channel, listener] of subscriptions) {
+        const listeners = server.channels.get(channel);
+        listeners.splice(listeners.indexOf(listener), 1);
+      }
+      subscriptions.length = 0;
+    },
+    duplicate() {
+      return createMemoryRedis(server);
+    },
+    // Remaining lifetime of a key in ms, null when it doesn't expire or is gone
+    ttl(key) {
+      const entry = server.keys.get(key);
+      return entry && entry.expiresAt ? entry.expiresAt - Date.now() : null;
+    }
+  };
+}
+
+module.exports = { createMemoryRedis };
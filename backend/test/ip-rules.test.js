@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  buildIpRules,
+  describeIpRules,
+  clientAddress,
+  normalizeAddress,
+  parseCidr,
+  createIpFilter
+} = require('../utils/ip-rules');
+
+// Country database stand-in: address -> ISO code
+const geoipReader = (countries) => ({
+  get: (address) => (countries[address] ? { country: { iso_code: countries[address] } } : null)
+});
+
+test('CIDR ranges and single addresses are parsed', () => {
+  assert.deepStrictEqual(parseCidr('10.0.0.0/8'), { address: '10.0.0.0', prefix: 8, family: 'ipv4' });
+  assert.deepStrictEqual(parseCidr(' 203.0.113.7 '), { address: '203.0.113.7', prefix: 32, family: 'ipv4' });
+  assert.deepStrictEqual(parseCidr('2001:db8::/32'), { address: '2001:db8::', prefix: 32, family: 'ipv6' });
+  assert.deepStrictEqual(parseCidr('::ffff:192.0.2.1'), { address: '192.0.2.1', prefix: 32, family: 'ipv4' });
+
+  for (const invalid of ['10.0.0.0/33', '2001:db8::/129', '10.0.0.0/8/1', '10.0.0.0/-1', '10.0.0.0/', 'example.com', '300.1.1.1', 42]) {
+    assert.strictEqual(parseCidr(invalid), null, String(invalid));
+  }
+});
+
+test('rules are validated, normalized and deduplicated', () => {
+  assert.deepStrictEqual(buildIpRules({
+    allow: ['203.0.113.0/24', '203.0.113.0/24', '198.51.100.7/32'],
+    deny_countries: ['xx', 'XX']
+  }), {
+    rules: { allow: ['203.0.113.0/24', '198.51.100.7'], deny: [], allow_countries: [], deny_countries: ['XX'] }
+  });
+
+  assert.deepStrictEqual(buildIpRules(null), { rules: null });
+  assert.deepStrictEqual(buildIpRules({ allow: [], deny: [] }), { rules: null });
+  assert.match(buildIpRules({ deny: ['nope'] }).error, /Invalid IP address or CIDR range in deny: nope/);
+  assert.match(buildIpRules({ allow_countries: ['IDN'] }).error, /Invalid country code/);
+  assert.match(buildIpRules({ allow: Array.from({ length: 101 }, (_, i) => `10.0.0.${i % 256}`) }).error, /at most 100/);
+  assert.match(buildIpRules(['10.0.0.1']).error, /must be an object/);
+
+  assert.deepStrictEqual(describeIpRules(null), { allow: [], deny: [], allow_countries: [], deny_countries: [] });
+});
+
+test('express requests use req.ip', () => {
+  assert.strictEqual(clientAddress({ ip: '::ffff:203.0.113.9', headers: { 'x-forwarded-for': '1.1.1.1' } }), '203.0.113.9');
+});
+
+test('X-Forwarded-For is walked from the right past trusted proxies only', () => {
+  const upgrade = (remoteAddress, forwardedFor) => ({
+    socket: { remoteAddress },
+    headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }
+  });
+
+  // Caddy on localhost, visitor before it
+  assert.strictEqual(clientAddress(upgrade('127.0.0.1', '203.0.113.9')), '203.0.113.9');
+  // A spoofed entry on the left is never reached
+  assert.strictEqual(clientAddress(upgrade('127.0.0.1', '6.6.6.6, 203.0.113.9')), '203.0.113.9');
+  // Several hops of our own proxies
+  assert.strictEqual(clientAddress(upgrade('::1', '203.0.113.9, 10.0.0.5')), '203.0.113.9');
+  // Public peer: its X-Forwarded-For is not believed
+  assert.strictEqual(clientAddress(upgrade('198.51.100.1', '203.0.113.9')), '198.51.100.1');
+  // Garbage stops the walk at the last good address
+  assert.strictEqual(clientAddress(upgrade('127.0.0.1', 'unknown')), '127.0.0.1');
+  assert.strictEqual(clientAddress(upgrade('::ffff:127.0.0.1')), '127.0.0.1');
+  assert.strictEqual(normalizeAddress('not an ip'), null);
+});
+
+test('addresses are checked deny first, then allow', () => {
+  const { check } = createIpFilter({ geoipDatabase: null });
+  const rules = buildIpRules({ allow: ['203.0.113.0/24', '2001:db8::/32'], deny: ['203.0.113.66'] }).rules;
+
+  assert.strictEqual(check(rules, '203.0.113.66'), 'ip_denied');
+  assert.strictEqual(check(rules, '203.0.113.7'), null);
+  assert.strictEqual(check(rules, '::ffff:203.0.113.7'), null);
+  assert.strictEqual(check(rules, '2001:db8::1'), null);
+  assert.strictEqual(check(rules, '198.51.100.1'), 'ip_not_allowed');
+  assert.strictEqual(check(rules, 'garbage'), 'ip_not_allowed');
+
+  // Deny only: everybody else gets in
+  assert.strictEqual(check(buildIpRules({ deny: ['10.0.0.0/8'] }).rules, '198.51.100.1'), null);
+  assert.strictEqual(check(null, '198.51.100.1'), null);
+});
+
+test('country rules come after address rules', () => {
+  const { check } = createIpFilter({
+    geoipReader: geoipReader({ '203.0.113.1': 'ID', '198.51.100.1': 'XX', '192.0.2.1': 'US' })
+  });
+  const rules = buildIpRules({
+    allow: ['198.51.100.1'],
+    deny: ['203.0.113.2'],
+    allow_countries: ['ID'],
+    deny_countries: ['XX', 'ID']
+  }).rules;
+
+  // 1. deny address beats everything
+  assert.strictEqual(check(rules, '203.0.113.2'), 'ip_denied');
+  // 2. allowed address beats a denied country
+  assert.strictEqual(check(rules, '198.51.100.1'), null);
+  // 3. denied country beats an allowed country
+  assert.strictEqual(check(rules, '203.0.113.1'), 'country_denied');
+  // 5. with an allow list, anything else is refused, unknown countries included
+  assert.strictEqual(check(rules, '192.0.2.1'), 'country_not_allowed');
+  assert.strictEqual(check(rules, '10.1.2.3'), 'country_not_allowed');
+
+  // 4. allowed country
+  const allowIndonesia = buildIpRules({ allow_countries: ['ID'] }).rules;
+  assert.strictEqual(check(allowIndonesia, '203.0.113.1'), null);
+  assert.strictEqual(check(allowIndonesia, '192.0.2.1'), 'country_not_allowed');
+
+  // Deny countries only: unknown and other countries get in
+  const denyOnly = buildIpRules({ deny_countries: ['XX'] }).rules;
+  assert.strictEqual(check(denyOnly, '198.51.100.1'), 'country_denied');
+  assert.strictEqual(check(denyOnly, '10.1.2.3'), null);
+});
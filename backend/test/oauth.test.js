@@ -0,0 +1,249 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+// The OIDC provider never reads the database, keep the real client (and its
+// connection test) out of the way
+const databasePath = require.resolve('../config/database');
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: {} };
+
+const { buildProviders, createOAuthClient } = require('../utils/oauth');
+
+const CLIENT_ID = 'tunlify-test';
+const CLIENT_SECRET = 'tunlify-secret';
+const REDIRECT_URI = 'https://tunlify.net/api/auth/oauth/oidc/callback';
+
+const s256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+const generateKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+};
+
+// OpenID Connect issuer on localhost: discovery, JWKS and a token endpoint that
+// checks the PKCE verifier of codes handed out by authorize()
+const startIssuer = async () => {
+  const keys = [generateKey('key-1')];
+  const codes = new Map();
+  const tokenRequests = [];
+  let issuer;
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer: server.discoveryIssuer || issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return send(200, { keys: keys.map((key) => key.jwk) });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', (chunk) => { raw += chunk; });
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(raw));
+        tokenRequests.push(params);
+        const grant = codes.get(params.code);
+        codes.delete(params.code);
+        if (!grant || grant.redirectUri !== params.redirect_uri || grant.clientId !== params.client_id) {
+          return send(400, { error: 'invalid_grant', error_description: 'Unknown authorization code' });
+        }
+        if (s256(params.code_verifier || '') !== grant.challenge) {
+          return send(400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+        send(200, { access_token: 'access-token', token_type: 'Bearer', id_token: grant.idToken });
+      });
+      return;
+    }
+    send(404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  // Sign-in at the issuer: a code for the authorization URL built by begin().
+  // claims and signWith override what ends up in the ID token.
+  const authorize = (authorizationUrl, { claims = {}, signWith = keys[0] } = {}) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const idToken = jwt.sign({
+      iss: issuer,
+      aud: params.get('client_id'),
+      sub: 'user-42',
+      email: 'Ada@Example.com',
+      email_verified: true,
+      name: 'Ada',
+      nonce: params.get('nonce'),
+      ...claims
+    }, signWith.privateKey, { algorithm: 'RS256', keyid: signWith.kid, expiresIn: 300 });
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      challenge: params.get('code_challenge'),
+      idToken
+    });
+    return code;
+  };
+
+  return { server, issuer, keys, tokenRequests, authorize };
+};
+
+const setup = async (t) => {
+  const issuer = await startIssuer();
+  t.after(() => new Promise((resolve) => issuer.server.close(resolve)));
+
+  const providers = buildProviders({
+    OIDC_ISSUER: issuer.issuer,
+    OIDC_CLIENT_ID: CLIENT_ID,
+    OIDC_CLIENT_SECRET: CLIENT_SECRET
+  }).filter((provider) => provider.name === 'oidc');
+  return { issuer, oauth: createOAuthClient({ providers }) };
+};
+
+test('begin sends state, nonce and an S256 PKCE challenge', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const authorization = new URL(url);
+  const params = authorization.searchParams;
+
+  assert.strictEqual(`${authorization.origin}${authorization.pathname}`, `${issuer.issuer}/authorize`);
+  assert.strictEqual(params.get('response_type'), 'code');
+  assert.strictEqual(params.get('client_id'), CLIENT_ID);
+  assert.strictEqual(params.get('redirect_uri'), REDIRECT_URI);
+  assert.strictEqual(params.get('scope'), 'openid email profile');
+  assert.strictEqual(params.get('state'), flow.state);
+  assert.strictEqual(params.get('nonce'), flow.nonce);
+  assert.strictEqual(params.get('code_challenge_method'), 'S256');
+  assert.strictEqual(params.get('code_challenge'), s256(flow.verifier));
+  assert.strictEqual(flow.provider, 'oidc');
+
+  const other = await oauth.begin('oidc', REDIRECT_URI);
+  assert.notStrictEqual(other.flow.state, flow.state);
+  assert.notStrictEqual(other.flow.verifier, flow.verifier);
+});
+
+test('complete trades the code with the PKCE verifier and reads the ID token', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const code = issuer.authorize(url);
+  const profile = await oauth.complete('oidc', code, flow, REDIRECT_URI);
+
+  assert.deepStrictEqual(profile, {
+    provider: 'oidc',
+    subject: 'user-42',
+    email: 'ada@example.com',
+    emailVerified: true,
+    name: 'Ada'
+  });
+  assert.strictEqual(issuer.tokenRequests[0].code_verifier, flow.verifier);
+  assert.strictEqual(issuer.tokenRequests[0].client_secret, CLIENT_SECRET);
+});
+
+test('a verifier from another flow is refused by the issuer', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const other = await oauth.begin('oidc', REDIRECT_URI);
+  const code = issuer.authorize(url);
+
+  await assert.rejects(
+    oauth.complete('oidc', code, { ...flow, verifier: other.flow.verifier }, REDIRECT_URI),
+    { code: 'provider_error', message: /PKCE verification failed/ }
+  );
+});
+
+test('an ID token for another nonce is rejected', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const other = await oauth.begin('oidc', REDIRECT_URI);
+  // Token minted for a different sign-in
+  const code = issuer.authorize(url, { claims: { nonce: other.flow.nonce } });
+
+  await assert.rejects(
+    oauth.complete('oidc', code, flow, REDIRECT_URI),
+    { code: 'invalid_token', message: 'ID token nonce does not match' }
+  );
+});
+
+test('an ID token from another issuer is rejected', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const code = issuer.authorize(url, { claims: { iss: 'https://evil.example.com' } });
+
+  await assert.rejects(
+    oauth.complete('oidc', code, flow, REDIRECT_URI),
+    { code: 'invalid_token', message: /jwt issuer invalid/ }
+  );
+});
+
+test('an ID token for another client is rejected', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const { url, flow } = await oauth.begin('oidc', REDIRECT_URI);
+  const code = issuer.authorize(url, { claims: { aud: 'someone-else' } });
+
+  await assert.rejects(
+    oauth.complete('oidc', code, flow, REDIRECT_URI),
+    { code: 'invalid_token', message: /jwt audience invalid/ }
+  );
+});
+
+test('the ID token signature is checked against the issuer JWKS', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  // Same kid as the issuer's key, but not the issuer's private key
+  const forged = generateKey('key-1');
+  const forgedFlow = await oauth.begin('oidc', REDIRECT_URI);
+  await assert.rejects(
+    oauth.complete('oidc', issuer.authorize(forgedFlow.url, { signWith: forged }), forgedFlow.flow, REDIRECT_URI),
+    { code: 'invalid_token', message: /invalid signature/ }
+  );
+
+  // Key the issuer never published
+  const unknown = generateKey('key-unknown');
+  const unknownFlow = await oauth.begin('oidc', REDIRECT_URI);
+  await assert.rejects(
+    oauth.complete('oidc', issuer.authorize(unknownFlow.url, { signWith: unknown }), unknownFlow.flow, REDIRECT_URI),
+    { code: 'invalid_token', message: 'ID token signed with an unknown key' }
+  );
+});
+
+test('keys published after the JWKS was cached are picked up', async (t) => {
+  const { issuer, oauth } = await setup(t);
+
+  const first = await oauth.begin('oidc', REDIRECT_URI);
+  await oauth.complete('oidc', issuer.authorize(first.url), first.flow, REDIRECT_URI);
+
+  // Issuer rotates to a new signing key
+  const rotated = generateKey('key-2');
+  issuer.keys.push(rotated);
+  const second = await oauth.begin('oidc', REDIRECT_URI);
+  const profile = await oauth.complete('oidc', issuer.authorize(second.url, { signWith: rotated }), second.flow, REDIRECT_URI);
+
+  assert.strictEqual(profile.subject, 'user-42');
+});
+
+test('a discovery document for another issuer is refused', async (t) => {
+  const { issuer, oauth } = await setup(t);
+  issuer.server.discoveryIssuer = 'https://evil.example.com';
+
+  await assert.rejects(
+    oauth.begin('oidc', REDIRECT_URI),
+    { code: 'provider_error', message: /Issuer mismatch/ }
+  );
+});
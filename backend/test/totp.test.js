@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890", last 6 of the 8 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const at = (seconds) => seconds * 1000;
+
+test('codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.strictEqual(verifyTotp(RFC_SECRET, code, { now: at(seconds) }), Math.floor(seconds / 30), `T=${seconds}`);
+  }
+});
+
+test('one step of clock drift is accepted either way, two are not', () => {
+  // 081804 belongs to step 37037036, T=1111111080..1111111109
+  const step = 37037036;
+  const stepStart = step * 30;
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { now: at(stepStart - 30) }), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { now: at(stepStart + 59) }), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { now: at(stepStart - 31) }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '081804', { now: at(stepStart + 60) }), null);
+});
+
+test('a code is only accepted once', () => {
+  const now = at(1234567890);
+  const step = verifyTotp(RFC_SECRET, '005924', { now });
+  assert.strictEqual(step, 41152263);
+
+  // Same code again, with the step stored after the first use
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now, lastStep: step }), null);
+  // Half a minute later the code is still inside the drift window, but used
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now: now + at(30), lastStep: step }), null);
+  // Steps before the last used one don't block newer codes
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', { now, lastStep: step - 1 }), step);
+});
+
+test('codes must be six digits, spaces are ignored', () => {
+  const now = at(1111111111);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '050 471', { now }), 37037037);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '50471', { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '0504710', { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '05047a', { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, undefined, { now }), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '000000', { now }), null);
+});
+
+test('generated secrets are 160-bit base32', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notStrictEqual(generateSecret(), secret);
+});
+
+test('secrets are read regardless of case and spacing', () => {
+  // As people copy it from an authenticator app
+  const spaced = RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ');
+  assert.strictEqual(verifyTotp(spaced, '287082', { now: at(59) }), 1);
+});
+
+test('the otpauth URI carries the authenticator parameters', () => {
+  const uri = new URL(otpauthUri({ secret: RFC_SECRET, account: 'ada@example.com' }));
+
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Tunlify:ada@example.com');
+  assert.deepStrictEqual(Object.fromEntries(uri.searchParams), {
+    secret: RFC_SECRET,
+    issuer: 'Tunlify',
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+});
+
+test('recovery codes are random and hashed independent of case and dash', () => {
+  const codes = generateRecoveryCodes();
+
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(new Set(codes).size, 10);
+  for (const code of codes) {
+    assert.match(code, /^[a-z2-7]{4}-[a-z2-7]{4}$/);
+  }
+
+  const [code] = codes;
+  assert.strictEqual(hashRecoveryCode(code.toUpperCase()), hashRecoveryCode(code));
+  assert.strictEqual(hashRecoveryCode(code.replace('-', '')), hashRecoveryCode(code));
+  assert.strictEqual(hashRecoveryCode(` ${code} `), hashRecoveryCode(code));
+  assert.notStrictEqual(hashRecoveryCode(codes[1]), hashRecoveryCode(code));
+});
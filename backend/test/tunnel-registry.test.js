@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { createTunnelRegistry } = require('../utils/tunnel-registry');
+const { FORWARDED_HEADER, acceptForwarded, isForwarded, forwardHttp } = require('../utils/cluster-forward');
+const { createMemoryRedis } = require('./helpers/memory-redis');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// Two instances sharing one Redis
+const createCluster = async (t, { ttl } = {}) => {
+  const redis = createMemoryRedis();
+  const nodeA = createTunnelRegistry({ redis, nodeId: 'node-a', nodeUrl: 'http://10.0.0.1:5000', ttl });
+  const nodeB = createTunnelRegistry({ redis: redis.duplicate(), nodeId: 'node-b', nodeUrl: 'http://10.0.0.2:5000', ttl });
+  await nodeA.start();
+  await nodeB.start();
+  t.after(async () => {
+    await nodeA.stop();
+    await nodeB.stop();
+  });
+  return { redis, nodeA, nodeB };
+};
+
+test('claim registers the instance as owner with an expiry', async (t) => {
+  const { redis, nodeA } = await createCluster(t);
+
+  await nodeA.claim('app.tunlify.net');
+
+  assert.ok(nodeA.owned.has('app.tunlify.net'));
+  assert.deepStrictEqual(
+    JSON.parse(await redis.get('tunnel_owner:app.tunlify.net')),
+    { nodeId: 'node-a', url: 'http://10.0.0.1:5000' }
+  );
+  const remaining = redis.ttl('tunnel_owner:app.tunlify.net');
+  assert.ok(remaining > 0 && remaining <= 90 * 1000);
+});
+
+test('other instances look up tunnels owned elsewhere', async (t) => {
+  const { nodeA, nodeB } = await createCluster(t);
+
+  await nodeA.claim('app.tunlify.net');
+
+  assert.deepStrictEqual(await nodeB.lookup('app.tunlify.net'), { nodeId: 'node-a', url: 'http://10.0.0.1:5000' });
+  assert.strictEqual(await nodeB.lookup('other.tunlify.net'), null);
+  assert.ok(!nodeB.owned.has('app.tunlify.net'));
+});
+
+test('the owner keeps refreshing its claim until it stops', async (t) => {
+  const { nodeA, nodeB } = await createCluster(t, { ttl: 0.3 });
+
+  await nodeA.claim('app.tunlify.net');
+  // Twice the TTL, only the refresh keeps the key alive
+  await sleep(600);
+  assert.strictEqual((await nodeB.lookup('app.tunlify.net')).nodeId, 'node-a');
+
+  // Crashed instance: nobody refreshes, the claim runs out
+  await nodeA.stop();
+  await sleep(400);
+  assert.strictEqual(await nodeB.lookup('app.tunlify.net'), null);
+});
+
+test('a claim elsewhere is announced and wins over the older one', async (t) => {
+  const { nodeA, nodeB } = await createCluster(t);
+  const claimed = [];
+  nodeA.onClaimed((tunnelKey, nodeId) => claimed.push([tunnelKey, nodeId]));
+
+  await nodeA.claim('app.tunlify.net');
+  // Client reconnected to the other instance
+  await nodeB.claim('app.tunlify.net');
+  await sleep(10);
+
+  assert.deepStrictEqual(claimed, [['app.tunlify.net', 'node-b']]);
+  assert.ok(!nodeA.owned.has('app.tunlify.net'));
+
+  // The old connection closing must not remove the new owner
+  assert.strictEqual(await nodeA.release('app.tunlify.net'), false);
+  assert.strictEqual((await nodeA.lookup('app.tunlify.net')).nodeId, 'node-b');
+
+  assert.strictEqual(await nodeB.release('app.tunlify.net'), true);
+  assert.strictEqual(await nodeA.lookup('app.tunlify.net'), null);
+});
+
+test('token changes are announced to the other instances only', async (t) => {
+  const { nodeA, nodeB } = await createCluster(t);
+  const seenByA = [];
+  const seenByB = [];
+  nodeA.onTokenChanged((tunnelId) => seenByA.push(tunnelId));
+  nodeB.onTokenChanged((tunnelId) => seenByB.push(tunnelId));
+
+  await nodeA.announceTokenChange('tunnel-1');
+  await sleep(10);
+
+  assert.deepStrictEqual(seenByA, []);
+  assert.deepStrictEqual(seenByB, ['tunnel-1']);
+});
+
+test('requests are forwarded to the owning instance', async (t) => {
+  const redis = createMemoryRedis();
+
+  // Owner instance: answers with what it received
+  const ownerServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      res.writeHead(201, { 'content-type': 'application/json', 'x-owner': 'node-a' });
+      res.end(JSON.stringify({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('base64')
+      }));
+    });
+  });
+  const ownerUrl = await listen(ownerServer);
+  const nodeA = createTunnelRegistry({ redis, nodeId: 'node-a', nodeUrl: ownerUrl });
+  await nodeA.claim('app.tunlify.net');
+
+  // Instance the request lands on
+  const nodeB = createTunnelRegistry({ redis: redis.duplicate(), nodeId: 'node-b', nodeUrl: 'http://127.0.0.1:1' });
+  const app = express();
+  app.use(async (req, res) => {
+    if (isForwarded(req)) return res.status(508).json({ message: 'Forwarding loop' });
+    const owner = await nodeB.lookup(req.headers.host.split(':')[0]);
+    if (!owner) return res.status(404).json({ message: 'Tunnel not found' });
+    forwardHttp(req, res, owner, nodeB.nodeId);
+  });
+  const frontServer = http.createServer(app);
+  const frontUrl = await listen(frontServer);
+
+  t.after(async () => {
+    await nodeA.stop();
+    await nodeB.stop();
+    await close(frontServer);
+    await close(ownerServer);
+  });
+
+  const body = Buffer.from([0x00, 0xff, 0x10, 0x80]);
+  const response = await new Promise((resolve, reject) => {
+    const req = http.request(`${frontUrl}/upload?x=1`, {
+      method: 'POST',
+      headers: { host: 'app.tunlify.net', 'content-type': 'application/octet-stream', 'keep-alive': 'timeout=5' }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks)) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.headers['x-owner'], 'node-a');
+  assert.strictEqual(response.body.method, 'POST');
+  assert.strictEqual(response.body.url, '/upload?x=1');
+  assert.strictEqual(response.body.headers.host, 'app.tunlify.net');
+  assert.strictEqual(response.body.headers[FORWARDED_HEADER], 'node-b');
+  assert.strictEqual(response.body.headers['keep-alive'], undefined);
+  assert.ok(Buffer.from(response.body.body, 'base64').equals(body));
+});
+
+test('the forwarded mark is only believed on the internal port', () => {
+  const fromPublic = { headers: { [FORWARDED_HEADER]: 'node-x' } };
+  assert.strictEqual(isForwarded(fromPublic), false);
+
+  assert.strictEqual(isForwarded(acceptForwarded({ headers: { [FORWARDED_HEADER]: 'node-b' } })), true);
+  assert.strictEqual(isForwarded(acceptForwarded({ headers: {} })), false);
+});
+
+test('bodies already parsed by express.json are forwarded again', async (t) => {
+  const ownerServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ body, contentType: req.headers['content-type'], length: req.headers['content-length'] }));
+    });
+  });
+  const ownerUrl = await listen(ownerServer);
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.post('/replay', (req, res) => forwardHttp(req, res, { nodeId: 'node-a', url: ownerUrl }, 'node-b'));
+  const frontServer = http.createServer(app);
+  const frontUrl = await listen(frontServer);
+  t.after(async () => {
+    await close(frontServer);
+    await close(ownerServer);
+  });
+
+  const json = await fetch(`${frontUrl}/replay`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: '{ }',
+    signal: AbortSignal.timeout(2000)
+  });
+  assert.deepStrictEqual(await json.json(), { body: '{}', contentType: 'application/json', length: '2' });
+
+  const form = await fetch(`${frontUrl}/replay`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: 'method=GET&path=%2Fhealth',
+    signal: AbortSignal.timeout(2000)
+  });
+  assert.deepStrictEqual(JSON.parse((await form.json()).body), { method: 'GET', path: '/health' });
+});
+
+test('an unreachable owner answers 502', async (t) => {
+  const app = express();
+  app.use((req, res) => forwardHttp(req, res, { nodeId: 'node-a', url: 'http://127.0.0.1:1' }, 'node-b'));
+  const frontServer = http.createServer(app);
+  const frontUrl = await listen(frontServer);
+  t.after(() => close(frontServer));
+
+  const response = await fetch(`${frontUrl}/`);
+
+  assert.strictEqual(response.status, 502);
+  assert.deepStrictEqual(await response.json(), { message: 'Tunnel instance unreachable' });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Supabase query builder stand-in: every finished query goes through `respond`,
+// which tests replace to make single statements fail
+const calls = [];
+let respond = () => ({ data: null, error: null });
+const fakeSupabase = {
+  from: (table) => {
+    const call = { table, op: 'select', filters: [], payload: null };
+    const run = () => {
+      calls.push(call);
+      return Promise.resolve(respond(call));
+    };
+    const chain = (change) => (...args) => {
+      change(...args);
+      return query;
+    };
+    const query = {
+      select: chain(() => {}),
+      insert: chain((rows) => Object.assign(call, { op: 'insert', payload: rows[0] })),
+      update: chain((values) => Object.assign(call, { op: 'update', payload: values })),
+      delete: chain(() => Object.assign(call, { op: 'delete' })),
+      eq: chain((column, value) => call.filters.push([column, value])),
+      lte: chain(() => {}),
+      single: run,
+      then: (resolve, reject) => run().then(resolve, reject)
+    };
+    return query;
+  }
+};
+const databasePath = require.resolve('../config/database');
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: fakeSupabase };
+
+const { hashConnectionToken, rotateConnectionToken } = require('../utils/tunnel-tokens');
+
+const tunnel = { id: 'tunnel-1', connection_token: 'a'.repeat(64) };
+
+const reset = (handler) => {
+  calls.length = 0;
+  respond = (call) => handler(call) || { data: null, error: null };
+};
+
+const writes = () => calls.filter((call) => call.op !== 'select').map((call) => `${call.op} ${call.table}`);
+
+test('the old token is saved before the primary token changes', async () => {
+  reset((call) => {
+    if (call.op === 'insert') return { data: { id: 'previous-1', ...call.payload }, error: null };
+    if (call.op === 'update') return { data: [{ id: tunnel.id }], error: null };
+  });
+
+  const { token, previous } = await rotateConnectionToken(tunnel, { gracePeriod: 60 });
+
+  assert.deepStrictEqual(writes(), ['delete tunnel_tokens', 'insert tunnel_tokens', 'update tunnels']);
+  assert.notStrictEqual(token, tunnel.connection_token);
+  assert.strictEqual(previous.token_hash, hashConnectionToken(tunnel.connection_token));
+  assert.strictEqual(previous.expired, false);
+});
+
+test('a failed save leaves the primary token alone', async () => {
+  reset((call) => {
+    if (call.op === 'insert') return { data: null, error: new Error('insert failed') };
+    if (call.op === 'update') throw new Error('primary token must not change');
+  });
+
+  await assert.rejects(rotateConnectionToken(tunnel, { gracePeriod: 60 }), /insert failed/);
+  assert.deepStrictEqual(writes(), ['delete tunnel_tokens', 'insert tunnel_tokens']);
+});
+
+test('a concurrent rotation is a conflict and drops the saved copy', async () => {
+  reset((call) => {
+    if (call.op === 'insert') return { data: { id: 'previous-1', ...call.payload }, error: null };
+    // Someone else changed the primary token first
+    if (call.op === 'update') return { data: [], error: null };
+  });
+
+  await assert.rejects(rotateConnectionToken(tunnel, { gracePeriod: 60 }), { code: 'tunnel_token_conflict' });
+  const cleanup = calls[calls.length - 1];
+  assert.strictEqual(`${cleanup.op} ${cleanup.table}`, 'delete tunnel_tokens');
+  assert.deepStrictEqual(cleanup.filters, [['id', 'previous-1']]);
+});
+
+test('the old token saved twice is a conflict', async () => {
+  reset((call) => {
+    if (call.op === 'insert') return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+  });
+
+  await assert.rejects(rotateConnectionToken(tunnel, { gracePeriod: 60 }), { code: 'tunnel_token_conflict' });
+  assert.deepStrictEqual(writes(), ['delete tunnel_tokens', 'insert tunnel_tokens']);
+});
+
+test('without grace period only the primary token changes', async () => {
+  reset((call) => {
+    if (call.op === 'update') return { data: [{ id: tunnel.id }], error: null };
+  });
+
+  const { previous } = await rotateConnectionToken(tunnel, { gracePeriod: 0 });
+
+  assert.strictEqual(previous, null);
+  assert.deepStrictEqual(writes(), ['delete tunnel_tokens', 'update tunnels']);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { describeWebhookVerification, createWebhookVerifier } = require('../utils/webhook-verification');
+
+const SECRET = 'whsec_test';
+const NOW = 1700000000;
+const body = Buffer.from('{"id":"evt_1","amount":4200}');
+
+const hmac = (payload, secret = SECRET) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const verifier = createWebhookVerifier();
+const deliver = (provider, headers, { tolerance = 300, now = NOW, payload = body } = {}) =>
+  verifier.verify({ path: '/hook', provider, secret: SECRET, tolerance }, { headers, body: payload, now });
+
+test('Stripe signatures cover the timestamp and body', () => {
+  const signature = hmac(`${NOW}.${body}`);
+
+  assert.deepStrictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=${signature}` }), {
+    provider: 'stripe', verified: true, reason: null
+  });
+  // Several v1 signatures while a secret rolls, one of them matches
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=${'0'.repeat(64)},v1=${signature}` }).verified, true);
+  // Uppercase hex is the same digest
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=${signature.toUpperCase()}` }).verified, true);
+
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=${hmac(`${NOW}.${body}`, 'other')}` }).reason, 'invalid_signature');
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=${signature}` }, { payload: Buffer.from('{}') }).reason, 'invalid_signature');
+  // Replayed with a fresh timestamp: the signature no longer matches
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW + 1},v1=${signature}` }).reason, 'invalid_signature');
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${NOW},v1=not-hex` }).reason, 'invalid_signature');
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `v1=${signature}` }).reason, 'missing_signature');
+  assert.strictEqual(deliver('stripe', {}).reason, 'missing_signature');
+});
+
+test('Stripe timestamps must be within the tolerance', () => {
+  const old = NOW - 301;
+  const headers = { 'stripe-signature': `t=${old},v1=${hmac(`${old}.${body}`)}` };
+
+  assert.strictEqual(deliver('stripe', headers).reason, 'timestamp_out_of_tolerance');
+  assert.strictEqual(deliver('stripe', headers, { tolerance: 600 }).verified, true);
+
+  // Clock skew the other way counts as well
+  const future = NOW + 299;
+  assert.strictEqual(deliver('stripe', { 'stripe-signature': `t=${future},v1=${hmac(`${future}.${body}`)}` }).verified, true);
+});
+
+test('GitHub signatures cover the body', () => {
+  assert.strictEqual(deliver('github', { 'x-hub-signature-256': `sha256=${hmac(body)}` }).verified, true);
+  // No timestamp, so any age passes
+  assert.strictEqual(deliver('github', { 'x-hub-signature-256': `sha256=${hmac(body)}` }, { now: NOW * 2 }).verified, true);
+
+  assert.strictEqual(deliver('github', { 'x-hub-signature-256': `sha256=${hmac('tampered')}` }).reason, 'invalid_signature');
+  assert.strictEqual(deliver('github', { 'x-hub-signature-256': hmac(body) }).reason, 'missing_signature');
+  // The SHA-1 header alone is not accepted
+  assert.strictEqual(deliver('github', { 'x-hub-signature': `sha1=${hmac(body)}` }).reason, 'missing_signature');
+});
+
+test('Slack signatures cover version, timestamp and body', () => {
+  const headers = (timestamp, signature = hmac(`v0:${timestamp}:${body}`)) => ({
+    'x-slack-signature': `v0=${signature}`,
+    'x-slack-request-timestamp': String(timestamp)
+  });
+
+  assert.strictEqual(deliver('slack', headers(NOW)).verified, true);
+  assert.strictEqual(deliver('slack', headers(NOW - 301)).reason, 'timestamp_out_of_tolerance');
+  assert.strictEqual(deliver('slack', headers(NOW, hmac(`v0:${NOW}:other`))).reason, 'invalid_signature');
+  assert.strictEqual(deliver('slack', { 'x-slack-signature': `v0=${hmac(`v0:${NOW}:${body}`)}` }).reason, 'missing_signature');
+  assert.strictEqual(deliver('slack', { ...headers(NOW), 'x-slack-signature': hmac(`v0:${NOW}:${body}`) }).reason, 'missing_signature');
+});
+
+test('the longest endpoint path covering a request applies', () => {
+  const config = {
+    endpoints: [
+      { path: '/webhooks', provider: 'github', secret: 'a', tolerance: 300 },
+      { path: '/webhooks/stripe', provider: 'stripe', secret: 'b', tolerance: 300 }
+    ]
+  };
+
+  assert.strictEqual(verifier.match(config, '/webhooks/stripe?x=1').provider, 'stripe');
+  assert.strictEqual(verifier.match(config, '/webhooks/github').provider, 'github');
+  assert.strictEqual(verifier.match(config, '/webhooks-other'), null);
+  assert.strictEqual(verifier.match(config, '/'), null);
+  assert.strictEqual(verifier.match(null, '/webhooks'), null);
+});
+
+test('endpoint configs are validated and keep stored secrets', () => {
+  const { config } = verifier.buildConfig({ endpoints: [{ path: '/hook', provider: 'stripe', secret: 's1' }] });
+  assert.deepStrictEqual(config, { endpoints: [{ path: '/hook', provider: 'stripe', secret: 's1', tolerance: 300 }] });
+
+  // Sent back without the secret, as the dashboard does
+  assert.strictEqual(verifier.buildConfig({ endpoints: [{ path: '/hook', provider: 'stripe', tolerance: 60 }] }, config).config.endpoints[0].secret, 's1');
+  assert.match(verifier.buildConfig({ endpoints: [{ path: '/hook', provider: 'github' }] }, config).error, /needs a signing secret/);
+
+  assert.match(verifier.buildConfig({ endpoints: [{ path: 'hook', provider: 'stripe', secret: 's' }] }).error, /must start with \//);
+  assert.match(verifier.buildConfig({ endpoints: [{ path: '/hook', provider: 'paypal', secret: 's' }] }).error, /must be one of: stripe, github, slack/);
+  assert.match(verifier.buildConfig({ endpoints: [{ path: '/hook', provider: 'stripe', secret: 's', tolerance: 5 }] }).error, /between 10 and 3600/);
+  assert.match(verifier.buildConfig({
+    endpoints: [{ path: '/hook', provider: 'stripe', secret: 's' }, { path: '/hook', provider: 'github', secret: 's' }]
+  }).error, /Duplicate/);
+  assert.deepStrictEqual(verifier.buildConfig({ endpoints: [] }), { config: null });
+
+  assert.deepStrictEqual(describeWebhookVerification(config), { endpoints: [{ path: '/hook', provider: 'stripe', tolerance: 300 }] });
+});
+
+test('registered providers are verified, failing ones reject the delivery', () => {
+  const custom = createWebhookVerifier({ providers: [] });
+  custom.register({
+    name: 'acme',
+    verify: ({ headers, secret }) => (headers['x-acme'] === secret ? null : 'invalid_signature')
+  });
+  custom.register({
+    name: 'broken',
+    verify: () => {
+      throw new Error('boom');
+    }
+  });
+
+  assert.deepStrictEqual(custom.list(), [
+    { name: 'acme', label: 'acme', timestamped: false },
+    { name: 'broken', label: 'broken', timestamped: false }
+  ]);
+  assert.strictEqual(custom.verify({ provider: 'acme', secret: 'k' }, { headers: { 'x-acme': 'k' } }).verified, true);
+  assert.strictEqual(custom.verify({ provider: 'broken', secret: 'k' }, { headers: {} }).reason, 'invalid_signature');
+  assert.strictEqual(custom.verify({ provider: 'stripe', secret: 'k' }, { headers: {} }).reason, 'unknown_provider');
+  assert.throws(() => custom.register({ name: 'Bad Name', verify() {} }), /lowercase name/);
+});
@@ -0,0 +1,384 @@
+// Access policies for HTTP tunnel URLs, checked by the proxy before a request reaches
+// the tunnel client. Stored on tunnels.access_policy as one of:
+//   { type: 'basic', username, password_hash }         - HTTP Basic credentials
+//   { type: 'bearer', token_hash }                      - shared secret, sent as
+//                                                         `Authorization: Bearer <token>`
+//                                                         or `X-Tunlify-Token: <token>`
+//   { type: 'email', emails: ['a@x.com', '@x.com'] }    - visitors log in with a code
+//                                                         mailed to an allowed address
+// A tunnel client can set a policy for its session (`--basic-auth`). It only applies
+// to tunnels without a stored policy: the stored one is set in the dashboard (by an
+// admin for organization tunnels) and a client must not be able to weaken it.
+// Credentials used by the gate are stripped before the request is relayed.
+const crypto = require('crypto');
+const querystring = require('querystring');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { sendAccessCodeEmail } = require('./email');
+
+const POLICY_TYPES = ['none', 'basic', 'bearer', 'email'];
+const ACCESS_COOKIE = 'tunlify_access';
+const GATE_PREFIX = '/__tunlify/';
+const COOKIE_TTL = 7 * 24 * 60 * 60; // seconds
+const CODE_TTL = 10 * 60; // seconds
+const MAX_CODE_ATTEMPTS = 5;
+const CREDENTIAL_CACHE_TTL = 5 * 60 * 1000; // bcrypt is slow, remember good credentials
+const FORM_BODY_LIMIT = 4 * 1024;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Policy the gate enforces for a tunnel
+const effectivePolicy = (storedPolicy, sessionPolicy) => storedPolicy || sessionPolicy || null;
+
+const normalizeEmailRule = (rule) => String(rule).trim().toLowerCase();
+const isEmailRule = (rule) => /^[^\s@]*@[^\s@]+\.[^\s@]+$/.test(rule);
+
+// Build the stored policy from API/client input. `current` is the stored policy, so a
+// basic policy can be edited without retyping the password. Resolves { policy } or { error }.
+const buildPolicy = async (input, current = null) => {
+  if (!input || input.type === undefined || input.type === 'none') return { policy: null };
+  if (!POLICY_TYPES.includes(input.type)) {
+    return { error: `Access policy type must be one of: ${POLICY_TYPES.join(', ')}` };
+  }
+
+  if (input.type === 'basic') {
+    const username = typeof input.username === 'string' ? input.username.trim() : '';
+    if (!username || username.includes(':')) {
+      return { error: 'Basic auth needs a username without ":"' };
+    }
+    if (input.password === undefined || input.password === '') {
+      if (current && current.type === 'basic') {
+        return { policy: { type: 'basic', username, password_hash: current.password_hash } };
+      }
+      return { error: 'Basic auth needs a password' };
+    }
+    if (typeof input.password !== 'string' || input.password.length < 4) {
+      return { error: 'Basic auth password must be at least 4 characters' };
+    }
+    return { policy: { type: 'basic', username, password_hash: await bcrypt.hash(input.password, 10) } };
+  }
+
+  if (input.type === 'bearer') {
+    if (input.token === undefined || input.token === '') {
+      if (current && current.type === 'bearer') return { policy: current };
+      return { error: 'Bearer access needs a token' };
+    }
+    if (typeof input.token !== 'string' || input.token.length < 16) {
+      return { error: 'Bearer token must be at least 16 characters' };
+    }
+    return { policy: { type: 'bearer', token_hash: await bcrypt.hash(input.token, 10) } };
+  }
+
+  const emails = (Array.isArray(input.emails) ? input.emails : [])
+    .map(normalizeEmailRule)
+    .filter(Boolean);
+  if (emails.length === 0) {
+    return { error: 'Email gate needs at least one allowed email or @domain' };
+  }
+  const invalid = emails.find((rule) => !isEmailRule(rule));
+  if (invalid) {
+    return { error: `Invalid email rule: ${invalid}` };
+  }
+  return { policy: { type: 'email', emails: [...new Set(emails)] } };
+};
+
+// Policy as returned by the API, without secrets
+const describePolicy = (policy) => {
+  if (!policy) return { type: 'none' };
+  if (policy.type === 'basic') return { type: 'basic', username: policy.username };
+  if (policy.type === 'email') return { type: 'email', emails: policy.emails };
+  return { type: policy.type };
+};
+
+const isEmailAllowed = (policy, email) => {
+  const address = normalizeEmailRule(email);
+  if (!isEmailRule(address) || address.startsWith('@')) return false;
+  const domain = address.slice(address.indexOf('@'));
+  return policy.emails.some((rule) => rule === address || rule === domain);
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+  return cookies;
+};
+
+const withoutCookie = (header, name) => header
+  .split(';')
+  .filter((part) => part.split('=')[0].trim() !== name)
+  .join(';')
+  .trim();
+
+// Only same-site paths, never `//host` or absolute URLs
+const safeNext = (next) => (typeof next === 'string' && /^\/(?![/\\])/.test(next) ? next : '/');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const readForm = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > FORM_BODY_LIMIT) {
+      reject(new Error('Form too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(querystring.parse(body)));
+  req.on('error', reject);
+});
+
+const gatePage = (hostname, title, content) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - ${escapeHtml(hostname)}</title>
+<style>
+body{font-family:system-ui,sans-serif;background:#f4f4f7;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0}
+.card{background:#fff;padding:32px;border-radius:12px;box-shadow:0 2px 12px rgba(0,0,0,.08);width:100%;max-width:360px}
+h1{font-size:20px;margin:0 0 8px}p{color:#666;font-size:14px}
+input{width:100%;box-sizing:border-box;padding:10px;border:1px solid #ccc;border-radius:8px;margin:8px 0 16px;font-size:15px}
+button{width:100%;padding:10px;border:0;border-radius:8px;background:#667eea;color:#fff;font-size:15px;cursor:pointer}
+.error{color:#c00}
+</style></head>
+<body><div class="card"><h1>${escapeHtml(title)}</h1>${content}</div></body></html>`;
+
+function createAccessGate({ secret = process.env.JWT_SECRET, sendCode = sendAccessCodeEmail } = {}) {
+  // sha256(policy hash + credential) -> expiry
+  const verifiedCredentials = new Map();
+  // challenge id -> failed attempts
+  const codeAttempts = new Map();
+
+  const checkSecret = async (hash, credential) => {
+    const key = sha256(`${hash}:${credential}`);
+    const expires = verifiedCredentials.get(key);
+    if (expires && expires > Date.now()) return true;
+
+    if (!(await bcrypt.compare(credential, hash))) return false;
+    verifiedCredentials.set(key, Date.now() + CREDENTIAL_CACHE_TTL);
+    return true;
+  };
+
+  const basicCredentials = (req) => {
+    const match = /^Basic\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString();
+    const index = decoded.indexOf(':');
+    return index === -1 ? null : { username: decoded.slice(0, index), password: decoded.slice(index + 1) };
+  };
+
+  const bearerToken = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (match) return { token: match[1].trim(), header: 'authorization' };
+    if (req.headers['x-tunlify-token']) return { token: String(req.headers['x-tunlify-token']), header: 'x-tunlify-token' };
+    return null;
+  };
+
+  const accessSession = (req, tunnel) => {
+    const cookie = parseCookies(req.headers.cookie)[ACCESS_COOKIE];
+    if (!cookie) return null;
+    try {
+      const session = jwt.verify(cookie, secret);
+      return session.purpose === 'tunnel_access' && session.tid === tunnel.id ? session : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Does the request pass the policy? Strips the gate's credentials from req.headers when it does.
+  const authorize = async (req, tunnel, policy) => {
+    if (!policy) return true;
+
+    if (policy.type === 'basic') {
+      const credentials = basicCredentials(req);
+      if (!credentials || credentials.username !== policy.username) return false;
+      if (!(await checkSecret(policy.password_hash, credentials.password))) return false;
+      delete req.headers.authorization;
+      return true;
+    }
+
+    if (policy.type === 'bearer') {
+      const bearer = bearerToken(req);
+      if (!bearer || !(await checkSecret(policy.token_hash, bearer.token))) return false;
+      delete req.headers[bearer.header];
+      return true;
+    }
+
+    if (policy.type === 'email') {
+      if (!accessSession(req, tunnel)) return false;
+      const cookie = withoutCookie(req.headers.cookie, ACCESS_COOKIE);
+      if (cookie) req.headers.cookie = cookie;
+      else delete req.headers.cookie;
+      return true;
+    }
+
+    return false;
+  };
+
+  const loginPage = (hostname, next, error = null) => gatePage(hostname, 'Sign in', `
+<p>${escapeHtml(hostname)} is protected. Enter your email to get a login code.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="POST" action="${GATE_PREFIX}login">
+<input type="hidden" name="next" value="${escapeHtml(next)}">
+<input type="email" name="email" placeholder="you@example.com" required autofocus>
+<button type="submit">Send code</button>
+</form>`);
+
+  const codePage = (hostname, email, challenge, error = null) => gatePage(hostname, 'Check your email', `
+<p>If ${escapeHtml(email)} may open ${escapeHtml(hostname)}, a 6-digit code is on its way.</p>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="POST" action="${GATE_PREFIX}verify">
+<input type="hidden" name="challenge" value="${escapeHtml(challenge)}">
+<input type="text" name="code" inputmode="numeric" pattern="[0-9]{6}" placeholder="123456" required autofocus>
+<button type="submit">Continue</button>
+</form>`);
+
+  // Answer a request that failed the policy
+  const deny = (req, res, tunnel, policy, targetUrl) => {
+    const hostname = req.headers.host || `${tunnel.subdomain}.${tunnel.location}`;
+
+    if (policy.type === 'basic') {
+      res.setHeader('WWW-Authenticate', `Basic realm="${hostname.replace(/"/g, '')}", charset="UTF-8"`);
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (policy.type === 'bearer') {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ message: 'Access token required' });
+    }
+
+    // Browsers get the login form, API clients a plain 401
+    if ((req.headers.accept || '').includes('text/html')) {
+      return res.status(401).type('html').send(loginPage(hostname, safeNext(targetUrl)));
+    }
+    return res.status(401).json({ message: 'Login required', login_url: `${GATE_PREFIX}login` });
+  };
+
+  // Email gate endpoints under /__tunlify/ on the tunnel hostname. Returns false when
+  // the request is not for the gate and should be relayed.
+  const handleGateRequest = async (req, res, tunnel, policy, targetUrl) => {
+    if (!policy || policy.type !== 'email') return false;
+    const path = targetUrl.split('?')[0];
+    if (!path.startsWith(GATE_PREFIX)) return false;
+
+    const hostname = req.headers.host || `${tunnel.subdomain}.${tunnel.location}`;
+    const action = path.slice(GATE_PREFIX.length);
+
+    if (action === 'logout') {
+      res.setHeader('Set-Cookie', `${ACCESS_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`);
+      res.redirect(303, '/');
+      return true;
+    }
+
+    if (action === 'login' && req.method === 'GET') {
+      res.type('html').send(loginPage(hostname, '/'));
+      return true;
+    }
+
+    if (req.method !== 'POST' || (action !== 'login' && action !== 'verify')) {
+      res.status(404).json({ message: 'Not found' });
+      return true;
+    }
+
+    let form;
+    try {
+      form = await readForm(req);
+    } catch (error) {
+      res.status(413).json({ message: error.message });
+      return true;
+    }
+
+    if (action === 'login') {
+      const email = normalizeEmailRule(form.email || '');
+      const next = safeNext(form.next);
+      if (!isEmailRule(email) || email.startsWith('@')) {
+        res.status(400).type('html').send(loginPage(hostname, next, 'Enter a valid email address'));
+        return true;
+      }
+
+      // Same answer whether or not the address is allowed, only allowed ones get a code
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      const allowed = isEmailAllowed(policy, email);
+      const challenge = jwt.sign({
+        purpose: 'tunnel_access_code',
+        jti: crypto.randomBytes(8).toString('hex'),
+        tid: tunnel.id,
+        email,
+        next,
+        code: allowed ? sha256(`${secret}:${code}`) : null
+      }, secret, { expiresIn: CODE_TTL });
+
+      if (allowed) {
+        try {
+          await sendCode(email, code, hostname);
+        } catch (error) {
+          res.status(502).type('html').send(loginPage(hostname, next, 'Could not send the login code, try again later'));
+          return true;
+        }
+      }
+
+      res.type('html').send(codePage(hostname, email, challenge));
+      return true;
+    }
+
+    // verify
+    let challenge;
+    try {
+      challenge = jwt.verify(form.challenge || '', secret);
+    } catch (error) {
+      res.status(400).type('html').send(loginPage(hostname, '/', 'The code expired, request a new one'));
+      return true;
+    }
+    if (challenge.purpose !== 'tunnel_access_code' || challenge.tid !== tunnel.id) {
+      res.status(400).type('html').send(loginPage(hostname, '/', 'Invalid login attempt'));
+      return true;
+    }
+
+    const attempts = codeAttempts.get(challenge.jti) || 0;
+    if (attempts >= MAX_CODE_ATTEMPTS) {
+      res.status(429).type('html').send(loginPage(hostname, challenge.next, 'Too many attempts, request a new code'));
+      return true;
+    }
+
+    const expected = challenge.code ? Buffer.from(challenge.code) : null;
+    const provided = Buffer.from(sha256(`${secret}:${String(form.code || '').trim()}`));
+    if (!expected || !crypto.timingSafeEqual(expected, provided)) {
+      codeAttempts.set(challenge.jti, attempts + 1);
+      setTimeout(() => codeAttempts.delete(challenge.jti), CODE_TTL * 1000).unref();
+      res.status(401).type('html').send(codePage(hostname, challenge.email, form.challenge, 'Wrong code'));
+      return true;
+    }
+
+    codeAttempts.delete(challenge.jti);
+    const session = jwt.sign({ purpose: 'tunnel_access', tid: tunnel.id, email: challenge.email }, secret, {
+      expiresIn: COOKIE_TTL
+    });
+    res.setHeader('Set-Cookie', `${ACCESS_COOKIE}=${session}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${COOKIE_TTL}`);
+    console.log(`🔓 ${challenge.email} signed in to ${hostname}`);
+    res.redirect(303, challenge.next);
+    return true;
+  };
+
+  // Drop cached credentials that expired
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, expires] of verifiedCredentials) {
+      if (expires <= now) verifiedCredentials.delete(key);
+    }
+  };
+  setInterval(sweep, CREDENTIAL_CACHE_TTL).unref();
+
+  return { authorize, deny, handleGateRequest };
+}
+
+module.exports = {
+  POLICY_TYPES,
+  buildPolicy,
+  describePolicy,
+  effectivePolicy,
+  createAccessGate
+};
@@ -0,0 +1,126 @@
+// Personal API keys for scripts and CI. A key is sent like an access token
+// (`Authorization: Bearer tlf_...`) and acts as its owner, but only within its scopes:
+//   - tunnels:read   GET on /api/tunnels
+//   - tunnels:write  everything else on /api/tunnels (create, delete, update, replay),
+//                    and reading a tunnel's connection token
+//   - usage:read     GET on /api/usage
+// Every other endpoint (account, keys themselves, admin) turns keys away, so a leaked
+// key can't be used to take over the account. Keys are random and stored as SHA-256
+// hashes, the plain key is shown once when it is created.
+const crypto = require('crypto');
+const supabase = require('../config/database');
+
+const API_KEY_PREFIX = 'tlf_';
+const API_KEY_SCOPES = ['tunnels:read', 'tunnels:write', 'usage:read'];
+const MAX_API_KEYS = 20; // per user
+// last_used_at is written at most once a minute per key, not on every request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Scope needed for a request, by the router it reached; null = keys not allowed.
+// `secrets` are reads that hand out credentials: whoever has a tunnel's connection
+// token can connect a client and take over its traffic, so they need the write scope.
+const SCOPED_ROUTES = {
+  '/api/tunnels': { read: 'tunnels:read', write: 'tunnels:write', secrets: [/^\/[^/]+\/connection-token\/?$/] },
+  '/api/usage': { read: 'usage:read' }
+};
+
+const API_KEY_ERROR_CODES = ['invalid_api_key', 'api_key_expired'];
+const apiKeyError = (code, message) => Object.assign(new Error(message), { code });
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const requiredScope = (req) => {
+  const route = SCOPED_ROUTES[req.baseUrl];
+  if (!route) return null;
+  const isRead = ['GET', 'HEAD'].includes(req.method) &&
+    !(route.secrets || []).some((pattern) => pattern.test(req.path));
+  return (isRead ? route.read : route.write) || null;
+};
+
+// { apiKey, key }: the stored row (without the hash) and the plain key
+const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const { count, error: countError } = await supabase
+    .from('api_keys')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  if (countError) throw countError;
+  if (count >= MAX_API_KEYS) {
+    throw apiKeyError('api_key_limit', `You can have at most ${MAX_API_KEYS} API keys`);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .insert([{
+      user_id: userId,
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(key),
+      scopes,
+      expires_at: expiresAt
+    }])
+    .select('id, name, prefix, scopes, expires_at, last_used_at, created_at')
+    .single();
+  if (error) throw error;
+  return { apiKey, key };
+};
+
+// Key row ({ id, user_id, scopes }) of a plain key, throws with a code otherwise
+const verifyApiKey = async (key) => {
+  const { data: apiKey } = await supabase
+    .from('api_keys')
+    .select('id, user_id, scopes, expires_at, last_used_at')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+  if (!apiKey) throw apiKeyError('invalid_api_key', 'Invalid API key');
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    throw apiKeyError('api_key_expired', 'API key has expired');
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_INTERVAL) {
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id)
+      .then(({ error }) => {
+        if (error) console.error('API key last used update error:', error);
+      });
+  }
+
+  return apiKey;
+};
+
+const listApiKeys = async (userId) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('id, name, prefix, scopes, expires_at, last_used_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+};
+
+// false when the key doesn't exist or belongs to someone else
+const deleteApiKey = async (userId, id) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .delete()
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select('id');
+  if (error) throw error;
+  return !!(data && data.length > 0);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_ERROR_CODES,
+  isApiKey,
+  requiredScope,
+  createApiKey,
+  verifyApiKey,
+  listApiKeys,
+  deleteApiKey
+};
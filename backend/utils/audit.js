@@ -0,0 +1,173 @@
+// Audit log: who did what, from where. Routes record an event in audit_events after an
+// account, tunnel or admin action went through (sign-ins also when they fail); the table
+// is append-only, UPDATE and DELETE fail in the database. Users read their own events
+// at /api/audit, admins everyone's at /api/admin/audit, as JSON pages or as CSV.
+const supabase = require('../config/database');
+const { clientInfo } = require('./sessions');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// PostgREST answers at most 1000 rows per request, exports are fetched in batches
+const EXPORT_BATCH = 1000;
+const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  'created_at',
+  'actor_id',
+  'actor_email',
+  'action',
+  'target_type',
+  'target_id',
+  'ip_address',
+  'user_agent',
+  'metadata'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const auditQueryError = (message) => Object.assign(new Error(message), { code: 'invalid_audit_query' });
+
+// Record an event. `actor` defaults to the signed-in user; `target` is { type, id }.
+// Never throws and the routes don't wait for it: the action already happened, a
+// failed write is only logged.
+const recordAuditEvent = async (req, { action, actor = req.user, target = null, metadata = {} }) => {
+  const details = { ...metadata };
+  if (req.apiKey) details.api_key_id = req.apiKey.id;
+  if (req.workspace && req.workspace.organizationId) details.organization_id = req.workspace.organizationId;
+
+  try {
+    const { error } = await supabase
+      .from('audit_events')
+      .insert([{
+        actor_id: actor && actor.id ? actor.id : null,
+        actor_email: actor && actor.email ? actor.email : null,
+        action,
+        target_type: target ? target.type : null,
+        target_id: target && target.id != null ? String(target.id) : null,
+        metadata: details,
+        ...clientInfo(req)
+      }]);
+    if (error) throw error;
+  } catch (error) {
+    console.error(`Audit event ${action} not recorded:`, error.message);
+  }
+};
+
+// Filters and paging from a query string (?action=&target_type=&target_id=&from=&to=
+// &page=&limit=&format=json|csv, admins also actor_id= and actor_email=)
+const readAuditQuery = (query) => {
+  const text = (name, max = 100) => {
+    const value = query[name];
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string' || value.length > max) {
+      throw auditQueryError(`${name} must be a string of at most ${max} characters`);
+    }
+    return value.trim();
+  };
+  const date = (name) => {
+    const value = text(name);
+    if (value === undefined) return undefined;
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) throw auditQueryError(`${name} must be an ISO 8601 date`);
+    return parsed.toISOString();
+  };
+  const integer = (name, fallback, max) => {
+    const value = text(name, 10);
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+      throw auditQueryError(`${name} must be a whole number between 1 and ${max}`);
+    }
+    return parsed;
+  };
+
+  const actorId = text('actor_id');
+  if (actorId !== undefined && !UUID_PATTERN.test(actorId)) {
+    throw auditQueryError('actor_id must be a user id');
+  }
+  const format = text('format', 10) || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw auditQueryError('format must be json or csv');
+  }
+
+  return {
+    filters: {
+      actorId,
+      actorEmail: text('actor_email', 320),
+      action: text('action'),
+      targetType: text('target_type'),
+      targetId: text('target_id'),
+      from: date('from'),
+      to: date('to')
+    },
+    page: integer('page', 1, 100000),
+    limit: integer('limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    format
+  };
+};
+
+const filterEvents = (query, filters) => {
+  if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+  if (filters.actorEmail) query = query.eq('actor_email', filters.actorEmail.toLowerCase());
+  if (filters.action) query = query.eq('action', filters.action);
+  if (filters.targetType) query = query.eq('target_type', filters.targetType);
+  if (filters.targetId) query = query.eq('target_id', filters.targetId);
+  if (filters.from) query = query.gte('created_at', filters.from);
+  if (filters.to) query = query.lte('created_at', filters.to);
+  return query;
+};
+
+// One page, newest first: { events, total, page, limit }
+const queryAuditEvents = async (filters, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const offset = (page - 1) * limit;
+  const { data, count, error } = await filterEvents(
+    supabase.from('audit_events').select('*', { count: 'exact' }),
+    filters
+  )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) throw error;
+
+  return { events: data || [], total: count || 0, page, limit };
+};
+
+// Spreadsheet apps run cells starting with = + - @ as formulas, and emails, user
+// agents and metadata come from clients
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Matching events as CSV, newest first, at most EXPORT_LIMIT rows: { filename, csv }
+const exportAuditEvents = async (filters) => {
+  // Events written during the export would shift the batches
+  const bounded = { ...filters, to: filters.to || new Date().toISOString() };
+
+  const events = [];
+  while (events.length < EXPORT_LIMIT) {
+    const { data, error } = await filterEvents(supabase.from('audit_events').select('*'), bounded)
+      .order('created_at', { ascending: false })
+      .range(events.length, events.length + EXPORT_BATCH - 1);
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < EXPORT_BATCH) break;
+  }
+
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...events.slice(0, EXPORT_LIMIT).map((event) => CSV_COLUMNS.map((column) => csvCell(event[column])).join(','))
+  ];
+  return {
+    filename: `tunlify-audit-${new Date().toISOString().slice(0, 10)}.csv`,
+    csv: `${lines.join('\r\n')}\r\n`
+  };
+};
+
+module.exports = {
+  recordAuditEvent,
+  readAuditQuery,
+  queryAuditEvents,
+  exportAuditEvents
+};
@@ -0,0 +1,259 @@
+// TLS certificates for verified custom domains, issued over ACME with HTTP-01.
+// Challenge tokens are stored in the database so whichever instance the CA reaches
+// can answer them (routes/acme-challenge.js). Certificates end up in
+// domain_certificates, where the front proxy fetches them (routes/internal-tls.js).
+//
+// Certificate status on custom_domains:
+//   none     - nothing requested yet (or ACME disabled)
+//   pending  - first issuance running
+//   issued   - valid certificate stored
+//   expiring - valid certificate inside the renewal window, renewal running or failed
+//   failed   - issuance failed and there is no valid certificate
+const fs = require('fs');
+const https = require('https');
+const acme = require('acme-client');
+const supabase = require('../config/database');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createCertificateManager({
+  enabled = process.env.ACME_ENABLED === 'true',
+  // Any RFC 8555 directory, e.g. Pebble's https://localhost:14000/dir for local testing
+  directoryUrl = process.env.ACME_DIRECTORY_URL || acme.directory.letsencrypt.production,
+  email = process.env.ACME_EMAIL || null,
+  // Extra CA certificate(s) to trust for the directory itself (Pebble uses its own)
+  caBundle = process.env.ACME_CA_BUNDLE || null,
+  skipChallengeVerification = process.env.ACME_SKIP_CHALLENGE_VERIFICATION === 'true',
+  renewBefore = (parseInt(process.env.CERT_RENEW_BEFORE_DAYS) || 30) * DAY,
+  checkInterval = (parseInt(process.env.CERT_CHECK_INTERVAL) || 12 * 60 * 60) * 1000
+} = {}) {
+  // domainId -> issuance promise
+  const inFlight = new Map();
+  let clientPromise = null;
+  let sweepTimer = null;
+
+  if (enabled && caBundle) {
+    acme.axios.defaults.httpsAgent = new https.Agent({ ca: fs.readFileSync(caBundle) });
+  }
+
+  // ACME client with the account of this directory, created once and kept in acme_accounts
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = (async () => {
+        const { data: account, error } = await supabase
+          .from('acme_accounts')
+          .select('*')
+          .eq('directory_url', directoryUrl)
+          .maybeSingle();
+
+        if (error) throw new Error(`Failed to load ACME account: ${error.message}`);
+        if (account) {
+          return new acme.Client({
+            directoryUrl,
+            accountKey: account.account_key,
+            accountUrl: account.account_url || undefined
+          });
+        }
+
+        const accountKey = (await acme.crypto.createPrivateKey()).toString();
+        const { error: insertError } = await supabase
+          .from('acme_accounts')
+          .insert([{ directory_url: directoryUrl, account_key: accountKey }]);
+
+        if (insertError) throw new Error(`Failed to store ACME account: ${insertError.message}`);
+        console.log(`🔐 ACME account key created for ${directoryUrl}`);
+        return new acme.Client({ directoryUrl, accountKey });
+      })().catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+    }
+    return clientPromise;
+  };
+
+  const updateDomain = async (domainId, fields) => {
+    const { data, error } = await supabase
+      .from('custom_domains')
+      .update(fields)
+      .eq('id', domainId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update certificate status: ${error.message}`);
+    return data;
+  };
+
+  const obtain = async (domain) => {
+    const { hostname } = domain;
+    const client = await getClient();
+    const [privateKey, csr] = await acme.crypto.createCsr({ commonName: hostname });
+
+    const certificate = await client.auto({
+      csr,
+      email,
+      termsOfServiceAgreed: true,
+      challengePriority: ['http-01'],
+      skipChallengeVerification,
+      challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+        const { error } = await supabase
+          .from('acme_challenges')
+          .insert([{ token: challenge.token, hostname, key_authorization: keyAuthorization }]);
+        if (error) throw new Error(`Failed to store ACME challenge: ${error.message}`);
+      },
+      challengeRemoveFn: async (authz, challenge) => {
+        await supabase.from('acme_challenges').delete().eq('token', challenge.token);
+      }
+    });
+
+    // Remember the account URL so later runs skip the account lookup
+    const { data: account } = await supabase
+      .from('acme_accounts')
+      .select('account_url')
+      .eq('directory_url', directoryUrl)
+      .maybeSingle();
+    if (account && !account.account_url) {
+      await supabase
+        .from('acme_accounts')
+        .update({ account_url: client.getAccountUrl() })
+        .eq('directory_url', directoryUrl);
+    }
+
+    const { notAfter } = acme.crypto.readCertificateInfo(certificate);
+    const expiresAt = notAfter.toISOString();
+
+    const { error } = await supabase
+      .from('domain_certificates')
+      .upsert([{
+        domain_id: domain.id,
+        hostname,
+        certificate: certificate.toString(),
+        private_key: privateKey.toString(),
+        expires_at: expiresAt,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'domain_id' });
+
+    if (error) throw new Error(`Failed to store certificate: ${error.message}`);
+
+    await updateDomain(domain.id, {
+      certificate_status: 'issued',
+      certificate_expires_at: expiresAt,
+      certificate_issued_at: new Date().toISOString(),
+      certificate_error: null
+    });
+    console.log(`🔐 Certificate issued for ${hostname}, valid until ${expiresAt}`);
+  };
+
+  const run = async (domain) => {
+    try {
+      await obtain(domain);
+    } catch (error) {
+      console.error(`❌ Certificate issuance failed for ${domain.hostname}:`, error.message);
+      // A certificate that is still valid keeps being served while we retry
+      const stillValid = domain.certificate_expires_at && new Date(domain.certificate_expires_at) > new Date();
+      await updateDomain(domain.id, {
+        certificate_status: stillValid ? 'expiring' : 'failed',
+        certificate_error: error.message
+      }).catch((updateError) => console.error('❌', updateError.message));
+    } finally {
+      inFlight.delete(domain.id);
+    }
+  };
+
+  // Start issuing (or renewing) a verified domain's certificate in the background.
+  // Resolves with the domain row carrying its new status.
+  const request = async (domain) => {
+    if (!enabled || !domain.verified) return domain;
+    if (inFlight.has(domain.id)) return domain;
+
+    const renewing = domain.certificate_expires_at && new Date(domain.certificate_expires_at) > new Date();
+    const updated = await updateDomain(domain.id, {
+      certificate_status: renewing ? 'expiring' : 'pending',
+      certificate_error: null
+    });
+
+    inFlight.set(domain.id, run(updated));
+    return updated;
+  };
+
+  // Issue missing certificates, retry failed ones and renew the ones close to expiry
+  const sweep = async () => {
+    const renewAt = new Date(Date.now() + renewBefore).toISOString();
+    const [missing, expiring] = await Promise.all([
+      supabase
+        .from('custom_domains')
+        .select('*')
+        .eq('verified', true)
+        .in('certificate_status', ['none', 'failed']),
+      supabase
+        .from('custom_domains')
+        .select('*')
+        .eq('verified', true)
+        .in('certificate_status', ['issued', 'expiring'])
+        .lt('certificate_expires_at', renewAt)
+    ]);
+
+    if (missing.error || expiring.error) {
+      console.error('❌ Certificate sweep failed:', (missing.error || expiring.error).message);
+      return;
+    }
+
+    // One at a time, CAs rate limit bursts of orders
+    for (const domain of [...missing.data, ...expiring.data]) {
+      await request(domain).catch((error) => console.error('❌', error.message));
+      await inFlight.get(domain.id);
+    }
+  };
+
+  // Certificate chain and key for a hostname, null when none is stored or it expired
+  const getCertificate = async (hostname) => {
+    const { data } = await supabase
+      .from('domain_certificates')
+      .select('certificate, private_key, expires_at')
+      .eq('hostname', hostname)
+      .order('expires_at', { ascending: false })
+      .limit(1);
+
+    const certificate = data && data[0];
+    if (!certificate || new Date(certificate.expires_at) <= new Date()) return null;
+    return certificate;
+  };
+
+  // Key authorization for an HTTP-01 token
+  const getChallenge = async (token) => {
+    const { data } = await supabase
+      .from('acme_challenges')
+      .select('key_authorization')
+      .eq('token', token)
+      .maybeSingle();
+
+    return data ? data.key_authorization : null;
+  };
+
+  const start = () => {
+    if (!enabled || sweepTimer) return;
+    console.log(`🔐 ACME: ✅ Issuing certificates from ${directoryUrl}`);
+    sweepTimer = setInterval(() => {
+      sweep().catch((error) => console.error('❌ Certificate sweep failed:', error.message));
+    }, checkInterval);
+    sweepTimer.unref();
+    sweep().catch((error) => console.error('❌ Certificate sweep failed:', error.message));
+  };
+
+  const stop = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  };
+
+  return {
+    enabled,
+    directoryUrl,
+    request,
+    sweep,
+    getCertificate,
+    getChallenge,
+    start,
+    stop
+  };
+}
+
+module.exports = { createCertificateManager };
@@ -0,0 +1,125 @@
+const http = require('http');
+const { rejectUpgrade } = require('./ws-passthrough');
+
+// Forwarding of tunnel traffic to the instance that holds the client's WebSocket.
+// The request is replayed byte for byte on the owner's internal port, so streamed
+// bodies and WebSocket upgrades behave exactly as if they had landed there.
+// Forwarded requests are marked so the owner never forwards them again. The mark is
+// only believed on the internal port (acceptForwarded), a public client sending the
+// header can't switch off routing between instances.
+const FORWARDED_HEADER = 'x-tunlify-forwarded-by';
+const INTERNAL_REQUEST = Symbol('tunlify.internalRequest');
+
+// Hop-by-hop headers are only meaningful for a single connection
+const HOP_BY_HOP_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade',
+  'te',
+  'trailer'
+]);
+
+// For the internal listener: requests on it come from other instances
+const acceptForwarded = (req) => {
+  req[INTERNAL_REQUEST] = true;
+  return req;
+};
+
+const isForwarded = (req) => req[INTERNAL_REQUEST] === true && !!req.headers[FORWARDED_HEADER];
+
+const buildRequestOptions = (owner, nodeId, method, path, headers) => {
+  const target = new URL(owner.url);
+  return {
+    host: target.hostname,
+    port: target.port || 80,
+    method,
+    path,
+    headers: { ...headers, [FORWARDED_HEADER]: nodeId }
+  };
+};
+
+// Pipe an Express request/response pair through the owner instance
+const forwardHttp = (req, res, owner, nodeId) => {
+  const headers = { ...req.headers };
+  for (const header of HOP_BY_HOP_HEADERS) {
+    delete headers[header];
+  }
+
+  // Behind express.json/urlencoded the body was read already, send the parsed one again
+  const parsedBody = req._body ? Buffer.from(JSON.stringify(req.body)) : null;
+  if (parsedBody) {
+    headers['content-type'] = 'application/json';
+    headers['content-length'] = String(parsedBody.length);
+    delete headers['content-encoding'];
+  }
+
+  const proxyReq = http.request(buildRequestOptions(owner, nodeId, req.method, req.originalUrl, headers));
+
+  proxyReq.on('response', (proxyRes) => {
+    res.status(proxyRes.statusCode);
+    for (const [key, value] of Object.entries(proxyRes.headers)) {
+      if (!HOP_BY_HOP_HEADERS.has(key)) {
+        res.setHeader(key, value);
+      }
+    }
+    res.flushHeaders();
+    proxyRes.pipe(res);
+  });
+
+  proxyReq.on('error', (error) => {
+    console.error(`❌ Forward to instance ${owner.nodeId} failed:`, error.message);
+    if (!res.headersSent) {
+      res.status(502).json({ message: 'Tunnel instance unreachable' });
+    } else {
+      res.destroy();
+    }
+  });
+
+  // Browser went away, stop the forwarded request as well
+  res.on('close', () => {
+    if (!res.writableFinished) proxyReq.destroy();
+  });
+
+  if (parsedBody) {
+    proxyReq.end(parsedBody);
+  } else {
+    req.pipe(proxyReq);
+  }
+};
+
+// Replay a WebSocket upgrade on the owner instance and splice the sockets together
+const forwardUpgrade = (req, socket, head, owner, nodeId) => {
+  // Upgrade headers stay, the owner has to see the same handshake
+  const proxyReq = http.request(buildRequestOptions(owner, nodeId, req.method, req.url, req.headers));
+
+  proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+    let response = `HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}\r\n`;
+    for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+      response += `${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}\r\n`;
+    }
+    socket.write(response + '\r\n');
+    if (proxyHead && proxyHead.length) socket.write(proxyHead);
+    if (head && head.length) proxySocket.write(head);
+
+    proxySocket.on('error', () => socket.destroy());
+    socket.on('error', () => proxySocket.destroy());
+    proxySocket.pipe(socket).pipe(proxySocket);
+  });
+
+  // Owner refused the upgrade
+  proxyReq.on('response', (proxyRes) => {
+    rejectUpgrade(socket, proxyRes.statusCode, proxyRes.statusMessage);
+    proxyRes.resume();
+  });
+
+  proxyReq.on('error', (error) => {
+    console.error(`❌ Upgrade forward to instance ${owner.nodeId} failed:`, error.message);
+    rejectUpgrade(socket, 502, 'Bad Gateway');
+  });
+
+  proxyReq.end();
+};
+
+module.exports = { FORWARDED_HEADER, acceptForwarded, isForwarded, forwardHttp, forwardUpgrade };
@@ -0,0 +1,104 @@
+// Custom domains attached to HTTP tunnels.
+// Ownership is proven with a DNS TXT record:
+//   _tunlify-challenge.<hostname>  TXT  "tunlify-verification=<token>"
+// The TXT lookup goes through a resolver function so it can be swapped (tests,
+// dedicated nameservers) - see createDomainVerifier.
+const dns = require('dns');
+const crypto = require('crypto');
+const supabase = require('../config/database');
+
+const TUNNEL_DOMAIN = 'tunlify.biz.id';
+const CHALLENGE_PREFIX = '_tunlify-challenge';
+const TOKEN_PREFIX = 'tunlify-verification=';
+
+// Lowercase, without port or trailing dot; null when it isn't a usable hostname
+const normalizeHostname = (host) => {
+  if (typeof host !== 'string') return null;
+  const hostname = host.trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  if (hostname.length > 253) return null;
+
+  const labels = hostname.split('.');
+  if (labels.length < 2) return null;
+  const validLabel = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+  if (!labels.every((label) => validLabel.test(label))) return null;
+  // Top-level domain can't be numeric, this also keeps IP addresses out
+  if (/^\d+$/.test(labels[labels.length - 1])) return null;
+
+  return hostname;
+};
+
+// Hostnames under our own domain are routed by subdomain, never as custom domains
+const isTunnelHostname = (hostname) =>
+  hostname === TUNNEL_DOMAIN || hostname.endsWith(`.${TUNNEL_DOMAIN}`);
+
+const generateVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+// DNS record the user has to publish
+const challengeRecord = (hostname, token) => ({
+  type: 'TXT',
+  name: `${CHALLENGE_PREFIX}.${hostname}`,
+  value: `${TOKEN_PREFIX}${token}`
+});
+
+// Resolver honouring DOMAIN_DNS_SERVERS (comma separated), so fresh records
+// aren't hidden by the local resolver's cache
+const createTxtResolver = (servers = process.env.DOMAIN_DNS_SERVERS) => {
+  const list = servers ? servers.split(',').map((server) => server.trim()).filter(Boolean) : [];
+  if (list.length === 0) return (name) => dns.promises.resolveTxt(name);
+
+  const resolver = new dns.promises.Resolver();
+  resolver.setServers(list);
+  return (name) => resolver.resolveTxt(name);
+};
+
+// resolveTxt(name) resolves like dns.promises.resolveTxt: an array of records, each an
+// array of string chunks
+function createDomainVerifier({ resolveTxt = createTxtResolver() } = {}) {
+  // Resolves to { verified, found } where `found` are the TXT values seen
+  const verify = async (hostname, token) => {
+    const { name, value } = challengeRecord(hostname, token);
+
+    let records;
+    try {
+      records = await resolveTxt(name);
+    } catch (error) {
+      // No record (yet) is a normal outcome, anything else is worth a log line
+      if (error.code !== 'ENOTFOUND' && error.code !== 'ENODATA') {
+        console.error(`❌ TXT lookup failed for ${name}:`, error.message);
+      }
+      return { verified: false, found: [] };
+    }
+
+    const found = records.map((chunks) => chunks.join(''));
+    return { verified: found.includes(value), found };
+  };
+
+  return { verify };
+}
+
+// Tunnel a verified custom domain points at, as { tunnelId, subdomain, location }
+const findTunnelByHostname = async (host) => {
+  const hostname = normalizeHostname(host);
+  if (!hostname || isTunnelHostname(hostname)) return null;
+
+  const { data, error } = await supabase
+    .from('custom_domains')
+    .select('tunnel_id, tunnels(subdomain, location)')
+    .eq('hostname', hostname)
+    .eq('verified', true)
+    .maybeSingle();
+
+  if (error || !data || !data.tunnels) return null;
+  return { tunnelId: data.tunnel_id, subdomain: data.tunnels.subdomain, location: data.tunnels.location };
+};
+
+module.exports = {
+  TUNNEL_DOMAIN,
+  normalizeHostname,
+  isTunnelHostname,
+  generateVerificationToken,
+  challengeRecord,
+  createTxtResolver,
+  createDomainVerifier,
+  findTunnelByHostname
+};
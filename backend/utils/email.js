@@ -100,4 +100,180 @@
     }
   };
   
-  module.exports = { sendOTPEmail };
+  // Login code for tunnels protected by the email gate
+  const sendAccessCodeEmail = async (email, code, hostname) => {
+    if (isEmailDisabled) {
+      console.log(`📧 Email disabled - Access code for ${email} on ${hostname}: ${code}`);
+      return Promise.resolve({ messageId: 'disabled' });
+    }
+  
+    if (!transporter) {
+      throw new Error('Email transporter not configured');
+    }
+  
+    const mailOptions = {
+      from: `"Tunlify" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Your access code for ${hostname} - Tunlify`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Tunlify</h1>
+          </div>
+          
+          <div style="padding: 30px; background: #f9f9f9;">
+            <p style="color: #666; line-height: 1.6;">
+              Use the code below to open <strong>${hostname}</strong>:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <div style="background: #667eea; color: white; padding: 15px 30px; border-radius: 8px; font-size: 24px; font-weight: bold; letter-spacing: 3px; display: inline-block;">
+                ${code}
+              </div>
+            </div>
+            
+            <p style="color: #666; line-height: 1.6;">
+              This code will expire in 10 minutes. If you didn't try to open this site, 
+              please ignore this email.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+  
+    try {
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Access code email sent to:', email);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send access code email:', error.message);
+      throw error;
+    }
+  };
+  
+  // Link to choose a new password (/reset-password?token=...)
+  const sendPasswordResetEmail = async (email, resetUrl, name) => {
+    if (isEmailDisabled) {
+      console.log(`📧 Email disabled - Password reset link for ${email}: ${resetUrl}`);
+      return Promise.resolve({ messageId: 'disabled' });
+    }
+  
+    if (!transporter) {
+      throw new Error('Email transporter not configured');
+    }
+  
+    const mailOptions = {
+      from: `"Tunlify" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Reset Your Password - Tunlify',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Tunlify</h1>
+          </div>
+          
+          <div style="padding: 30px; background: #f9f9f9;">
+            <h2 style="color: #333;">Hi ${name}!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              We received a request to reset the password of your Tunlify account. 
+              Click the button below to choose a new one:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetUrl}" style="background: #667eea; color: white; padding: 15px 30px; border-radius: 8px; font-size: 16px; font-weight: bold; text-decoration: none; display: inline-block;">
+                Reset Password
+              </a>
+            </div>
+            
+            <p style="color: #666; line-height: 1.6;">
+              This link will expire in 30 minutes and can be used once. If you didn't request 
+              a password reset, please ignore this email, your password stays the same.
+            </p>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+              <p style="color: #999; font-size: 12px;">
+                Best regards,<br>
+                The Tunlify Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `,
+    };
+  
+    try {
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Password reset email sent to:', email);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send password reset email:', error.message);
+      throw error;
+    }
+  };
+  
+  // Organization and inviter names are typed by other users
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const sendOrganizationInvitationEmail = async (email, { organizationName, inviterName, role, url }) => {
+    if (isEmailDisabled) {
+      console.log(`📧 Email disabled - Invitation to ${organizationName} for ${email} (${role}): ${url}`);
+      return Promise.resolve({ messageId: 'disabled' });
+    }
+  
+    if (!transporter) {
+      throw new Error('Email transporter not configured');
+    }
+  
+    const mailOptions = {
+      from: `"Tunlify" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `${inviterName} invited you to ${organizationName} - Tunlify`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Tunlify</h1>
+          </div>
+          
+          <div style="padding: 30px; background: #f9f9f9;">
+            <h2 style="color: #333;">You're invited!</h2>
+            <p style="color: #666; line-height: 1.6;">
+              ${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(organizationName)}</strong> on Tunlify 
+              as <strong>${role}</strong>. Sign in (or sign up) with this email address to accept:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${url}" style="background: #667eea; color: white; padding: 15px 30px; border-radius: 8px; font-size: 16px; font-weight: bold; text-decoration: none; display: inline-block;">
+                View Invitation
+              </a>
+            </div>
+            
+            <p style="color: #666; line-height: 1.6;">
+              This invitation expires in 7 days. If you don't know ${escapeHtml(inviterName)}, you can ignore this email.
+            </p>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+              <p style="color: #999; font-size: 12px;">
+                Best regards,<br>
+                The Tunlify Team
+              </p>
+            </div>
+          </div>
+        </div>
+      `,
+    };
+  
+    try {
+      const result = await transporter.sendMail(mailOptions);
+      console.log('✅ Invitation email sent to:', email);
+      return result;
+    } catch (error) {
+      console.error('❌ Failed to send invitation email:', error.message);
+      throw error;
+    }
+  };
+  
+  module.exports = { sendOTPEmail, sendAccessCodeEmail, sendPasswordResetEmail, sendOrganizationInvitationEmail };
@@ -0,0 +1,117 @@
+// Plan entitlement checks shared by the tunnel API and the client WebSocket.
+// Every check resolves to null when allowed, or to { status, code, message } where
+// `code` is a stable PLAN_* string clients can switch on.
+const supabase = require('../config/database');
+const { getPlan, DEFAULT_PLAN } = require('../config/plans');
+
+const denied = (code, message) => ({ status: 403, code, message });
+
+// The user's plan id, unknown or missing plans fall back to the default
+const getUserPlanId = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('plan')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw new Error(`Failed to load plan: ${error.message}`);
+  return (data && data.plan) || DEFAULT_PLAN;
+};
+
+const checkProtocol = (planId, protocol) => {
+  const plan = getPlan(planId);
+  if (plan.protocols.includes(protocol)) return null;
+  return denied(
+    'PLAN_PROTOCOL_NOT_ALLOWED',
+    `${protocol.toUpperCase()} tunnels are not available on the ${plan.name} plan`
+  );
+};
+
+// Before creating a tunnel: tunnel count and protocol
+const checkTunnelCreation = async (userId, protocol) => {
+  const planId = await getUserPlanId(userId);
+  const plan = getPlan(planId);
+
+  const protocolError = checkProtocol(planId, protocol);
+  if (protocolError) return protocolError;
+
+  if (plan.tunnels !== null) {
+    const { count, error } = await supabase
+      .from('tunnels')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) throw new Error(`Failed to count tunnels: ${error.message}`);
+    if (count >= plan.tunnels) {
+      return denied(
+        'PLAN_TUNNEL_LIMIT',
+        `The ${plan.name} plan allows ${plan.tunnels} tunnel${plan.tunnels === 1 ? '' : 's'}, delete one or upgrade your plan`
+      );
+    }
+  }
+
+  return null;
+};
+
+// Before a client connects a tunnel: protocol (the plan may have been downgraded since
+// the tunnel was created) and how many of the user's other tunnels are connected
+const checkTunnelConnection = async (tunnel, protocol) => {
+  const planId = await getUserPlanId(tunnel.user_id);
+  const plan = getPlan(planId);
+
+  const protocolError = checkProtocol(planId, protocol);
+  if (protocolError) return protocolError;
+
+  if (plan.concurrentConnections !== null) {
+    const { count, error } = await supabase
+      .from('tunnels')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', tunnel.user_id)
+      .eq('client_connected', true)
+      .neq('id', tunnel.id);
+
+    if (error) throw new Error(`Failed to count connected tunnels: ${error.message}`);
+    if (count >= plan.concurrentConnections) {
+      return denied(
+        'PLAN_CONNECTION_LIMIT',
+        `The ${plan.name} plan allows ${plan.concurrentConnections} connected tunnel${plan.concurrentConnections === 1 ? '' : 's'} at a time`
+      );
+    }
+  }
+
+  return null;
+};
+
+// Before adding a custom domain: domains across all of the user's tunnels
+const checkCustomDomain = async (userId) => {
+  const planId = await getUserPlanId(userId);
+  const plan = getPlan(planId);
+  if (plan.customDomains === null) return null;
+
+  if (plan.customDomains === 0) {
+    return denied('PLAN_CUSTOM_DOMAIN_LIMIT', `Custom domains are not available on the ${plan.name} plan`);
+  }
+
+  const { count, error } = await supabase
+    .from('custom_domains')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (error) throw new Error(`Failed to count custom domains: ${error.message}`);
+  if (count >= plan.customDomains) {
+    return denied(
+      'PLAN_CUSTOM_DOMAIN_LIMIT',
+      `The ${plan.name} plan allows ${plan.customDomains} custom domain${plan.customDomains === 1 ? '' : 's'}`
+    );
+  }
+
+  return null;
+};
+
+module.exports = {
+  getUserPlanId,
+  checkProtocol,
+  checkTunnelCreation,
+  checkTunnelConnection,
+  checkCustomDomain
+};
@@ -0,0 +1,217 @@
+const WebSocket = require('ws');
+const { sendFrame: send } = require('./frame-codec');
+
+// Streaming HTTP relay for http tunnels.
+// Request and response bodies travel as chunks instead of one buffered message,
+// so large downloads, uploads and server-sent events use bounded memory:
+//   server -> client: http_request_start (names the tunnel), http_request_body, http_request_end, http_abort
+//   client -> server: http_response_start, http_response_body, http_response_end, http_error
+// Either side sends http_pause / http_resume to stop the other from sending body
+// chunks for a stream while its own writer is congested.
+// `onTraffic(tunnelKey, bytesIn, bytesOut)` reports relayed body bytes.
+const WS_HIGH_WATER_MARK = 1024 * 1024; // Pause the browser upload once 1MB is queued on the WebSocket
+const WS_DRAIN_POLL_INTERVAL = 50;
+const RESPONSE_START_TIMEOUT = 30000;
+
+// Hop-by-hop headers are only meaningful for a single connection
+const HOP_BY_HOP_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade',
+  'te',
+  'trailer'
+]);
+
+function createHttpStreamRelay({ onTraffic = () => {} } = {}) {
+  // streamId -> { tunnelKey, ws, req, res, ... }
+  const streams = new Map();
+
+  const updateFlow = (stream) => {
+    if (stream.pausedByClient || stream.pausedByWs) {
+      stream.req.pause();
+    } else {
+      stream.req.resume();
+    }
+  };
+
+  const waitForWsDrain = (stream) => {
+    if (stream.pausedByWs) return;
+    stream.pausedByWs = true;
+    updateFlow(stream);
+
+    const check = () => {
+      if (!streams.has(stream.id) || stream.ws.readyState !== WebSocket.OPEN) return;
+      if (stream.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+        return;
+      }
+      stream.pausedByWs = false;
+      updateFlow(stream);
+    };
+    setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+  };
+
+  const finish = (stream) => {
+    clearTimeout(stream.timeout);
+    streams.delete(stream.id);
+  };
+
+  const fail = (stream, statusCode, message) => {
+    finish(stream);
+    if (!stream.res.headersSent) {
+      stream.res.status(statusCode).json({ message });
+    } else {
+      // Body already started, the only honest signal left is a broken connection
+      stream.res.destroy();
+    }
+  };
+
+  // Relay an Express request/response pair through the tunnel client.
+  // The request body is read from `req` as a stream, so no body parser may run before this.
+  // `localPort`, `keepHeaders` and `responseHeaders(headers)` come from the tunnel's
+  // traffic rules (utils/traffic-rules.js).
+  const proxy = (tunnelKey, ws, req, res, { url, headers, tunnelId, localPort, keepHeaders, responseHeaders }) => {
+    const stream = {
+      id: `stream_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      tunnelKey,
+      ws,
+      req,
+      res,
+      pausedByClient: false,
+      pausedByWs: false,
+      waitingForDrain: false,
+      timeout: null,
+      responseHeaders: responseHeaders || ((value) => value)
+    };
+    streams.set(stream.id, stream);
+
+    stream.timeout = setTimeout(() => {
+      if (streams.has(stream.id)) {
+        console.log(`❌ Stream ${stream.id} timed out waiting for response headers`);
+        send(ws, { type: 'http_abort', streamId: stream.id });
+        fail(stream, 504, 'Request timeout - local application did not respond within 30 seconds');
+      }
+    }, RESPONSE_START_TIMEOUT);
+
+    // Browser went away before we finished, tell the client to stop working on it
+    res.on('close', () => {
+      if (streams.has(stream.id)) {
+        console.log(`🔌 Stream ${stream.id} aborted by browser`);
+        finish(stream);
+        send(ws, { type: 'http_abort', streamId: stream.id });
+      }
+    });
+
+    const started = send(ws, {
+      type: 'http_request_start',
+      tunnelId,
+      streamId: stream.id,
+      method: req.method,
+      url,
+      headers,
+      localPort: localPort || undefined,
+      keepHeaders: keepHeaders && keepHeaders.length ? keepHeaders : undefined
+    });
+
+    if (!started) {
+      fail(stream, 503, 'WebSocket not connected');
+      return;
+    }
+
+    req.on('data', (chunk) => {
+      onTraffic(tunnelKey, chunk.length, 0);
+      send(ws, {
+        type: 'http_request_body',
+        streamId: stream.id,
+        data: chunk
+      });
+      if (ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        waitForWsDrain(stream);
+      }
+    });
+
+    req.on('end', () => {
+      send(ws, { type: 'http_request_end', streamId: stream.id });
+    });
+  };
+
+  // Route http_* stream messages from the client WebSocket `ws` to the matching Express response.
+  // Returns false when the message type is not a streaming HTTP message.
+  const handleMessage = (ws, data) => {
+    if (!data.type || !data.type.startsWith('http_')) return false;
+
+    const stream = streams.get(data.streamId);
+    if (!stream || stream.ws !== ws) return true;
+
+    const { res } = stream;
+
+    switch (data.type) {
+      case 'http_response_start': {
+        clearTimeout(stream.timeout);
+        res.status(parseInt(data.statusCode) || 200);
+        for (const [key, value] of Object.entries(stream.responseHeaders(data.headers || {}))) {
+          if (!HOP_BY_HOP_HEADERS.has(key.toLowerCase()) && value !== null && value !== undefined) {
+            res.setHeader(key, Array.isArray(value) ? value.map(String) : String(value));
+          }
+        }
+        // Send headers right away so server-sent events reach the browser immediately
+        res.flushHeaders();
+        break;
+      }
+
+      case 'http_response_body': {
+        const buffer = data.data;
+        onTraffic(stream.tunnelKey, 0, buffer.length);
+        if (!res.write(buffer) && !stream.waitingForDrain) {
+          stream.waitingForDrain = true;
+          send(ws, { type: 'http_pause', streamId: stream.id });
+          res.once('drain', () => {
+            stream.waitingForDrain = false;
+            send(ws, { type: 'http_resume', streamId: stream.id });
+          });
+        }
+        break;
+      }
+
+      case 'http_response_end':
+        finish(stream);
+        res.end();
+        break;
+
+      case 'http_error':
+        console.log(`❌ Client stream error for ${stream.id}: ${data.message}`);
+        fail(stream, 502, data.message || 'Local application error');
+        break;
+
+      case 'http_pause':
+        stream.pausedByClient = true;
+        updateFlow(stream);
+        break;
+
+      case 'http_resume':
+        stream.pausedByClient = false;
+        updateFlow(stream);
+        break;
+
+      default:
+        console.log(`⚠️  Unknown HTTP stream message type: ${data.type}`);
+    }
+
+    return true;
+  };
+
+  // Fail every in-flight stream of a tunnel whose client disconnected
+  const abortAll = (tunnelKey) => {
+    for (const stream of streams.values()) {
+      if (stream.tunnelKey === tunnelKey) {
+        fail(stream, 502, 'Client disconnected');
+      }
+    }
+  };
+
+  return { proxy, handleMessage, abortAll, streams };
+}
+
+module.exports = { createHttpStreamRelay };
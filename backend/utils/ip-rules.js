@@ -0,0 +1,215 @@
+const net = require('net');
+const maxmind = require('maxmind');
+
+// Per-tunnel IP allow/deny rules (tunnels.ip_rules), checked before any traffic
+// reaches the client: in the HTTP proxy, on WebSocket upgrades and in the TCP/UDP
+// ingress.
+//   { allow: ['203.0.113.0/24', '2001:db8::/32'], deny: ['198.51.100.7'],
+//     allow_countries: ['ID'], deny_countries: ['XX'] }
+// Evaluation:
+//   1. address in `deny`             -> denied
+//   2. address in `allow`            -> allowed
+//   3. country in `deny_countries`   -> denied
+//   4. country in `allow_countries`  -> allowed
+//   5. `allow` or `allow_countries` set -> denied, otherwise allowed
+// Countries come from an offline MaxMind/GeoLite2 country database (GEOIP_DATABASE).
+// Without it, or for addresses it doesn't know (private ranges), the country is
+// unknown: it never matches a country rule, so an allow-country list denies it.
+const MAX_ADDRESS_RULES = 100;
+const MAX_COUNTRY_RULES = 250;
+
+// Proxies whose X-Forwarded-For we believe, same ranges as `trust proxy` in server.js
+const trustedProxies = new net.BlockList();
+trustedProxies.addSubnet('127.0.0.0', 8, 'ipv4');
+trustedProxies.addSubnet('10.0.0.0', 8, 'ipv4');
+trustedProxies.addSubnet('172.16.0.0', 12, 'ipv4');
+trustedProxies.addSubnet('192.168.0.0', 16, 'ipv4');
+trustedProxies.addSubnet('169.254.0.0', 16, 'ipv4');
+trustedProxies.addAddress('::1', 'ipv6');
+trustedProxies.addSubnet('fc00::', 7, 'ipv6');
+trustedProxies.addSubnet('fe80::', 10, 'ipv6');
+
+// Plain IPv4 for IPv4-mapped IPv6 addresses (::ffff:1.2.3.4), as sockets report them
+const normalizeAddress = (address) => {
+  if (typeof address !== 'string') return null;
+  const plain = address.trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  return net.isIP(plain) ? plain : null;
+};
+
+const familyOf = (address) => (net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// '10.0.0.0/8' or a single address -> { address, prefix, family }, null when invalid
+const parseCidr = (value) => {
+  if (typeof value !== 'string') return null;
+  const [rawAddress, rawPrefix, extra] = value.trim().split('/');
+  if (extra !== undefined) return null;
+
+  const address = normalizeAddress(rawAddress);
+  if (!address) return null;
+  const family = familyOf(address);
+  const maxPrefix = family === 'ipv6' ? 128 : 32;
+
+  if (rawPrefix === undefined) return { address, prefix: maxPrefix, family };
+  if (!/^\d{1,3}$/.test(rawPrefix) || Number(rawPrefix) > maxPrefix) return null;
+  return { address, prefix: Number(rawPrefix), family };
+};
+
+const formatCidr = ({ address, prefix, family }) =>
+  prefix === (family === 'ipv6' ? 128 : 32) ? address : `${address}/${prefix}`;
+
+// Validate rules from the API. Resolves to { rules } (null when nothing is
+// restricted) or { error }.
+const buildIpRules = (input) => {
+  if (input === null || input === undefined) return { rules: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'IP rules must be an object' };
+
+  const rules = {};
+  for (const key of ['allow', 'deny']) {
+    const list = input[key] === undefined ? [] : input[key];
+    if (!Array.isArray(list)) return { error: `${key} must be a list of IP addresses or CIDR ranges` };
+    if (list.length > MAX_ADDRESS_RULES) return { error: `${key} can hold at most ${MAX_ADDRESS_RULES} entries` };
+
+    const entries = [];
+    for (const value of list) {
+      const cidr = parseCidr(value);
+      if (!cidr) return { error: `Invalid IP address or CIDR range in ${key}: ${value}` };
+      const formatted = formatCidr(cidr);
+      if (!entries.includes(formatted)) entries.push(formatted);
+    }
+    rules[key] = entries;
+  }
+
+  for (const key of ['allow_countries', 'deny_countries']) {
+    const list = input[key] === undefined ? [] : input[key];
+    if (!Array.isArray(list)) return { error: `${key} must be a list of country codes` };
+    if (list.length > MAX_COUNTRY_RULES) return { error: `${key} can hold at most ${MAX_COUNTRY_RULES} entries` };
+
+    const entries = [];
+    for (const value of list) {
+      const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+      if (!/^[A-Z]{2}$/.test(code)) return { error: `Invalid country code in ${key}: ${value}` };
+      if (!entries.includes(code)) entries.push(code);
+    }
+    rules[key] = entries;
+  }
+
+  const empty = Object.values(rules).every((list) => list.length === 0);
+  return { rules: empty ? null : rules };
+};
+
+// Rules as returned by the API, always with all four lists
+const describeIpRules = (rules) => ({
+  allow: (rules && rules.allow) || [],
+  deny: (rules && rules.deny) || [],
+  allow_countries: (rules && rules.allow_countries) || [],
+  deny_countries: (rules && rules.deny_countries) || []
+});
+
+const compileList = (list) => {
+  const blockList = new net.BlockList();
+  for (const value of list || []) {
+    const cidr = parseCidr(value);
+    if (cidr) blockList.addSubnet(cidr.address, cidr.prefix, cidr.family);
+  }
+  return blockList;
+};
+
+// Address of the visitor. Express requests have req.ip (trust proxy); raw upgrade
+// requests walk X-Forwarded-For from the right, past our own proxies.
+const clientAddress = (req) => {
+  if (typeof req.ip === 'string') return normalizeAddress(req.ip);
+
+  let address = normalizeAddress(req.socket && req.socket.remoteAddress);
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  while (address && forwarded.length > 0 && trustedProxies.check(address, familyOf(address))) {
+    const next = normalizeAddress(forwarded.pop());
+    if (!next) break;
+    address = next;
+  }
+  return address;
+};
+
+// `geoipReader` is an opened reader ({ get(address) }) to use instead of the database file
+function createIpFilter({ geoipDatabase = process.env.GEOIP_DATABASE || null, geoipReader = null } = {}) {
+  // JSON of the rules -> compiled block lists; rules come fresh from the database,
+  // so they are cached by content
+  const compiled = new Map();
+  let reader = geoipReader;
+
+  if (!reader && geoipDatabase) {
+    maxmind.open(geoipDatabase, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+      .then((opened) => {
+        reader = opened;
+        console.log(`🌍 GeoIP: ✅ Country database loaded from ${geoipDatabase}`);
+      })
+      .catch((error) => console.error(`❌ GeoIP database ${geoipDatabase} could not be loaded:`, error.message));
+  }
+
+  const compile = (rules) => {
+    const key = JSON.stringify(rules);
+    let entry = compiled.get(key);
+    if (!entry) {
+      if (compiled.size >= 1000) compiled.clear();
+      entry = { allow: compileList(rules.allow), deny: compileList(rules.deny) };
+      compiled.set(key, entry);
+    }
+    return entry;
+  };
+
+  // ISO country code of an address, null when unknown
+  const lookupCountry = (address) => {
+    if (!reader || !address) return null;
+    try {
+      const result = reader.get(address);
+      const country = result && (result.country || result.registered_country);
+      return (country && country.iso_code) || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // null when the address may connect, otherwise the reason it may not:
+  // ip_denied, ip_not_allowed, country_denied or country_not_allowed
+  const check = (rules, rawAddress) => {
+    if (!rules) return null;
+    const address = normalizeAddress(rawAddress);
+    if (!address) return 'ip_not_allowed';
+
+    const family = familyOf(address);
+    const lists = compile(rules);
+    if (lists.deny.check(address, family)) return 'ip_denied';
+    if (lists.allow.check(address, family)) return null;
+
+    const allowCountries = rules.allow_countries || [];
+    const denyCountries = rules.deny_countries || [];
+    if (allowCountries.length > 0 || denyCountries.length > 0) {
+      const country = lookupCountry(address);
+      if (country && denyCountries.includes(country)) return 'country_denied';
+      if (country && allowCountries.includes(country)) return null;
+      if (allowCountries.length > 0) return 'country_not_allowed';
+    }
+
+    return rules.allow && rules.allow.length > 0 ? 'ip_not_allowed' : null;
+  };
+
+  return {
+    check,
+    lookupCountry,
+    get geoipEnabled() {
+      return !!reader;
+    }
+  };
+}
+
+module.exports = {
+  buildIpRules,
+  describeIpRules,
+  clientAddress,
+  normalizeAddress,
+  parseCidr,
+  createIpFilter
+};
@@ -0,0 +1,246 @@
+// Sign-in with external identity providers: the authorization code flow with PKCE,
+// verified through OpenID Connect (ID token signed by the issuer's JWKS) or, for
+// providers without OIDC such as GitHub, through their user API.
+// Providers come from the environment:
+//   google - GOOGLE_CLIENT_ID (or google_client_id in the admin settings), GOOGLE_CLIENT_SECRET
+//   github - GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET
+//   oidc   - any OpenID Connect issuer: OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET,
+//            OIDC_LABEL (button text), OIDC_SCOPES
+// A provider without credentials is left out of the sign-in buttons.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/database');
+
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const SETTINGS_TTL = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const randomToken = () => base64url(crypto.randomBytes(32));
+const pkceChallenge = (verifier) => base64url(crypto.createHash('sha256').update(verifier).digest());
+
+// Errors with a code the sign-in page can show (oauth_error=<code>)
+const oauthError = (code, message) => Object.assign(new Error(message), { code });
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', 'User-Agent': 'Tunlify', ...options.headers }
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body && (body.error_description || body.error || body.message);
+    throw oauthError('provider_error', `${url} answered ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+// google_client_id from the admin settings, so it can be set without a restart
+let cachedSettings = null;
+const adminGoogleClientId = async () => {
+  if (!cachedSettings || Date.now() - cachedSettings.loadedAt > SETTINGS_TTL) {
+    const { data } = await supabase
+      .from('admin_settings')
+      .select('google_client_id')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    cachedSettings = { clientId: (data && data.google_client_id) || null, loadedAt: Date.now() };
+  }
+  return cachedSettings.clientId;
+};
+
+// Profile from the claims of a verified ID token
+const claimsProfile = ({ claims }) => ({
+  subject: claims.sub,
+  email: claims.email || null,
+  emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+  name: claims.name || claims.preferred_username || null
+});
+
+const buildProviders = (env = process.env) => [
+  {
+    name: 'google',
+    label: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: ['openid', 'email', 'profile'],
+    credentials: async () => ({
+      clientId: env.GOOGLE_CLIENT_ID || await adminGoogleClientId(),
+      clientSecret: env.GOOGLE_CLIENT_SECRET
+    }),
+    profile: claimsProfile
+  },
+  {
+    name: 'github',
+    label: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    scopes: ['read:user', 'user:email'],
+    credentials: async () => ({ clientId: env.GITHUB_CLIENT_ID, clientSecret: env.GITHUB_CLIENT_SECRET }),
+    // GitHub has no ID token; the primary address is only trusted when GitHub verified it
+    profile: async ({ tokens }) => {
+      const headers = { Authorization: `Bearer ${tokens.access_token}` };
+      const user = await fetchJson('https://api.github.com/user', { headers });
+      const emails = await fetchJson('https://api.github.com/user/emails', { headers });
+      const primary = (Array.isArray(emails) ? emails : []).find((entry) => entry.primary) || null;
+      return {
+        subject: String(user.id),
+        email: primary ? primary.email : null,
+        emailVerified: !!(primary && primary.verified),
+        name: user.name || user.login
+      };
+    }
+  },
+  {
+    name: 'oidc',
+    label: env.OIDC_LABEL || 'Single Sign-On',
+    issuer: env.OIDC_ISSUER,
+    scopes: (env.OIDC_SCOPES || 'openid email profile').split(/[\s,]+/).filter(Boolean),
+    credentials: async () => ({ clientId: env.OIDC_ISSUER && env.OIDC_CLIENT_ID, clientSecret: env.OIDC_CLIENT_SECRET }),
+    profile: claimsProfile
+  }
+];
+
+function createOAuthClient({ providers = buildProviders() } = {}) {
+  const registry = new Map(providers.map((provider) => [provider.name, provider]));
+  // issuer -> { metadata, loadedAt }, jwks_uri -> keys
+  const discoveryCache = new Map();
+  const jwksCache = new Map();
+
+  const discover = async (issuer) => {
+    const cached = discoveryCache.get(issuer);
+    if (cached && Date.now() - cached.loadedAt < DISCOVERY_TTL) return cached.metadata;
+
+    const metadata = await fetchJson(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+    if (metadata.issuer !== issuer) {
+      throw oauthError('provider_error', `Issuer mismatch in discovery document of ${issuer}`);
+    }
+    discoveryCache.set(issuer, { metadata, loadedAt: Date.now() });
+    return metadata;
+  };
+
+  const endpoints = async (provider) => {
+    if (!provider.issuer) {
+      return { authorization: provider.authorizationEndpoint, token: provider.tokenEndpoint };
+    }
+    const metadata = await discover(provider.issuer);
+    return { authorization: metadata.authorization_endpoint, token: metadata.token_endpoint, jwks: metadata.jwks_uri };
+  };
+
+  // Signing key for an ID token, the JWKS is fetched again once for an unknown kid
+  const signingKey = async (jwksUri, kid) => {
+    const find = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+    let key = jwksCache.has(jwksUri) ? find(jwksCache.get(jwksUri)) : null;
+    if (!key) {
+      const { keys = [] } = await fetchJson(jwksUri);
+      jwksCache.set(jwksUri, keys);
+      key = find(keys);
+    }
+    if (!key) throw oauthError('invalid_token', 'ID token signed with an unknown key');
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  };
+
+  const verifyIdToken = async (provider, idToken, { jwks, clientId, nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw oauthError('invalid_token', 'ID token missing or not signed with a supported algorithm');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, await signingKey(jwks, decoded.header.kid), {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      if (error.code) throw error;
+      throw oauthError('invalid_token', `ID token rejected: ${error.message}`);
+    }
+    if (claims.nonce !== nonce) throw oauthError('invalid_token', 'ID token nonce does not match');
+    return claims;
+  };
+
+  const resolve = async (name) => {
+    const provider = registry.get(name);
+    if (!provider) throw oauthError('unknown_provider', `Unknown sign-in provider: ${name}`);
+    const credentials = await provider.credentials();
+    if (!credentials.clientId) throw oauthError('unknown_provider', `Sign-in with ${provider.label} is not configured`);
+    return { provider, credentials };
+  };
+
+  // Providers with credentials, for the sign-in buttons
+  const list = async () => {
+    const configured = [];
+    for (const provider of registry.values()) {
+      const credentials = await provider.credentials().catch(() => ({}));
+      if (credentials.clientId) configured.push({ name: provider.name, label: provider.label });
+    }
+    return configured;
+  };
+
+  // First leg: where to send the browser, and the state to keep until the callback
+  const begin = async (name, redirectUri) => {
+    const { provider, credentials } = await resolve(name);
+    const { authorization } = await endpoints(provider);
+    const flow = { provider: provider.name, state: randomToken(), nonce: randomToken(), verifier: randomToken() };
+
+    const url = new URL(authorization);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: credentials.clientId,
+      redirect_uri: redirectUri,
+      scope: provider.scopes.join(' '),
+      state: flow.state,
+      code_challenge: pkceChallenge(flow.verifier),
+      code_challenge_method: 'S256',
+      ...(provider.issuer ? { nonce: flow.nonce } : {})
+    }).toString();
+
+    return { url: url.toString(), flow };
+  };
+
+  // Second leg: trade the code for tokens and read who signed in:
+  // { provider, subject, email, emailVerified, name }
+  const complete = async (name, code, flow, redirectUri) => {
+    const { provider, credentials } = await resolve(name);
+    const { token, jwks } = await endpoints(provider);
+
+    const tokens = await fetchJson(token, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: credentials.clientId,
+        ...(credentials.clientSecret ? { client_secret: credentials.clientSecret } : {}),
+        code_verifier: flow.verifier
+      }).toString()
+    });
+    if (tokens.error) {
+      throw oauthError('provider_error', tokens.error_description || tokens.error);
+    }
+
+    const claims = provider.issuer
+      ? await verifyIdToken(provider, tokens.id_token, { jwks, clientId: credentials.clientId, nonce: flow.nonce })
+      : null;
+    const profile = await provider.profile({ tokens, claims });
+    if (!profile.subject) throw oauthError('provider_error', `${provider.label} did not return a user id`);
+
+    return {
+      provider: provider.name,
+      ...profile,
+      email: profile.email ? String(profile.email).trim().toLowerCase() : null
+    };
+  };
+
+  return {
+    list,
+    begin,
+    complete
+  };
+}
+
+module.exports = { buildProviders, createOAuthClient };
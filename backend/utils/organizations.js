@@ -0,0 +1,85 @@
+// Organizations (team workspaces). Every user has a personal workspace, their own
+// tunnels (tunnels.organization_id NULL), and can be a member of organizations:
+//   - viewer     sees the organization's tunnels, captured requests and domains
+//   - developer  also creates, changes and deletes tunnels
+//   - admin      also invites, removes and changes members below admin
+//   - owner      also manages admins, renames and deletes the organization; one per org
+// Organization tunnels are billed to the owner: tunnels.user_id is the owner's id, so
+// plan limits, usage and quotas (entitlements.js, usage-meter.js) apply to the owner's
+// plan without knowing about organizations. tunnels.created_by keeps who created it.
+const supabase = require('../config/database');
+
+const ORG_ROLES = ['viewer', 'developer', 'admin', 'owner'];
+// Roles that can be given by invitation or role change; ownership isn't transferable
+const ASSIGNABLE_ROLES = ['viewer', 'developer', 'admin'];
+
+const WORKSPACE_HEADER = 'x-organization-id';
+
+const roleRank = (role) => ORG_ROLES.indexOf(role);
+const hasRole = (role, minRole) => roleRank(role) >= roleRank(minRole);
+
+// Actor may change or remove a member holding `targetRole`, and hand out roles below
+// their own (so an admin manages developers and viewers, the owner manages admins too)
+const canManageRole = (actorRole, targetRole) => roleRank(actorRole) > roleRank(targetRole);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// { role, organization: { id, name, owner_id } } of a member, null otherwise
+const getMembership = async (organizationId, userId) => {
+  if (!UUID_PATTERN.test(String(organizationId))) return null;
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role, organizations(id, name, owner_id)')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data || !data.organizations) return null;
+  return { role: data.role, organization: data.organizations };
+};
+
+// Workspace a request acts in, from the X-Organization-Id header:
+// { organizationId, ownerId, role }, personal workspace without the header,
+// null when the user isn't a member of the requested organization
+const resolveWorkspace = async (req) => {
+  const organizationId = req.get(WORKSPACE_HEADER);
+  if (!organizationId) {
+    return { organizationId: null, ownerId: req.user.id, role: 'owner' };
+  }
+
+  const membership = await getMembership(organizationId, req.user.id);
+  if (!membership) return null;
+  return {
+    organizationId: membership.organization.id,
+    ownerId: membership.organization.owner_id,
+    role: membership.role
+  };
+};
+
+// Limit a tunnels query to the tunnels of a workspace
+const inWorkspace = (query, workspace) => (
+  workspace.organizationId
+    ? query.eq('organization_id', workspace.organizationId)
+    : query.eq('user_id', workspace.ownerId).is('organization_id', null)
+);
+
+// For checks outside a request workspace (inspector feed): own tunnel or any role in
+// the organization owning it
+const canAccessTunnel = async (tunnel, userId) => {
+  if (tunnel.organization_id) {
+    return !!(await getMembership(tunnel.organization_id, userId));
+  }
+  return tunnel.user_id === userId;
+};
+
+module.exports = {
+  ORG_ROLES,
+  ASSIGNABLE_ROLES,
+  hasRole,
+  canManageRole,
+  getMembership,
+  resolveWorkspace,
+  inWorkspace,
+  canAccessTunnel
+};
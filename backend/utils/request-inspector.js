@@ -0,0 +1,175 @@
+// Request inspector for http tunnels.
+// Every request relayed to a tunnel client is captured (method, path, headers, the
+// start of the body, status, timing and response size) into a bounded ring buffer
+// per tunnel, so the dashboard can list it, follow it live and replay it. Requests
+// on webhook endpoints carry the signature check: { provider, verified, reason }.
+// Captures live in memory on the instance holding the client's WebSocket.
+const DEFAULT_LIMIT = 100; // Captures kept per tunnel
+const BODY_CAPTURE_LIMIT = 8 * 1024; // Request body bytes kept per capture
+
+function createRequestInspector({ limit = DEFAULT_LIMIT, bodyLimit = BODY_CAPTURE_LIMIT } = {}) {
+  // tunnelId -> captures, oldest first
+  const buffers = new Map();
+  // tunnelId -> Set of listeners
+  const listeners = new Map();
+
+  const serialize = (capture) => ({
+    id: capture.id,
+    tunnelId: capture.tunnelId,
+    method: capture.method,
+    path: capture.path,
+    requestHeaders: capture.requestHeaders,
+    requestBody: capture.bodyChunks.length ? Buffer.concat(capture.bodyChunks).toString() : null,
+    requestSize: capture.requestSize,
+    requestBodyTruncated: capture.requestSize > bodyLimit,
+    status: capture.status,
+    responseHeaders: capture.responseHeaders,
+    responseSize: capture.responseSize,
+    startedAt: new Date(capture.startedAt).toISOString(),
+    duration: capture.duration,
+    error: capture.error,
+    replayOf: capture.replayOf,
+    webhook: capture.webhook
+  });
+
+  const emit = (capture, event) => {
+    const subscribers = listeners.get(capture.tunnelId);
+    if (!subscribers) return;
+
+    const payload = serialize(capture);
+    for (const listener of subscribers) {
+      try {
+        listener(event, payload);
+      } catch (error) {
+        console.error('❌ Inspector listener error:', error.message);
+      }
+    }
+  };
+
+  // Start capturing a request, returns the capture to pass to the other calls
+  const begin = (tunnelId, { method, url, headers, replayOf = null, webhook = null }) => {
+    const capture = {
+      id: `insp_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      tunnelId,
+      method,
+      path: url,
+      requestHeaders: { ...headers },
+      bodyChunks: [],
+      bodyCaptured: 0,
+      requestSize: 0,
+      status: null,
+      responseHeaders: null,
+      responseSize: 0,
+      startedAt: Date.now(),
+      duration: null,
+      error: null,
+      replayOf,
+      webhook
+    };
+
+    if (!buffers.has(tunnelId)) buffers.set(tunnelId, []);
+    const buffer = buffers.get(tunnelId);
+    buffer.push(capture);
+    if (buffer.length > limit) buffer.shift();
+
+    emit(capture, 'request_started');
+    return capture;
+  };
+
+  // Record a request body chunk, only the first `bodyLimit` bytes are kept
+  const recordRequestBody = (capture, chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+    capture.requestSize += buffer.length;
+    if (capture.bodyCaptured < bodyLimit) {
+      const kept = buffer.subarray(0, bodyLimit - capture.bodyCaptured);
+      capture.bodyChunks.push(kept);
+      capture.bodyCaptured += kept.length;
+    }
+  };
+
+  const recordResponseBody = (capture, chunk) => {
+    if (!chunk) return;
+    capture.responseSize += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(String(chunk));
+  };
+
+  // Close a capture once the response is done (or failed). Only the first call counts.
+  // `size` is for buffered responses whose body was never recorded chunk by chunk.
+  const complete = (capture, { status = null, headers = null, size, error = null } = {}) => {
+    if (capture.duration !== null) return;
+    capture.duration = Date.now() - capture.startedAt;
+    capture.status = status;
+    capture.responseHeaders = headers;
+    if (size !== undefined) capture.responseSize = size;
+    capture.error = error;
+    emit(capture, 'request_completed');
+  };
+
+  // Follow an Express request/response pair whose body is streamed to the client
+  const watch = (capture, req, res) => {
+    req.on('data', (chunk) => recordRequestBody(capture, chunk));
+
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, ...args) {
+      recordResponseBody(capture, chunk);
+      return write.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      if (typeof chunk !== 'function') recordResponseBody(capture, chunk);
+      return end.call(this, chunk, ...args);
+    };
+
+    res.on('finish', () => {
+      complete(capture, { status: res.statusCode, headers: res.getHeaders() });
+    });
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        complete(capture, {
+          status: res.headersSent ? res.statusCode : null,
+          error: 'Connection closed before the response finished'
+        });
+      }
+    });
+  };
+
+  // Captures of a tunnel, newest first
+  const list = (tunnelId) => (buffers.get(tunnelId) || []).map(serialize).reverse();
+
+  const get = (tunnelId, captureId) => {
+    const capture = (buffers.get(tunnelId) || []).find((item) => item.id === captureId);
+    return capture ? serialize(capture) : null;
+  };
+
+  // Called with (event, capture) for every capture of the tunnel, returns an unsubscribe function
+  const subscribe = (tunnelId, listener) => {
+    if (!listeners.has(tunnelId)) listeners.set(tunnelId, new Set());
+    listeners.get(tunnelId).add(listener);
+
+    return () => {
+      const subscribers = listeners.get(tunnelId);
+      if (!subscribers) return;
+      subscribers.delete(listener);
+      if (subscribers.size === 0) listeners.delete(tunnelId);
+    };
+  };
+
+  // Forget the captures of a tunnel whose client went away
+  const clear = (tunnelId) => {
+    buffers.delete(tunnelId);
+  };
+
+  return {
+    begin,
+    recordRequestBody,
+    recordResponseBody,
+    complete,
+    watch,
+    list,
+    get,
+    subscribe,
+    clear,
+    buffers
+  };
+}
+
+module.exports = { createRequestInspector };
@@ -0,0 +1,249 @@
+// Sign-in sessions. Every sign-in (password or provider) opens a row in auth_sessions
+// and gets two tokens:
+//   - an access token, a JWT valid for 15 minutes carrying the session id (`sid`)
+//   - a refresh token, random, kept server-side only as a SHA-256 hash, rotated on
+//     every use; the browser holds it in an httpOnly cookie
+// A refresh token that was already rotated and shows up again means someone kept a
+// copy: the whole session is revoked (reuse detection). Revoked sessions are the
+// revocation list, authenticateToken checks the session of every access token so a
+// stolen token stops working as soon as its session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('../config/database');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const SESSION_TTL = 30 * 24 * 60 * 60; // seconds, extended on every refresh
+// Two tabs refreshing at the same moment send the same token; the one that loses is
+// turned away without killing the session
+const REUSE_GRACE = 30 * 1000;
+
+const REFRESH_COOKIE = 'tunlify_refresh';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const expiresAt = () => new Date(Date.now() + SESSION_TTL * 1000).toISOString();
+
+// Errors with a code the API sends back (uppercased, `code` in the JSON body)
+const SESSION_ERROR_CODES = [
+  'invalid_refresh_token',
+  'session_revoked',
+  'session_expired',
+  'refresh_token_reused',
+  'refresh_token_rotated'
+];
+const sessionError = (code, message) => Object.assign(new Error(message), { code });
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Shown in the session list so the user can tell devices apart, and in the audit log
+const clientInfo = (req) => ({
+  user_agent: String(req.get('user-agent') || '').slice(0, 500) || null,
+  ip_address: req.ip || null
+});
+
+const issueRefreshToken = async (sessionId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert([{ session_id: sessionId, token_hash: hashToken(token) }]);
+  if (error) throw error;
+  return token;
+};
+
+// Set-Cookie value carrying the refresh token, an empty token clears it
+const refreshCookie = (req, token) => [
+  `${REFRESH_COOKIE}=${token}`,
+  `Path=${REFRESH_COOKIE_PATH}`,
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${token ? SESSION_TTL : 0}`,
+  ...(req.secure ? ['Secure'] : [])
+].join('; ');
+
+const readRefreshCookie = (req) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === REFRESH_COOKIE) return value.join('=');
+  }
+  return null;
+};
+
+// New session for a user who just signed in: { session, accessToken, refreshToken }
+const createSession = async (user, req) => {
+  const now = new Date().toISOString();
+
+  // Sessions that ran out are of no use to anyone, their tokens go with them
+  await supabase
+    .from('auth_sessions')
+    .delete()
+    .eq('user_id', user.id)
+    .lt('expires_at', now);
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .insert([{
+      user_id: user.id,
+      ...clientInfo(req),
+      last_used_at: now,
+      expires_at: expiresAt()
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: await issueRefreshToken(session.id)
+  };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+  if (error) throw error;
+};
+
+// Revoke every session of a user but `exceptSessionId` (the one making the request),
+// e.g. after a password change. Resolves to the number of sessions revoked.
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length;
+};
+
+// Trade a refresh token for a new pair: { session, user, accessToken, refreshToken }.
+// Errors carry one of SESSION_ERROR_CODES, refresh_token_rotated when a concurrent
+// refresh with the same token won.
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) throw sessionError('invalid_refresh_token', 'Refresh token required');
+
+  const { data: stored } = await supabase
+    .from('refresh_tokens')
+    .select('id, session_id, used_at')
+    .eq('token_hash', hashToken(refreshToken))
+    .maybeSingle();
+  if (!stored) throw sessionError('invalid_refresh_token', 'Invalid refresh token');
+
+  const { data: session } = await supabase
+    .from('auth_sessions')
+    .select('*')
+    .eq('id', stored.session_id)
+    .maybeSingle();
+  if (!session || session.revoked_at) throw sessionError('session_revoked', 'Session has been revoked');
+  if (new Date(session.expires_at) <= new Date()) throw sessionError('session_expired', 'Session has expired');
+
+  if (stored.used_at) {
+    if (Date.now() - new Date(stored.used_at).getTime() < REUSE_GRACE) {
+      throw sessionError('refresh_token_rotated', 'Refresh token was just rotated');
+    }
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`🚨 Refresh token reused, session ${session.id} of user ${session.user_id} revoked`);
+    throw sessionError('refresh_token_reused', 'Refresh token reuse detected, session revoked');
+  }
+
+  // Only one request gets to use a token
+  const now = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: now })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select();
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    throw sessionError('refresh_token_rotated', 'Refresh token was just rotated');
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, name, role, is_verified')
+    .eq('id', session.user_id)
+    .single();
+  if (!user) throw sessionError('invalid_refresh_token', 'User not found');
+
+  const { data: updated, error: updateError } = await supabase
+    .from('auth_sessions')
+    .update({ ...clientInfo(req), last_used_at: now, expires_at: expiresAt() })
+    .eq('id', session.id)
+    .select()
+    .single();
+  if (updateError) throw updateError;
+
+  // Used tokens are kept for reuse detection, but not past the session lifetime
+  await supabase
+    .from('refresh_tokens')
+    .delete()
+    .eq('session_id', session.id)
+    .lt('used_at', new Date(Date.now() - SESSION_TTL * 1000).toISOString());
+
+  return {
+    session: updated,
+    user,
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: await issueRefreshToken(session.id)
+  };
+};
+
+// Decoded access token, rejects when the signature or expiry is wrong, when the
+// token has no session (issued before sessions existed) or its session was revoked
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.userId || !decoded.sid) throw sessionError('session_revoked', 'Token is not bound to a session');
+
+  const { data: session } = await supabase
+    .from('auth_sessions')
+    .select('id, user_id, revoked_at')
+    .eq('id', decoded.sid)
+    .maybeSingle();
+  if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+    throw sessionError('session_revoked', 'Session has been revoked');
+  }
+  return decoded;
+};
+
+// Active sessions of a user, most recently used first
+const listSessions = async (userId) => {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  SESSION_ERROR_CODES,
+  clientInfo,
+  refreshCookie,
+  readRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  listSessions
+};
@@ -0,0 +1,275 @@
+const net = require('net');
+const WebSocket = require('ws');
+const { sendFrame: send } = require('./frame-codec');
+const { isTunnelPort } = require('./tunnel-ports');
+
+// Raw TCP ingress for tcp tunnels.
+// Binds the tunnel's assigned port while the client WebSocket is connected and
+// multiplexes every accepted socket over that WebSocket using connection IDs.
+// tcp_connect names the tunnel, so one WebSocket can carry several TCP tunnels:
+//   server -> client: tcp_connect, tcp_data, tcp_end, tcp_close, tcp_pause, tcp_resume
+//   client -> server: tcp_connect_ack, tcp_data, tcp_end, tcp_close, tcp_error, tcp_pause, tcp_resume
+// `onTraffic(tunnelKey, bytesIn, bytesOut)` reports relayed bytes, and connections are
+// refused while `allowTraffic(tunnelKey)` returns false (e.g. bandwidth quota used up)
+// or when `allowAddress(tunnelKey, address)` rejects the remote address (IP rules).
+const TCP_INGRESS_HOST = process.env.TCP_INGRESS_HOST || '0.0.0.0';
+const WS_HIGH_WATER_MARK = 1024 * 1024; // Pause remote sockets once 1MB is queued on the WebSocket
+const WS_DRAIN_POLL_INTERVAL = 50;
+const CONNECT_ACK_TIMEOUT = 10000;
+
+function createTcpIngress({
+  onTraffic = () => {},
+  allowTraffic = () => true,
+  allowAddress = () => true
+} = {}) {
+  // tunnelKey -> { tunnelKey, server, port, ws, tunnelId }
+  const listeners = new Map();
+
+  // connectionId -> { listener, socket, ... }, client frames are routed by connection ID
+  const connections = new Map();
+
+  // A socket stays paused while either side of the relay asks for it
+  const updateFlow = (state) => {
+    if (state.socket.destroyed) return;
+    if (!state.acked || state.pausedByClient || state.pausedByWs) {
+      state.socket.pause();
+    } else {
+      state.socket.resume();
+    }
+  };
+
+  const waitForWsDrain = (listener, state) => {
+    if (state.pausedByWs) return;
+    state.pausedByWs = true;
+    updateFlow(state);
+
+    const check = () => {
+      if (state.socket.destroyed || listener.ws.readyState !== WebSocket.OPEN) return;
+      if (listener.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+        return;
+      }
+      state.pausedByWs = false;
+      updateFlow(state);
+    };
+    setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+  };
+
+  const handleRemoteSocket = (tunnelKey, listener, socket) => {
+    if (!allowTraffic(tunnelKey)) {
+      console.log(`⛔ TCP connection from ${socket.remoteAddress} refused on ${tunnelKey}`);
+      socket.destroy();
+      return;
+    }
+    if (!allowAddress(tunnelKey, socket.remoteAddress)) {
+      console.log(`🚫 TCP connection from ${socket.remoteAddress} denied by IP rules on ${tunnelKey}`);
+      socket.destroy();
+      return;
+    }
+
+    const connectionId = `tcp_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    const remoteAddress = socket.remoteAddress;
+    const remotePort = socket.remotePort;
+
+    const state = {
+      listener,
+      socket,
+      acked: false,
+      pausedByClient: false,
+      pausedByWs: false,
+      bytesIn: 0,
+      bytesOut: 0
+    };
+    connections.set(connectionId, state);
+
+    // Hold incoming data until the client has reached its local service
+    socket.pause();
+
+    console.log(`🔗 TCP connection ${connectionId} from ${remoteAddress}:${remotePort} on ${tunnelKey}`);
+
+    const ackTimeout = setTimeout(() => {
+      if (!state.acked) {
+        console.log(`❌ TCP connection ${connectionId} not acknowledged by client, closing`);
+        socket.destroy();
+      }
+    }, CONNECT_ACK_TIMEOUT);
+
+    socket.on('data', (chunk) => {
+      state.bytesIn += chunk.length;
+      onTraffic(tunnelKey, chunk.length, 0);
+      send(listener.ws, {
+        type: 'tcp_data',
+        connectionId,
+        data: chunk
+      });
+      if (listener.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        waitForWsDrain(listener, state);
+      }
+    });
+
+    // Remote side finished writing; keep our direction open (half-close)
+    socket.on('end', () => {
+      send(listener.ws, { type: 'tcp_end', connectionId });
+    });
+
+    socket.on('drain', () => {
+      send(listener.ws, { type: 'tcp_resume', connectionId });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(ackTimeout);
+      if (connections.delete(connectionId)) {
+        send(listener.ws, { type: 'tcp_close', connectionId });
+      }
+      console.log(`🔌 TCP connection ${connectionId} closed (in: ${state.bytesIn}B, out: ${state.bytesOut}B)`);
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ TCP connection ${connectionId} error:`, error.message);
+    });
+
+    if (!send(listener.ws, {
+      type: 'tcp_connect',
+      tunnelId: listener.tunnelId,
+      connectionId,
+      remoteAddress,
+      remotePort
+    })) {
+      socket.destroy();
+    }
+  };
+
+  // Bind the tunnel's remote port for a freshly connected client
+  const attach = (tunnelKey, ws, port, tunnelId) => {
+    detach(tunnelKey);
+
+    // Ports outside the tunnel range belong to the host (or predate the range check)
+    if (!isTunnelPort(port)) {
+      console.error(`❌ TCP ingress refused port ${port} for ${tunnelKey}: outside the tunnel port range`);
+      send(ws, { type: 'tcp_listen_error', tunnelId, port, message: `Port ${port} is outside the tunnel port range` });
+      return null;
+    }
+
+    const listener = {
+      tunnelKey,
+      server: null,
+      port,
+      ws,
+      tunnelId
+    };
+
+    const server = net.createServer({ allowHalfOpen: true, pauseOnConnect: true }, (socket) => {
+      handleRemoteSocket(tunnelKey, listener, socket);
+    });
+    listener.server = server;
+
+    server.on('error', (error) => {
+      console.error(`❌ TCP ingress error on port ${port} for ${tunnelKey}:`, error.message);
+      send(ws, { type: 'tcp_listen_error', tunnelId, port, message: error.message });
+      if (listeners.get(tunnelKey) === listener) {
+        listeners.delete(tunnelKey);
+      }
+    });
+
+    server.listen(port, TCP_INGRESS_HOST, () => {
+      console.log(`🎧 TCP ingress listening on ${TCP_INGRESS_HOST}:${port} for ${tunnelKey}`);
+      send(ws, { type: 'tcp_listening', tunnelId, port });
+    });
+
+    listeners.set(tunnelKey, listener);
+    return listener;
+  };
+
+  // Release the port and drop every relayed socket. When `ws` is given, only
+  // release if the listener still belongs to that connection (reconnect races).
+  const detach = (tunnelKey, ws) => {
+    const listener = listeners.get(tunnelKey);
+    if (!listener) return;
+    if (ws && listener.ws !== ws) return;
+
+    listeners.delete(tunnelKey);
+    for (const [connectionId, state] of connections.entries()) {
+      if (state.listener === listener) {
+        connections.delete(connectionId);
+        state.socket.destroy();
+      }
+    }
+    listener.server.close(() => {
+      console.log(`🔇 TCP ingress on port ${listener.port} released for ${tunnelKey}`);
+    });
+  };
+
+  // Close every relayed socket of a tunnel but keep its port bound
+  const closeAll = (tunnelKey) => {
+    const listener = listeners.get(tunnelKey);
+    if (!listener) return;
+
+    for (const state of connections.values()) {
+      if (state.listener === listener) {
+        state.socket.destroy();
+      }
+    }
+  };
+
+  // Route tcp_* messages from the client WebSocket `ws` to the matching remote socket.
+  // Returns false when the message type is not a TCP relay message.
+  const handleMessage = (ws, data) => {
+    if (!data.type || !data.type.startsWith('tcp_')) return false;
+
+    const state = connections.get(data.connectionId);
+    if (!state || state.listener.ws !== ws) return true;
+
+    const { listener, socket } = state;
+
+    switch (data.type) {
+      case 'tcp_connect_ack':
+        state.acked = true;
+        updateFlow(state);
+        break;
+
+      case 'tcp_data': {
+        const buffer = data.data;
+        state.bytesOut += buffer.length;
+        onTraffic(listener.tunnelKey, 0, buffer.length);
+        if (!socket.destroyed && !socket.write(buffer)) {
+          // Remote reader is slow, ask the client to stop reading locally
+          send(listener.ws, { type: 'tcp_pause', connectionId: data.connectionId });
+        }
+        break;
+      }
+
+      case 'tcp_end':
+        if (!socket.destroyed) socket.end();
+        break;
+
+      case 'tcp_pause':
+        state.pausedByClient = true;
+        updateFlow(state);
+        break;
+
+      case 'tcp_resume':
+        state.pausedByClient = false;
+        updateFlow(state);
+        break;
+
+      case 'tcp_close':
+      case 'tcp_error':
+        if (data.type === 'tcp_error') {
+          console.log(`❌ Client TCP error for ${data.connectionId}: ${data.error}`);
+        }
+        // Client side is gone, don't echo tcp_close back
+        connections.delete(data.connectionId);
+        socket.destroy();
+        break;
+
+      default:
+        console.log(`⚠️  Unknown TCP message type: ${data.type}`);
+    }
+
+    return true;
+  };
+
+  return { attach, detach, closeAll, handleMessage, listeners, connections };
+}
+
+module.exports = { createTcpIngress };
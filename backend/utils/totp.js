@@ -0,0 +1,111 @@
+// Time-based one-time passwords (RFC 6238) for two-factor sign-in, compatible with
+// Google Authenticator, 1Password, Authy and the like: SHA-1, 6 digits, 30 seconds.
+// Codes from one step before or after are accepted for clock drift; the step of the
+// last accepted code is stored so the same code can't be used twice.
+//
+// Recovery codes are one-time fallbacks for a lost phone, stored as SHA-256 hashes
+// (they are random, so a slow hash buys nothing).
+const crypto = require('crypto');
+
+const DIGITS = 6;
+const STEP = 30; // seconds
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// HOTP value of one time step (RFC 4226 dynamic truncation)
+const codeAt = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP);
+
+// Step of the matching code, or null. Steps at or before `lastStep` were used already.
+const verifyTotp = (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let candidate = step - DRIFT_STEPS; candidate <= step + DRIFT_STEPS; candidate++) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+    const expected = codeAt(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (and the QR code)
+const otpauthUri = ({ secret, account, issuer = 'Tunlify' }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// "k7m2-9xq4" style codes, easy to type, 40 bits each
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+});
+
+// Recovery codes are compared case-insensitively and with or without the dash
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code || '').toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
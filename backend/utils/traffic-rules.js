@@ -0,0 +1,240 @@
+// Per-tunnel traffic rules for http tunnels (tunnels.traffic_rules), applied by the
+// proxy before a request reaches the client and to the response on its way back:
+//   {
+//     request_headers:  [{ op: 'set' | 'add' | 'remove', name, value }],
+//     response_headers: [{ op: 'set' | 'add' | 'remove', name, value }],
+//     routes:    [{ path: '/api', port: 8080, strip_prefix: false }],
+//     redirects: [{ from: '/docs', to: 'https://docs.example.com', status: 302 }]
+//   }
+// Operations run in order. Routes pick the local port by longest path prefix, the
+// client connects to that port instead of its --local one; with strip_prefix the
+// prefix is cut from the path and sent as X-Forwarded-Prefix. Redirects are answered
+// by the proxy itself, the rest of the path and the query string are appended to `to`.
+// A client can add session rules of its own (CLI flags), they run after the stored ones.
+const HEADER_OPS = ['set', 'add', 'remove'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_HEADER_RULES = 50;
+const MAX_PATH_RULES = 20;
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Framing is decided per hop, rules may not touch it
+const PROTECTED_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'content-length',
+  'upgrade',
+  'te',
+  'trailer'
+]);
+
+const isPathPrefix = (value) => typeof value === 'string' && /^\/[^\s?#]*$/.test(value);
+
+// '/api' matches '/api', '/api/...' and '/api?...', but not '/apix'
+const matchesPrefix = (path, prefix) => {
+  if (prefix === '/') return true;
+  const base = prefix.replace(/\/+$/, '');
+  return path === base || path.startsWith(`${base}/`);
+};
+
+const splitUrl = (url) => {
+  const index = url.indexOf('?');
+  return index === -1 ? { path: url, query: '' } : { path: url.slice(0, index), query: url.slice(index) };
+};
+
+const buildHeaderRules = (list, key) => {
+  if (list === undefined) return { rules: [] };
+  if (!Array.isArray(list)) return { error: `${key} must be a list` };
+  if (list.length > MAX_HEADER_RULES) return { error: `${key} can hold at most ${MAX_HEADER_RULES} rules` };
+
+  const rules = [];
+  for (const rule of list) {
+    if (!rule || !HEADER_OPS.includes(rule.op)) {
+      return { error: `${key}: op must be one of ${HEADER_OPS.join(', ')}` };
+    }
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!HEADER_NAME.test(name)) return { error: `${key}: invalid header name "${rule.name}"` };
+    if (PROTECTED_HEADERS.has(name.toLowerCase())) return { error: `${key}: ${name} cannot be rewritten` };
+
+    if (rule.op === 'remove') {
+      rules.push({ op: 'remove', name });
+      continue;
+    }
+    const value = rule.value === undefined || rule.value === null ? '' : String(rule.value);
+    if (/[\r\n\0]/.test(value) || value.length > 4096) return { error: `${key}: invalid value for ${name}` };
+    rules.push({ op: rule.op, name, value });
+  }
+  return { rules };
+};
+
+// Validate rules from the API or a client. Resolves to { rules } (null when there
+// are none) or { error }.
+const buildTrafficRules = (input) => {
+  if (input === null || input === undefined) return { rules: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Traffic rules must be an object' };
+
+  const requestHeaders = buildHeaderRules(input.request_headers, 'request_headers');
+  if (requestHeaders.error) return requestHeaders;
+  const responseHeaders = buildHeaderRules(input.response_headers, 'response_headers');
+  if (responseHeaders.error) return responseHeaders;
+
+  const routes = [];
+  const routeList = input.routes === undefined ? [] : input.routes;
+  if (!Array.isArray(routeList)) return { error: 'routes must be a list' };
+  if (routeList.length > MAX_PATH_RULES) return { error: `routes can hold at most ${MAX_PATH_RULES} rules` };
+  for (const route of routeList) {
+    const port = Number(route && route.port);
+    if (!route || !isPathPrefix(route.path)) return { error: 'routes: path must start with /' };
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: `routes: invalid port for ${route.path}` };
+    routes.push({ path: route.path, port, strip_prefix: route.strip_prefix === true });
+  }
+
+  const redirects = [];
+  const redirectList = input.redirects === undefined ? [] : input.redirects;
+  if (!Array.isArray(redirectList)) return { error: 'redirects must be a list' };
+  if (redirectList.length > MAX_PATH_RULES) return { error: `redirects can hold at most ${MAX_PATH_RULES} rules` };
+  for (const redirect of redirectList) {
+    if (!redirect || !isPathPrefix(redirect.from)) return { error: 'redirects: from must start with /' };
+    const to = typeof redirect.to === 'string' ? redirect.to.trim() : '';
+    if (!(isPathPrefix(to) || /^https?:\/\/[^\s]+$/i.test(to)) || /[\r\n]/.test(to)) {
+      return { error: `redirects: ${redirect.from} must point to a path or an http(s) URL` };
+    }
+    const status = redirect.status === undefined ? 302 : Number(redirect.status);
+    if (!REDIRECT_STATUSES.includes(status)) {
+      return { error: `redirects: status must be one of ${REDIRECT_STATUSES.join(', ')}` };
+    }
+    redirects.push({ from: redirect.from, to, status });
+  }
+
+  const rules = {
+    request_headers: requestHeaders.rules,
+    response_headers: responseHeaders.rules,
+    routes,
+    redirects
+  };
+  const empty = Object.values(rules).every((list) => list.length === 0);
+  return { rules: empty ? null : rules };
+};
+
+// Rules as returned by the API, always with all four lists
+const describeTrafficRules = (rules) => ({
+  request_headers: (rules && rules.request_headers) || [],
+  response_headers: (rules && rules.response_headers) || [],
+  routes: (rules && rules.routes) || [],
+  redirects: (rules && rules.redirects) || []
+});
+
+// Stored rules followed by a client's session rules; session routes and redirects
+// are checked first so they win over stored ones with the same prefix
+const mergeTrafficRules = (stored, session) => {
+  if (!session) return stored || null;
+  if (!stored) return session;
+  const a = describeTrafficRules(stored);
+  const b = describeTrafficRules(session);
+  return {
+    request_headers: [...a.request_headers, ...b.request_headers],
+    response_headers: [...a.response_headers, ...b.response_headers],
+    routes: [...b.routes, ...a.routes],
+    redirects: [...b.redirects, ...a.redirects]
+  };
+};
+
+// Run header operations on a copy of `headers`; names are matched case-insensitively.
+// Returns the new headers and the lowercased names that were set or added.
+const applyHeaderRules = (rules, headers) => {
+  const result = { ...headers };
+  const touched = [];
+
+  for (const rule of rules || []) {
+    const lower = rule.name.toLowerCase();
+    const existingKey = Object.keys(result).find((key) => key.toLowerCase() === lower);
+
+    if (rule.op === 'remove') {
+      if (existingKey) delete result[existingKey];
+      continue;
+    }
+
+    if (rule.op === 'add' && existingKey) {
+      const current = result[existingKey];
+      if (lower === 'set-cookie') {
+        result[existingKey] = [...(Array.isArray(current) ? current : [current]), rule.value];
+      } else {
+        result[existingKey] = `${Array.isArray(current) ? current.join(', ') : current}, ${rule.value}`;
+      }
+    } else {
+      if (existingKey) delete result[existingKey];
+      result[lower] = rule.value;
+    }
+    if (!touched.includes(lower)) touched.push(lower);
+  }
+
+  return { headers: result, touched };
+};
+
+// Redirect answering a request path, as { status, location }, or null
+const matchRedirect = (rules, url) => {
+  if (!rules || !rules.redirects || rules.redirects.length === 0) return null;
+  const { path, query } = splitUrl(url);
+
+  const redirect = rules.redirects.find((candidate) => matchesPrefix(path, candidate.from));
+  if (!redirect) return null;
+
+  // '/docs/a' with from '/docs' keeps '/a'
+  const rest = path.slice(redirect.from.replace(/\/+$/, '').length);
+  const location = `${redirect.to.replace(/\/+$/, '')}${rest}` || '/';
+  return { status: redirect.status, location: `${location}${query}` };
+};
+
+// Request as it should reach the client: { url, headers, localPort, keepHeaders }.
+// `localPort` is null when no route matched (the client's own port), `keepHeaders`
+// lists headers set by rules, which the client must pass on untouched (e.g. Host).
+const applyRequestRules = (rules, { url, headers }) => {
+  if (!rules) return { url, headers, localPort: null, keepHeaders: [] };
+  const { path, query } = splitUrl(url);
+
+  let route = null;
+  for (const candidate of rules.routes || []) {
+    if (matchesPrefix(path, candidate.path) && (!route || candidate.path.length > route.path.length)) {
+      route = candidate;
+    }
+  }
+
+  let targetUrl = url;
+  let requestHeaders = headers;
+  if (route && route.strip_prefix && route.path !== '/') {
+    const prefix = route.path.replace(/\/+$/, '');
+    targetUrl = `${path.slice(prefix.length) || '/'}${query}`;
+    requestHeaders = { ...headers, 'x-forwarded-prefix': prefix };
+  }
+
+  const applied = applyHeaderRules(rules.request_headers, requestHeaders);
+  const keepHeaders = applied.touched;
+  if (requestHeaders !== headers && !keepHeaders.includes('x-forwarded-prefix')) {
+    keepHeaders.push('x-forwarded-prefix');
+  }
+
+  return {
+    url: targetUrl,
+    headers: applied.headers,
+    localPort: route ? route.port : null,
+    keepHeaders
+  };
+};
+
+const applyResponseRules = (rules, headers) => {
+  if (!rules || !rules.response_headers || rules.response_headers.length === 0) return headers;
+  return applyHeaderRules(rules.response_headers, headers).headers;
+};
+
+module.exports = {
+  HEADER_OPS,
+  isPathPrefix,
+  matchesPrefix,
+  buildTrafficRules,
+  describeTrafficRules,
+  mergeTrafficRules,
+  matchRedirect,
+  applyRequestRules,
+  applyResponseRules
+};
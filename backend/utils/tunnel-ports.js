@@ -0,0 +1,13 @@
+// Public ports of TCP/UDP tunnels. The ingress binds them on every interface, so
+// users only get ports from this range: system ports and the backend's own ports
+// stay out of reach, and so do ports of services running next to the backend.
+const TUNNEL_PORT_MIN = 10000;
+const TUNNEL_PORT_MAX = 60000;
+
+const isTunnelPort = (port) =>
+  Number.isInteger(port) && port >= TUNNEL_PORT_MIN && port <= TUNNEL_PORT_MAX;
+
+const randomTunnelPort = () =>
+  TUNNEL_PORT_MIN + Math.floor(Math.random() * (TUNNEL_PORT_MAX - TUNNEL_PORT_MIN + 1));
+
+module.exports = { TUNNEL_PORT_MIN, TUNNEL_PORT_MAX, isTunnelPort, randomTunnelPort };
@@ -0,0 +1,12 @@
+// Resolve the relay protocol of a tunnel row.
+// Ports 80/443 are always served by the HTTP proxy. Older rows were created
+// before `protocol` was stored (the column defaults to 'tcp'), so only an
+// explicit 'udp' overrides the TCP default.
+const getTunnelProtocol = (tunnel) => {
+  if (tunnel.target_port === 80 || tunnel.target_port === 443) {
+    return 'http';
+  }
+  return tunnel.protocol === 'udp' ? 'udp' : 'tcp';
+};
+
+module.exports = { getTunnelProtocol };
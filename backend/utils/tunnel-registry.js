@@ -0,0 +1,142 @@
+// Tunnel ownership registry for running the relay on several backend instances.
+// The instance holding a client's WebSocket records itself as the tunnel owner in
+// Redis (tunnel_owner:<tunnelKey> -> { nodeId, url }), so any other instance can
+// find where to forward a request. Keys expire unless the owner keeps refreshing
+// them, which cleans up after crashed instances. Claims are announced on a pub/sub
+// channel so an instance still holding an older connection for the same tunnel
+// (client reconnected elsewhere) can let go of it right away. Revoked and rotated
+// connection tokens are announced the same way, so every instance re-checks the
+// tokens of its connections for that tunnel.
+const REGISTRY_TTL = 90; // seconds
+const CLAIM_CHANNEL = 'tunlify:tunnel_claims';
+const TOKEN_CHANNEL = 'tunlify:tunnel_tokens';
+
+const ownerKey = (tunnelKey) => `tunnel_owner:${tunnelKey}`;
+
+function createTunnelRegistry({ redis, nodeId, nodeUrl, ttl = REGISTRY_TTL }) {
+  // Tunnel keys this instance currently owns
+  const owned = new Set();
+  const claimListeners = [];
+  const tokenListeners = [];
+  let subscriber = null;
+
+  const readOwner = async (tunnelKey) => {
+    const raw = await redis.get(ownerKey(tunnelKey));
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const writeOwner = (tunnelKey) =>
+    redis.set(ownerKey(tunnelKey), JSON.stringify({ nodeId, url: nodeUrl }), { EX: ttl });
+
+  // Record this instance as the owner of a freshly connected tunnel
+  const claim = async (tunnelKey) => {
+    owned.add(tunnelKey);
+    await writeOwner(tunnelKey);
+    await redis.publish(CLAIM_CHANNEL, JSON.stringify({ tunnelKey, nodeId }));
+  };
+
+  // Forget a tunnel whose client disconnected. Returns false when another
+  // instance has claimed it since, so the caller leaves its status alone.
+  const release = async (tunnelKey) => {
+    owned.delete(tunnelKey);
+    const owner = await readOwner(tunnelKey);
+    if (owner && owner.nodeId !== nodeId) return false;
+    await redis.del(ownerKey(tunnelKey));
+    return true;
+  };
+
+  // Where the client of a tunnel is connected, or null when nobody holds it
+  const lookup = (tunnelKey) => readOwner(tunnelKey);
+
+  // Called with (tunnelKey, nodeId) when another instance claims a tunnel
+  const onClaimed = (listener) => {
+    claimListeners.push(listener);
+  };
+
+  // Tell the other instances the connection tokens of a tunnel changed
+  const announceTokenChange = (tunnelId) =>
+    redis.publish(TOKEN_CHANNEL, JSON.stringify({ tunnelId, nodeId }));
+
+  // Called with (tunnelId) when another instance changed the tokens of a tunnel
+  const onTokenChanged = (listener) => {
+    tokenListeners.push(listener);
+  };
+
+  const refreshInterval = setInterval(async () => {
+    for (const tunnelKey of owned) {
+      try {
+        const owner = await readOwner(tunnelKey);
+        if (owner && owner.nodeId !== nodeId) {
+          owned.delete(tunnelKey);
+          continue;
+        }
+        await writeOwner(tunnelKey);
+      } catch (error) {
+        console.error(`❌ Failed to refresh owner of ${tunnelKey}:`, error.message);
+      }
+    }
+  }, (ttl * 1000) / 3);
+
+  // Pub/sub needs a connection of its own
+  const start = async () => {
+    subscriber = redis.duplicate();
+    await subscriber.connect();
+    await subscriber.subscribe(CLAIM_CHANNEL, (message) => {
+      let claimed;
+      try {
+        claimed = JSON.parse(message);
+      } catch (error) {
+        return;
+      }
+      if (claimed.nodeId === nodeId) return;
+
+      owned.delete(claimed.tunnelKey);
+      for (const listener of claimListeners) {
+        listener(claimed.tunnelKey, claimed.nodeId);
+      }
+    });
+    await subscriber.subscribe(TOKEN_CHANNEL, (message) => {
+      let changed;
+      try {
+        changed = JSON.parse(message);
+      } catch (error) {
+        return;
+      }
+      if (changed.nodeId === nodeId) return;
+
+      for (const listener of tokenListeners) {
+        listener(changed.tunnelId);
+      }
+    });
+    console.log(`🛰️  Tunnel registry ready for instance ${nodeId} (${nodeUrl})`);
+  };
+
+  const stop = async () => {
+    clearInterval(refreshInterval);
+    if (subscriber) {
+      await subscriber.quit();
+      subscriber = null;
+    }
+  };
+
+  return {
+    nodeId,
+    nodeUrl,
+    claim,
+    release,
+    lookup,
+    onClaimed,
+    announceTokenChange,
+    onTokenChanged,
+    start,
+    stop,
+    owned
+  };
+}
+
+module.exports = { createTunnelRegistry };
@@ -0,0 +1,218 @@
+// Connection tokens of a tunnel. Every tunnel has its primary token
+// (tunnels.connection_token, the one in the dashboard setup instructions); more named
+// tokens can be minted, e.g. one per machine or CI job, and revoked one at a time.
+// Named tokens are stored as SHA-256 hashes and shown once, like API keys.
+// Rotating the primary token keeps the old one working for a grace period as a named
+// token that expires, so clients can be switched over without dropping traffic.
+// The relay remembers which token opened each connection and drops connections whose
+// token stopped being valid (routes/websocket.js).
+const crypto = require('crypto');
+const supabase = require('../config/database');
+
+const MAX_TOKENS_PER_TUNNEL = 10;
+const DEFAULT_ROTATION_GRACE = 24 * 60 * 60; // seconds
+const MAX_ROTATION_GRACE = 7 * 24 * 60 * 60; // seconds
+
+const TOKEN_COLUMNS = 'id, tunnel_id, name, prefix, expires_at, last_used_at, created_by, created_at';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Same shape as the primary token, clients accept 32-64 characters
+const generateConnectionToken = () => crypto.randomBytes(32).toString('hex');
+const hashConnectionToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+// Shown in the dashboard and logs to tell tokens apart
+const tokenPrefix = (token) => token.substring(0, 8);
+
+const tokenError = (code, message) => Object.assign(new Error(message), { code });
+
+const isExpired = (tunnelToken, now = Date.now()) =>
+  !!tunnelToken.expires_at && Date.parse(tunnelToken.expires_at) <= now;
+
+// Tunnel (with `columns`) opened by a primary or named connection token, null for
+// unknown, revoked and expired tokens
+const findTunnelByToken = async (token, columns = '*') => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const { data: tunnel } = await supabase
+    .from('tunnels')
+    .select(columns)
+    .eq('connection_token', token)
+    .maybeSingle();
+  if (tunnel) return tunnel;
+
+  const { data: named } = await supabase
+    .from('tunnel_tokens')
+    .select('id, tunnel_id, expires_at')
+    .eq('token_hash', hashConnectionToken(token))
+    .maybeSingle();
+  if (!named || isExpired(named)) return null;
+
+  const { data: owner } = await supabase
+    .from('tunnels')
+    .select(columns)
+    .eq('id', named.tunnel_id)
+    .maybeSingle();
+  if (!owner) return null;
+
+  // Clients connect rarely, no need to throttle this like API keys
+  await supabase
+    .from('tunnel_tokens')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', named.id);
+
+  return owner;
+};
+
+// Expired tokens (rotated out or past their expiry) are kept until the next change
+const purgeExpiredTokens = async (tunnelId) => {
+  const { error } = await supabase
+    .from('tunnel_tokens')
+    .delete()
+    .eq('tunnel_id', tunnelId)
+    .lte('expires_at', new Date().toISOString());
+  if (error) throw error;
+};
+
+// Named tokens of a tunnel, never with the token itself
+const listTunnelTokens = async (tunnelId) => {
+  const { data, error } = await supabase
+    .from('tunnel_tokens')
+    .select(TOKEN_COLUMNS)
+    .eq('tunnel_id', tunnelId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const now = Date.now();
+  return data.map((tunnelToken) => ({ ...tunnelToken, expired: isExpired(tunnelToken, now) }));
+};
+
+// New named token: { tunnelToken, token }, the plain token can't be shown again
+const createTunnelToken = async (tunnelId, { name, expiresAt = null, createdBy = null }) => {
+  await purgeExpiredTokens(tunnelId);
+
+  const { count, error: countError } = await supabase
+    .from('tunnel_tokens')
+    .select('id', { count: 'exact', head: true })
+    .eq('tunnel_id', tunnelId);
+  if (countError) throw countError;
+  if (count >= MAX_TOKENS_PER_TUNNEL) {
+    throw tokenError('tunnel_token_limit', `A tunnel can have at most ${MAX_TOKENS_PER_TUNNEL} extra connection tokens`);
+  }
+
+  const token = generateConnectionToken();
+  const { data, error } = await supabase
+    .from('tunnel_tokens')
+    .insert([{
+      tunnel_id: tunnelId,
+      name,
+      prefix: tokenPrefix(token),
+      token_hash: hashConnectionToken(token),
+      expires_at: expiresAt,
+      created_by: createdBy
+    }])
+    .select(TOKEN_COLUMNS)
+    .single();
+  if (error) throw error;
+
+  return { tunnelToken: { ...data, expired: false }, token };
+};
+
+// Revoke a named token; resolves to the deleted token or null
+const deleteTunnelToken = async (tunnelId, tokenId) => {
+  if (!UUID_PATTERN.test(String(tokenId))) return null;
+
+  const { data, error } = await supabase
+    .from('tunnel_tokens')
+    .delete()
+    .eq('id', tokenId)
+    .eq('tunnel_id', tunnelId)
+    .select(TOKEN_COLUMNS);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// New primary token. With a grace period (seconds) the old one keeps working until
+// then as a named token. Resolves to { token, previous }, previous is null without
+// grace period.
+// The old token is saved before the primary one changes: if that fails nothing has
+// changed yet, so clients are never cut off without their grace period.
+const rotateConnectionToken = async (tunnel, { gracePeriod = DEFAULT_ROTATION_GRACE, createdBy = null } = {}) => {
+  await purgeExpiredTokens(tunnel.id);
+
+  const conflict = () =>
+    tokenError('tunnel_token_conflict', 'The connection token was changed meanwhile, reload and try again');
+
+  let previous = null;
+  if (gracePeriod) {
+    const { data, error } = await supabase
+      .from('tunnel_tokens')
+      .insert([{
+        tunnel_id: tunnel.id,
+        name: 'Previous connection token',
+        prefix: tokenPrefix(tunnel.connection_token),
+        token_hash: hashConnectionToken(tunnel.connection_token),
+        expires_at: new Date(Date.now() + gracePeriod * 1000).toISOString(),
+        created_by: createdBy
+      }])
+      .select(TOKEN_COLUMNS)
+      .single();
+    // Unique token_hash: another rotation already saved this token
+    if (error && error.code === '23505') throw conflict();
+    if (error) throw error;
+    previous = { ...data, expired: false };
+  }
+
+  const token = generateConnectionToken();
+  // Two rotations at once: only the first one sees the token it replaces
+  const { data: rotated, error } = await supabase
+    .from('tunnels')
+    .update({ connection_token: token })
+    .eq('id', tunnel.id)
+    .eq('connection_token', tunnel.connection_token)
+    .select('id');
+
+  if (error || !rotated || rotated.length === 0) {
+    // Primary token unchanged, the saved copy of it must not outlive it
+    if (previous) {
+      await supabase.from('tunnel_tokens').delete().eq('id', previous.id);
+    }
+    if (error) throw error;
+    throw conflict();
+  }
+
+  return { token, previous };
+};
+
+// Token hashes that may keep a connection of these tunnels open: tunnelId -> Set
+const validTokenHashes = async (tunnelIds) => {
+  const [primary, named] = await Promise.all([
+    supabase.from('tunnels').select('id, connection_token').in('id', tunnelIds),
+    supabase.from('tunnel_tokens').select('tunnel_id, token_hash, expires_at').in('tunnel_id', tunnelIds)
+  ]);
+  if (primary.error) throw primary.error;
+  if (named.error) throw named.error;
+
+  const valid = new Map(tunnelIds.map((tunnelId) => [tunnelId, new Set()]));
+  for (const tunnel of primary.data) {
+    valid.get(tunnel.id).add(hashConnectionToken(tunnel.connection_token));
+  }
+  const now = Date.now();
+  for (const tunnelToken of named.data) {
+    if (!isExpired(tunnelToken, now)) valid.get(tunnelToken.tunnel_id).add(tunnelToken.token_hash);
+  }
+  return valid;
+};
+
+module.exports = {
+  MAX_TOKENS_PER_TUNNEL,
+  DEFAULT_ROTATION_GRACE,
+  MAX_ROTATION_GRACE,
+  generateConnectionToken,
+  hashConnectionToken,
+  findTunnelByToken,
+  listTunnelTokens,
+  createTunnelToken,
+  deleteTunnelToken,
+  rotateConnectionToken,
+  validTokenHashes
+};
@@ -0,0 +1,96 @@
+// Two-factor authentication state of an account (users.totp_*) and its recovery
+// codes (recovery_codes). The TOTP math lives in utils/totp.js.
+const supabase = require('../config/database');
+const { verifyTotp, generateRecoveryCodes, hashRecoveryCode } = require('./totp');
+
+const SETTINGS_TTL = 60 * 1000;
+
+// admin_settings.require_2fa, cached like the other admin settings
+let cachedSettings = null;
+const isTwoFactorRequired = async () => {
+  if (!cachedSettings || Date.now() - cachedSettings.loadedAt > SETTINGS_TTL) {
+    const { data } = await supabase
+      .from('admin_settings')
+      .select('require_2fa')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    cachedSettings = { required: !!(data && data.require_2fa), loadedAt: Date.now() };
+  }
+  return cachedSettings.required;
+};
+
+// Admin changed the setting on this instance, others pick it up within SETTINGS_TTL
+const forgetTwoFactorSetting = () => {
+  cachedSettings = null;
+};
+
+// Check a code from the authenticator app or a recovery code for a user row with
+// totp_secret and totp_last_step. Resolves to 'totp', 'recovery_code' or null;
+// either kind of code works once.
+const verifySecondFactor = async (user, code) => {
+  if (!user.totp_enabled || !user.totp_secret) return null;
+
+  const step = verifyTotp(user.totp_secret, code, { lastStep: user.totp_last_step ?? null });
+  if (step !== null) {
+    const { error } = await supabase
+      .from('users')
+      .update({ totp_last_step: step })
+      .eq('id', user.id);
+    if (error) throw error;
+    return 'totp';
+  }
+
+  const { data: recovery } = await supabase
+    .from('recovery_codes')
+    .select('id')
+    .eq('user_id', user.id)
+    .eq('code_hash', hashRecoveryCode(code))
+    .is('used_at', null)
+    .maybeSingle();
+  if (!recovery) return null;
+
+  const { data: claimed, error } = await supabase
+    .from('recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', recovery.id)
+    .is('used_at', null)
+    .select('id');
+  if (error) throw error;
+  return claimed && claimed.length > 0 ? 'recovery_code' : null;
+};
+
+// New set of recovery codes, the old ones stop working. Resolves to the plain codes,
+// which are shown to the user once and never again.
+const replaceRecoveryCodes = async (userId) => {
+  const { error: deleteError } = await supabase
+    .from('recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+  if (deleteError) throw deleteError;
+
+  const codes = generateRecoveryCodes();
+  const { error } = await supabase
+    .from('recovery_codes')
+    .insert(codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+  if (error) throw error;
+  return codes;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const { count, error } = await supabase
+    .from('recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+  if (error) throw error;
+  return count || 0;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  forgetTwoFactorSetting,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes
+};
@@ -0,0 +1,218 @@
+const dgram = require('dgram');
+const { sendFrame: send } = require('./frame-codec');
+const { isTunnelPort } = require('./tunnel-ports');
+
+// UDP datagram relay for udp tunnels.
+// Binds the tunnel's remote port while the client WebSocket is connected. Each
+// remote peer (ip:port) gets a session ID, announced with a udp_open frame that
+// names the tunnel; datagrams are forwarded to the client as udp_data frames and
+// udp_response frames are routed back to the right peer.
+// Sessions idle for longer than UDP_SESSION_TIMEOUT seconds are expired and the
+// client is told to close its local socket with a udp_close frame.
+// `onTraffic(tunnelKey, bytesIn, bytesOut)` reports relayed bytes, and datagrams are
+// dropped while `allowTraffic(tunnelKey)` returns false (e.g. bandwidth quota used up)
+// or when `allowAddress(tunnelKey, address)` rejects the sender (IP rules).
+const UDP_INGRESS_HOST = process.env.UDP_INGRESS_HOST || '0.0.0.0';
+const UDP_SESSION_TIMEOUT = (parseInt(process.env.UDP_SESSION_TIMEOUT) || 60) * 1000;
+const WS_HIGH_WATER_MARK = 1024 * 1024; // Drop datagrams once 1MB is queued on the WebSocket
+
+function createUdpIngress({
+  sessionTimeout = UDP_SESSION_TIMEOUT,
+  onTraffic = () => {},
+  allowTraffic = () => true,
+  allowAddress = () => true
+} = {}) {
+  // tunnelKey -> { tunnelKey, socket, port, ws, tunnelId, peers: Map<peerKey, sessionId> }
+  const listeners = new Map();
+
+  // sessionId -> { listener, address, port, ... }, client frames are routed by session ID
+  const sessions = new Map();
+
+  const expireSession = (listener, sessionId, reason) => {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+
+    sessions.delete(sessionId);
+    listener.peers.delete(`${session.address}:${session.port}`);
+    send(listener.ws, { type: 'udp_close', sessionId });
+    console.log(`⌛ UDP session ${sessionId} (${session.address}:${session.port}) ${reason}`);
+  };
+
+  const getOrCreateSession = (tunnelKey, listener, rinfo) => {
+    const peerKey = `${rinfo.address}:${rinfo.port}`;
+    const existingId = listener.peers.get(peerKey);
+    if (existingId) {
+      return sessions.get(existingId);
+    }
+
+    const session = {
+      id: `udp_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      listener,
+      address: rinfo.address,
+      port: rinfo.port,
+      lastSeen: Date.now(),
+      packetsIn: 0,
+      packetsOut: 0
+    };
+    sessions.set(session.id, session);
+    listener.peers.set(peerKey, session.id);
+
+    console.log(`🔗 UDP session ${session.id} from ${peerKey} on ${tunnelKey}`);
+    send(listener.ws, {
+      type: 'udp_open',
+      tunnelId: listener.tunnelId,
+      sessionId: session.id,
+      remoteAddress: rinfo.address,
+      remotePort: rinfo.port
+    });
+    return session;
+  };
+
+  // Bind the tunnel's remote port for a freshly connected client
+  const attach = (tunnelKey, ws, port, tunnelId) => {
+    detach(tunnelKey);
+
+    // Same port range as TCP tunnels (utils/tunnel-ports.js)
+    if (!isTunnelPort(port)) {
+      console.error(`❌ UDP ingress refused port ${port} for ${tunnelKey}: outside the tunnel port range`);
+      send(ws, { type: 'udp_listen_error', tunnelId, port, message: `Port ${port} is outside the tunnel port range` });
+      return null;
+    }
+
+    const socket = dgram.createSocket('udp4');
+    const listener = {
+      tunnelKey,
+      socket,
+      port,
+      ws,
+      tunnelId,
+      peers: new Map(),
+      sweepInterval: null
+    };
+
+    socket.on('message', (msg, rinfo) => {
+      // UDP is lossy by contract, so drop instead of queueing on a congested WebSocket
+      if (ws.bufferedAmount > WS_HIGH_WATER_MARK || !allowTraffic(tunnelKey)) {
+        return;
+      }
+      // Checked per datagram, so new rules also cut off open sessions
+      if (!allowAddress(tunnelKey, rinfo.address)) {
+        return;
+      }
+
+      const session = getOrCreateSession(tunnelKey, listener, rinfo);
+      session.lastSeen = Date.now();
+      session.packetsIn++;
+      onTraffic(tunnelKey, msg.length, 0);
+
+      send(ws, {
+        type: 'udp_data',
+        sessionId: session.id,
+        data: msg,
+        remoteAddress: rinfo.address,
+        remotePort: rinfo.port
+      });
+    });
+
+    socket.on('error', (error) => {
+      console.error(`❌ UDP ingress error on port ${port} for ${tunnelKey}:`, error.message);
+      send(ws, { type: 'udp_listen_error', tunnelId, port, message: error.message });
+      detach(tunnelKey, ws);
+    });
+
+    socket.bind(port, UDP_INGRESS_HOST, () => {
+      console.log(`🎧 UDP ingress listening on ${UDP_INGRESS_HOST}:${port} for ${tunnelKey}`);
+      send(ws, { type: 'udp_listening', tunnelId, port });
+    });
+
+    // Expire idle sessions
+    listener.sweepInterval = setInterval(() => {
+      const now = Date.now();
+      for (const [sessionId, session] of sessions.entries()) {
+        if (session.listener === listener && now - session.lastSeen > sessionTimeout) {
+          expireSession(listener, sessionId, `expired after ${sessionTimeout / 1000}s idle`);
+        }
+      }
+    }, Math.min(sessionTimeout / 2, 10000));
+
+    listeners.set(tunnelKey, listener);
+    return listener;
+  };
+
+  // Release the port and forget every session. When `ws` is given, only
+  // release if the listener still belongs to that connection (reconnect races).
+  const detach = (tunnelKey, ws) => {
+    const listener = listeners.get(tunnelKey);
+    if (!listener) return;
+    if (ws && listener.ws !== ws) return;
+
+    listeners.delete(tunnelKey);
+    clearInterval(listener.sweepInterval);
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.listener === listener) {
+        sessions.delete(sessionId);
+      }
+    }
+    listener.peers.clear();
+    try {
+      listener.socket.close(() => {
+        console.log(`🔇 UDP ingress on port ${listener.port} released for ${tunnelKey}`);
+      });
+    } catch (error) {
+      // Socket was never bound or is already closed
+    }
+  };
+
+  // Expire every session of a tunnel but keep its port bound
+  const closeAll = (tunnelKey) => {
+    const listener = listeners.get(tunnelKey);
+    if (!listener) return;
+
+    for (const [sessionId, session] of sessions.entries()) {
+      if (session.listener === listener) {
+        expireSession(listener, sessionId, 'closed');
+      }
+    }
+  };
+
+  // Route udp_* messages from the client WebSocket `ws` back to the matching remote peer.
+  // Returns false when the message type is not a UDP relay message.
+  const handleMessage = (ws, data) => {
+    if (!data.type || !data.type.startsWith('udp_')) return false;
+
+    const session = sessions.get(data.sessionId);
+    if (!session || session.listener.ws !== ws) return true;
+
+    const { listener } = session;
+
+    switch (data.type) {
+      case 'udp_response': {
+        const buffer = data.data;
+        session.lastSeen = Date.now();
+        session.packetsOut++;
+        onTraffic(listener.tunnelKey, 0, buffer.length);
+        listener.socket.send(buffer, session.port, session.address, (error) => {
+          if (error) {
+            console.error(`❌ UDP send error for session ${data.sessionId}:`, error.message);
+          }
+        });
+        break;
+      }
+
+      case 'udp_close':
+        // Client dropped its local socket; the next datagram opens a new session
+        sessions.delete(data.sessionId);
+        listener.peers.delete(`${session.address}:${session.port}`);
+        break;
+
+      default:
+        console.log(`⚠️  Unknown UDP message type: ${data.type}`);
+    }
+
+    return true;
+  };
+
+  return { attach, detach, closeAll, handleMessage, listeners, sessions };
+}
+
+module.exports = { createUdpIngress };
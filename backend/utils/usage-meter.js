@@ -0,0 +1,168 @@
+const supabase = require('../config/database');
+const { getPlan } = require('../config/plans');
+
+// Bandwidth and request metering per tunnel and per user.
+// The relays report traffic here; counters are kept in memory and added to the
+// monthly rollups (tunnel_usage, user_usage) every flush interval through the
+// record_usage() database function, so several instances can report for the same
+// user. Each user's monthly total is cached for the quota checks on the hot path
+// and reloaded after every flush, which also picks up other instances' traffic.
+const FLUSH_INTERVAL = (parseInt(process.env.USAGE_FLUSH_INTERVAL) || 60) * 1000;
+
+// First day of the month (UTC), the key of the monthly rollups
+const currentPeriod = (date = new Date()) =>
+  `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-01`;
+
+// `onQuotaExceeded(userId)` is called once when a user uses up the plan's monthly bandwidth
+function createUsageMeter({ flushInterval = FLUSH_INTERVAL, onQuotaExceeded = () => {} } = {}) {
+  // tunnelId -> { userId, bytesIn, bytesOut, requests, denied } not written yet
+  const pending = new Map();
+
+  // userId -> { refs, allowance, usedBytes, pendingBytes, exceeded }
+  const users = new Map();
+
+  let flushing = false;
+
+  const addPending = (tunnelId, userId, { bytesIn = 0, bytesOut = 0, requests = 0, denied = 0 }) => {
+    let counters = pending.get(tunnelId);
+    if (!counters) {
+      counters = { userId, bytesIn: 0, bytesOut: 0, requests: 0, denied: 0 };
+      pending.set(tunnelId, counters);
+    }
+    counters.bytesIn += bytesIn;
+    counters.bytesOut += bytesOut;
+    counters.requests += requests;
+    counters.denied += denied;
+  };
+
+  const checkQuota = (userId, user) => {
+    const overQuota = user.allowance !== null && user.usedBytes + user.pendingBytes >= user.allowance;
+    if (overQuota && !user.exceeded) {
+      user.exceeded = true;
+      console.log(`⛔ User ${userId} used up the monthly bandwidth quota`);
+      onQuotaExceeded(userId);
+    } else if (!overQuota && user.exceeded) {
+      // New month or a bigger plan
+      user.exceeded = false;
+    }
+  };
+
+  const loadUser = async (userId, user) => {
+    const [account, usage] = await Promise.all([
+      supabase.from('users').select('plan').eq('id', userId).single(),
+      supabase
+        .from('user_usage')
+        .select('bytes_in, bytes_out')
+        .eq('user_id', userId)
+        .eq('period', currentPeriod())
+        .maybeSingle()
+    ]);
+    if (account.error) throw account.error;
+    if (usage.error) throw usage.error;
+
+    user.allowance = getPlan(account.data.plan).monthlyBandwidth;
+    user.usedBytes = usage.data ? Number(usage.data.bytes_in) + Number(usage.data.bytes_out) : 0;
+    checkQuota(userId, user);
+  };
+
+  // Follow a user's quota on this instance, once per tunnel registered here
+  const trackUser = async (userId) => {
+    const existing = users.get(userId);
+    if (existing) {
+      existing.refs++;
+      return;
+    }
+
+    const user = { refs: 1, allowance: null, usedBytes: 0, pendingBytes: 0, exceeded: false };
+    users.set(userId, user);
+    try {
+      await loadUser(userId, user);
+    } catch (error) {
+      console.error(`❌ Failed to load usage of user ${userId}:`, error.message);
+    }
+  };
+
+  const untrackUser = (userId) => {
+    const user = users.get(userId);
+    if (user && --user.refs <= 0) {
+      users.delete(userId);
+    }
+  };
+
+  // Count traffic of a tunnel ({ id, user_id }): { bytesIn, bytesOut, requests, denied }.
+  // `denied` are connections/requests turned away by the tunnel's IP rules.
+  const record = (tunnel, counts) => {
+    addPending(tunnel.id, tunnel.user_id, counts);
+
+    const bytes = (counts.bytesIn || 0) + (counts.bytesOut || 0);
+    const user = users.get(tunnel.user_id);
+    if (user && bytes > 0) {
+      user.pendingBytes += bytes;
+      checkQuota(tunnel.user_id, user);
+    }
+  };
+
+  const isOverQuota = (userId) => {
+    const user = users.get(userId);
+    return !!user && user.exceeded;
+  };
+
+  // Write pending counters to the monthly rollups and reload the cached totals
+  const flush = async () => {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+      const batch = [...pending.entries()];
+      pending.clear();
+      const period = currentPeriod();
+
+      for (const [tunnelId, counters] of batch) {
+        const { error } = await supabase.rpc('record_usage', {
+          p_tunnel_id: tunnelId,
+          p_user_id: counters.userId,
+          p_period: period,
+          p_bytes_in: counters.bytesIn,
+          p_bytes_out: counters.bytesOut,
+          p_requests: counters.requests,
+          p_denied: counters.denied
+        });
+
+        if (error) {
+          // Keep the counters for the next flush
+          console.error(`❌ Failed to record usage of tunnel ${tunnelId}:`, error.message);
+          addPending(tunnelId, counters.userId, counters);
+          continue;
+        }
+
+        const user = users.get(counters.userId);
+        if (user) {
+          user.pendingBytes = Math.max(0, user.pendingBytes - counters.bytesIn - counters.bytesOut);
+        }
+      }
+
+      for (const [userId, user] of users) {
+        try {
+          await loadUser(userId, user);
+        } catch (error) {
+          console.error(`❌ Failed to reload usage of user ${userId}:`, error.message);
+        }
+      }
+    } finally {
+      flushing = false;
+    }
+  };
+
+  const flushTimer = setInterval(() => {
+    flush().catch((error) => console.error('❌ Usage flush error:', error.message));
+  }, flushInterval);
+
+  const stop = async () => {
+    clearInterval(flushTimer);
+    await flush();
+  };
+
+  return { record, trackUser, untrackUser, isOverQuota, flush, stop, pending, users };
+}
+
+module.exports = { createUsageMeter, currentPeriod };
@@ -0,0 +1,221 @@
+// Webhook signature verification for http tunnels (tunnels.webhook_verification),
+// checked by the proxy so forged deliveries are answered with 401 and never reach
+// the developer's machine:
+//   { endpoints: [{ path: '/webhooks/stripe', provider: 'stripe', secret, tolerance: 300 }] }
+// The endpoint with the longest matching path prefix applies, requests outside every
+// endpoint pass through. Verified deliveries skip the tunnel's access policy, since
+// a provider can't log in. Each decision is recorded on the inspector capture.
+//
+// Providers are plain objects, more can be passed to createWebhookVerifier() or
+// added later with register():
+//   {
+//     name: 'acme',                 // stored in endpoints[].provider
+//     label: 'Acme',                // shown in the dashboard
+//     timestamped: true,            // signature covers a timestamp, tolerance applies
+//     verify({ headers, body, secret, tolerance, now }) -> null | reason
+//   }
+// `headers` are lowercased, `body` is the raw request body (Buffer), `now` in seconds.
+const crypto = require('crypto');
+const { isPathPrefix, matchesPrefix } = require('./traffic-rules');
+
+const DEFAULT_TOLERANCE = 300; // seconds
+const MIN_TOLERANCE = 10;
+const MAX_TOLERANCE = 3600;
+const MAX_ENDPOINTS = 10;
+const MAX_SECRET_LENGTH = 512;
+
+// Reasons a delivery is rejected
+const MISSING_SIGNATURE = 'missing_signature';
+const INVALID_SIGNATURE = 'invalid_signature';
+const TIMESTAMP_OUT_OF_TOLERANCE = 'timestamp_out_of_tolerance';
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex digests
+const sameDigest = (expected, provided) => {
+  if (typeof provided !== 'string' || !/^[0-9a-f]+$/i.test(provided)) return false;
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(provided.toLowerCase(), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const withinTolerance = (timestamp, tolerance, now) => (
+  /^\d+$/.test(String(timestamp)) && Math.abs(now - Number(timestamp)) <= tolerance
+);
+
+const signedPayload = (...parts) => Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+
+// Stripe-Signature: t=1492774577,v1=5257a869...,v1=... (several v1 while a secret rolls)
+const stripe = {
+  name: 'stripe',
+  label: 'Stripe',
+  timestamped: true,
+  verify({ headers, body, secret, tolerance, now }) {
+    const header = headers['stripe-signature'];
+    if (!header) return MISSING_SIGNATURE;
+
+    let timestamp = null;
+    const signatures = [];
+    for (const part of String(header).split(',')) {
+      const [key, value] = part.trim().split('=');
+      if (key === 't') timestamp = value;
+      if (key === 'v1') signatures.push(value);
+    }
+    if (!timestamp || signatures.length === 0) return MISSING_SIGNATURE;
+
+    const expected = hmacHex(secret, signedPayload(`${timestamp}.`, body));
+    if (!signatures.some((signature) => sameDigest(expected, signature))) return INVALID_SIGNATURE;
+    return withinTolerance(timestamp, tolerance, now) ? null : TIMESTAMP_OUT_OF_TOLERANCE;
+  }
+};
+
+// X-Hub-Signature-256: sha256=<hex>; GitHub signs the body only, no timestamp
+const github = {
+  name: 'github',
+  label: 'GitHub',
+  timestamped: false,
+  verify({ headers, body, secret }) {
+    const header = headers['x-hub-signature-256'];
+    if (!header || !String(header).startsWith('sha256=')) return MISSING_SIGNATURE;
+    return sameDigest(hmacHex(secret, body), String(header).slice('sha256='.length)) ? null : INVALID_SIGNATURE;
+  }
+};
+
+// X-Slack-Signature: v0=<hex> over "v0:<X-Slack-Request-Timestamp>:<body>"
+const slack = {
+  name: 'slack',
+  label: 'Slack',
+  timestamped: true,
+  verify({ headers, body, secret, tolerance, now }) {
+    const header = headers['x-slack-signature'];
+    const timestamp = headers['x-slack-request-timestamp'];
+    if (!header || !timestamp || !String(header).startsWith('v0=')) return MISSING_SIGNATURE;
+
+    const expected = hmacHex(secret, signedPayload(`v0:${timestamp}:`, body));
+    if (!sameDigest(expected, String(header).slice('v0='.length))) return INVALID_SIGNATURE;
+    return withinTolerance(timestamp, tolerance, now) ? null : TIMESTAMP_OUT_OF_TOLERANCE;
+  }
+};
+
+const DEFAULT_PROVIDERS = [stripe, github, slack];
+
+// Endpoints as returned by the API, without secrets
+const describeWebhookVerification = (config) => ({
+  endpoints: ((config && config.endpoints) || []).map(({ path, provider, tolerance }) => ({ path, provider, tolerance }))
+});
+
+function createWebhookVerifier({ providers = DEFAULT_PROVIDERS } = {}) {
+  const registry = new Map();
+
+  const register = (provider) => {
+    if (!provider || !/^[a-z0-9_-]+$/.test(provider.name) || typeof provider.verify !== 'function') {
+      throw new Error('Webhook providers need a lowercase name and a verify() function');
+    }
+    registry.set(provider.name, {
+      name: provider.name,
+      label: provider.label || provider.name,
+      timestamped: !!provider.timestamped,
+      verify: provider.verify
+    });
+  };
+
+  for (const provider of providers) {
+    register(provider);
+  }
+
+  // Providers for the API/dashboard
+  const list = () => [...registry.values()].map(({ name, label, timestamped }) => ({ name, label, timestamped }));
+
+  // Validate endpoints from the API. `current` is the stored config, an endpoint sent
+  // without a secret keeps the one stored for the same path and provider.
+  // Resolves to { config } (null when there are no endpoints) or { error }.
+  const buildConfig = (input, current = null) => {
+    if (input === null || input === undefined) return { config: null };
+    const endpoints = input.endpoints === undefined ? [] : input.endpoints;
+    if (!Array.isArray(endpoints)) return { error: 'endpoints must be a list' };
+    if (endpoints.length > MAX_ENDPOINTS) return { error: `At most ${MAX_ENDPOINTS} webhook endpoints per tunnel` };
+
+    const stored = (current && current.endpoints) || [];
+    const result = [];
+    for (const endpoint of endpoints) {
+      if (!endpoint || !isPathPrefix(endpoint.path)) return { error: 'Webhook endpoint path must start with /' };
+      if (result.some((existing) => existing.path === endpoint.path)) {
+        return { error: `Duplicate webhook endpoint ${endpoint.path}` };
+      }
+      if (!registry.has(endpoint.provider)) {
+        return { error: `Webhook provider must be one of: ${[...registry.keys()].join(', ')}` };
+      }
+
+      let secret = endpoint.secret;
+      if (secret === undefined || secret === '') {
+        const previous = stored.find((item) => item.path === endpoint.path && item.provider === endpoint.provider);
+        if (!previous) return { error: `Webhook endpoint ${endpoint.path} needs a signing secret` };
+        secret = previous.secret;
+      }
+      if (typeof secret !== 'string' || secret.length > MAX_SECRET_LENGTH) {
+        return { error: `Invalid signing secret for ${endpoint.path}` };
+      }
+
+      const tolerance = endpoint.tolerance === undefined || endpoint.tolerance === null
+        ? DEFAULT_TOLERANCE
+        : Number(endpoint.tolerance);
+      if (!Number.isInteger(tolerance) || tolerance < MIN_TOLERANCE || tolerance > MAX_TOLERANCE) {
+        return { error: `Timestamp tolerance must be between ${MIN_TOLERANCE} and ${MAX_TOLERANCE} seconds` };
+      }
+
+      result.push({ path: endpoint.path, provider: endpoint.provider, secret, tolerance });
+    }
+
+    return { config: result.length > 0 ? { endpoints: result } : null };
+  };
+
+  // Endpoint covering a request path (longest prefix), null when none does
+  const match = (config, url) => {
+    if (!config || !config.endpoints) return null;
+    const path = url.split('?')[0];
+    let endpoint = null;
+    for (const candidate of config.endpoints) {
+      if (matchesPrefix(path, candidate.path) && (!endpoint || candidate.path.length > endpoint.path.length)) {
+        endpoint = candidate;
+      }
+    }
+    return endpoint;
+  };
+
+  // Check a delivery against its endpoint: { provider, verified, reason }
+  const verify = (endpoint, { headers, body, now = Math.floor(Date.now() / 1000) }) => {
+    const provider = registry.get(endpoint.provider);
+    if (!provider) {
+      return { provider: endpoint.provider, verified: false, reason: 'unknown_provider' };
+    }
+
+    let reason;
+    try {
+      reason = provider.verify({
+        headers,
+        body: body || Buffer.alloc(0),
+        secret: endpoint.secret,
+        tolerance: endpoint.tolerance || DEFAULT_TOLERANCE,
+        now
+      });
+    } catch (error) {
+      console.error(`❌ Webhook provider ${provider.name} failed:`, error.message);
+      reason = INVALID_SIGNATURE;
+    }
+    return { provider: provider.name, verified: !reason, reason: reason || null };
+  };
+
+  return {
+    register,
+    list,
+    buildConfig,
+    match,
+    verify
+  };
+}
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  describeWebhookVerification,
+  createWebhookVerifier
+};
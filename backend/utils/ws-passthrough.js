@@ -0,0 +1,264 @@
+const WebSocket = require('ws');
+const { sendFrame: send } = require('./frame-codec');
+
+// WebSocket upgrade passthrough for http tunnels.
+// A browser upgrade on a tunnel hostname makes the client open a matching
+// WebSocket to the local service first; only once that succeeds is the browser
+// handshake completed, with the subprotocol the local service picked.
+//   server -> client: ws_open (names the tunnel), ws_message, ws_ping, ws_pong, ws_close
+//   client -> server: ws_opened, ws_open_error, ws_message, ws_ping, ws_pong, ws_close
+// Ping/pong are relayed rather than answered locally (autoPong is off on both
+// ends) so the local app's keepalives really measure the browser round trip.
+// `onTraffic(tunnelKey, bytesIn, bytesOut)` reports relayed message bytes.
+const WS_HIGH_WATER_MARK = 1024 * 1024; // Pause the browser socket once 1MB is queued on the tunnel
+const WS_DRAIN_POLL_INTERVAL = 50;
+const OPEN_TIMEOUT = 10000;
+
+// Headers that belong to the browser <-> backend handshake only
+const HANDSHAKE_HEADERS = new Set([
+  'connection',
+  'upgrade',
+  'sec-websocket-key',
+  'sec-websocket-version',
+  'sec-websocket-extensions',
+  'sec-websocket-protocol'
+]);
+
+// 1005/1006/1015 are reserved for reporting and may not be sent on the wire
+const isSendableCloseCode = (code) =>
+  (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006) ||
+  (code >= 3000 && code <= 4999);
+
+const closeSocket = (ws, code, reason) => {
+  if (ws.readyState === WebSocket.CLOSING || ws.readyState === WebSocket.CLOSED) return;
+  if (isSendableCloseCode(code)) {
+    ws.close(code, reason || '');
+  } else {
+    ws.close();
+  }
+};
+
+const rejectUpgrade = (socket, statusCode, message) => {
+  if (socket.destroyed) return;
+  const body = JSON.stringify({ message });
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${message}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    '\r\n' +
+    body
+  );
+};
+
+function createWsPassthrough({ onTraffic = () => {} } = {}) {
+  // Completes browser handshakes; we choose the subprotocol the local service accepted
+  const browserServer = new WebSocket.Server({
+    noServer: true,
+    autoPong: false,
+    handleProtocols: (protocols, req) => req.tunnelSelectedProtocol || false
+  });
+
+  // socketId -> { tunnelKey, tunnelWs, browser, pending, pausedByWs }
+  const sockets = new Map();
+
+  const waitForTunnelDrain = (entry) => {
+    if (entry.pausedByWs) return;
+    entry.pausedByWs = true;
+    entry.browser.pause();
+
+    const check = () => {
+      if (!sockets.has(entry.id) || entry.tunnelWs.readyState !== WebSocket.OPEN) return;
+      if (entry.tunnelWs.bufferedAmount > WS_HIGH_WATER_MARK) {
+        setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+        return;
+      }
+      entry.pausedByWs = false;
+      entry.browser.resume();
+    };
+    setTimeout(check, WS_DRAIN_POLL_INTERVAL);
+  };
+
+  const attachBrowser = (entry, browser) => {
+    entry.browser = browser;
+    const { id, tunnelWs } = entry;
+
+    browser.on('message', (data, isBinary) => {
+      onTraffic(entry.tunnelKey, data.length, 0);
+      send(tunnelWs, {
+        type: 'ws_message',
+        socketId: id,
+        binary: isBinary,
+        data: Buffer.from(data)
+      });
+      if (tunnelWs.bufferedAmount > WS_HIGH_WATER_MARK) {
+        waitForTunnelDrain(entry);
+      }
+    });
+
+    browser.on('ping', (data) => {
+      send(tunnelWs, { type: 'ws_ping', socketId: id, data });
+    });
+
+    browser.on('pong', (data) => {
+      send(tunnelWs, { type: 'ws_pong', socketId: id, data });
+    });
+
+    browser.on('close', (code, reason) => {
+      if (sockets.delete(id)) {
+        send(tunnelWs, { type: 'ws_close', socketId: id, code, reason: reason.toString() });
+      }
+    });
+
+    browser.on('error', (error) => {
+      console.error(`❌ Browser WebSocket error for ${id}:`, error.message);
+    });
+  };
+
+  // Start relaying a browser upgrade request through the tunnel client
+  // `localPort` and `keepHeaders` come from the tunnel's traffic rules (utils/traffic-rules.js)
+  const handleUpgrade = (tunnelKey, tunnelWs, req, socket, head, { url, headers, tunnelId, localPort, keepHeaders }) => {
+    const entry = {
+      id: `ws_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      tunnelKey,
+      tunnelWs,
+      browser: null,
+      pending: { req, socket, head, timeout: null },
+      pausedByWs: false
+    };
+    sockets.set(entry.id, entry);
+
+    const forwardedHeaders = {};
+    for (const [key, value] of Object.entries(headers)) {
+      if (!HANDSHAKE_HEADERS.has(key.toLowerCase())) {
+        forwardedHeaders[key] = value;
+      }
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '')
+      .split(',')
+      .map((protocol) => protocol.trim())
+      .filter(Boolean);
+
+    entry.pending.timeout = setTimeout(() => {
+      if (sockets.get(entry.id) === entry && entry.pending) {
+        console.log(`❌ WebSocket passthrough ${entry.id} timed out opening local socket`);
+        sockets.delete(entry.id);
+        send(tunnelWs, { type: 'ws_close', socketId: entry.id, code: 1001 });
+        rejectUpgrade(socket, 504, 'Gateway Timeout');
+      }
+    }, OPEN_TIMEOUT);
+
+    // Browser hung up while the client was still connecting locally
+    socket.on('close', () => {
+      if (entry.pending && sockets.delete(entry.id)) {
+        clearTimeout(entry.pending.timeout);
+        send(tunnelWs, { type: 'ws_close', socketId: entry.id, code: 1001 });
+      }
+    });
+
+    console.log(`🔀 WebSocket passthrough ${entry.id} ${url} on ${tunnelKey}`);
+
+    if (!send(tunnelWs, {
+      type: 'ws_open',
+      tunnelId,
+      socketId: entry.id,
+      url,
+      headers: forwardedHeaders,
+      protocols,
+      localPort: localPort || undefined,
+      keepHeaders: keepHeaders && keepHeaders.length ? keepHeaders : undefined
+    })) {
+      sockets.delete(entry.id);
+      clearTimeout(entry.pending.timeout);
+      rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+  };
+
+  // Route ws_* messages from the client WebSocket `ws` to the matching browser socket.
+  // Returns false when the message type is not a WebSocket passthrough message.
+  const handleMessage = (ws, data) => {
+    if (!data.type || !data.type.startsWith('ws_')) return false;
+
+    const entry = sockets.get(data.socketId);
+    if (!entry || entry.tunnelWs !== ws) return true;
+
+    switch (data.type) {
+      case 'ws_opened': {
+        if (!entry.pending) break;
+        const { req, socket, head, timeout } = entry.pending;
+        clearTimeout(timeout);
+        entry.pending = null;
+
+        req.tunnelSelectedProtocol = data.protocol || false;
+        browserServer.handleUpgrade(req, socket, head, (browser) => {
+          attachBrowser(entry, browser);
+        });
+        break;
+      }
+
+      case 'ws_open_error': {
+        if (!entry.pending) break;
+        const { socket, timeout } = entry.pending;
+        clearTimeout(timeout);
+        sockets.delete(entry.id);
+        console.log(`❌ Local WebSocket for ${entry.id} failed: ${data.message}`);
+        rejectUpgrade(socket, 502, 'Bad Gateway');
+        break;
+      }
+
+      case 'ws_message':
+        if (entry.browser && entry.browser.readyState === WebSocket.OPEN) {
+          onTraffic(entry.tunnelKey, 0, data.data.length);
+          entry.browser.send(data.data, { binary: !!data.binary });
+        }
+        break;
+
+      case 'ws_ping':
+        if (entry.browser && entry.browser.readyState === WebSocket.OPEN) {
+          entry.browser.ping(data.data);
+        }
+        break;
+
+      case 'ws_pong':
+        if (entry.browser && entry.browser.readyState === WebSocket.OPEN) {
+          entry.browser.pong(data.data);
+        }
+        break;
+
+      case 'ws_close':
+        // Local side closed; relay its code and don't echo ws_close back
+        sockets.delete(entry.id);
+        if (entry.browser) {
+          closeSocket(entry.browser, data.code, data.reason);
+        } else if (entry.pending) {
+          clearTimeout(entry.pending.timeout);
+          rejectUpgrade(entry.pending.socket, 502, 'Bad Gateway');
+        }
+        break;
+
+      default:
+        console.log(`⚠️  Unknown WebSocket passthrough message type: ${data.type}`);
+    }
+
+    return true;
+  };
+
+  // Drop every browser socket of a tunnel, by default because its client disconnected
+  const closeAll = (tunnelKey, code = 1001, reason = 'Tunnel client disconnected') => {
+    for (const entry of sockets.values()) {
+      if (entry.tunnelKey !== tunnelKey) continue;
+      sockets.delete(entry.id);
+      if (entry.browser) {
+        closeSocket(entry.browser, code, reason);
+      } else if (entry.pending) {
+        clearTimeout(entry.pending.timeout);
+        rejectUpgrade(entry.pending.socket, 502, 'Bad Gateway');
+      }
+    }
+  };
+
+  return { handleUpgrade, handleMessage, closeAll, sockets };
+}
+
+module.exports = { createWsPassthrough, rejectUpgrade };
@@ -0,0 +1,134 @@
+const WebSocket = require('ws');
+
+// Tunnel WebSocket framing.
+// Control messages (starts, acks, closes) are always JSON text frames. Messages
+// that carry payload bytes are sent as binary frames once both sides agreed on a
+// frame version in the `connected` handshake:
+//
+//   byte 0      frame version (1)
+//   byte 1      frame type (see FRAME_TYPES)
+//   byte 2      flags (FLAG_BINARY: ws_message is a binary frame)
+//   byte 3      stream id length N
+//   4 .. 4+N    stream id (utf8)
+//   4+N .. end  raw payload
+//
+// Clients that never negotiate keep the JSON format with base64 payloads.
+// Keep in sync with backend/utils/frame-codec.js.
+const FRAME_VERSION = 1;
+const SUPPORTED_FRAME_VERSIONS = [FRAME_VERSION];
+const HEADER_SIZE = 4;
+
+const FLAG_BINARY = 0x01;
+
+// type -> { code, idField }, the id field names the stream the payload belongs to
+const FRAME_TYPES = {
+  tcp_data: { code: 1, idField: 'connectionId' },
+  udp_data: { code: 2, idField: 'sessionId' },
+  udp_response: { code: 3, idField: 'sessionId' },
+  http_request_body: { code: 4, idField: 'streamId' },
+  http_response_body: { code: 5, idField: 'streamId' },
+  ws_message: { code: 6, idField: 'socketId' },
+  ws_ping: { code: 7, idField: 'socketId' },
+  ws_pong: { code: 8, idField: 'socketId' }
+};
+
+const TYPES_BY_CODE = new Map(
+  Object.entries(FRAME_TYPES).map(([type, { code, idField }]) => [code, { type, idField }])
+);
+
+// Negotiated frame version per WebSocket; absent means JSON only
+const frameVersions = new WeakMap();
+
+const setFrameVersion = (ws, version) => {
+  if (SUPPORTED_FRAME_VERSIONS.includes(version)) {
+    frameVersions.set(ws, version);
+    return true;
+  }
+  return false;
+};
+
+const getFrameVersion = (ws) => frameVersions.get(ws) || null;
+
+const encodeFrame = (message) => {
+  const { code, idField } = FRAME_TYPES[message.type];
+  const id = Buffer.from(String(message[idField] || ''), 'utf8');
+  if (id.length > 255) {
+    throw new Error(`Stream id too long for binary frame: ${id.length} bytes`);
+  }
+
+  const payload = message.data || Buffer.alloc(0);
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt8(FRAME_VERSION, 0);
+  header.writeUInt8(code, 1);
+  header.writeUInt8(message.binary ? FLAG_BINARY : 0, 2);
+  header.writeUInt8(id.length, 3);
+
+  return Buffer.concat([header, id, payload]);
+};
+
+const decodeFrame = (buffer) => {
+  if (buffer.length < HEADER_SIZE) {
+    throw new Error('Binary frame too short');
+  }
+
+  const version = buffer.readUInt8(0);
+  if (!SUPPORTED_FRAME_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported frame version: ${version}`);
+  }
+
+  const frameType = TYPES_BY_CODE.get(buffer.readUInt8(1));
+  if (!frameType) {
+    throw new Error(`Unknown frame type: ${buffer.readUInt8(1)}`);
+  }
+
+  const flags = buffer.readUInt8(2);
+  const idLength = buffer.readUInt8(3);
+  if (buffer.length < HEADER_SIZE + idLength) {
+    throw new Error('Binary frame truncated');
+  }
+
+  return {
+    type: frameType.type,
+    [frameType.idField]: buffer.toString('utf8', HEADER_SIZE, HEADER_SIZE + idLength),
+    binary: (flags & FLAG_BINARY) !== 0,
+    data: buffer.subarray(HEADER_SIZE + idLength)
+  };
+};
+
+// Send a relay message; `data` of payload-bearing messages is a Buffer
+const sendFrame = (ws, message) => {
+  if (ws.readyState !== WebSocket.OPEN) return false;
+
+  if (FRAME_TYPES[message.type] && getFrameVersion(ws)) {
+    ws.send(encodeFrame(message), { binary: true });
+  } else if (FRAME_TYPES[message.type]) {
+    ws.send(JSON.stringify({ ...message, data: (message.data || Buffer.alloc(0)).toString('base64') }));
+  } else {
+    ws.send(JSON.stringify(message));
+  }
+  return true;
+};
+
+// Parse an incoming WebSocket message; payloads always come back as Buffers
+const decodeMessage = (raw, isBinary) => {
+  if (isBinary) {
+    return decodeFrame(Buffer.isBuffer(raw) ? raw : Buffer.from(raw));
+  }
+
+  const message = JSON.parse(raw);
+  if (FRAME_TYPES[message.type]) {
+    message.data = Buffer.from(message.data || '', 'base64');
+  }
+  return message;
+};
+
+module.exports = {
+  FRAME_VERSION,
+  SUPPORTED_FRAME_VERSIONS,
+  setFrameVersion,
+  getFrameVersion,
+  encodeFrame,
+  decodeFrame,
+  sendFrame,
+  decodeMessage
+};
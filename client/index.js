@@ -8,66 +8,233 @@ const dgram = require('dgram');
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const fs = require('fs');
+const yaml = require('js-yaml');
 const chalk = require('chalk');
 const ora = require('ora');
+const { FRAME_VERSION, setFrameVersion, sendFrame, decodeMessage } = require('./frame-codec');
+const { DEFAULT_ADDRESS: DEFAULT_INSPECT_ADDRESS, parseInspectAddress, createLocalInspector } = require('./inspector');
+
+// Repeatable options collect into a list
+const collect = (value, previous) => previous.concat([value]);
 
 program
-  .requiredOption('-t, --token <token>', 'Tunnel connection token')
-  .requiredOption('-l, --local <address>', 'Local address to expose (e.g., 127.0.0.1:3000, localhost:22, https://10.1.1.124:8000)')
+  .option('-t, --token <token>', 'Tunnel connection token')
+  .option('-l, --local <address>', 'Local address to expose (e.g., 127.0.0.1:3000, localhost:22, https://10.1.1.124:8000)')
   .option('-p, --protocol <protocol>', 'Protocol type: http, tcp, udp', 'http')
+  .option('-c, --config <file>', 'YAML/JSON file listing several tunnels to run over one connection')
   .option('-s, --server <url>', 'Tunlify server URL', 'https://api.tunlify.biz.id')
   .option('--insecure', 'Allow self-signed HTTPS certificates', false)
+  .option('--basic-auth <user:pass>', 'Require HTTP Basic credentials on the tunnel URL while this client is connected')
+  .option('--route <prefix=port>', 'Send paths under <prefix> to another local port, append ":strip" to cut the prefix (repeatable)', collect, [])
+  .option('--request-header <rule>', 'Rewrite a request header: "Name: value" sets, "+Name: value" adds, "-Name" removes (repeatable)', collect, [])
+  .option('--response-header <rule>', 'Rewrite a response header, same syntax as --request-header (repeatable)', collect, [])
+  .option('--redirect <from=to>', 'Redirect paths under <from> to a path or URL, append " 301" etc. for another status (repeatable)', collect, [])
+  .option('--inspect [address]', `Serve a local web UI listing HTTP requests (default ${DEFAULT_INSPECT_ADDRESS})`)
   .option('--verbose', 'Enable verbose logging', false)
   .parse();
 
 const options = program.opts();
 
+// Tunnels to run: one from --token/--local, or several from --config.
+// The config file looks like:
+//   server: https://api.tunlify.biz.id   (optional)
+//   tunnels:
+//     web: { token: ..., local: 127.0.0.1:3000 }
+//     ssh: { token: ..., local: 22, protocol: tcp }
+//     staging: { token: ..., local: 8080, basic_auth: "user:pass" }
+//     app:
+//       token: ...
+//       local: 3000
+//       rules:   (same shape as the API's traffic_rules)
+//         routes: [{ path: /api, port: 8080, strip_prefix: true }]
+//         request_headers: [{ op: set, name: Host, value: app.local }]
+// `tunnels` may also be a list of entries with an optional `name`.
+// "user:pass" from --basic-auth or `basic_auth`, the password may contain colons
+const parseBasicAuth = (value, source) => {
+  const index = String(value).indexOf(':');
+  if (index < 1 || index === String(value).length - 1) {
+    program.error(`error: ${source} expects user:pass`);
+  }
+  return { username: String(value).slice(0, index), password: String(value).slice(index + 1) };
+};
+
+// "Name: value" (set), "+Name: value" (add) or "-Name" (remove)
+const parseHeaderRule = (value, source) => {
+  const text = String(value).trim();
+  if (text.startsWith('-')) {
+    return { op: 'remove', name: text.slice(1).trim() };
+  }
+  const op = text.startsWith('+') ? 'add' : 'set';
+  const rest = op === 'add' ? text.slice(1) : text;
+  const index = rest.indexOf(':');
+  if (index < 1) {
+    program.error(`error: ${source} expects "Name: value", "+Name: value" or "-Name"`);
+  }
+  return { op, name: rest.slice(0, index).trim(), value: rest.slice(index + 1).trim() };
+};
+
+// Session traffic rules from the command line, null when none were given.
+// The server validates them and answers with traffic_rules_ack or _error.
+const parseTrafficRules = (opts) => {
+  const routes = opts.route.map((value) => {
+    const match = /^(\/[^=\s]*)=(\d+)(:strip)?$/.exec(String(value).trim());
+    if (!match) program.error(`error: --route expects /prefix=port or /prefix=port:strip, got "${value}"`);
+    return { path: match[1], port: Number(match[2]), strip_prefix: !!match[3] };
+  });
+  const redirects = opts.redirect.map((value) => {
+    const match = /^(\/[^=\s]*)=(\S+)(?:\s+(\d{3}))?$/.exec(String(value).trim());
+    if (!match) program.error(`error: --redirect expects /from=to with an optional status, got "${value}"`);
+    return match[3] ? { from: match[1], to: match[2], status: Number(match[3]) } : { from: match[1], to: match[2] };
+  });
+  const rules = {
+    request_headers: opts.requestHeader.map((value) => parseHeaderRule(value, '--request-header')),
+    response_headers: opts.responseHeader.map((value) => parseHeaderRule(value, '--response-header')),
+    routes,
+    redirects
+  };
+  return Object.values(rules).some((list) => list.length > 0) ? rules : null;
+};
+
+const loadTunnelSpecs = (opts) => {
+  if (!opts.config) {
+    if (!opts.token || !opts.local) {
+      program.error('error: either --config or both --token and --local are required');
+    }
+    return [{
+      name: 'default',
+      token: opts.token,
+      local: opts.local,
+      protocol: opts.protocol,
+      basicAuth: opts.basicAuth ? parseBasicAuth(opts.basicAuth, '--basic-auth') : null,
+      trafficRules: parseTrafficRules(opts)
+    }];
+  }
+
+  let config;
+  try {
+    const raw = fs.readFileSync(opts.config, 'utf8');
+    config = /\.ya?ml$/i.test(opts.config) ? yaml.load(raw) : JSON.parse(raw);
+  } catch (error) {
+    program.error(`error: cannot read config file ${opts.config}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(config && config.tunnels)
+    ? config.tunnels.map((entry, index) => ({ name: `tunnel${index + 1}`, ...entry }))
+    : Object.entries((config && config.tunnels) || {}).map(([name, entry]) => ({ name, ...entry }));
+
+  if (entries.length === 0) {
+    program.error(`error: no tunnels defined in ${opts.config}`);
+  }
+
+  const names = new Set();
+  for (const entry of entries) {
+    if (!entry.token || entry.local === undefined) {
+      program.error(`error: tunnel "${entry.name}" needs a token and a local address`);
+    }
+    if (names.has(entry.name)) {
+      program.error(`error: duplicate tunnel name "${entry.name}"`);
+    }
+    names.add(entry.name);
+    entry.local = String(entry.local);
+    entry.protocol = entry.protocol || 'http';
+    entry.basicAuth = entry.basic_auth ? parseBasicAuth(entry.basic_auth, `basic_auth of tunnel "${entry.name}"`) : null;
+    if (entry.rules !== undefined && (typeof entry.rules !== 'object' || Array.isArray(entry.rules))) {
+      program.error(`error: rules of tunnel "${entry.name}" must be a mapping`);
+    }
+    entry.trafficRules = entry.rules || null;
+  }
+
+  // The config file may pick the server, the command line still wins
+  if (config.server && program.getOptionValueSource('server') === 'default') {
+    opts.server = config.server;
+  }
+  if (config.insecure && !opts.insecure) {
+    opts.insecure = true;
+  }
+
+  return entries;
+};
+
+// Pause local TCP/HTTP reads once this much data is queued on the WebSocket
+const WS_HIGH_WATER_MARK = 1024 * 1024;
+
 class TunlifyClient {
-  constructor({ token, local, protocol, server, insecure, verbose }) {
-    this.token = token;
-    this.local = local;
-    this.protocol = protocol.toLowerCase();
+  constructor({ tunnels, server, insecure, verbose, inspect }) {
     this.server = server;
     this.insecure = insecure;
     this.verbose = verbose;
     this.ws = null;
-    this.tunnelInfo = null;
     this.tcpConnections = new Map();
     this.udpSockets = new Map();
+    this.httpStreams = new Map();
+    this.wsSockets = new Map();
     this.spinner = null;
+
+    // Local request inspector, only with --inspect
+    this.inspectAddress = inspect || null;
+    this.inspectorUrl = null;
+    this.inspector = inspect
+      ? createLocalInspector({ replay: (request) => this.replayLocalRequest(request) })
+      : null;
     
-    // Parse local address
-    this.parseLocalAddress();
+    // All tunnels share one WebSocket; the first one's token opens it
+    this.tunnels = tunnels.map(({ name, token, local, protocol, basicAuth, trafficRules }) => {
+      const tunnel = {
+        name,
+        token,
+        local,
+        protocol: protocol.toLowerCase(),
+        basicAuth,
+        trafficRules,
+        id: null,
+        info: null
+      };
+      // Parse local address
+      this.parseLocalAddress(tunnel);
+      return tunnel;
+    });
+    this.tunnelsById = new Map();
+  }
+
+  // Frames without a tunnelId come from servers that carry one tunnel per connection
+  resolveTunnel(tunnelId) {
+    return (tunnelId !== undefined && this.tunnelsById.get(tunnelId)) || this.tunnels[0];
   }
 
-  parseLocalAddress() {
+  // Prefix for log lines, only needed once there is more than one tunnel
+  tunnelPrefix(tunnel) {
+    return this.tunnels.length > 1 ? `[${tunnel.name}] ` : '';
+  }
+
+  parseLocalAddress(tunnel) {
     let host = '127.0.0.1';
     let port = 3000;
     let isHttps = false;
 
     try {
       // Check if it's a full URL (http:// or https://)
-      if (this.local.startsWith('http://') || this.local.startsWith('https://')) {
-        const parsedUrl = new URL(this.local);
+      if (tunnel.local.startsWith('http://') || tunnel.local.startsWith('https://')) {
+        const parsedUrl = new URL(tunnel.local);
         host = parsedUrl.hostname;
         port = parseInt(parsedUrl.port) || (parsedUrl.protocol === 'https:' ? 443 : 80);
         isHttps = parsedUrl.protocol === 'https:';
         
-        this.log(`Parsed URL: ${this.local} -> ${host}:${port} (HTTPS: ${isHttps})`, 'debug');
+        this.log(`Parsed URL: ${tunnel.local} -> ${host}:${port} (HTTPS: ${isHttps})`, 'debug');
       }
       // Check if it contains a colon (host:port format)
-      else if (this.local.includes(':')) {
-        const parts = this.local.split(':');
+      else if (tunnel.local.includes(':')) {
+        const parts = tunnel.local.split(':');
         if (parts[0]) host = parts[0];
         port = parseInt(parts[1]);
       }
       // Just a port number
-      else if (/^\d+$/.test(this.local)) {
-        port = parseInt(this.local);
+      else if (/^\d+$/.test(tunnel.local)) {
+        port = parseInt(tunnel.local);
       }
       // Invalid format
       else {
-        throw new Error(`Invalid local address format: ${this.local}`);
+        throw new Error(`Invalid local address format: ${tunnel.local}`);
       }
 
       // Validate port
@@ -75,14 +242,14 @@ class TunlifyClient {
         throw new Error(`Invalid port number: ${port}. Must be between 1-65535`);
       }
 
-      this.localHost = host;
-      this.localPort = port;
-      this.isHttps = isHttps;
+      tunnel.localHost = host;
+      tunnel.localPort = port;
+      tunnel.isHttps = isHttps;
 
       this.log(`Local address parsed: ${host}:${port} (HTTPS: ${isHttps})`, 'debug');
 
     } catch (error) {
-      console.error(chalk.red(`❌ Error parsing local address: ${error.message}`));
+      console.error(chalk.red(`❌ ${this.tunnelPrefix(tunnel)}Error parsing local address: ${error.message}`));
       console.error(chalk.yellow('💡 Supported formats:'));
       console.error(chalk.yellow('   - 127.0.0.1:3000'));
       console.error(chalk.yellow('   - localhost:22'));
@@ -110,11 +277,17 @@ class TunlifyClient {
     this.spinner = ora('Connecting to Tunlify...').start();
 
     try {
-      // Authenticate and get tunnel info
-      await this.authenticate();
-      
-      // Test local service
-      await this.testLocalService();
+      if (this.inspector) {
+        this.inspectorUrl = await this.inspector.listen(this.inspectAddress);
+      }
+
+      for (const tunnel of this.tunnels) {
+        // Authenticate and get tunnel info
+        await this.authenticate(tunnel);
+        
+        // Test local service
+        await this.testLocalService(tunnel);
+      }
       
       // Connect WebSocket
       await this.connectWebSocket();
@@ -128,40 +301,46 @@ class TunlifyClient {
     }
   }
 
-  async authenticate() {
+  async authenticate(tunnel) {
     try {
       const response = await axios.post(`${this.server}/api/tunnels/auth`, {
-        connection_token: this.token
+        connection_token: tunnel.token
       }, {
         timeout: 10000,
         httpsAgent: new https.Agent({ rejectUnauthorized: !this.insecure })
       });
 
-      this.tunnelInfo = response.data;
-      this.log(`Authenticated for tunnel: ${this.tunnelInfo.tunnel_url}`, 'success');
+      tunnel.info = response.data;
+      tunnel.id = tunnel.info.tunnel_id;
+      this.tunnelsById.set(tunnel.id, tunnel);
+      this.log(`${this.tunnelPrefix(tunnel)}Authenticated for tunnel: ${tunnel.info.tunnel_url}`, 'success');
       
     } catch (error) {
       if (error.response?.status === 401) {
-        throw new Error('Invalid connection token');
+        throw new Error(`${this.tunnelPrefix(tunnel)}Invalid connection token`);
+      }
+      if (error.response?.status === 403 && error.response.data?.code) {
+        // Plan limit, e.g. PLAN_CONNECTION_LIMIT
+        throw new Error(`${this.tunnelPrefix(tunnel)}${error.response.data.message} (${error.response.data.code})`);
       }
-      throw new Error(`Authentication failed: ${error.message}`);
+      throw new Error(`${this.tunnelPrefix(tunnel)}Authentication failed: ${error.message}`);
     }
   }
 
-  async testLocalService() {
+  async testLocalService(tunnel) {
     const testConnection = () => {
       return new Promise((resolve, reject) => {
-        if (this.protocol === 'udp') {
+        if (tunnel.protocol === 'udp') {
           // For UDP, we can't really test connectivity, so just resolve
           resolve(true);
           return;
         }
 
         // For HTTP protocol, test with HTTP request
-        if (this.protocol === 'http') {
-          const testUrl = `${this.isHttps ? 'https' : 'http'}://${this.localHost}:${this.localPort}`;
+        if (tunnel.protocol === 'http') {
+          const testUrl = `${tunnel.isHttps ? 'https' : 'http'}://${tunnel.localHost}:${tunnel.localPort}`;
           
-          const agent = this.isHttps 
+          const agent = tunnel.isHttps 
             ? new https.Agent({ rejectUnauthorized: !this.insecure })
             : undefined;
 
@@ -187,8 +366,8 @@ class TunlifyClient {
 
         // For TCP, test with socket connection
         const socket = net.createConnection({
-          host: this.localHost,
-          port: this.localPort,
+          host: tunnel.localHost,
+          port: tunnel.localPort,
           timeout: 3000
         });
 
@@ -210,24 +389,24 @@ class TunlifyClient {
 
     try {
       await testConnection();
-      const serviceType = this.protocol === 'http' ? 'HTTP service' : `${this.protocol.toUpperCase()} service`;
-      const serviceUrl = this.protocol === 'http' 
-        ? `${this.isHttps ? 'https' : 'http'}://${this.localHost}:${this.localPort}`
-        : `${this.localHost}:${this.localPort}`;
+      const serviceType = tunnel.protocol === 'http' ? 'HTTP service' : `${tunnel.protocol.toUpperCase()} service`;
+      const serviceUrl = tunnel.protocol === 'http' 
+        ? `${tunnel.isHttps ? 'https' : 'http'}://${tunnel.localHost}:${tunnel.localPort}`
+        : `${tunnel.localHost}:${tunnel.localPort}`;
       
-      this.log(`${serviceType} reachable: ${serviceUrl}`, 'success');
+      this.log(`${this.tunnelPrefix(tunnel)}${serviceType} reachable: ${serviceUrl}`, 'success');
     } catch (error) {
-      const serviceUrl = this.protocol === 'http' 
-        ? `${this.isHttps ? 'https' : 'http'}://${this.localHost}:${this.localPort}`
-        : `${this.localHost}:${this.localPort}`;
+      const serviceUrl = tunnel.protocol === 'http' 
+        ? `${tunnel.isHttps ? 'https' : 'http'}://${tunnel.localHost}:${tunnel.localPort}`
+        : `${tunnel.localHost}:${tunnel.localPort}`;
         
-      throw new Error(`Local service not reachable at ${serviceUrl}: ${error.message}`);
+      throw new Error(`${this.tunnelPrefix(tunnel)}Local service not reachable at ${serviceUrl}: ${error.message}`);
     }
   }
 
   async connectWebSocket() {
     return new Promise((resolve, reject) => {
-      const wsUrl = this.server.replace(/^http/, 'ws') + `/ws/tunnel?token=${this.token}`;
+      const wsUrl = this.server.replace(/^http/, 'ws') + `/ws/tunnel?token=${this.tunnels[0].token}`;
       this.ws = new WebSocket(wsUrl);
 
       const timeout = setTimeout(() => {
@@ -238,28 +417,25 @@ class TunlifyClient {
         clearTimeout(timeout);
         this.log('WebSocket connected', 'success');
         
-        // Send local address info
-        const localAddress = this.protocol === 'http' && this.isHttps
-          ? `https://${this.localHost}:${this.localPort}`
-          : `${this.localHost}:${this.localPort}`;
-          
-        this.ws.send(JSON.stringify({
-          type: 'set_local_address',
-          address: localAddress,
-          protocol: this.protocol,
-          https: this.isHttps
-        }));
+        // Send local address info; other tunnels follow once they are attached
+        this.sendLocalAddress(this.tunnels[0]);
         
         resolve();
       });
 
-      this.ws.on('message', (data) => {
-        this.handleWebSocketMessage(data);
+      this.ws.on('message', (data, isBinary) => {
+        this.handleWebSocketMessage(data, isBinary);
       });
 
       this.ws.on('close', (code, reason) => {
         this.log(`WebSocket disconnected (${code}): ${reason}`, 'warn');
         this.cleanup();
+
+        // Reconnecting with a revoked token would only fail again
+        if (code === 4001) {
+          this.log('Connection token revoked or rotated, get a new one from the dashboard', 'error');
+          process.exit(1);
+        }
         
         // Reconnect after 5 seconds
         setTimeout(() => {
@@ -278,27 +454,165 @@ class TunlifyClient {
     });
   }
 
-  handleWebSocketMessage(data) {
+  // Send a message over the tunnel WebSocket, as a binary frame once negotiated
+  send(message) {
+    return sendFrame(this.ws, message);
+  }
+
+  sendLocalAddress(tunnel) {
+    const localAddress = tunnel.protocol === 'http' && tunnel.isHttps
+      ? `https://${tunnel.localHost}:${tunnel.localPort}`
+      : `${tunnel.localHost}:${tunnel.localPort}`;
+      
+    this.send({
+      type: 'set_local_address',
+      tunnelId: tunnel.id,
+      address: localAddress,
+      protocol: tunnel.protocol,
+      https: tunnel.isHttps,
+      capabilities: ['http_stream', 'ws_passthrough', 'base64_body']
+    });
+
+    // Credentials only live for this session, the server forgets them on disconnect
+    if (tunnel.basicAuth) {
+      this.send({
+        type: 'set_access_policy',
+        tunnelId: tunnel.id,
+        policy: { type: 'basic', ...tunnel.basicAuth }
+      });
+    }
+
+    // Session rules, checked after the ones stored on the tunnel
+    if (tunnel.trafficRules) {
+      this.send({
+        type: 'set_traffic_rules',
+        tunnelId: tunnel.id,
+        rules: tunnel.trafficRules
+      });
+    }
+  }
+
+  // Ask the server to carry the remaining tunnels on this connection too
+  attachTunnels(message) {
+    const extraTunnels = this.tunnels.slice(1);
+    if (extraTunnels.length === 0) return;
+
+    if (!message.multiplex) {
+      this.log(`Server does not support several tunnels per connection, only ${this.tunnels[0].name} is active`, 'error');
+      return;
+    }
+
+    for (const tunnel of extraTunnels) {
+      this.send({
+        type: 'attach_tunnel',
+        ref: tunnel.name,
+        token: tunnel.token
+      });
+    }
+  }
+
+  handleWebSocketMessage(data, isBinary) {
     try {
-      const message = JSON.parse(data);
+      const message = decodeMessage(data, isBinary);
       
       switch (message.type) {
         case 'connected':
           this.log('Tunnel established successfully', 'success');
+          
+          // Switch payload messages to binary frames if the server offers our version
+          if (message.framing && Array.isArray(message.framing.versions) &&
+              message.framing.versions.includes(FRAME_VERSION)) {
+            this.send({ type: 'framing', version: FRAME_VERSION });
+            setFrameVersion(this.ws, FRAME_VERSION);
+            this.log(`Binary framing v${FRAME_VERSION} enabled`, 'debug');
+          }
+          
+          this.attachTunnels(message);
+          break;
+          
+        case 'tunnel_attached': {
+          const tunnel = this.tunnels.find((candidate) => candidate.name === message.ref);
+          if (tunnel) {
+            tunnel.id = message.tunnel.id;
+            this.tunnelsById.set(tunnel.id, tunnel);
+            this.log(`${this.tunnelPrefix(tunnel)}Tunnel attached: ${message.tunnel.url}`, 'success');
+            this.sendLocalAddress(tunnel);
+          }
+          break;
+        }
+          
+        case 'tunnel_attach_error':
+          this.log(`[${message.ref}] Could not attach tunnel: ${message.message}${message.code ? ` (${message.code})` : ''}`, 'error');
+          break;
+          
+        case 'plan_limit':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}${message.message} (${message.code})`, 'error');
+          break;
+          
+        case 'access_policy_ack':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Basic auth enabled for user ${message.policy.username}`, 'success');
+          break;
+          
+        case 'access_policy_error':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Could not set access policy: ${message.message}`, 'error');
+          break;
+          
+        case 'traffic_rules_ack': {
+          const { request_headers: requestHeaders, response_headers: responseHeaders, routes, redirects } = message.rules;
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Traffic rules enabled: ${routes.length} route(s), ${redirects.length} redirect(s), ${requestHeaders.length + responseHeaders.length} header rule(s)`, 'success');
+          break;
+        }
+          
+        case 'traffic_rules_error':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Could not set traffic rules: ${message.message}`, 'error');
           break;
           
         case 'local_address_ack':
-          this.log(`Local address confirmed: ${message.address}`, 'debug');
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Local address confirmed: ${message.address}`, 'debug');
           break;
           
-        case 'request':
-          if (this.protocol === 'http') {
-            this.handleHttpRequest(message);
+        case 'request': {
+          const tunnel = this.resolveTunnel(message.tunnelId);
+          if (tunnel.protocol === 'http') {
+            this.handleHttpRequest(message, tunnel);
           } else {
-            this.log(`Received ${this.protocol.toUpperCase()} request: ${message.requestId}`, 'debug');
-            this.handleTcpUdpRequest(message);
+            this.log(`Received ${tunnel.protocol.toUpperCase()} request: ${message.requestId}`, 'debug');
+            this.handleTcpUdpRequest(message, tunnel);
           }
           break;
+        }
+          
+        case 'http_request_start':
+          this.handleHttpStreamStart(message);
+          break;
+          
+        case 'http_request_body':
+          this.handleHttpStreamBody(message);
+          break;
+          
+        case 'http_request_end':
+          this.handleHttpStreamEnd(message);
+          break;
+          
+        case 'http_abort':
+          this.handleHttpStreamAbort(message);
+          break;
+          
+        case 'http_pause':
+        case 'http_resume':
+          this.handleHttpStreamFlow(message);
+          break;
+          
+        case 'ws_open':
+          this.handleWsOpen(message);
+          break;
+          
+        case 'ws_message':
+        case 'ws_ping':
+        case 'ws_pong':
+        case 'ws_close':
+          this.handleWsFrame(message);
+          break;
           
         case 'tcp_connect':
           this.handleTcpConnect(message);
@@ -308,16 +622,57 @@ class TunlifyClient {
           this.handleTcpData(message);
           break;
           
+        case 'tcp_end':
+          this.handleTcpEnd(message);
+          break;
+          
+        case 'tcp_pause':
+        case 'tcp_resume':
+          this.handleTcpFlow(message);
+          break;
+          
         case 'tcp_close':
           this.handleTcpClose(message);
           break;
           
+        case 'tcp_listening':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}TCP port ${message.port} is open on the server`, 'success');
+          break;
+          
+        case 'tcp_listen_error':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Server could not open TCP port ${message.port}: ${message.message}`, 'error');
+          break;
+          
+        case 'udp_open':
+          this.handleUdpOpen(message);
+          break;
+          
         case 'udp_data':
           this.handleUdpData(message);
           break;
           
+        case 'udp_close':
+          this.handleUdpClose(message);
+          break;
+          
+        case 'udp_listening':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}UDP port ${message.port} is open on the server`, 'success');
+          break;
+          
+        case 'udp_listen_error':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}Server could not open UDP port ${message.port}: ${message.message}`, 'error');
+          break;
+          
         case 'heartbeat':
-          this.ws.send(JSON.stringify({ type: 'heartbeat_ack' }));
+          this.send({ type: 'heartbeat_ack' });
+          break;
+          
+        case 'token_revoked':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}${message.message}, the tunnel was disconnected`, 'error');
+          break;
+          
+        case 'quota_exceeded':
+          this.log(`${this.tunnelPrefix(this.resolveTunnel(message.tunnelId))}${message.message}, traffic is blocked until the quota resets`, 'warn');
           break;
           
         default:
@@ -329,24 +684,34 @@ class TunlifyClient {
   }
 
   // HTTP Request Handler (enhanced for HTTPS support)
-  async handleHttpRequest(message) {
-    const { requestId, method, url: reqPath, headers, body } = message;
+  async handleHttpRequest(message, tunnel) {
+    const { requestId, method, url: reqPath, headers } = message;
+    const localPort = message.localPort || tunnel.localPort;
+    // Binary-safe bodies arrive base64 encoded
+    const body = message.encoding === 'base64' && message.body
+      ? Buffer.from(message.body, 'base64')
+      : message.body;
     
     this.log(`${method} ${reqPath}`, 'debug');
 
+    const capture = this.inspector && this.inspector.begin(tunnel.name, { method, url: reqPath, headers });
+    if (capture && body) {
+      this.inspector.recordRequestBody(capture, body);
+    }
+
     try {
       // Build the local URL with proper protocol
-      const protocol = this.isHttps ? 'https' : 'http';
-      const localUrl = new URL(reqPath, `${protocol}://${this.localHost}:${this.localPort}`);
+      const protocol = tunnel.isHttps ? 'https' : 'http';
+      const localUrl = new URL(reqPath, `${protocol}://${tunnel.localHost}:${localPort}`);
       
-      const agent = this.isHttps
+      const agent = tunnel.isHttps
         ? new https.Agent({ rejectUnauthorized: !this.insecure })
         : undefined;
 
       const response = await axios({
         method,
         url: localUrl.toString(),
-        headers: this.sanitizeHeaders(headers),
+        headers: this.sanitizeHeaders(headers, { keep: message.keepHeaders }),
         data: body,
         timeout: 25000,
         responseType: 'arraybuffer',
@@ -354,63 +719,391 @@ class TunlifyClient {
         validateStatus: () => true
       });
 
-      const contentType = response.headers['content-type'] || '';
-      const isBinary = /image|video|audio|application\/octet-stream|application\/pdf/.test(contentType);
-      const encoding = isBinary ? 'base64' : 'utf8';
+      if (capture) {
+        this.inspector.recordResponseStart(capture, response.status, response.headers);
+        this.inspector.recordResponseBody(capture, Buffer.from(response.data));
+        this.inspector.complete(capture);
+      }
 
+      // Always base64: guessing from content-type corrupted gzip'd JSON, fonts, etc.
       const responsePayload = {
         type: 'response',
         requestId,
         statusCode: response.status,
         headers: response.headers,
-        encoding,
-        body: encoding === 'base64'
-          ? Buffer.from(response.data).toString('base64')
-          : response.data.toString()
+        encoding: 'base64',
+        body: Buffer.from(response.data).toString('base64')
       };
 
-      this.ws.send(JSON.stringify(responsePayload));
+      this.send(responsePayload);
       
     } catch (error) {
       this.log(`HTTP request error: ${error.message}`, 'error');
-      this.ws.send(JSON.stringify({
+      if (capture) {
+        this.inspector.complete(capture, { error: error.message });
+      }
+      this.send({
         type: 'error',
         requestId,
         message: error.message
-      }));
+      });
+    }
+  }
+
+  // Streaming HTTP: open a request to the local service and pipe chunks both ways
+  handleHttpStreamStart(message) {
+    const { streamId, method, url: reqPath, headers } = message;
+    const tunnel = this.resolveTunnel(message.tunnelId);
+    
+    this.log(`${method} ${reqPath} (stream)`, 'debug');
+
+    const transport = tunnel.isHttps ? https : http;
+    const localReq = transport.request({
+      host: tunnel.localHost,
+      // A path route on the server may send this request to another local port
+      port: message.localPort || tunnel.localPort,
+      method,
+      path: reqPath,
+      // Keep content-length so the local service sees the same framing as the browser sent
+      headers: this.sanitizeHeaders(headers, { keepContentLength: true, keep: message.keepHeaders }),
+      rejectUnauthorized: !this.insecure
+    });
+
+    const stream = {
+      request: localReq,
+      response: null,
+      pausedByServer: false,
+      pausedByWs: false,
+      capture: this.inspector && this.inspector.begin(tunnel.name, { method, url: reqPath, headers })
+    };
+    this.httpStreams.set(streamId, stream);
+
+    localReq.on('response', (localRes) => {
+      stream.response = localRes;
+      if (stream.capture) {
+        this.inspector.recordResponseStart(stream.capture, localRes.statusCode, localRes.headers);
+      }
+
+      this.send({
+        type: 'http_response_start',
+        streamId,
+        statusCode: localRes.statusCode,
+        headers: localRes.headers
+      });
+
+      localRes.on('data', (chunk) => {
+        if (stream.capture) {
+          this.inspector.recordResponseBody(stream.capture, chunk);
+        }
+        this.send({
+          type: 'http_response_body',
+          streamId,
+          data: chunk
+        });
+
+        if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+          this.waitForHttpStreamDrain(stream);
+        }
+      });
+
+      localRes.on('error', (error) => this.failHttpStream(streamId, error));
+
+      localRes.on('end', () => {
+        this.httpStreams.delete(streamId);
+        if (stream.capture) {
+          this.inspector.complete(stream.capture);
+        }
+        this.send({
+          type: 'http_response_end',
+          streamId
+        });
+      });
+    });
+
+    localReq.on('drain', () => {
+      this.send({
+        type: 'http_resume',
+        streamId
+      });
+    });
+
+    localReq.on('error', (error) => this.failHttpStream(streamId, error));
+  }
+
+  failHttpStream(streamId, error) {
+    const stream = this.httpStreams.get(streamId);
+    if (!stream) return;
+    this.httpStreams.delete(streamId);
+    if (stream.capture) {
+      this.inspector.complete(stream.capture, { error: error.message });
+    }
+    this.log(`HTTP stream error: ${error.message}`, 'error');
+    
+    this.send({
+      type: 'http_error',
+      streamId,
+      message: error.message
+    });
+  }
+
+  handleHttpStreamBody(message) {
+    const stream = this.httpStreams.get(message.streamId);
+    if (!stream) return;
+
+    if (stream.capture) {
+      this.inspector.recordRequestBody(stream.capture, message.data);
+    }
+    if (!stream.request.write(message.data)) {
+      // Local service is reading the upload slowly
+      this.send({
+        type: 'http_pause',
+        streamId: message.streamId
+      });
+    }
+  }
+
+  handleHttpStreamEnd(message) {
+    const stream = this.httpStreams.get(message.streamId);
+    if (stream) {
+      stream.request.end();
+    }
+  }
+
+  handleHttpStreamAbort(message) {
+    const stream = this.httpStreams.get(message.streamId);
+    if (stream) {
+      this.log(`HTTP stream aborted: ${message.streamId}`, 'debug');
+      this.httpStreams.delete(message.streamId);
+      if (stream.capture) {
+        this.inspector.complete(stream.capture, { error: 'Aborted by the browser' });
+      }
+      stream.request.destroy();
+    }
+  }
+
+  // Send a request from the inspector UI to the local service again, resolves with its capture
+  replayLocalRequest({ tunnel: name, method, url: reqPath, headers, body, replayOf }) {
+    const tunnel = this.tunnels.find((candidate) => candidate.name === name) || this.tunnels[0];
+    const capture = this.inspector.begin(tunnel.name, { method, url: reqPath, headers, replayOf });
+    if (body.length > 0) {
+      this.inspector.recordRequestBody(capture, body);
+    }
+
+    this.log(`${this.tunnelPrefix(tunnel)}Replaying ${method} ${reqPath}`, 'info');
+
+    return new Promise((resolve) => {
+      const transport = tunnel.isHttps ? https : http;
+      const localReq = transport.request({
+        host: tunnel.localHost,
+        port: tunnel.localPort,
+        method,
+        path: reqPath,
+        // The body may have been edited, let end() set the new content-length
+        headers: this.sanitizeHeaders(headers),
+        rejectUnauthorized: !this.insecure
+      });
+
+      localReq.on('response', (localRes) => {
+        this.inspector.recordResponseStart(capture, localRes.statusCode, localRes.headers);
+        localRes.on('data', (chunk) => this.inspector.recordResponseBody(capture, chunk));
+        localRes.on('end', () => {
+          this.inspector.complete(capture);
+          resolve(capture);
+        });
+        localRes.on('error', (error) => {
+          this.inspector.complete(capture, { error: error.message });
+          resolve(capture);
+        });
+      });
+
+      localReq.on('error', (error) => {
+        this.inspector.complete(capture, { error: error.message });
+        resolve(capture);
+      });
+
+      localReq.end(body.length > 0 ? body : undefined);
+    });
+  }
+
+  handleHttpStreamFlow(message) {
+    const stream = this.httpStreams.get(message.streamId);
+    if (stream) {
+      stream.pausedByServer = message.type === 'http_pause';
+      this.updateHttpStreamFlow(stream);
+    }
+  }
+
+  updateHttpStreamFlow(stream) {
+    if (!stream.response) return;
+    if (stream.pausedByServer || stream.pausedByWs) {
+      stream.response.pause();
+    } else {
+      stream.response.resume();
+    }
+  }
+
+  waitForHttpStreamDrain(stream) {
+    if (stream.pausedByWs) return;
+    stream.pausedByWs = true;
+    this.updateHttpStreamFlow(stream);
+
+    const check = () => {
+      if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+      if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        setTimeout(check, 50);
+        return;
+      }
+      stream.pausedByWs = false;
+      this.updateHttpStreamFlow(stream);
+    };
+    setTimeout(check, 50);
+  }
+
+  // WebSocket passthrough: open a matching WebSocket to the local service
+  handleWsOpen(message) {
+    const { socketId, url: reqPath, headers, protocols } = message;
+    const tunnel = this.resolveTunnel(message.tunnelId);
+    const localUrl = `${tunnel.isHttps ? 'wss' : 'ws'}://${tunnel.localHost}:${message.localPort || tunnel.localPort}${reqPath}`;
+    
+    this.log(`WebSocket ${reqPath}`, 'debug');
+
+    // autoPong is off so pings from either end are relayed, not answered here
+    const localWs = new WebSocket(localUrl, protocols && protocols.length ? protocols : undefined, {
+      headers: this.sanitizeHeaders(headers, { keep: message.keepHeaders }),
+      rejectUnauthorized: !this.insecure,
+      autoPong: false
+    });
+    this.wsSockets.set(socketId, localWs);
+
+    let opened = false;
+
+    localWs.on('open', () => {
+      opened = true;
+      this.send({
+        type: 'ws_opened',
+        socketId,
+        protocol: localWs.protocol
+      });
+    });
+
+    localWs.on('message', (data, isBinary) => {
+      this.send({
+        type: 'ws_message',
+        socketId,
+        binary: isBinary,
+        data: Buffer.from(data)
+      });
+    });
+
+    localWs.on('ping', (data) => {
+      this.send({ type: 'ws_ping', socketId, data });
+    });
+
+    localWs.on('pong', (data) => {
+      this.send({ type: 'ws_pong', socketId, data });
+    });
+
+    localWs.on('close', (code, reason) => {
+      // Only notify the server if the close didn't come from the browser side
+      if (this.wsSockets.get(socketId) === localWs) {
+        this.wsSockets.delete(socketId);
+        this.send({
+          type: 'ws_close',
+          socketId,
+          code,
+          reason: reason.toString()
+        });
+      }
+    });
+
+    localWs.on('error', (error) => {
+      this.log(`Local WebSocket error ${socketId}: ${error.message}`, 'error');
+      if (!opened && this.wsSockets.get(socketId) === localWs) {
+        this.wsSockets.delete(socketId);
+        this.send({
+          type: 'ws_open_error',
+          socketId,
+          message: error.message
+        });
+      }
+    });
+  }
+
+  // WebSocket passthrough frames coming from the browser
+  handleWsFrame(message) {
+    const { socketId } = message;
+    const localWs = this.wsSockets.get(socketId);
+    if (!localWs) return;
+
+    const payload = message.data;
+
+    switch (message.type) {
+      case 'ws_message':
+        if (localWs.readyState === WebSocket.OPEN) {
+          localWs.send(payload, { binary: !!message.binary });
+        }
+        break;
+
+      case 'ws_ping':
+        if (localWs.readyState === WebSocket.OPEN) {
+          localWs.ping(payload);
+        }
+        break;
+
+      case 'ws_pong':
+        if (localWs.readyState === WebSocket.OPEN) {
+          localWs.pong(payload);
+        }
+        break;
+
+      case 'ws_close': {
+        this.wsSockets.delete(socketId);
+        const { code, reason } = message;
+        // 1005/1006/1015 are reserved for reporting and may not be sent on the wire
+        const sendable = (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+          (code >= 3000 && code <= 4999);
+        if (localWs.readyState === WebSocket.CONNECTING) {
+          localWs.terminate();
+        } else if (sendable) {
+          localWs.close(code, reason || '');
+        } else {
+          localWs.close();
+        }
+        break;
+      }
     }
   }
 
   // Enhanced TCP/UDP Request Handler
-  handleTcpUdpRequest(message) {
+  handleTcpUdpRequest(message, tunnel) {
     const { requestId, method, url: reqPath, headers, body } = message;
     
-    this.log(`Handling ${this.protocol.toUpperCase()} request: ${requestId}`, 'debug');
+    this.log(`Handling ${tunnel.protocol.toUpperCase()} request: ${requestId}`, 'debug');
 
-    if (this.protocol === 'tcp') {
+    if (tunnel.protocol === 'tcp') {
       // For TCP, establish a persistent connection
-      this.handleTcpRequest(message);
-    } else if (this.protocol === 'udp') {
+      this.handleTcpRequest(message, tunnel);
+    } else if (tunnel.protocol === 'udp') {
       // For UDP, handle as datagram
-      this.handleUdpRequest(message);
+      this.handleUdpRequest(message, tunnel);
     } else {
-      this.log(`Unsupported protocol for direct handling: ${this.protocol}`, 'error');
-      this.ws.send(JSON.stringify({
+      this.log(`Unsupported protocol for direct handling: ${tunnel.protocol}`, 'error');
+      this.send({
         type: 'error',
         requestId,
-        message: `Unsupported protocol: ${this.protocol}`
-      }));
+        message: `Unsupported protocol: ${tunnel.protocol}`
+      });
     }
   }
 
   // TCP Request Handler
-  handleTcpRequest(message) {
+  handleTcpRequest(message, tunnel) {
     const { requestId, body } = message;
     
     // Create TCP connection to local service
     const socket = net.createConnection({
-      host: this.localHost,
-      port: this.localPort
+      host: tunnel.localHost,
+      port: tunnel.localPort
     });
 
     socket.on('connect', () => {
@@ -427,14 +1120,14 @@ class TunlifyClient {
       this.log(`TCP response data received: ${data.length} bytes`, 'debug');
       
       // Send response back through WebSocket
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'response',
         requestId,
         statusCode: 200,
         headers: { 'Content-Type': 'application/octet-stream' },
         encoding: 'base64',
         body: data.toString('base64')
-      }));
+      });
     });
 
     socket.on('close', () => {
@@ -444,11 +1137,11 @@ class TunlifyClient {
     socket.on('error', (error) => {
       this.log(`TCP connection error for request ${requestId}: ${error.message}`, 'error');
       
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'error',
         requestId,
         message: error.message
-      }));
+      });
     });
 
     // Store connection for potential cleanup
@@ -464,7 +1157,7 @@ class TunlifyClient {
   }
 
   // UDP Request Handler
-  handleUdpRequest(message) {
+  handleUdpRequest(message, tunnel) {
     const { requestId, body } = message;
     
     const socket = dgram.createSocket('udp4');
@@ -473,14 +1166,14 @@ class TunlifyClient {
       this.log(`UDP response received: ${msg.length} bytes`, 'debug');
       
       // Send response back through WebSocket
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'response',
         requestId,
         statusCode: 200,
         headers: { 'Content-Type': 'application/octet-stream' },
         encoding: 'base64',
         body: msg.toString('base64')
-      }));
+      });
       
       socket.close();
     });
@@ -488,11 +1181,11 @@ class TunlifyClient {
     socket.on('error', (error) => {
       this.log(`UDP socket error for request ${requestId}: ${error.message}`, 'error');
       
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'error',
         requestId,
         message: error.message
-      }));
+      });
       
       socket.close();
     });
@@ -500,14 +1193,14 @@ class TunlifyClient {
     // Send UDP packet
     if (body) {
       const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
-      socket.send(buffer, this.localPort, this.localHost, (error) => {
+      socket.send(buffer, tunnel.localPort, tunnel.localHost, (error) => {
         if (error) {
           this.log(`UDP send error: ${error.message}`, 'error');
-          this.ws.send(JSON.stringify({
+          this.send({
             type: 'error',
             requestId,
             message: error.message
-          }));
+          });
         }
       });
     }
@@ -522,52 +1215,80 @@ class TunlifyClient {
 
   // TCP Connection Handler
   handleTcpConnect(message) {
-    const { connectionId } = message;
+    const { connectionId, remoteAddress, remotePort } = message;
+    const tunnel = this.resolveTunnel(message.tunnelId);
     
-    this.log(`New TCP connection: ${connectionId}`, 'debug');
+    this.log(`New TCP connection: ${connectionId}${remoteAddress ? ` from ${remoteAddress}:${remotePort}` : ''}`, 'debug');
 
+    // allowHalfOpen keeps our write side open after the local service ends its side
     const socket = net.createConnection({
-      host: this.localHost,
-      port: this.localPort
+      host: tunnel.localHost,
+      port: tunnel.localPort,
+      allowHalfOpen: true
     });
 
+    socket.pausedByServer = false;
+    socket.pausedByWs = false;
+    this.tcpConnections.set(connectionId, socket);
+
     socket.on('connect', () => {
       this.log(`TCP connected to local service: ${connectionId}`, 'debug');
-      this.tcpConnections.set(connectionId, socket);
       
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'tcp_connect_ack',
         connectionId
-      }));
+      });
     });
 
     socket.on('data', (data) => {
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'tcp_data',
         connectionId,
-        data: data.toString('base64')
-      }));
+        data
+      });
+
+      // Backpressure: stop reading locally while the WebSocket is congested
+      if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        this.waitForWsDrain(socket);
+      }
+    });
+
+    socket.on('end', () => {
+      this.send({
+        type: 'tcp_end',
+        connectionId
+      });
+    });
+
+    socket.on('drain', () => {
+      this.send({
+        type: 'tcp_resume',
+        connectionId
+      });
     });
 
     socket.on('close', () => {
       this.log(`TCP connection closed: ${connectionId}`, 'debug');
-      this.tcpConnections.delete(connectionId);
-      
-      this.ws.send(JSON.stringify({
-        type: 'tcp_close',
-        connectionId
-      }));
+
+      // Only notify the server if it didn't close the connection itself
+      if (this.tcpConnections.get(connectionId) === socket) {
+        this.tcpConnections.delete(connectionId);
+        this.send({
+          type: 'tcp_close',
+          connectionId
+        });
+      }
     });
 
     socket.on('error', (error) => {
       this.log(`TCP connection error ${connectionId}: ${error.message}`, 'error');
       this.tcpConnections.delete(connectionId);
       
-      this.ws.send(JSON.stringify({
+      this.send({
         type: 'tcp_error',
         connectionId,
         error: error.message
-      }));
+      });
     });
   }
 
@@ -577,62 +1298,152 @@ class TunlifyClient {
     const socket = this.tcpConnections.get(connectionId);
     
     if (socket && !socket.destroyed) {
-      const buffer = Buffer.from(data, 'base64');
-      socket.write(buffer);
+      if (!socket.write(data)) {
+        // Local service is reading slowly, ask the server to pause the remote peer
+        this.send({
+          type: 'tcp_pause',
+          connectionId
+        });
+      }
+    }
+  }
+
+  // TCP half-close: remote peer finished sending
+  handleTcpEnd(message) {
+    const socket = this.tcpConnections.get(message.connectionId);
+    
+    if (socket && !socket.destroyed) {
+      socket.end();
+    }
+  }
+
+  // TCP flow control requested by the server
+  handleTcpFlow(message) {
+    const socket = this.tcpConnections.get(message.connectionId);
+    
+    if (socket && !socket.destroyed) {
+      socket.pausedByServer = message.type === 'tcp_pause';
+      this.updateTcpFlow(socket);
     }
   }
 
+  updateTcpFlow(socket) {
+    if (socket.pausedByServer || socket.pausedByWs) {
+      socket.pause();
+    } else {
+      socket.resume();
+    }
+  }
+
+  waitForWsDrain(socket) {
+    if (socket.pausedByWs) return;
+    socket.pausedByWs = true;
+    this.updateTcpFlow(socket);
+
+    const check = () => {
+      if (socket.destroyed || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+      if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+        setTimeout(check, 50);
+        return;
+      }
+      socket.pausedByWs = false;
+      this.updateTcpFlow(socket);
+    };
+    setTimeout(check, 50);
+  }
+
   // TCP Close Handler
   handleTcpClose(message) {
     const { connectionId } = message;
     const socket = this.tcpConnections.get(connectionId);
     
-    if (socket && !socket.destroyed) {
-      socket.destroy();
+    if (socket) {
       this.tcpConnections.delete(connectionId);
+      if (!socket.destroyed) {
+        socket.destroy();
+      }
     }
   }
 
-  // UDP Data Handler
-  handleUdpData(message) {
-    const { sessionId, data, remoteAddress, remotePort } = message;
+  // UDP session opened by a new remote peer
+  handleUdpOpen(message) {
+    const { sessionId, remoteAddress, remotePort } = message;
     
-    this.log(`UDP data from ${remoteAddress}:${remotePort}`, 'debug');
-
-    const buffer = Buffer.from(data, 'base64');
+    this.log(`UDP session ${sessionId} from ${remoteAddress}:${remotePort}`, 'debug');
     
-    // Create UDP socket if not exists
     if (!this.udpSockets.has(sessionId)) {
-      const socket = dgram.createSocket('udp4');
-      this.udpSockets.set(sessionId, socket);
-      
-      socket.on('message', (msg, rinfo) => {
-        this.ws.send(JSON.stringify({
-          type: 'udp_response',
-          sessionId,
-          data: msg.toString('base64'),
-          localAddress: rinfo.address,
-          localPort: rinfo.port
-        }));
+      this.createUdpSocket(sessionId, this.resolveTunnel(message.tunnelId));
+    }
+  }
+
+  // One local socket per session, so replies can be told apart per remote peer
+  createUdpSocket(sessionId, tunnel) {
+    const socket = dgram.createSocket('udp4');
+    socket.tunnel = tunnel;
+    this.udpSockets.set(sessionId, socket);
+    
+    socket.on('message', (msg, rinfo) => {
+      this.send({
+        type: 'udp_response',
+        sessionId,
+        data: msg,
+        localAddress: rinfo.address,
+        localPort: rinfo.port
       });
+    });
+    
+    socket.on('error', (error) => {
+      this.log(`UDP socket error: ${error.message}`, 'error');
+      this.udpSockets.delete(sessionId);
+      socket.close();
       
-      socket.on('error', (error) => {
-        this.log(`UDP socket error: ${error.message}`, 'error');
-        this.udpSockets.delete(sessionId);
+      this.send({
+        type: 'udp_close',
+        sessionId
       });
-    }
+    });
+
+    return socket;
+  }
 
+  // UDP Data Handler
+  handleUdpData(message) {
+    const { sessionId, data, remoteAddress, remotePort } = message;
+    
+    // Binary frames carry only the session id, JSON frames also name the peer
+    this.log(`UDP data for session ${sessionId}${remoteAddress ? ` from ${remoteAddress}:${remotePort}` : ''}`, 'debug');
+
+    // Older servers don't announce sessions with udp_open
+    const socket = this.udpSockets.get(sessionId) || this.createUdpSocket(sessionId, this.resolveTunnel());
+    socket.send(data, socket.tunnel.localPort, socket.tunnel.localHost);
+  }
+
+  // UDP session expired on the server
+  handleUdpClose(message) {
+    const { sessionId } = message;
     const socket = this.udpSockets.get(sessionId);
-    socket.send(buffer, this.localPort, this.localHost);
+    
+    if (socket) {
+      this.log(`UDP session closed: ${sessionId}`, 'debug');
+      this.udpSockets.delete(sessionId);
+      socket.close();
+    }
   }
 
-  sanitizeHeaders(headers) {
+  // `keep` lists headers the server's traffic rules set on purpose (e.g. Host)
+  sanitizeHeaders(headers, { keepContentLength = false, keep = [] } = {}) {
     const skipHeaders = new Set([
       'host', 'connection', 'upgrade', 'x-forwarded-for',
       'x-real-ip', 'x-tunnel-subdomain', 'x-tunnel-region',
       'x-forwarded-host', 'x-forwarded-proto', 'content-length',
       'transfer-encoding'
     ]);
+    if (keepContentLength) {
+      skipHeaders.delete('content-length');
+    }
+    for (const name of keep || []) {
+      skipHeaders.delete(String(name).toLowerCase());
+    }
     
     const result = {};
     for (const [key, value] of Object.entries(headers || {})) {
@@ -644,33 +1455,43 @@ class TunlifyClient {
   }
 
   displayTunnelInfo() {
-    console.log('\n' + chalk.green('🚀 Tunnel Active!'));
+    console.log('\n' + chalk.green(this.tunnels.length > 1 ? `🚀 ${this.tunnels.length} Tunnels Active!` : '🚀 Tunnel Active!'));
     console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
     
-    console.log(chalk.bold('📋 Tunnel Information:'));
-    console.log(`   Service: ${chalk.yellow(this.tunnelInfo.service_name || 'Custom Port')}`);
-    console.log(`   Protocol: ${chalk.yellow(this.protocol.toUpperCase())}`);
+    for (const tunnel of this.tunnels) {
+      this.displayTunnelDetails(tunnel);
+    }
+    
+    if (this.inspectorUrl) {
+      console.log('\n' + `🔍 Inspector: ${chalk.cyan(this.inspectorUrl)}`);
+    }
     
-    const localUrl = this.protocol === 'http' && this.isHttps
-      ? `https://${this.localHost}:${this.localPort}`
-      : `${this.localHost}:${this.localPort}`;
+    console.log('\n' + chalk.gray('Press Ctrl+C to stop the tunnel'));
+    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+  }
+
+  displayTunnelDetails(tunnel) {
+    console.log(chalk.bold(this.tunnels.length > 1 ? `\n📋 Tunnel Information (${tunnel.name}):` : '📋 Tunnel Information:'));
+    console.log(`   Service: ${chalk.yellow(tunnel.info.service_name || 'Custom Port')}`);
+    console.log(`   Protocol: ${chalk.yellow(tunnel.protocol.toUpperCase())}`);
+    
+    const localUrl = tunnel.protocol === 'http' && tunnel.isHttps
+      ? `https://${tunnel.localHost}:${tunnel.localPort}`
+      : `${tunnel.localHost}:${tunnel.localPort}`;
     console.log(`   Local: ${chalk.yellow(localUrl)}`);
-    console.log(`   Remote: ${chalk.yellow(this.tunnelInfo.tunnel_url)}`);
+    console.log(`   Remote: ${chalk.yellow(tunnel.info.tunnel_url)}`);
     
     // FIXED: Only show remote port if it exists and is not null
-    if (this.tunnelInfo.remote_port && this.protocol !== 'http') {
-      console.log(`   Remote Port: ${chalk.yellow(this.tunnelInfo.remote_port)}`);
+    if (tunnel.info.remote_port && tunnel.protocol !== 'http') {
+      console.log(`   Remote Port: ${chalk.yellow(tunnel.info.remote_port)}`);
     }
     
     console.log('\n' + chalk.bold('🔗 Connection Examples:'));
-    this.displayConnectionExamples();
-    
-    console.log('\n' + chalk.gray('Press Ctrl+C to stop the tunnel'));
-    console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
+    this.displayConnectionExamples(tunnel);
   }
 
-  displayConnectionExamples() {
-    const { service_type, tunnel_url, remote_port } = this.tunnelInfo;
+  displayConnectionExamples(tunnel) {
+    const { service_type, tunnel_url, remote_port } = tunnel.info;
     
     // FIXED: Handle cases where remote_port might be null
     if (!tunnel_url) {
@@ -727,17 +1548,17 @@ class TunlifyClient {
       case 'https':
         console.log(`   Browser: ${chalk.green(tunnel_url)}`);
         console.log(`   cURL: ${chalk.green(`curl ${tunnel_url}`)}`);
-        if (this.isHttps) {
-          console.log(`   Local HTTPS: ${chalk.yellow(`https://${this.localHost}:${this.localPort}`)}`);
+        if (tunnel.isHttps) {
+          console.log(`   Local HTTPS: ${chalk.yellow(`https://${tunnel.localHost}:${tunnel.localPort}`)}`);
         }
         break;
         
       default:
-        if (this.protocol === 'tcp' && remote_port) {
+        if (tunnel.protocol === 'tcp' && remote_port) {
           console.log(`   TCP: ${chalk.green(`telnet ${host} ${port}`)}`);
-        } else if (this.protocol === 'udp' && remote_port) {
+        } else if (tunnel.protocol === 'udp' && remote_port) {
           console.log(`   UDP: ${chalk.green(`nc -u ${host} ${port}`)}`);
-        } else if (this.protocol === 'http') {
+        } else if (tunnel.protocol === 'http') {
           console.log(`   Browser: ${chalk.green(tunnel_url)}`);
         } else {
           console.log(`   Connect to: ${chalk.green(tunnel_url)}`);
@@ -759,6 +1580,18 @@ class TunlifyClient {
       socket.close();
     }
     this.udpSockets.clear();
+
+    // Close relayed WebSockets
+    for (const [socketId, localWs] of this.wsSockets) {
+      localWs.terminate();
+    }
+    this.wsSockets.clear();
+
+    // Abort in-flight HTTP streams
+    for (const [streamId, stream] of this.httpStreams) {
+      stream.request.destroy();
+    }
+    this.httpStreams.clear();
   }
 
   // Graceful shutdown
@@ -770,6 +1603,10 @@ class TunlifyClient {
     }
     
     this.cleanup();
+
+    if (this.inspector) {
+      this.inspector.close();
+    }
     
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.close();
@@ -799,7 +1636,14 @@ process.on('SIGTERM', () => {
 });
 
 // Start the client
-const client = new TunlifyClient(options);
+const tunnels = loadTunnelSpecs(options);
+if (options.inspect) {
+  options.inspect = parseInspectAddress(options.inspect);
+  if (!options.inspect) {
+    program.error('error: --inspect expects a port or host:port, e.g. 127.0.0.1:4040');
+  }
+}
+const client = new TunlifyClient({ ...options, tunnels });
 global.client = client;
 client.start().catch((error) => {
   console.error(chalk.red(`❌ Failed to start client: ${error.message}`));
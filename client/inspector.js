@@ -0,0 +1,410 @@
+const http = require('http');
+const zlib = require('zlib');
+
+// Local web inspector (--inspect 127.0.0.1:4040).
+// Every HTTP request the client relays to the local service is kept in memory with
+// full headers and bodies, the local response and its latency. A small web UI lists
+// them live and can replay a request against the local service, optionally edited.
+// Nothing here leaves the developer's machine.
+const DEFAULT_ADDRESS = '127.0.0.1:4040';
+const DEFAULT_LIMIT = 200; // Requests kept
+const BODY_LIMIT = 1024 * 1024; // Bytes kept per request/response body
+
+// "4040", ":4040" or "host:4040"
+const parseInspectAddress = (address) => {
+  const value = typeof address === 'string' ? address : DEFAULT_ADDRESS;
+  const match = value.match(/^(?:(.*):)?(\d+)$/);
+  if (!match) return null;
+  return { host: match[1] || '127.0.0.1', port: parseInt(match[2]) };
+};
+
+// Hostname of a Host header: without port, IPv6 without brackets
+const hostnameOf = (host) => {
+  const value = String(host || '').trim().toLowerCase();
+  if (value.startsWith('[')) return value.slice(1, value.indexOf(']'));
+  return value.replace(/:\d+$/, '');
+};
+
+// Hosts the UI may be reached under. Anything else is a page on another site that
+// rebound its DNS name to this machine, it must not read captured cookies and bodies.
+const allowedHostnames = (address) => {
+  const allowed = new Set(['localhost', '127.0.0.1', '::1']);
+  const bound = hostnameOf(address.host.includes(':') ? `[${address.host}]` : address.host);
+  if (bound && bound !== '0.0.0.0' && bound !== '::') allowed.add(bound);
+  return allowed;
+};
+
+const bodyState = () => ({ chunks: [], captured: 0, size: 0 });
+
+const appendBody = (body, chunk) => {
+  const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+  body.size += buffer.length;
+  if (body.captured < BODY_LIMIT) {
+    const kept = buffer.subarray(0, BODY_LIMIT - body.captured);
+    body.chunks.push(kept);
+    body.captured += kept.length;
+  }
+};
+
+// Body as shown in the UI: decompressed when possible, text when it is valid UTF-8
+const describeBody = (body, headers) => {
+  if (body.size === 0) return null;
+
+  const truncated = body.size > body.captured;
+  let data = Buffer.concat(body.chunks);
+  const contentEncoding = headers && String(headers['content-encoding'] || '').toLowerCase();
+  if (!truncated && contentEncoding) {
+    try {
+      if (contentEncoding === 'gzip') data = zlib.gunzipSync(data);
+      else if (contentEncoding === 'deflate') data = zlib.inflateSync(data);
+      else if (contentEncoding === 'br') data = zlib.brotliDecompressSync(data);
+    } catch (error) {
+      // Leave it compressed, it is shown as base64 below
+    }
+  }
+
+  const text = data.toString('utf8');
+  return text.includes('\uFFFD')
+    ? { encoding: 'base64', data: data.toString('base64'), size: body.size, truncated }
+    : { encoding: 'utf8', data: text, size: body.size, truncated };
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    try {
+      resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, statusCode, data) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+// `replay(request)` sends { tunnel, method, url, headers, body, replayOf } to the local
+// service and resolves with the new capture
+function createLocalInspector({ replay }) {
+  const captures = [];
+  const eventClients = new Set();
+  let server = null;
+  let hostnames = new Set();
+
+  const summarize = (capture) => ({
+    id: capture.id,
+    tunnel: capture.tunnel,
+    method: capture.method,
+    path: capture.path,
+    status: capture.status,
+    duration: capture.duration,
+    requestSize: capture.requestBody.size,
+    responseSize: capture.responseBody.size,
+    startedAt: new Date(capture.startedAt).toISOString(),
+    error: capture.error,
+    replayOf: capture.replayOf
+  });
+
+  const serialize = (capture) => ({
+    ...summarize(capture),
+    requestHeaders: capture.requestHeaders,
+    requestBody: describeBody(capture.requestBody, capture.requestHeaders),
+    responseHeaders: capture.responseHeaders,
+    responseBody: describeBody(capture.responseBody, capture.responseHeaders)
+  });
+
+  const emit = (event, capture) => {
+    const payload = `data: ${JSON.stringify({ type: event, request: summarize(capture) })}\n\n`;
+    for (const res of eventClients) {
+      res.write(payload);
+    }
+  };
+
+  const find = (id) => captures.find((capture) => capture.id === id);
+
+  const begin = (tunnel, { method, url, headers, replayOf = null }) => {
+    const capture = {
+      id: `req_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      tunnel,
+      method,
+      path: url,
+      requestHeaders: { ...headers },
+      requestBody: bodyState(),
+      status: null,
+      responseHeaders: null,
+      responseBody: bodyState(),
+      startedAt: Date.now(),
+      duration: null,
+      error: null,
+      replayOf
+    };
+
+    captures.push(capture);
+    if (captures.length > DEFAULT_LIMIT) captures.shift();
+
+    emit('request_started', capture);
+    return capture;
+  };
+
+  const recordRequestBody = (capture, chunk) => appendBody(capture.requestBody, chunk);
+
+  const recordResponseStart = (capture, statusCode, headers) => {
+    capture.status = statusCode;
+    capture.responseHeaders = { ...headers };
+  };
+
+  const recordResponseBody = (capture, chunk) => appendBody(capture.responseBody, chunk);
+
+  // Only the first call counts, later errors of a finished request are ignored
+  const complete = (capture, { error = null } = {}) => {
+    if (capture.duration !== null) return;
+    capture.duration = Date.now() - capture.startedAt;
+    capture.error = error;
+    emit('request_completed', capture);
+  };
+
+  const handleReplay = async (req, res, original) => {
+    // A JSON content type needs a CORS preflight, so other sites open in the browser can't replay
+    if (!String(req.headers['content-type'] || '').startsWith('application/json')) {
+      return sendJson(res, 415, { message: 'Expected application/json' });
+    }
+
+    let edits;
+    try {
+      edits = await readJson(req);
+    } catch (error) {
+      return sendJson(res, 400, { message: 'Invalid JSON body' });
+    }
+
+    const hasBodyEdit = typeof edits.body === 'string';
+    if (!hasBodyEdit && original.requestBody.size > original.requestBody.captured) {
+      return sendJson(res, 422, { message: 'Request body was too large to keep, edit it to replay' });
+    }
+
+    const replayed = await replay({
+      tunnel: original.tunnel,
+      method: edits.method || original.method,
+      url: edits.path || original.path,
+      headers: edits.headers || original.requestHeaders,
+      body: hasBodyEdit
+        ? Buffer.from(edits.body, edits.bodyEncoding === 'base64' ? 'base64' : 'utf8')
+        : Buffer.concat(original.requestBody.chunks),
+      replayOf: original.id
+    });
+    sendJson(res, 200, serialize(replayed));
+  };
+
+  const handle = async (req, res) => {
+    if (!hostnames.has(hostnameOf(req.headers.host))) {
+      return sendJson(res, 403, { message: 'Host not allowed, open the inspector on localhost' });
+    }
+
+    const { pathname } = new URL(req.url, 'http://inspector');
+
+    if (req.method === 'GET' && pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(INSPECTOR_PAGE);
+      return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/requests') {
+      return sendJson(res, 200, { requests: captures.map(summarize).reverse() });
+    }
+
+    if (req.method === 'GET' && pathname === '/api/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      eventClients.add(res);
+      req.on('close', () => eventClients.delete(res));
+      return;
+    }
+
+    const match = pathname.match(/^\/api\/requests\/([^/]+)(\/replay)?$/);
+    const capture = match && find(match[1]);
+    if (match && !capture) {
+      return sendJson(res, 404, { message: 'Request not found' });
+    }
+    if (match && req.method === 'GET' && !match[2]) {
+      return sendJson(res, 200, serialize(capture));
+    }
+    if (match && req.method === 'POST' && match[2]) {
+      return handleReplay(req, res, capture);
+    }
+
+    sendJson(res, 404, { message: 'Not found' });
+  };
+
+  const listen = (address) => new Promise((resolve, reject) => {
+    hostnames = allowedHostnames(address);
+    server = http.createServer((req, res) => {
+      handle(req, res).catch((error) => sendJson(res, 500, { message: error.message }));
+    });
+    server.once('error', reject);
+    server.listen(address.port, address.host, () => resolve(`http://${address.host}:${address.port}`));
+  });
+
+  const close = () => {
+    for (const res of eventClients) {
+      res.end();
+    }
+    eventClients.clear();
+    if (server) server.close();
+  };
+
+  return {
+    begin,
+    recordRequestBody,
+    recordResponseStart,
+    recordResponseBody,
+    complete,
+    listen,
+    close
+  };
+}
+
+const INSPECTOR_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Tunlify Inspector</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px system-ui, sans-serif; color: #1f2937; display: flex; height: 100vh; }
+  #list { width: 45%; overflow-y: auto; border-right: 1px solid #e5e7eb; }
+  #detail { flex: 1; overflow-y: auto; padding: 16px; }
+  header { padding: 12px 16px; font-weight: 600; border-bottom: 1px solid #e5e7eb; }
+  .row { display: flex; gap: 8px; padding: 8px 16px; border-bottom: 1px solid #f3f4f6; cursor: pointer; }
+  .row:hover, .row.active { background: #f3f4f6; }
+  .method { width: 56px; font-weight: 600; }
+  .path { flex: 1; font-family: monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .muted { color: #6b7280; }
+  .ok { color: #15803d; } .warn { color: #b45309; } .err { color: #b91c1c; }
+  h3 { margin: 20px 0 8px; }
+  pre, textarea { font: 12px monospace; background: #f9fafb; border: 1px solid #e5e7eb; padding: 8px; white-space: pre-wrap; word-break: break-all; }
+  textarea, input, select { width: 100%; }
+  textarea { min-height: 120px; }
+  .form { display: flex; gap: 8px; margin-bottom: 8px; }
+  .form select { width: 110px; }
+  button { padding: 6px 14px; cursor: pointer; }
+</style>
+</head>
+<body>
+<div id="list"><header>Requests <span id="count" class="muted"></span></header><div id="rows"></div></div>
+<div id="detail"><p class="muted">Select a request to see its details.</p></div>
+<script>
+  const requests = [];
+  let selected = null;
+  const $ = (id) => document.getElementById(id);
+  const esc = (value) => String(value).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const statusClass = (r) => r.error || r.status >= 500 ? 'err' : r.status >= 400 ? 'warn' : 'ok';
+  const headerText = (headers) => Object.entries(headers || {})
+    .flatMap(([k, v]) => (Array.isArray(v) ? v : [v]).map((item) => k + ': ' + item)).join('\\n');
+  const parseHeaders = (text) => {
+    const headers = {};
+    for (const line of text.split('\\n')) {
+      const i = line.indexOf(':');
+      if (i <= 0) continue;
+      const key = line.slice(0, i).trim().toLowerCase();
+      const value = line.slice(i + 1).trim();
+      headers[key] = key in headers ? [].concat(headers[key], value) : value;
+    }
+    return headers;
+  };
+  const bodyText = (body) => !body ? '' : body.data;
+  const bodyNote = (body) => !body ? '<p class="muted">No body</p>' :
+    '<p class="muted">' + body.size + ' bytes' + (body.encoding === 'base64' ? ', binary (base64)' : '') + (body.truncated ? ', truncated' : '') + '</p>';
+
+  function renderList() {
+    $('count').textContent = '(' + requests.length + ')';
+    $('rows').innerHTML = requests.map((r) =>
+      '<div class="row' + (selected && selected.id === r.id ? ' active' : '') + '" data-id="' + r.id + '">' +
+      '<span class="method">' + esc(r.method) + '</span>' +
+      '<span class="path">' + (r.replayOf ? '↻ ' : '') + esc(r.path) + '</span>' +
+      '<span class="' + statusClass(r) + '">' + (r.error ? 'ERR' : r.status || '...') + '</span>' +
+      '<span class="muted">' + (r.duration !== null ? r.duration + ' ms' : '') + '</span></div>'
+    ).join('');
+  }
+
+  async function select(id) {
+    const res = await fetch('/api/requests/' + id);
+    if (!res.ok) return;
+    selected = await res.json();
+    renderList();
+    renderDetail();
+  }
+
+  function renderDetail() {
+    const r = selected;
+    const methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+    $('detail').innerHTML =
+      '<h2>' + esc(r.method) + ' ' + esc(r.path) + '</h2>' +
+      '<p><span class="' + statusClass(r) + '">' + (r.status || '-') + '</span> · ' + (r.duration !== null ? r.duration + ' ms' : 'pending') +
+      ' · ' + esc(r.tunnel) + ' · ' + new Date(r.startedAt).toLocaleString() + '</p>' +
+      (r.error ? '<p class="err">' + esc(r.error) + '</p>' : '') +
+      '<h3>Request headers</h3><pre>' + esc(headerText(r.requestHeaders)) + '</pre>' +
+      '<h3>Request body</h3>' + bodyNote(r.requestBody) + (r.requestBody ? '<pre>' + esc(bodyText(r.requestBody)) + '</pre>' : '') +
+      '<h3>Response headers</h3><pre>' + esc(headerText(r.responseHeaders)) + '</pre>' +
+      '<h3>Response body</h3>' + bodyNote(r.responseBody) + (r.responseBody ? '<pre>' + esc(bodyText(r.responseBody)) + '</pre>' : '') +
+      '<h3>Replay</h3>' +
+      '<div class="form"><select id="m">' + methods.map((m) => '<option' + (m === r.method ? ' selected' : '') + '>' + m + '</option>').join('') + '</select>' +
+      '<input id="p" value="' + esc(r.path) + '"></div>' +
+      '<textarea id="h">' + esc(headerText(r.requestHeaders)) + '</textarea>' +
+      '<textarea id="b">' + esc(bodyText(r.requestBody)) + '</textarea>' +
+      '<p><button id="replay">Replay</button> <span id="replay-status" class="muted"></span></p>';
+    $('replay').onclick = replay;
+  }
+
+  async function replay() {
+    const original = selected;
+    const edits = { method: $('m').value, path: $('p').value, headers: parseHeaders($('h').value) };
+    // Untouched bodies are replayed byte for byte
+    if ($('b').value !== bodyText(original.requestBody)) {
+      edits.body = $('b').value;
+      edits.bodyEncoding = original.requestBody && original.requestBody.encoding === 'base64' ? 'base64' : 'utf8';
+    }
+    $('replay-status').textContent = 'Replaying...';
+    const res = await fetch('/api/requests/' + original.id + '/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(edits)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      $('replay-status').textContent = data.message;
+      return;
+    }
+    select(data.id);
+  }
+
+  $('rows').onclick = (event) => {
+    const row = event.target.closest('.row');
+    if (row) select(row.dataset.id);
+  };
+
+  fetch('/api/requests').then((res) => res.json()).then((data) => {
+    requests.push(...data.requests);
+    renderList();
+  });
+
+  new EventSource('/api/events').onmessage = (event) => {
+    const { type, request } = JSON.parse(event.data);
+    const index = requests.findIndex((r) => r.id === request.id);
+    if (index === -1) requests.unshift(request); else requests[index] = request;
+    if (requests.length > ${DEFAULT_LIMIT}) requests.pop();
+    renderList();
+    if (type === 'request_completed' && selected && selected.id === request.id) select(request.id);
+  };
+</script>
+</body>
+</html>
+`;
+
+module.exports = { DEFAULT_ADDRESS, parseInspectAddress, createLocalInspector };
@@ -0,0 +1,293 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Copy, KeyRound, Loader2, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useLanguage } from '@/hooks/useLanguage';
+import { apiClient } from '@/lib/api';
+import Cookies from 'js-cookie';
+
+interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: string[];
+  expires_at: string | null;
+  last_used_at: string | null;
+  created_at: string;
+}
+
+const SCOPES = [
+  { value: 'tunnels:read', en: 'List and view tunnels', id: 'Melihat tunnel' },
+  { value: 'tunnels:write', en: 'Create, update and delete tunnels', id: 'Membuat, mengubah dan menghapus tunnel' },
+  { value: 'usage:read', en: 'View usage', id: 'Melihat pemakaian' },
+];
+
+// Days until the key expires, 'never' for keys without expiry
+const EXPIRY_OPTIONS = ['30', '90', '365', 'never'];
+
+// Personal API keys for scripts and CI, see backend/utils/api-keys.js
+export default function ApiKeysPanel() {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<string[]>(['tunnels:read']);
+  const [expiry, setExpiry] = useState('90');
+  // Plain key of the key just created, shown once
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+  const [loading, setLoading] = useState<string | null>(null);
+  const { language } = useLanguage();
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+  });
+
+  const fetchApiKeys = async () => {
+    try {
+      const response = await apiClient.get('/api/api-keys', {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        setApiKeys(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch API keys:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const openDialog = () => {
+    setName('');
+    setScopes(['tunnels:read']);
+    setExpiry('90');
+    setCreatedKey(null);
+    setDialogOpen(true);
+  };
+
+  const toggleScope = (scope: string, checked: boolean) => {
+    setScopes((current) => (checked ? [...current, scope] : current.filter((item) => item !== scope)));
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading('create');
+    try {
+      const response = await apiClient.post('/api/api-keys', {
+        name,
+        scopes,
+        expires_at: expiry === 'never' ? null : new Date(Date.now() + Number(expiry) * 24 * 60 * 60 * 1000).toISOString(),
+      }, {
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setCreatedKey(data.key);
+        fetchApiKeys();
+      } else {
+        toast.error(data.errors?.[0]?.msg || data.message || (language === 'id' ? 'Gagal membuat API key' : 'Failed to create API key'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal membuat API key' : 'Failed to create API key');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!confirm(language === 'id'
+      ? `Cabut API key "${apiKey.name}"? Skrip yang memakainya akan berhenti bekerja.`
+      : `Revoke API key "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setLoading(apiKey.id);
+    try {
+      const response = await apiClient.delete(`/api/api-keys/${apiKey.id}`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        toast.success(language === 'id' ? 'API key dicabut' : 'API key revoked');
+        fetchApiKeys();
+      } else {
+        const error = await response.json();
+        toast.error(error.message || (language === 'id' ? 'Gagal mencabut API key' : 'Failed to revoke API key'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mencabut API key' : 'Failed to revoke API key');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const copyToClipboard = (text: string) => {
+    navigator.clipboard.writeText(text);
+    toast.success(language === 'id' ? 'Disalin ke clipboard!' : 'Copied to clipboard!');
+  };
+
+  const isExpired = (apiKey: ApiKey) => !!apiKey.expires_at && new Date(apiKey.expires_at) <= new Date();
+
+  return (
+    <Card className="mt-8">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <KeyRound className="h-5 w-5" />
+            API Keys
+          </CardTitle>
+          <Button size="sm" onClick={openDialog}>
+            <Plus className="h-4 w-4 mr-1" />
+            {language === 'id' ? 'Buat API Key' : 'New API Key'}
+          </Button>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          {language === 'id'
+            ? 'Untuk skrip dan CI: kirim sebagai Authorization: Bearer <key> ke /api/tunnels dan /api/usage.'
+            : 'For scripts and CI: send as Authorization: Bearer <key> to /api/tunnels and /api/usage.'}
+        </p>
+      </CardHeader>
+      <CardContent>
+        {apiKeys.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            {language === 'id' ? 'Belum ada API key.' : 'No API keys yet.'}
+          </div>
+        ) : (
+          <div className="divide-y border rounded-lg">
+            {apiKeys.map((apiKey) => (
+              <div key={apiKey.id} className="flex items-center justify-between gap-4 p-4">
+                <div className="min-w-0 space-y-1">
+                  <div className="flex items-center gap-2 font-medium">
+                    <span className="truncate">{apiKey.name}</span>
+                    <code className="text-xs text-muted-foreground">{apiKey.prefix}…</code>
+                    {isExpired(apiKey) && (
+                      <Badge variant="destructive">{language === 'id' ? 'Kedaluwarsa' : 'Expired'}</Badge>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {apiKey.scopes.map((scope) => (
+                      <Badge key={scope} variant="secondary">{scope}</Badge>
+                    ))}
+                  </div>
+                  <div className="text-sm text-muted-foreground">
+                    {language === 'id' ? 'Terakhir dipakai' : 'Last used'}:{' '}
+                    {apiKey.last_used_at
+                      ? new Date(apiKey.last_used_at).toLocaleString()
+                      : (language === 'id' ? 'belum pernah' : 'never')}
+                    {' · '}
+                    {language === 'id' ? 'Kedaluwarsa' : 'Expires'}:{' '}
+                    {apiKey.expires_at
+                      ? new Date(apiKey.expires_at).toLocaleDateString()
+                      : (language === 'id' ? 'tidak pernah' : 'never')}
+                  </div>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(apiKey)}
+                  disabled={loading !== null}
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  {language === 'id' ? 'Cabut' : 'Revoke'}
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{language === 'id' ? 'Buat API Key' : 'New API Key'}</DialogTitle>
+          </DialogHeader>
+
+          {createdKey ? (
+            <div className="space-y-4">
+              <Alert>
+                <AlertDescription>
+                  {language === 'id'
+                    ? 'Salin key ini sekarang. Key tidak akan ditampilkan lagi.'
+                    : 'Copy this key now. It will not be shown again.'}
+                </AlertDescription>
+              </Alert>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 break-all rounded bg-muted px-2 py-1 text-sm">{createdKey}</code>
+                <Button variant="ghost" size="icon" onClick={() => copyToClipboard(createdKey)}>
+                  <Copy className="h-4 w-4" />
+                </Button>
+              </div>
+              <Button className="w-full" onClick={() => setDialogOpen(false)}>
+                {language === 'id' ? 'Selesai' : 'Done'}
+              </Button>
+            </div>
+          ) : (
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="api_key_name">{language === 'id' ? 'Nama' : 'Name'}</Label>
+                <Input
+                  id="api_key_name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="GitHub Actions"
+                  required
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Scopes</Label>
+                {SCOPES.map((scope) => (
+                  <div key={scope.value} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`scope_${scope.value}`}
+                      checked={scopes.includes(scope.value)}
+                      onCheckedChange={(checked) => toggleScope(scope.value, checked === true)}
+                    />
+                    <Label htmlFor={`scope_${scope.value}`} className="font-normal">
+                      <code className="text-xs">{scope.value}</code>
+                      <span className="text-muted-foreground"> - {language === 'id' ? scope.id : scope.en}</span>
+                    </Label>
+                  </div>
+                ))}
+              </div>
+
+              <div className="space-y-2">
+                <Label>{language === 'id' ? 'Masa berlaku' : 'Expiration'}</Label>
+                <Select value={expiry} onValueChange={setExpiry}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {EXPIRY_OPTIONS.map((option) => (
+                      <SelectItem key={option} value={option}>
+                        {option === 'never'
+                          ? (language === 'id' ? 'Tidak kedaluwarsa' : 'No expiration')
+                          : (language === 'id' ? `${option} hari` : `${option} days`)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading !== null || scopes.length === 0}>
+                {loading === 'create' && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                {language === 'id' ? 'Buat' : 'Create'}
+              </Button>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,261 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ChevronLeft, ChevronRight, Download, ScrollText } from 'lucide-react';
+import { toast } from 'sonner';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient } from '@/lib/api';
+import Cookies from 'js-cookie';
+
+interface AuditEvent {
+  id: string;
+  actor_id: string | null;
+  actor_email: string | null;
+  action: string;
+  target_type: string | null;
+  target_id: string | null;
+  metadata: Record<string, unknown>;
+  ip_address: string | null;
+  user_agent: string | null;
+  created_at: string;
+}
+
+// Actions written by the backend (routes/auth.js, tunnels.js, admin.js, api-keys.js)
+const ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.logout',
+  'auth.register',
+  'auth.email_verify',
+  'auth.password_change',
+  'auth.password_reset_request',
+  'auth.password_reset',
+  'auth.2fa_enable',
+  'auth.2fa_disable',
+  'auth.recovery_codes_regenerate',
+  'auth.session_revoke',
+  'auth.sessions_revoke',
+  'api_key.create',
+  'api_key.revoke',
+  'tunnel.create',
+  'tunnel.delete',
+  'tunnel.status_update',
+  'tunnel.access_update',
+  'tunnel.ip_rules_update',
+  'tunnel.traffic_rules_update',
+  'tunnel.webhook_verification_update',
+  'tunnel.request_replay',
+  'tunnel.domain_add',
+  'tunnel.domain_verify',
+  'tunnel.domain_certificate_request',
+  'tunnel.domain_remove',
+  'tunnel.token_create',
+  'tunnel.token_rotate',
+  'tunnel.token_revoke',
+  'admin.user_plan_update',
+  'admin.user_2fa_reset',
+  'admin.server_location_create',
+  'admin.settings_update',
+  'admin.audit_export',
+];
+
+const ALL_ACTIONS = 'all';
+const PAGE_SIZE = 25;
+
+// Own events for users (/api/audit), everyone's for admins (/api/admin/audit)
+export default function AuditLogPanel({ admin = false }: { admin?: boolean }) {
+  const [events, setEvents] = useState<AuditEvent[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [action, setAction] = useState(ALL_ACTIONS);
+  const [actorEmail, setActorEmail] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  const endpoint = admin ? '/api/admin/audit' : '/api/audit';
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+  });
+
+  // Dates are picked as whole local days
+  const queryString = (extra: Record<string, string>) => {
+    const params = new URLSearchParams(extra);
+    if (action !== ALL_ACTIONS) params.set('action', action);
+    if (admin && actorEmail.trim()) params.set('actor_email', actorEmail.trim());
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return params.toString();
+  };
+
+  const fetchEvents = async (targetPage = page) => {
+    try {
+      const response = await apiClient.get(`${endpoint}?${queryString({ page: String(targetPage), limit: String(PAGE_SIZE) })}`, {
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setEvents(data.events);
+        setTotal(data.total);
+        setPage(targetPage);
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal memuat log audit' : 'Failed to load audit log'));
+      }
+    } catch (error) {
+      console.error('Failed to fetch audit events:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents(1);
+  }, [action]);
+
+  const handleFilter = (e: React.FormEvent) => {
+    e.preventDefault();
+    fetchEvents(1);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await apiClient.get(`${endpoint}?${queryString({ format: 'csv' })}`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        toast.error(error.message || (language === 'id' ? 'Gagal mengekspor log audit' : 'Failed to export audit log'));
+        return;
+      }
+      const filename = response.headers.get('content-disposition')?.match(/filename="(.+)"/)?.[1] || 'tunlify-audit.csv';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengekspor log audit' : 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const describeTarget = (event: AuditEvent) => {
+    const { metadata } = event;
+    const label = metadata.tunnel || metadata.hostname || metadata.email || metadata.name;
+    if (!event.target_type) return '-';
+    return label ? `${event.target_type}: ${label}` : event.target_type;
+  };
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <Card className={admin ? undefined : 'mt-8'}>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <ScrollText className="h-5 w-5" />
+            {t('auditLog')}
+          </CardTitle>
+          <Button size="sm" variant="outline" onClick={handleExport} disabled={exporting}>
+            <Download className="h-4 w-4 mr-1" />
+            CSV
+          </Button>
+        </div>
+        <p className="text-sm text-muted-foreground">
+          {admin
+            ? (language === 'id' ? 'Aktivitas akun, tunnel dan admin semua user.' : 'Account, tunnel and admin activity of every user.')
+            : (language === 'id' ? 'Aktivitas akun Anda, termasuk percobaan login yang gagal.' : 'Activity of your account, including failed sign-in attempts.')}
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleFilter} className="flex flex-wrap items-center gap-2">
+          <Select value={action} onValueChange={setAction}>
+            <SelectTrigger className="w-[260px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_ACTIONS}>{language === 'id' ? 'Semua aksi' : 'All actions'}</SelectItem>
+              {ACTIONS.filter((item) => admin || !item.startsWith('admin.')).map((item) => (
+                <SelectItem key={item} value={item}>{item}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {admin && (
+            <Input
+              type="email"
+              value={actorEmail}
+              onChange={(e) => setActorEmail(e.target.value)}
+              placeholder={language === 'id' ? 'Email pelaku' : 'Actor email'}
+              className="w-[220px]"
+            />
+          )}
+          <Input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="w-[160px]" />
+          <Input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="w-[160px]" />
+          <Button type="submit" size="sm" variant="secondary">
+            {language === 'id' ? 'Terapkan' : 'Apply'}
+          </Button>
+        </form>
+
+        {events.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            {language === 'id' ? 'Tidak ada aktivitas.' : 'No activity.'}
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{language === 'id' ? 'Waktu' : 'Time'}</TableHead>
+                {admin && <TableHead>{language === 'id' ? 'Pelaku' : 'Actor'}</TableHead>}
+                <TableHead>{language === 'id' ? 'Aksi' : 'Action'}</TableHead>
+                <TableHead>{language === 'id' ? 'Target' : 'Target'}</TableHead>
+                <TableHead>IP</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {events.map((event) => (
+                <TableRow key={event.id}>
+                  <TableCell className="whitespace-nowrap text-sm">{new Date(event.created_at).toLocaleString()}</TableCell>
+                  {admin && <TableCell className="text-sm">{event.actor_email || '-'}</TableCell>}
+                  <TableCell>
+                    <Badge variant={event.action === 'auth.login_failed' ? 'destructive' : 'secondary'}>{event.action}</Badge>
+                  </TableCell>
+                  <TableCell className="text-sm">{describeTarget(event)}</TableCell>
+                  <TableCell className="text-sm text-muted-foreground" title={event.user_agent || undefined}>
+                    {event.ip_address || '-'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>
+            {total} {language === 'id' ? 'kejadian' : total === 1 ? 'event' : 'events'}
+          </span>
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={() => fetchEvents(page - 1)} disabled={page <= 1}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <span>{page} / {pages}</span>
+            <Button variant="outline" size="sm" onClick={() => fetchEvents(page + 1)} disabled={page >= pages}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
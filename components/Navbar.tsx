@@ -88,6 +88,15 @@ export default function Navbar() {
                   <DropdownMenuItem onClick={() => router.push(user.role === 'admin' ? '/admin' : '/dashboard')}>
                     {user.role === 'admin' ? t('adminPanel') : t('dashboard')}
                   </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => router.push('/dashboard/password')}>
+                    {t('changePassword')}
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => router.push('/dashboard/security')}>
+                    {t('twoFactorAuth')}
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => router.push('/dashboard/organizations')}>
+                    {t('organizations')}
+                  </DropdownMenuItem>
                   <DropdownMenuItem onClick={handleLogout}>
                     {t('logout')}
                   </DropdownMenuItem>
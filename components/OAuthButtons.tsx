@@ -0,0 +1,102 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Github, KeyRound } from 'lucide-react';
+import { useLanguage } from '@/hooks/useLanguage';
+import { getTranslation } from '@/lib/i18n';
+import { apiClient, getApiUrl } from '@/lib/api';
+
+interface OAuthProvider {
+  name: string;
+  label: string;
+}
+
+const GoogleIcon = () => (
+  <svg className="mr-2 h-4 w-4" viewBox="0 0 24 24">
+    <path
+      fill="currentColor"
+      d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"
+    />
+    <path
+      fill="currentColor"
+      d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"
+    />
+    <path
+      fill="currentColor"
+      d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"
+    />
+    <path
+      fill="currentColor"
+      d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"
+    />
+  </svg>
+);
+
+// Errors the backend sends back as /login?oauth_error=<code>
+export const getOAuthErrorMessage = (code: string, language: string) => {
+  const messages: Record<string, [string, string]> = {
+    access_denied: ['Sign-in was cancelled', 'Login dibatalkan'],
+    email_not_verified: [
+      'Your provider account has no verified email address',
+      'Akun penyedia Anda tidak memiliki email yang terverifikasi',
+    ],
+    invalid_state: ['Sign-in expired, please try again', 'Sesi login kedaluwarsa, silakan coba lagi'],
+    unknown_provider: ['This sign-in method is not available', 'Metode login ini tidak tersedia'],
+  };
+  const [en, id] = messages[code] || ['Sign-in with the provider failed', 'Login melalui penyedia gagal'];
+  return language === 'id' ? id : en;
+};
+
+// "Or" divider and one button per configured sign-in provider, nothing when none is set up
+export default function OAuthButtons() {
+  const [providers, setProviders] = useState<OAuthProvider[]>([]);
+  const { language } = useLanguage();
+
+  const t = (key: string) => getTranslation(key, language);
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await apiClient.get('/api/auth/oauth/providers');
+        if (response.ok) {
+          const data = await response.json();
+          setProviders(data.providers);
+        }
+      } catch (error) {
+        console.error('Failed to fetch sign-in providers:', error);
+      }
+    };
+    fetchProviders();
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <>
+      <div className="relative">
+        <div className="absolute inset-0 flex items-center">
+          <span className="w-full border-t" />
+        </div>
+        <div className="relative flex justify-center text-xs uppercase">
+          <span className="bg-background px-2 text-muted-foreground">
+            {language === 'id' ? 'Atau' : 'Or'}
+          </span>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {providers.map((provider) => (
+          <Button key={provider.name} variant="outline" className="w-full" asChild>
+            <a href={getApiUrl(`/api/auth/oauth/${provider.name}/start`)}>
+              {provider.name === 'google' && <GoogleIcon />}
+              {provider.name === 'github' && <Github className="mr-2 h-4 w-4" />}
+              {provider.name !== 'google' && provider.name !== 'github' && <KeyRound className="mr-2 h-4 w-4" />}
+              {provider.name === 'google' ? t('continueWithGoogle') : `${t('continueWith')} ${provider.label}`}
+            </a>
+          </Button>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,192 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Laptop, LogOut, RefreshCw, Smartphone } from 'lucide-react';
+import { toast } from 'sonner';
+import { useAuth } from '@/hooks/useAuth';
+import { useLanguage } from '@/hooks/useLanguage';
+import { apiClient } from '@/lib/api';
+import Cookies from 'js-cookie';
+
+interface AuthSession {
+  id: string;
+  user_agent: string | null;
+  ip_address: string | null;
+  created_at: string;
+  last_used_at: string;
+  current: boolean;
+}
+
+// "Chrome on Windows" from a user agent, good enough to tell devices apart
+const describeUserAgent = (userAgent: string | null) => {
+  if (!userAgent) return null;
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ].find(([marker]) => userAgent.includes(marker));
+  const os = [
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'],
+    ['Linux', 'Linux'],
+  ].find(([marker]) => userAgent.includes(marker));
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser && browser[1], os && os[1]].filter(Boolean).join(' · ');
+};
+
+const isMobile = (userAgent: string | null) => !!userAgent && /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+// Signed-in browsers and devices of the current user, each can be signed out
+export default function SessionsPanel() {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [loading, setLoading] = useState<string | null>(null);
+  const { logout } = useAuth();
+  const { language } = useLanguage();
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+  });
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiClient.get('/api/auth/sessions', {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        setSessions(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session: AuthSession) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    setLoading(session.id);
+    try {
+      const response = await apiClient.delete(`/api/auth/sessions/${session.id}`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        toast.success(language === 'id' ? 'Sesi dikeluarkan' : 'Session signed out');
+        fetchSessions();
+      } else {
+        const error = await response.json();
+        toast.error(error.message || (language === 'id' ? 'Gagal mengeluarkan sesi' : 'Failed to sign out session'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengeluarkan sesi' : 'Failed to sign out session');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setLoading('others');
+    try {
+      const response = await apiClient.delete('/api/auth/sessions', {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        const data = await response.json();
+        toast.success(language === 'id'
+          ? `${data.revoked} sesi lain dikeluarkan`
+          : `Signed out of ${data.revoked} other session(s)`);
+        fetchSessions();
+      } else {
+        const error = await response.json();
+        toast.error(error.message || (language === 'id' ? 'Gagal mengeluarkan sesi' : 'Failed to sign out sessions'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengeluarkan sesi' : 'Failed to sign out sessions');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  return (
+    <Card className="mt-8">
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Laptop className="h-5 w-5" />
+            {language === 'id' ? 'Sesi Aktif' : 'Active Sessions'}
+          </CardTitle>
+          <div className="flex items-center gap-2">
+            {sessions.length > 1 && (
+              <Button variant="outline" size="sm" onClick={handleRevokeOthers} disabled={loading !== null}>
+                {language === 'id' ? 'Keluarkan sesi lain' : 'Sign out other sessions'}
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={fetchSessions}>
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {sessions.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            {language === 'id' ? 'Tidak ada sesi aktif.' : 'No active sessions.'}
+          </div>
+        ) : (
+          <div className="divide-y border rounded-lg">
+            {sessions.map((session) => (
+              <div key={session.id} className="flex items-center justify-between gap-4 p-4">
+                <div className="flex items-center gap-3 min-w-0">
+                  {isMobile(session.user_agent)
+                    ? <Smartphone className="h-5 w-5 text-muted-foreground shrink-0" />
+                    : <Laptop className="h-5 w-5 text-muted-foreground shrink-0" />}
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 font-medium">
+                      <span className="truncate">
+                        {describeUserAgent(session.user_agent) || (language === 'id' ? 'Perangkat tidak dikenal' : 'Unknown device')}
+                      </span>
+                      {session.current && (
+                        <Badge variant="secondary">{language === 'id' ? 'Perangkat ini' : 'This device'}</Badge>
+                      )}
+                    </div>
+                    <div className="text-sm text-muted-foreground">
+                      {session.ip_address && <span className="font-mono">{session.ip_address} · </span>}
+                      {language === 'id' ? 'Terakhir aktif' : 'Last active'}: {new Date(session.last_used_at).toLocaleString()}
+                      {' · '}
+                      {language === 'id' ? 'Masuk' : 'Signed in'}: {new Date(session.created_at).toLocaleDateString()}
+                    </div>
+                  </div>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevoke(session)}
+                  disabled={loading !== null}
+                >
+                  <LogOut className="h-4 w-4 mr-1" />
+                  {session.current
+                    ? (language === 'id' ? 'Keluar' : 'Sign out')
+                    : (language === 'id' ? 'Keluarkan' : 'Revoke')}
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,329 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Copy, KeyRound, Loader2, Plus, RotateCcw, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { useLanguage } from '@/hooks/useLanguage';
+import { apiClient } from '@/lib/api';
+import { workspaceHeaders } from '@/lib/workspace';
+import Cookies from 'js-cookie';
+
+interface TunnelToken {
+  id: string;
+  name: string;
+  prefix: string;
+  expires_at: string | null;
+  last_used_at: string | null;
+  created_at: string;
+  expired: boolean;
+}
+
+interface TokenTunnel {
+  id: string;
+  tunnel_url: string;
+}
+
+// Days until a new token expires, 'never' for tokens without expiry
+const EXPIRY_OPTIONS = ['30', '90', '365', 'never'];
+
+// Seconds the old primary token keeps working after a rotation
+const GRACE_OPTIONS = [
+  { value: '0', en: 'Disconnect right away', id: 'Putus sekarang' },
+  { value: '3600', en: '1 hour', id: '1 jam' },
+  { value: '86400', en: '1 day', id: '1 hari' },
+  { value: '604800', en: '7 days', id: '7 hari' },
+];
+
+// Named connection tokens and rotation of the primary token, see
+// backend/utils/tunnel-tokens.js
+export default function TunnelTokensDialog({
+  tunnel,
+  onClose,
+  onRotated,
+}: {
+  tunnel: TokenTunnel | null;
+  onClose: () => void;
+  onRotated: (tunnelId: string, connectionToken: string) => void;
+}) {
+  const [tokens, setTokens] = useState<TunnelToken[]>([]);
+  const [name, setName] = useState('');
+  const [expiry, setExpiry] = useState('never');
+  const [gracePeriod, setGracePeriod] = useState('86400');
+  // Plain token just created or rotated in, shown once
+  const [createdToken, setCreatedToken] = useState<string | null>(null);
+  const [loading, setLoading] = useState<string | null>(null);
+  const { language } = useLanguage();
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+    ...workspaceHeaders(),
+  });
+
+  const fetchTokens = async (tunnelId: string) => {
+    try {
+      const response = await apiClient.get(`/api/tunnels/${tunnelId}/tokens`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        setTokens(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch connection tokens:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (!tunnel) return;
+    setTokens([]);
+    setName('');
+    setExpiry('never');
+    setGracePeriod('86400');
+    setCreatedToken(null);
+    fetchTokens(tunnel.id);
+  }, [tunnel]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!tunnel) return;
+
+    setLoading('create');
+    try {
+      const response = await apiClient.post(`/api/tunnels/${tunnel.id}/tokens`, {
+        name,
+        expires_at: expiry === 'never' ? null : new Date(Date.now() + Number(expiry) * 24 * 60 * 60 * 1000).toISOString(),
+      }, {
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setCreatedToken(data.token);
+        setName('');
+        fetchTokens(tunnel.id);
+      } else {
+        toast.error(data.errors?.[0]?.msg || data.message || (language === 'id' ? 'Gagal membuat token' : 'Failed to create token'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal membuat token' : 'Failed to create token');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleRotate = async () => {
+    if (!tunnel) return;
+    if (!confirm(gracePeriod === '0'
+      ? (language === 'id'
+        ? 'Ganti token utama? Client yang memakai token lama langsung terputus.'
+        : 'Rotate the primary token? Clients using the old token are disconnected right away.')
+      : (language === 'id'
+        ? 'Ganti token utama? Token lama tetap berlaku selama masa tenggang.'
+        : 'Rotate the primary token? The old token keeps working during the grace period.'))) {
+      return;
+    }
+
+    setLoading('rotate');
+    try {
+      const response = await apiClient.post(`/api/tunnels/${tunnel.id}/tokens/rotate`, {
+        grace_period: Number(gracePeriod),
+      }, {
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setCreatedToken(data.connection_token);
+        onRotated(tunnel.id, data.connection_token);
+        fetchTokens(tunnel.id);
+        toast.success(language === 'id' ? 'Token utama diganti' : 'Primary token rotated');
+      } else {
+        toast.error(data.message || (language === 'id' ? 'Gagal mengganti token' : 'Failed to rotate token'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mengganti token' : 'Failed to rotate token');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleRevoke = async (tunnelToken: TunnelToken) => {
+    if (!tunnel) return;
+    if (!confirm(language === 'id'
+      ? `Cabut token "${tunnelToken.name}"? Client yang memakainya langsung terputus.`
+      : `Revoke token "${tunnelToken.name}"? Clients using it are disconnected right away.`)) {
+      return;
+    }
+
+    setLoading(tunnelToken.id);
+    try {
+      const response = await apiClient.delete(`/api/tunnels/${tunnel.id}/tokens/${tunnelToken.id}`, {
+        headers: getAuthHeaders(),
+      });
+      if (response.ok) {
+        toast.success(language === 'id' ? 'Token dicabut' : 'Token revoked');
+        fetchTokens(tunnel.id);
+      } else {
+        const error = await response.json();
+        toast.error(error.message || (language === 'id' ? 'Gagal mencabut token' : 'Failed to revoke token'));
+      }
+    } catch (error) {
+      toast.error(language === 'id' ? 'Gagal mencabut token' : 'Failed to revoke token');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const copyToClipboard = (text: string) => {
+    navigator.clipboard.writeText(text);
+    toast.success(language === 'id' ? 'Disalin ke clipboard!' : 'Copied to clipboard!');
+  };
+
+  return (
+    <Dialog open={!!tunnel} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <KeyRound className="h-5 w-5" />
+            {language === 'id' ? 'Token Koneksi' : 'Connection Tokens'}
+          </DialogTitle>
+        </DialogHeader>
+        {tunnel && (
+          <div className="space-y-6">
+            <div className="text-sm text-muted-foreground">{tunnel.tunnel_url}</div>
+
+            {createdToken && (
+              <div className="space-y-2">
+                <Alert>
+                  <AlertDescription>
+                    {language === 'id'
+                      ? 'Salin token ini sekarang. Token tidak akan ditampilkan lagi di sini.'
+                      : 'Copy this token now. It will not be shown here again.'}
+                  </AlertDescription>
+                </Alert>
+                <div className="flex items-center gap-2">
+                  <code className="flex-1 break-all rounded bg-muted px-2 py-1 text-sm">{createdToken}</code>
+                  <Button variant="ghost" size="icon" onClick={() => copyToClipboard(createdToken)}>
+                    <Copy className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label>{language === 'id' ? 'Ganti token utama' : 'Rotate primary token'}</Label>
+              <div className="flex items-center gap-2">
+                <Select value={gracePeriod} onValueChange={setGracePeriod}>
+                  <SelectTrigger className="flex-1">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {GRACE_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {language === 'id' ? option.id : option.en}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button variant="outline" onClick={handleRotate} disabled={loading !== null}>
+                  {loading === 'rotate'
+                    ? <Loader2 className="mr-1 h-4 w-4 animate-spin" />
+                    : <RotateCcw className="mr-1 h-4 w-4" />}
+                  {language === 'id' ? 'Ganti' : 'Rotate'}
+                </Button>
+              </div>
+              <p className="text-xs text-muted-foreground">
+                {language === 'id'
+                  ? 'Untuk token yang bocor. Subdomain dan port tetap; token lama berlaku sampai masa tenggang habis.'
+                  : 'For leaked tokens. Subdomain and port stay; the old token works until the grace period ends.'}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label>{language === 'id' ? 'Token tambahan' : 'Additional tokens'}</Label>
+              {tokens.length === 0 ? (
+                <div className="text-center py-4 text-sm text-muted-foreground">
+                  {language === 'id' ? 'Belum ada token tambahan.' : 'No additional tokens yet.'}
+                </div>
+              ) : (
+                <div className="divide-y border rounded-lg">
+                  {tokens.map((tunnelToken) => (
+                    <div key={tunnelToken.id} className="flex items-center justify-between gap-4 p-3">
+                      <div className="min-w-0 space-y-1">
+                        <div className="flex items-center gap-2 font-medium">
+                          <span className="truncate">{tunnelToken.name}</span>
+                          <code className="text-xs text-muted-foreground">{tunnelToken.prefix}…</code>
+                          {tunnelToken.expired && (
+                            <Badge variant="destructive">{language === 'id' ? 'Kedaluwarsa' : 'Expired'}</Badge>
+                          )}
+                        </div>
+                        <div className="text-sm text-muted-foreground">
+                          {language === 'id' ? 'Terakhir dipakai' : 'Last used'}:{' '}
+                          {tunnelToken.last_used_at
+                            ? new Date(tunnelToken.last_used_at).toLocaleString()
+                            : (language === 'id' ? 'belum pernah' : 'never')}
+                          {' · '}
+                          {language === 'id' ? 'Kedaluwarsa' : 'Expires'}:{' '}
+                          {tunnelToken.expires_at
+                            ? new Date(tunnelToken.expires_at).toLocaleString()
+                            : (language === 'id' ? 'tidak pernah' : 'never')}
+                        </div>
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleRevoke(tunnelToken)}
+                        disabled={loading !== null}
+                      >
+                        <Trash2 className="h-4 w-4 mr-1" />
+                        {language === 'id' ? 'Cabut' : 'Revoke'}
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-2">
+              <div className="flex-1 space-y-2">
+                <Label htmlFor="tunnel_token_name">{language === 'id' ? 'Nama' : 'Name'}</Label>
+                <Input
+                  id="tunnel_token_name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder={language === 'id' ? 'Laptop kantor' : 'Office laptop'}
+                  required
+                />
+              </div>
+              <Select value={expiry} onValueChange={setExpiry}>
+                <SelectTrigger className="w-[160px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <SelectItem key={option} value={option}>
+                      {option === 'never'
+                        ? (language === 'id' ? 'Tidak kedaluwarsa' : 'No expiration')
+                        : (language === 'id' ? `${option} hari` : `${option} days`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button type="submit" disabled={loading !== null}>
+                {loading === 'create'
+                  ? <Loader2 className="mr-1 h-4 w-4 animate-spin" />
+                  : <Plus className="mr-1 h-4 w-4" />}
+                {language === 'id' ? 'Buat' : 'Create'}
+              </Button>
+            </form>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,88 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Building2 } from 'lucide-react';
+import { useLanguage } from '@/hooks/useLanguage';
+import { apiClient } from '@/lib/api';
+import { Organization, getWorkspaceId, setWorkspaceId } from '@/lib/workspace';
+import Cookies from 'js-cookie';
+
+const PERSONAL = 'personal';
+
+// Personal workspace or one of the user's organizations; `onChange` gets the
+// organization (null for personal) once loaded and after every switch
+export default function WorkspaceSwitcher({ onChange }: { onChange: (organization: Organization | null) => void }) {
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [selected, setSelected] = useState(PERSONAL);
+  const [pendingInvitations, setPendingInvitations] = useState(0);
+  const { language } = useLanguage();
+
+  const getAuthHeaders = () => ({
+    'Authorization': `Bearer ${Cookies.get('auth_token')}`,
+    'Content-Type': 'application/json',
+  });
+
+  const fetchOrganizations = async () => {
+    try {
+      const [orgsResponse, invitationsResponse] = await Promise.all([
+        apiClient.get('/api/organizations', { headers: getAuthHeaders() }),
+        apiClient.get('/api/organizations/invitations', { headers: getAuthHeaders() }),
+      ]);
+      if (invitationsResponse.ok) {
+        setPendingInvitations((await invitationsResponse.json()).length);
+      }
+      if (!orgsResponse.ok) return;
+
+      const data: Organization[] = await orgsResponse.json();
+      setOrganizations(data);
+
+      // Left an organization or another user signed in on this browser
+      const current = data.find((organization) => organization.id === getWorkspaceId()) || null;
+      if (!current) setWorkspaceId(null);
+      setSelected(current ? current.id : PERSONAL);
+      onChange(current);
+    } catch (error) {
+      console.error('Failed to fetch organizations:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchOrganizations();
+  }, []);
+
+  const handleSelect = (value: string) => {
+    const organization = organizations.find((item) => item.id === value) || null;
+    setWorkspaceId(organization ? organization.id : null);
+    setSelected(value);
+    onChange(organization);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Building2 className="h-4 w-4 text-muted-foreground" />
+      <Select value={selected} onValueChange={handleSelect}>
+        <SelectTrigger className="w-[220px]">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={PERSONAL}>{language === 'id' ? 'Pribadi' : 'Personal'}</SelectItem>
+          {organizations.map((organization) => (
+            <SelectItem key={organization.id} value={organization.id}>
+              {organization.name} <span className="text-muted-foreground">· {organization.role}</span>
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Button variant="ghost" size="sm" asChild>
+        <Link href="/dashboard/organizations">
+          {language === 'id' ? 'Kelola' : 'Manage'}
+          {pendingInvitations > 0 && <Badge className="ml-2">{pendingInvitations}</Badge>}
+        </Link>
+      </Button>
+    </div>
+  );
+}
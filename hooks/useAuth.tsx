@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect, createContext, useContext } from 'react';
+import { useState, useEffect, useRef, createContext, useContext } from 'react';
 import { useRouter } from 'next/navigation';
 import Cookies from 'js-cookie';
 import { apiClient } from '@/lib/api';
@@ -10,31 +10,146 @@ interface User {
   email: string;
   name: string;
   role: 'user' | 'admin';
+  // The admin requires 2FA and this account hasn't set it up yet
+  two_factor_setup_required?: boolean;
 }
 
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<string | null>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>;
+  loginWithToken: (token: string) => Promise<void>;
   register: (email: string, password: string, name: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
   refreshUser: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Access tokens live 15 minutes; they are refreshed a minute before they expire with
+// the httpOnly refresh cookie the backend sets on sign-in
+const REFRESH_MARGIN = 60;
+
+// Seconds until a JWT expires, from its `exp` claim
+const tokenExpiresIn = (token: string) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp - Date.now() / 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
+// auth_token holds the access token until it expires; has_session only tells that a
+// refresh cookie may exist, so signed-out visitors don't call /refresh on every page
+const storeSession = (token: string) => {
+  Cookies.set('auth_token', token, { expires: new Date(Date.now() + tokenExpiresIn(token) * 1000) });
+  Cookies.set('has_session', '1', { expires: 30 });
+};
+
+const clearSession = () => {
+  Cookies.remove('auth_token');
+  Cookies.remove('has_session');
+};
+
+const SECURITY_PAGE = '/dashboard/security';
+
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [loading, setLoading] = useState(true);
   const router = useRouter();
+  const refreshing = useRef<Promise<string | null> | null>(null);
 
   useEffect(() => {
     checkAuth();
   }, []);
 
+  // Keep the access token fresh while signed in. Timers stall while a laptop sleeps,
+  // so the token is checked again when the tab becomes visible.
+  useEffect(() => {
+    if (!user) return;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const schedule = () => {
+      const token = Cookies.get('auth_token');
+      const delay = token ? Math.max(tokenExpiresIn(token) - REFRESH_MARGIN, 0) * 1000 : 0;
+      timer = setTimeout(async () => {
+        // Another tab may have refreshed already
+        const current = Cookies.get('auth_token');
+        if (current && tokenExpiresIn(current) > REFRESH_MARGIN) {
+          schedule();
+          return;
+        }
+        if (await refreshSession()) {
+          schedule();
+        } else {
+          clearSession();
+          setUser(null);
+          router.push('/login');
+        }
+      }, delay);
+    };
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') {
+        clearTimeout(timer);
+        schedule();
+      }
+    };
+
+    schedule();
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [user]);
+
+  // New access token from the refresh cookie, null when the session is gone
+  const refreshSession = () => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        try {
+          const response = await apiClient.post('/api/auth/refresh', {}, { credentials: 'include' });
+          if (response.ok) {
+            const { token } = await response.json();
+            storeSession(token);
+            return token as string;
+          }
+
+          const error = await response.json().catch(() => ({}));
+          // Another tab refreshed with the same cookie a moment earlier
+          if (error.code === 'REFRESH_TOKEN_ROTATED') {
+            await new Promise((resolve) => setTimeout(resolve, 1000));
+            const token = Cookies.get('auth_token');
+            if (token && tokenExpiresIn(token) > REFRESH_MARGIN) return token;
+          }
+          return null;
+        } catch (error) {
+          console.error('Session refresh failed:', error);
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
+    }
+    return refreshing.current;
+  };
+
   const checkAuth = async () => {
     try {
-      const token = Cookies.get('auth_token');
+      let token = Cookies.get('auth_token');
+      if (!token && Cookies.get('has_session')) {
+        token = (await refreshSession()) || undefined;
+        if (!token) {
+          clearSession();
+          // middleware.ts let the page through on the strength of has_session
+          if (/^\/(dashboard|admin)(\/|$)/.test(window.location.pathname)) {
+            router.push('/login');
+          }
+        }
+      }
       if (!token) {
         setLoading(false);
         return;
@@ -49,38 +164,87 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       if (response.ok) {
         const userData = await response.json();
         setUser(userData);
+        if (userData.two_factor_setup_required && window.location.pathname !== SECURITY_PAGE) {
+          router.push(SECURITY_PAGE);
+        }
       } else {
-        Cookies.remove('auth_token');
+        clearSession();
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      Cookies.remove('auth_token');
+      clearSession();
     } finally {
       setLoading(false);
     }
   };
 
+  const completeSignIn = (token: string, userData: User) => {
+    storeSession(token);
+    setUser(userData);
+
+    // Redirect based on role, or to the 2FA setup when the admin requires it
+    if (userData.two_factor_setup_required) {
+      router.push(SECURITY_PAGE);
+    } else if (userData.role === 'admin') {
+      router.push('/admin');
+    } else {
+      router.push('/dashboard');
+    }
+  };
+
+  // Resolves to a challenge token when the account has 2FA on; the sign-in is then
+  // finished with verifyTwoFactor
   const login = async (email: string, password: string) => {
+    // credentials: the refresh token comes back as an httpOnly cookie
     const response = await apiClient.post('/api/auth/login', {
       email,
       password,
-    });
+    }, { credentials: 'include' });
 
     if (!response.ok) {
       const error = await response.json();
       throw new Error(error.message || 'Login failed');
     }
 
+    const data = await response.json();
+    if (data.two_factor_required) {
+      return data.challenge_token as string;
+    }
+
+    completeSignIn(data.token, data.user);
+    return null;
+  };
+
+  // Second step: a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    const response = await apiClient.post('/api/auth/login/2fa', {
+      challenge_token: challengeToken,
+      code,
+    }, { credentials: 'include' });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Verification failed');
+    }
+
     const { token, user: userData } = await response.json();
-    Cookies.set('auth_token', token, { expires: 7 });
-    setUser(userData);
-    
-    // Redirect based on role
-    if (userData.role === 'admin') {
-      router.push('/admin');
-    } else {
-      router.push('/dashboard');
+    completeSignIn(token, userData);
+  };
+
+  // Access token from a provider sign-in (/auth/callback); the backend set the
+  // refresh cookie on its redirect
+  const loginWithToken = async (token: string) => {
+    const response = await apiClient.get('/api/auth/me', {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error('Sign-in failed');
     }
+
+    completeSignIn(token, await response.json());
   };
 
   const register = async (email: string, password: string, name: string) => {
@@ -100,8 +264,22 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
     return data;
   };
 
-  const logout = () => {
-    Cookies.remove('auth_token');
+  // Revokes the session on the backend, so a copied token stops working too
+  const logout = async () => {
+    const token = Cookies.get('auth_token');
+    if (token) {
+      try {
+        await apiClient.post('/api/auth/logout', {}, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          credentials: 'include',
+        });
+      } catch (error) {
+        console.error('Logout failed:', error);
+      }
+    }
+    clearSession();
     setUser(null);
     router.push('/');
   };
@@ -115,6 +293,8 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       user,
       loading,
       login,
+      verifyTwoFactor,
+      loginWithToken,
       register,
       logout,
       refreshUser,
@@ -40,6 +40,19 @@ export const apiClient = {
     return response;
   },
 
+  patch: async (endpoint: string, data: any, options: RequestInit = {}) => {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+      body: JSON.stringify(data),
+      ...options,
+    });
+    return response;
+  },
+
   delete: async (endpoint: string, options: RequestInit = {}) => {
     const response = await fetch(`${API_BASE_URL}${endpoint}`, {
       method: 'DELETE',
@@ -53,4 +66,10 @@ export const apiClient = {
   },
 };
 
+// WebSocket URL on the backend, e.g. for the request inspector feed
+export const getWebSocketUrl = (path: string) => API_BASE_URL.replace(/^http/, 'ws') + path;
+
+// Backend URL for full-page navigation, e.g. starting a provider sign-in
+export const getApiUrl = (path: string) => API_BASE_URL + path;
+
 export default apiClient;
\ No newline at end of file
@@ -43,6 +43,17 @@ export const translations = {
     signUp: 'Sign up',
     signIn: 'Sign in',
     continueWithGoogle: 'Continue with Google',
+    continueWith: 'Continue with',
+    resetPassword: 'Reset Password',
+    changePassword: 'Change Password',
+    currentPassword: 'Current Password',
+    newPassword: 'New Password',
+    sendResetLink: 'Send Reset Link',
+    backToLogin: 'Back to login',
+    twoFactorAuth: 'Two-Factor Authentication',
+    recoveryCodes: 'Recovery Codes',
+    organizations: 'Organizations',
+    auditLog: 'Audit Log',
     
     // Dashboard
     myTunnels: 'My Tunnels',
@@ -107,6 +118,17 @@ export const translations = {
     signUp: 'Daftar',
     signIn: 'Masuk',
     continueWithGoogle: 'Lanjutkan dengan Google',
+    continueWith: 'Lanjutkan dengan',
+    resetPassword: 'Atur Ulang Kata Sandi',
+    changePassword: 'Ubah Kata Sandi',
+    currentPassword: 'Kata Sandi Saat Ini',
+    newPassword: 'Kata Sandi Baru',
+    sendResetLink: 'Kirim Link Reset',
+    backToLogin: 'Kembali ke login',
+    twoFactorAuth: 'Autentikasi Dua Faktor',
+    recoveryCodes: 'Kode Pemulihan',
+    organizations: 'Organisasi',
+    auditLog: 'Log Audit',
     
     // Dashboard
     myTunnels: 'Tunnel Saya',
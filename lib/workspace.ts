@@ -0,0 +1,28 @@
+import Cookies from 'js-cookie';
+
+// Organization the dashboard works in, the personal workspace when unset. The backend
+// reads it from the X-Organization-Id header on /api/tunnels requests.
+const WORKSPACE_COOKIE = 'workspace';
+
+export interface Organization {
+  id: string;
+  name: string;
+  owner_id: string;
+  role: 'owner' | 'admin' | 'developer' | 'viewer';
+  created_at: string;
+}
+
+export const getWorkspaceId = () => Cookies.get(WORKSPACE_COOKIE) || null;
+
+export const setWorkspaceId = (organizationId: string | null) => {
+  if (organizationId) {
+    Cookies.set(WORKSPACE_COOKIE, organizationId, { expires: 365 });
+  } else {
+    Cookies.remove(WORKSPACE_COOKIE);
+  }
+};
+
+export const workspaceHeaders = (): Record<string, string> => {
+  const organizationId = getWorkspaceId();
+  return organizationId ? { 'X-Organization-Id': organizationId } : {};
+};
@@ -16,6 +16,11 @@ export function middleware(request: NextRequest) {
     const token = request.cookies.get('auth_token')?.value;
 
     if (!token) {
+      // The access token expired but the refresh cookie may still be valid;
+      // useAuth refreshes it on the page (or sends the user to /login)
+      if (request.cookies.get('has_session')) {
+        return NextResponse.next();
+      }
       return NextResponse.redirect(new URL('/login', request.url));
     }
 
@@ -0,0 +1,91 @@
+/*
+  # Bandwidth and request metering
+
+  1. Schema Updates
+    - Add plan column to users (free, pro, enterprise)
+    - Add tunnel_usage table with monthly rollups per tunnel
+    - Add user_usage table with monthly rollups per user, kept when tunnels are deleted
+
+  2. Functions
+    - record_usage() adds counters to both rollups atomically, so several backend
+      instances can report traffic for the same tunnel
+
+  3. Security
+    - Enable RLS on the new tables; only the service role writes them
+*/
+
+-- Add plan column
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'plan'
+  ) THEN
+    ALTER TABLE users ADD COLUMN plan text NOT NULL DEFAULT 'free';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.check_constraints
+    WHERE constraint_name = 'users_plan_check'
+  ) THEN
+    ALTER TABLE users ADD CONSTRAINT users_plan_check
+      CHECK (plan IN ('free', 'pro', 'enterprise'));
+  END IF;
+END $$;
+
+-- Monthly rollups, period is the first day of the month (UTC)
+CREATE TABLE IF NOT EXISTS tunnel_usage (
+  tunnel_id uuid NOT NULL REFERENCES tunnels(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  period date NOT NULL,
+  bytes_in bigint NOT NULL DEFAULT 0,
+  bytes_out bigint NOT NULL DEFAULT 0,
+  requests bigint NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (tunnel_id, period)
+);
+
+CREATE TABLE IF NOT EXISTS user_usage (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  period date NOT NULL,
+  bytes_in bigint NOT NULL DEFAULT 0,
+  bytes_out bigint NOT NULL DEFAULT 0,
+  requests bigint NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, period)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tunnel_usage_user_period
+  ON tunnel_usage(user_id, period);
+
+ALTER TABLE tunnel_usage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_usage ENABLE ROW LEVEL SECURITY;
+
+-- Add counters to the rollups of a tunnel and its owner
+CREATE OR REPLACE FUNCTION record_usage(
+  p_tunnel_id uuid,
+  p_user_id uuid,
+  p_period date,
+  p_bytes_in bigint,
+  p_bytes_out bigint,
+  p_requests bigint
+) RETURNS void
+LANGUAGE sql
+AS $$
+  INSERT INTO tunnel_usage (tunnel_id, user_id, period, bytes_in, bytes_out, requests)
+  SELECT p_tunnel_id, p_user_id, p_period, p_bytes_in, p_bytes_out, p_requests
+  WHERE EXISTS (SELECT 1 FROM tunnels WHERE id = p_tunnel_id)
+  ON CONFLICT (tunnel_id, period) DO UPDATE SET
+    bytes_in = tunnel_usage.bytes_in + EXCLUDED.bytes_in,
+    bytes_out = tunnel_usage.bytes_out + EXCLUDED.bytes_out,
+    requests = tunnel_usage.requests + EXCLUDED.requests,
+    updated_at = now();
+
+  INSERT INTO user_usage (user_id, period, bytes_in, bytes_out, requests)
+  VALUES (p_user_id, p_period, p_bytes_in, p_bytes_out, p_requests)
+  ON CONFLICT (user_id, period) DO UPDATE SET
+    bytes_in = user_usage.bytes_in + EXCLUDED.bytes_in,
+    bytes_out = user_usage.bytes_out + EXCLUDED.bytes_out,
+    requests = user_usage.requests + EXCLUDED.requests,
+    updated_at = now();
+$$;
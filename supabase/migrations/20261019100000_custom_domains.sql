@@ -0,0 +1,38 @@
+/*
+  # Custom domains for HTTP tunnels
+
+  1. New Tables
+    - custom_domains: hostnames users attach to their tunnels
+      - verification_token is published in a DNS TXT record to prove ownership
+      - verified / verified_at are set once the TXT record was found
+
+  2. Constraints
+    - A hostname can be claimed by several users while unverified, but only one
+      verified claim may exist (partial unique index)
+
+  3. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS custom_domains (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tunnel_id uuid NOT NULL REFERENCES tunnels(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hostname text NOT NULL,
+  verification_token text NOT NULL,
+  verified boolean NOT NULL DEFAULT false,
+  verified_at timestamptz,
+  last_checked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_domains_verified_hostname
+  ON custom_domains(hostname) WHERE verified;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_custom_domains_tunnel_hostname
+  ON custom_domains(tunnel_id, hostname);
+
+CREATE INDEX IF NOT EXISTS idx_custom_domains_user_id
+  ON custom_domains(user_id);
+
+ALTER TABLE custom_domains ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,63 @@
+/*
+  # TLS certificates for custom domains
+
+  1. Schema Updates
+    - custom_domains gets a certificate status (none, pending, issued, failed, expiring),
+      expiry, issue time and the last issuance error
+
+  2. New Tables
+    - domain_certificates: certificate chain and private key per custom domain, kept
+      apart from custom_domains so key material never ends up in API selects
+    - acme_challenges: HTTP-01 tokens, served by whichever instance the CA reaches
+    - acme_accounts: ACME account key per directory URL (Let's Encrypt, Pebble, ...)
+
+  3. Security
+    - Enable RLS on the new tables; only the service role reads them
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'custom_domains' AND column_name = 'certificate_status'
+  ) THEN
+    ALTER TABLE custom_domains ADD COLUMN certificate_status text NOT NULL DEFAULT 'none'
+      CHECK (certificate_status IN ('none', 'pending', 'issued', 'failed', 'expiring'));
+    ALTER TABLE custom_domains ADD COLUMN certificate_expires_at timestamptz;
+    ALTER TABLE custom_domains ADD COLUMN certificate_issued_at timestamptz;
+    ALTER TABLE custom_domains ADD COLUMN certificate_error text;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS domain_certificates (
+  domain_id uuid PRIMARY KEY REFERENCES custom_domains(id) ON DELETE CASCADE,
+  hostname text NOT NULL,
+  certificate text NOT NULL,
+  private_key text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_certificates_hostname
+  ON domain_certificates(hostname);
+
+CREATE TABLE IF NOT EXISTS acme_challenges (
+  token text PRIMARY KEY,
+  hostname text NOT NULL,
+  key_authorization text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS acme_accounts (
+  directory_url text PRIMARY KEY,
+  account_key text NOT NULL,
+  account_url text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_custom_domains_certificate_status
+  ON custom_domains(certificate_status, certificate_expires_at);
+
+ALTER TABLE domain_certificates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE acme_challenges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE acme_accounts ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+/*
+  # Access policies for HTTP tunnel URLs
+
+  1. Schema Updates
+    - Add access_policy (jsonb) to tunnels, null means public. One of:
+      - { "type": "basic", "username": "...", "password_hash": "<bcrypt>" }
+      - { "type": "bearer", "token_hash": "<bcrypt>" }
+      - { "type": "email", "emails": ["alice@example.com", "@example.com"] }
+
+  2. Security
+    - Secrets are stored as bcrypt hashes only; the API never returns them
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tunnels' AND column_name = 'access_policy'
+  ) THEN
+    ALTER TABLE tunnels ADD COLUMN access_policy jsonb;
+  END IF;
+END $$;
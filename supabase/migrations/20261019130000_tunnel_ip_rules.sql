@@ -0,0 +1,62 @@
+/*
+  # IP allow/deny rules per tunnel
+
+  1. Schema Updates
+    - tunnels.ip_rules: CIDR allow/deny lists and allowed/denied country codes,
+      NULL when the tunnel is open to everyone
+    - tunnel_usage.denied: connections and requests turned away by the IP rules,
+      counted per month next to the traffic
+
+  2. Functions
+    - record_usage() takes the denied counter as well (p_denied, default 0)
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tunnels' AND column_name = 'ip_rules'
+  ) THEN
+    ALTER TABLE tunnels ADD COLUMN ip_rules jsonb;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tunnel_usage' AND column_name = 'denied'
+  ) THEN
+    ALTER TABLE tunnel_usage ADD COLUMN denied bigint NOT NULL DEFAULT 0;
+  END IF;
+END $$;
+
+-- A new parameter means a new signature, drop the old one so calls stay unambiguous
+DROP FUNCTION IF EXISTS record_usage(uuid, uuid, date, bigint, bigint, bigint);
+
+CREATE OR REPLACE FUNCTION record_usage(
+  p_tunnel_id uuid,
+  p_user_id uuid,
+  p_period date,
+  p_bytes_in bigint,
+  p_bytes_out bigint,
+  p_requests bigint,
+  p_denied bigint DEFAULT 0
+) RETURNS void
+LANGUAGE sql
+AS $$
+  INSERT INTO tunnel_usage (tunnel_id, user_id, period, bytes_in, bytes_out, requests, denied)
+  SELECT p_tunnel_id, p_user_id, p_period, p_bytes_in, p_bytes_out, p_requests, p_denied
+  WHERE EXISTS (SELECT 1 FROM tunnels WHERE id = p_tunnel_id)
+  ON CONFLICT (tunnel_id, period) DO UPDATE SET
+    bytes_in = tunnel_usage.bytes_in + EXCLUDED.bytes_in,
+    bytes_out = tunnel_usage.bytes_out + EXCLUDED.bytes_out,
+    requests = tunnel_usage.requests + EXCLUDED.requests,
+    denied = tunnel_usage.denied + EXCLUDED.denied,
+    updated_at = now();
+
+  INSERT INTO user_usage (user_id, period, bytes_in, bytes_out, requests)
+  VALUES (p_user_id, p_period, p_bytes_in, p_bytes_out, p_requests)
+  ON CONFLICT (user_id, period) DO UPDATE SET
+    bytes_in = user_usage.bytes_in + EXCLUDED.bytes_in,
+    bytes_out = user_usage.bytes_out + EXCLUDED.bytes_out,
+    requests = user_usage.requests + EXCLUDED.requests,
+    updated_at = now();
+$$;
@@ -0,0 +1,17 @@
+/*
+  # Traffic rules for HTTP tunnels
+
+  1. Schema Updates
+    - tunnels.traffic_rules: request/response header operations, path-prefix routes
+      to other local ports and redirects, NULL when the tunnel has none
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tunnels' AND column_name = 'traffic_rules'
+  ) THEN
+    ALTER TABLE tunnels ADD COLUMN traffic_rules jsonb;
+  END IF;
+END $$;
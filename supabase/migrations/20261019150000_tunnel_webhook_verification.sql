@@ -0,0 +1,19 @@
+/*
+  # Webhook signature verification per tunnel
+
+  1. Schema Updates
+    - tunnels.webhook_verification: webhook endpoints of an HTTP tunnel,
+      { endpoints: [{ path, provider, secret, tolerance }] }, NULL when no
+      request path needs a provider signature. Secrets are kept as given since
+      the proxy needs them to compute the HMAC; the API never returns them.
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'tunnels' AND column_name = 'webhook_verification'
+  ) THEN
+    ALTER TABLE tunnels ADD COLUMN webhook_verification jsonb;
+  END IF;
+END $$;
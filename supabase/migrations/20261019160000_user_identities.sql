@@ -0,0 +1,33 @@
+/*
+  # Sign-in with external identity providers
+
+  1. New Tables
+    - user_identities: provider accounts (Google, GitHub, OIDC) linked to a user
+      - provider + subject is the provider's stable user id
+      - email is the verified address the identity was linked with
+
+  2. Schema Updates
+    - users.password_hash may be NULL for accounts created through a provider
+
+  3. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider text NOT NULL,
+  subject text NOT NULL,
+  email text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_identities_provider_subject
+  ON user_identities(provider, subject);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id
+  ON user_identities(user_id);
+
+ALTER TABLE user_identities ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
@@ -0,0 +1,48 @@
+/*
+  # Sign-in sessions with rotating refresh tokens
+
+  1. New Tables
+    - auth_sessions: one row per sign-in (browser, device)
+      - user_agent, ip_address of the last refresh, shown in the session list
+      - expires_at moves forward on every refresh
+      - revoked_at, revoked_reason (logout, revoked_by_user, refresh_token_reuse);
+        access tokens of a revoked session are rejected
+    - refresh_tokens: SHA-256 hashes of the refresh tokens of a session
+      - used_at is set when the token is rotated; a used token presented again
+        revokes its session
+
+  2. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id
+  ON auth_sessions(user_id);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id uuid NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  used_at timestamptz
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_token_hash
+  ON refresh_tokens(token_hash);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id
+  ON refresh_tokens(session_id);
+
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
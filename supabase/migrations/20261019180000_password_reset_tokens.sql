@@ -0,0 +1,30 @@
+/*
+  # Password reset links
+
+  1. New Tables
+    - password_reset_tokens: links mailed by /api/auth/forgot-password
+      - token_hash is the SHA-256 of the token in the link, the token itself is
+        never stored
+      - valid for 30 minutes; used_at is set when the link is used, or when
+        another link of the same account is
+
+  2. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_password_reset_tokens_token_hash
+  ON password_reset_tokens(token_hash);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id
+  ON password_reset_tokens(user_id);
+
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,37 @@
+/*
+  # Two-factor authentication (TOTP)
+
+  1. Schema Updates
+    - users.totp_secret: base32 secret of the authenticator app, NULL when 2FA is off
+    - users.totp_enabled, users.totp_enabled_at
+    - users.totp_last_step: time step of the last accepted code, a code works once
+    - admin_settings.require_2fa: every account has to set up 2FA before using
+      the API (except /api/auth)
+
+  2. New Tables
+    - recovery_codes: one-time codes for a lost phone, as SHA-256 hashes
+      - used_at is set when a code is used
+
+  3. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step bigint;
+
+ALTER TABLE admin_settings ADD COLUMN IF NOT EXISTS require_2fa boolean NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash text NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id
+  ON recovery_codes(user_id);
+
+ALTER TABLE recovery_codes ENABLE ROW LEVEL SECURITY;
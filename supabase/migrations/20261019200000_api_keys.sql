@@ -0,0 +1,31 @@
+/*
+  # Personal API keys
+
+  1. New Tables
+    - api_keys: keys for scripts and CI, sent as `Authorization: Bearer tlf_...`
+      - key_hash: SHA-256 of the key, the key itself is only shown once
+      - prefix: first characters of the key, to tell keys apart in the dashboard
+      - scopes: tunnels:read, tunnels:write, usage:read
+      - expires_at: NULL for keys that don't expire
+      - last_used_at: updated at most once a minute
+
+  2. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT '{}',
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id
+  ON api_keys(user_id);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
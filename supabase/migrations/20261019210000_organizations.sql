@@ -0,0 +1,61 @@
+/*
+  # Organizations (team workspaces)
+
+  1. New Tables
+    - organizations: name and owner; the owner's plan covers the organization's tunnels
+    - organization_members: role per member (owner, admin, developer, viewer), one
+      owner per organization
+    - organization_invitations: invitations by email, accepted from the dashboard by
+      the user with that email within 7 days
+
+  2. Schema Updates
+    - tunnels.organization_id: NULL for personal tunnels
+    - tunnels.created_by: who created the tunnel (tunnels.user_id of an organization
+      tunnel is the owner, it is billed to them)
+
+  3. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  owner_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('owner', 'admin', 'developer', 'viewer')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (organization_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id
+  ON organization_members(user_id);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id uuid NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  role text NOT NULL CHECK (role IN ('admin', 'developer', 'viewer')),
+  invited_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_email
+  ON organization_invitations(email);
+
+ALTER TABLE tunnels ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE tunnels ADD COLUMN IF NOT EXISTS created_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tunnels_organization_id
+  ON tunnels(organization_id);
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,57 @@
+/*
+  # Audit log
+
+  1. New Tables
+    - audit_events: who did what, from where; written by the backend after account,
+      tunnel and admin actions (and failed sign-ins)
+      - actor_id: user who acted, no foreign key so events outlive deleted users;
+        NULL for sign-ins with an unknown email
+      - actor_email: email at the time of the event
+      - action: e.g. auth.login, tunnel.create, admin.settings_update
+      - target_type / target_id: what the action was about (user, tunnel, ...)
+      - metadata: details of the action (subdomain, changed settings, reason, ...)
+      - ip_address / user_agent: client of the request
+
+  2. Functions
+    - prevent_audit_event_changes(): the log is append-only, UPDATE and DELETE fail
+
+  3. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id uuid,
+  actor_email text,
+  action text NOT NULL,
+  target_type text,
+  target_id text,
+  metadata jsonb NOT NULL DEFAULT '{}',
+  ip_address text,
+  user_agent text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at
+  ON audit_events(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id
+  ON audit_events(actor_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_target
+  ON audit_events(target_type, target_id);
+
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes() RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_changes();
+
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,31 @@
+/*
+  # Named connection tokens per tunnel
+
+  1. New Tables
+    - tunnel_tokens: extra connection tokens of a tunnel, next to tunnels.connection_token
+      - token_hash: SHA-256 of the token, the token itself is only shown once
+      - prefix: first characters of the token, to tell tokens apart in the dashboard
+      - expires_at: NULL for tokens that don't expire; the previous primary token
+        is kept here until its rotation grace period ends
+      - created_by: member who minted or rotated the token
+
+  2. Security
+    - Enable RLS; the backend uses the service role
+*/
+
+CREATE TABLE IF NOT EXISTS tunnel_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tunnel_id uuid NOT NULL REFERENCES tunnels(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  prefix text NOT NULL,
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tunnel_tokens_tunnel_id
+  ON tunnel_tokens(tunnel_id);
+
+ALTER TABLE tunnel_tokens ENABLE ROW LEVEL SECURITY;